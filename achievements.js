@@ -0,0 +1,100 @@
+// Study streaks and achievement badges, derived from a student's TestResult history.
+// Days are calendar days in the student's own timezone, so late-evening practice counts for that evening.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERFECT_SECTION_MIN_QUESTIONS = 5; // a perfect 2-question quiz is not much of an achievement
+
+const BADGES = [
+    { key: 'first-result', label: 'First steps', description: 'Finish your first practice or test' },
+    { key: 'first-mock', label: 'First full mock', description: 'Finish a timed mock test section' },
+    { key: 'perfect-section', label: 'Perfect section', description: `Answer every question right in a section of at least ${PERFECT_SECTION_MIN_QUESTIONS}` },
+    { key: 'hundred-questions', label: 'Century', description: 'Answer 100 questions' },
+    { key: 'streak-7', label: '7-day streak', description: 'Study 7 days in a row' },
+    { key: 'streak-30', label: '30-day streak', description: 'Study 30 days in a row' }
+];
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The calendar day of a moment in a timezone, as YYYY-MM-DD
+function localDay(date, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .format(new Date(date));
+}
+
+function daysBetween(fromDay, toDay) {
+    return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+}
+
+// current: consecutive study days up to today, or up to yesterday while today is still open
+function computeStreak(dates, timeZone, now = new Date()) {
+    const days = [...new Set(dates.map(date => localDay(date, timeZone)))].sort();
+    const today = localDay(now, timeZone);
+
+    let longest = 0;
+    let run = 0;
+    for (let i = 0; i < days.length; i++) {
+        run = i > 0 && daysBetween(days[i - 1], days[i]) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    const lastStudyDay = days.length > 0 ? days[days.length - 1] : null;
+    const current = lastStudyDay && daysBetween(lastStudyDay, today) <= 1 ? run : 0;
+    return { current, longest, studiedToday: lastStudyDay === today, lastStudyDay };
+}
+
+// Every badge with whether and when it was earned. results need date, totalQuestions,
+// correctAnswers and sessionId (set for timed mock test sections).
+function earnedBadges(results, timeZone) {
+    const earned = {};
+    const earn = (key, date) => {
+        if (!earned[key]) earned[key] = date;
+    };
+
+    let questions = 0;
+    let streak = 0;
+    let lastDay = null;
+    for (const result of [...results].sort((a, b) => new Date(a.date) - new Date(b.date))) {
+        earn('first-result', result.date);
+        if (result.sessionId) earn('first-mock', result.date);
+        if (result.totalQuestions >= PERFECT_SECTION_MIN_QUESTIONS && result.correctAnswers === result.totalQuestions) {
+            earn('perfect-section', result.date);
+        }
+
+        questions += result.totalQuestions;
+        if (questions >= 100) earn('hundred-questions', result.date);
+
+        const day = localDay(result.date, timeZone);
+        if (day !== lastDay) {
+            streak = lastDay && daysBetween(lastDay, day) === 1 ? streak + 1 : 1;
+            lastDay = day;
+        }
+        if (streak >= 7) earn('streak-7', result.date);
+        if (streak >= 30) earn('streak-30', result.date);
+    }
+
+    return BADGES.map(badge => ({ ...badge, earned: Boolean(earned[badge.key]), earnedAt: earned[badge.key] || null }));
+}
+
+// Leaderboards share one week for everyone: Monday 00:00 UTC up to the next Monday
+function leaderboardWeek(now = new Date()) {
+    const start = new Date(now);
+    start.setUTCHours(0, 0, 0, 0);
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+}
+
+module.exports = {
+    BADGES,
+    isValidTimeZone,
+    localDay,
+    computeStreak,
+    earnedBadges,
+    leaderboardWeek
+};
@@ -0,0 +1,55 @@
+// One error format for the whole API: { error, code, details? }.
+// `error` stays a readable message (the frontend shows it as is), `code` is stable for programs
+// to branch on, and `details` lists field problems as [{ in, field, message }].
+
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    423: 'ACCOUNT_LOCKED',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR'
+};
+
+function errorCode(status) {
+    return ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+// Routes answer with res.status(4xx).json({ error }); this adds the code for their status,
+// so every error response has the same shape without repeating it at each call site
+function structuredErrors(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+            body = { ...body, code: errorCode(res.statusCode) };
+        }
+        return json(body);
+    };
+    next();
+}
+
+// Last middleware: errors thrown outside the routes' own try/catch, such as unreadable JSON bodies
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large' });
+    }
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    if (status === 500) console.error(err);
+    res.status(status).json({ error: status === 500 ? 'Internal server error' : err.message });
+}
+
+module.exports = {
+    ERROR_CODES,
+    errorCode,
+    structuredErrors,
+    errorHandler
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Runtime configuration from the environment (or a local .env file, see .env.example)
+const config = {
+    env: process.env.NODE_ENV || 'development',
+    port: Number(process.env.PORT) || 3000,
+    // Base URL of the frontend, used for links in emails
+    appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, ''),
+    jwtSecret: process.env.JWT_SECRET,
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenDays: Number(process.env.REFRESH_TOKEN_DAYS) || 30,
+    // Express 'trust proxy': set when running behind a reverse proxy so rate limits see client IPs
+    trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '') ? Number(process.env.TRUST_PROXY) : (process.env.TRUST_PROXY || false),
+    // Uploaded files such as speaking recordings are stored under this directory
+    uploadsDir: process.env.UPLOADS_DIR || 'uploads',
+    maxRecordingMb: Number(process.env.MAX_RECORDING_MB) || 10,
+    // Account promoted to admin on startup, so a fresh install has someone who can manage the rest
+    adminEmail: (process.env.ADMIN_EMAIL || '').trim() || null,
+    // Days between a user asking to delete their account and its data being erased; they can cancel until then
+    accountDeletionGraceDays: Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+    // 'mongo' (MONGODB_URI) or 'memory'; the memory backend keeps data in STORAGE_FILE if set, else only until exit
+    storage: {
+        backend: process.env.STORAGE_BACKEND || 'mongo',
+        mongoUri: process.env.MONGODB_URI || 'mongodb://localhost:27017/scholaro',
+        dataFile: process.env.STORAGE_FILE || null
+    },
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || 'console',
+        from: process.env.MAIL_FROM || 'Scholaro <no-reply@scholaro.local>',
+        outboxDir: process.env.MAIL_OUTBOX_DIR || 'outbox'
+    }
+};
+
+// Without a configured secret, development gets a random one: tokens simply stop working on restart
+if (!config.jwtSecret) {
+    if (config.env === 'production') {
+        throw new Error('JWT_SECRET must be set in production');
+    }
+    console.warn('JWT_SECRET is not set; using a random secret for this process');
+    config.jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = config;
@@ -0,0 +1,75 @@
+// Minimal RFC 4180 CSV reader/writer for spreadsheet imports and exports
+
+// Returns an array of rows, each an array of cell strings
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Returns objects keyed by the header row
+function parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const keys = header.map(key => key.trim());
+    return rows.map(row => Object.fromEntries(keys.map((key, i) => [key, row[i] !== undefined ? row[i] : ''])));
+}
+
+function escapeCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, records) {
+    const lines = [columns.map(escapeCsvCell).join(',')];
+    for (const record of records) {
+        lines.push(columns.map(column => escapeCsvCell(record[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsv,
+    parseCsvRecords,
+    toCsv
+};
@@ -0,0 +1,114 @@
+const path = require('path');
+
+// Units of each currency per 1 USD. Rates are configured locally rather than fetched,
+// so costs stay reproducible; override them with EXCHANGE_RATES_PATH=./rates.json
+const EXCHANGE_RATES = {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    CAD: 1.36,
+    AUD: 1.52,
+    NZD: 1.65,
+    CHF: 0.88,
+    SGD: 1.35,
+    JPY: 150,
+    INR: 83,
+    CNY: 7.2
+};
+
+if (process.env.EXCHANGE_RATES_PATH) {
+    Object.assign(EXCHANGE_RATES, require(path.resolve(process.env.EXCHANGE_RATES_PATH)));
+}
+
+const FEE_PERIODS = ['year', 'semester', 'term', 'month'];
+const PERIODS_PER_YEAR = { year: 1, semester: 2, term: 3, month: 12 };
+
+// Longest symbols first so "A$" is not read as "$"
+const CURRENCY_SYMBOLS = [
+    ['A$', 'AUD'],
+    ['C$', 'CAD'],
+    ['NZ$', 'NZD'],
+    ['S$', 'SGD'],
+    ['$', 'USD'],
+    ['£', 'GBP'],
+    ['€', 'EUR'],
+    ['¥', 'JPY'],
+    ['₹', 'INR']
+];
+
+const PERIOD_WORDS = [
+    [/semester/i, 'semester'],
+    [/term|quarter/i, 'term'],
+    [/month/i, 'month'],
+    [/year|annum|annual|yr/i, 'year']
+];
+
+// Reads free-text fees such as "$54,002/year", "£28,370/year" or "EUR 1,500 per semester"
+function parseFeeText(text) {
+    if (typeof text !== 'string') return null;
+
+    const amountMatch = /(\d[\d,]*(?:\.\d+)?)/.exec(text);
+    if (!amountMatch) return null;
+
+    let currency = null;
+    const code = /\b([A-Z]{3})\b/.exec(text);
+    if (code && EXCHANGE_RATES[code[1]]) {
+        currency = code[1];
+    } else {
+        const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+        currency = symbol ? symbol[1] : null;
+    }
+    if (!currency) return null;
+
+    const period = PERIOD_WORDS.find(([pattern]) => pattern.test(text));
+    return {
+        amount: Number(amountMatch[1].replace(/,/g, '')),
+        currency,
+        period: period ? period[1] : 'year'
+    };
+}
+
+// Accepts { amount, currency, period } or a fee string; returns { fee } or { error }
+function normalizeFeeInput(value) {
+    if (typeof value === 'string') {
+        const fee = parseFeeText(value);
+        return fee ? { fee } : { error: `Could not read an amount and currency from "${value}"` };
+    }
+    if (!value || typeof value !== 'object') {
+        return { error: 'Fee must have an amount and a currency' };
+    }
+
+    const fee = {
+        amount: Number(value.amount),
+        currency: String(value.currency || '').toUpperCase(),
+        period: value.period || 'year'
+    };
+    if (!(fee.amount >= 0)) return { error: 'Fee amount must be a non-negative number' };
+    if (!EXCHANGE_RATES[fee.currency]) return { error: `Unsupported currency ${value.currency}` };
+    if (!FEE_PERIODS.includes(fee.period)) return { error: `Fee period must be one of ${FEE_PERIODS.join(', ')}` };
+    return { fee };
+}
+
+function exchangeRate(from, to) {
+    if (!EXCHANGE_RATES[from] || !EXCHANGE_RATES[to]) return null;
+    return EXCHANGE_RATES[to] / EXCHANGE_RATES[from];
+}
+
+// Yearly amount of a structured fee in another currency, or null if it cannot be converted
+function annualAmountIn(fee, currency) {
+    if (!fee || fee.amount === undefined || fee.amount === null) return null;
+
+    const rate = exchangeRate(fee.currency, currency);
+    const perYear = PERIODS_PER_YEAR[fee.period || 'year'];
+    return rate === null || !perYear ? null : Math.round(fee.amount * perYear * rate);
+}
+
+module.exports = {
+    EXCHANGE_RATES,
+    FEE_PERIODS,
+    PERIODS_PER_YEAR,
+    parseFeeText,
+    normalizeFeeInput,
+    exchangeRate,
+    annualAmountIn
+};
@@ -0,0 +1,81 @@
+// Minimal iCalendar (RFC 5545) writer for deadline and study plan exports
+
+const PRODUCT_ID = '-//Scholaro//Scholaro//EN';
+
+function escapeText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// events: [{ uid, start, end?, allDay?, summary, description?, reminderDays? }]
+function buildCalendar({ name, events }) {
+    const now = formatDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const event of events) {
+        const start = new Date(event.start);
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${now}`);
+
+        if (event.allDay) {
+            const end = event.end ? new Date(event.end) : new Date(start.getTime() + 24 * 60 * 60 * 1000);
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+        } else {
+            const end = event.end ? new Date(event.end) : new Date(start.getTime() + 60 * 60 * 1000);
+            lines.push(`DTSTART:${formatDateTime(start)}`, `DTEND:${formatDateTime(end)}`);
+        }
+
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+
+        if (event.reminderDays) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeText(event.summary)}`,
+                `TRIGGER:-P${event.reminderDays}D`,
+                'END:VALARM'
+            );
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar
+};
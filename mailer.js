@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Email delivery behind a small transport interface: a transport is an object with
+// an async send({ from, to, subject, text }). 'console' and 'file' are built in for
+// development; production setups register their own (SMTP, an email API, ...) with registerTransport.
+const transports = {
+    console: () => ({
+        async send(message) {
+            console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+        }
+    }),
+
+    // Writes each message as an .eml file that any mail client can open
+    file: ({ outboxDir }) => ({
+        async send(message) {
+            await fs.promises.mkdir(outboxDir, { recursive: true });
+            const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`;
+            const eml = [
+                `From: ${message.from}`,
+                `To: ${message.to}`,
+                `Subject: ${message.subject}`,
+                `Date: ${new Date().toUTCString()}`,
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                message.text
+            ].join('\r\n');
+            await fs.promises.writeFile(path.join(outboxDir, name), eml);
+        }
+    })
+};
+
+function registerTransport(name, factory) {
+    transports[name] = factory;
+}
+
+// options: { transport, from, outboxDir }
+function createMailer(options) {
+    const factory = transports[options.transport];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${options.transport}"`);
+    }
+    const transport = factory(options);
+
+    return {
+        send({ to, subject, text }) {
+            return transport.send({ from: options.from, to, subject, text });
+        }
+    };
+}
+
+module.exports = {
+    registerTransport,
+    createMailer
+};
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { EJSON } = require('mongoose').mongo.BSON;
+const {
+    cloneValue,
+    valuesEqual,
+    matches,
+    applyUpdate,
+    project,
+    sortDocuments,
+    aggregate,
+    newId
+} = require('./query_engine');
+
+// An in-process database: collections of plain documents queried with query_engine.js. The
+// memory storage backend's repositories work on it (see memory_repository.js). Data lives in
+// memory and, when a file is given, is written back to it as Extended JSON shortly after changes.
+// Unique indexes are enforced; TTL indexes are not, the API checks expiry dates itself.
+
+// A write waits until changes pause for FLUSH_DELAY_MS, but never more than FLUSH_MAX_DELAY_MS
+const FLUSH_DELAY_MS = 200;
+const FLUSH_MAX_DELAY_MS = 2000;
+
+function duplicateKeyError(collection, index, doc) {
+    const error = new Error(`E11000 duplicate key error collection: ${collection} index: ${index.name}`);
+    error.name = 'MongoServerError';
+    error.code = 11000;
+    error.keyPattern = index.key;
+    error.keyValue = Object.fromEntries(Object.keys(index.key).map(field => [field, indexValue(doc, field)]));
+    return error;
+}
+
+function indexValue(doc, field) {
+    let value = doc;
+    for (const part of field.split('.')) {
+        value = value === null || value === undefined ? undefined : value[part];
+    }
+    return value === undefined ? null : value;
+}
+
+// Cursors of stored documents, for the migrations' driver-style reads
+class MemoryCursor {
+    constructor(load) {
+        this.load = load;
+    }
+
+    async toArray() {
+        return this.load();
+    }
+}
+
+class MemoryCollection {
+    constructor(db, name) {
+        this.db = db;
+        this.collectionName = name;
+        this.documents = [];
+        this.indexes = [{ name: '_id_', key: { _id: 1 }, unique: true }];
+    }
+
+    textIndex() {
+        const index = this.indexes.find(({ key }) => Object.values(key).includes('text'));
+        if (!index) return null;
+        const fields = Object.keys(index.key).filter(field => index.key[field] === 'text');
+        return { weights: Object.fromEntries(fields.map(field => [field, (index.weights || {})[field] || 1])) };
+    }
+
+    // The stored documents that match, sorted and paged; callers copy what they hand out
+    select(filter = {}, options = {}) {
+        let docs = this.documents.filter(doc => matches(doc, filter, { textIndex: this.textIndex() }));
+        docs = sortDocuments(docs, options.sort);
+        if (options.skip) docs = docs.slice(options.skip);
+        if (options.limit) docs = docs.slice(0, Math.abs(options.limit));
+        return docs;
+    }
+
+    checkUnique(doc) {
+        for (const index of this.indexes.filter(({ unique }) => unique)) {
+            if (index.partialFilterExpression && !matches(doc, index.partialFilterExpression)) continue;
+            const fields = Object.keys(index.key);
+            const clash = this.documents.find(other => other !== doc
+                && !valuesEqual(other._id, doc._id)
+                && (!index.partialFilterExpression || matches(other, index.partialFilterExpression))
+                && fields.every(field => valuesEqual(indexValue(other, field), indexValue(doc, field))));
+            if (clash) throw duplicateKeyError(this.collectionName, index, doc);
+        }
+    }
+
+    // Stores copies of the documents in order; a duplicate key stops there, like an ordered insertMany
+    insert(docs) {
+        const inserted = [];
+        try {
+            for (const doc of docs) {
+                const stored = cloneValue(doc);
+                if (stored._id === undefined) stored._id = newId();
+                this.checkUnique(stored);
+                this.documents.push(stored);
+                inserted.push(stored);
+            }
+        } finally {
+            if (inserted.length > 0) this.db.persist();
+        }
+        return inserted;
+    }
+
+    // Applies an update to the first (or every) match; returns the documents before and after the change
+    modify(filter, update, options = {}, multi = false) {
+        const targets = this.select(filter, { sort: options.sort, limit: multi ? 0 : 1 });
+        const changes = [];
+        for (const doc of targets) {
+            const updated = cloneValue(doc);
+            applyUpdate(updated, update);
+            updated._id = doc._id;
+            const modified = !valuesEqual(updated, doc);
+            if (modified) {
+                this.checkUnique(updated);
+                this.documents[this.documents.indexOf(doc)] = updated;
+            }
+            changes.push({ before: doc, after: updated, modified });
+        }
+        if (changes.some(change => change.modified)) this.db.persist();
+        return changes;
+    }
+
+    remove(filter, options = {}, multi = false) {
+        const targets = this.select(filter, { sort: options.sort, limit: multi ? 0 : 1 });
+        this.documents = this.documents.filter(doc => !targets.includes(doc));
+        if (targets.length > 0) this.db.persist();
+        return targets;
+    }
+
+    distinct(field, filter = {}) {
+        const values = [];
+        for (const doc of this.select(filter)) {
+            for (const value of [].concat(indexValue(doc, field))) {
+                if (!values.some(existing => valuesEqual(existing, value))) values.push(cloneValue(value));
+            }
+        }
+        return values;
+    }
+
+    aggregate(pipeline) {
+        return aggregate(this.documents, pipeline, {
+            textIndex: this.textIndex(),
+            collection: name => this.db.collection(name).documents
+        });
+    }
+
+    createIndex(key, options = {}) {
+        const name = options.name || Object.entries(key).map(([field, order]) => `${field}_${order}`).join('_');
+        this.indexes = this.indexes.filter(index => index.name !== name);
+        this.indexes.push({ ...options, name, key });
+        return name;
+    }
+
+    // Driver-style access to the stored documents as they are, for migrations of legacy data
+
+    find(filter, options = {}) {
+        return new MemoryCursor(async () => this.select(filter, options).map(doc => project(doc, options.projection)));
+    }
+
+    async updateOne(filter, update) {
+        return updateResult(this.modify(filter, update, {}, false));
+    }
+
+    async updateMany(filter, update) {
+        return updateResult(this.modify(filter, update, {}, true));
+    }
+}
+
+function updateResult(changes) {
+    return {
+        acknowledged: true,
+        matchedCount: changes.length,
+        modifiedCount: changes.filter(change => change.modified).length
+    };
+}
+
+class MemoryDb {
+    // file: optional path of a JSON file the data is loaded from and saved to
+    constructor({ file } = {}) {
+        this.file = file || null;
+        this.collections = new Map();
+        this.dirty = false;
+        this.flushTimer = null;
+        this.firstChangeAt = null;
+        this.writing = Promise.resolve();
+        if (this.file && fs.existsSync(this.file)) {
+            const data = EJSON.parse(fs.readFileSync(this.file, 'utf8'), { relaxed: true });
+            for (const [name, documents] of Object.entries(data.collections || {})) {
+                this.collection(name).documents = documents;
+            }
+        }
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new MemoryCollection(this, name));
+        }
+        return this.collections.get(name);
+    }
+
+    // Schedules a write of the data file; changes made meanwhile go into the same write
+    persist() {
+        if (!this.file) return;
+        this.dirty = true;
+        const now = Date.now();
+        if (this.firstChangeAt === null) this.firstChangeAt = now;
+        clearTimeout(this.flushTimer);
+        const delay = Math.min(FLUSH_DELAY_MS, this.firstChangeAt + FLUSH_MAX_DELAY_MS - now);
+        this.flushTimer = setTimeout(() => {
+            this.flush().catch(error => console.error('Storage file write error:', error));
+        }, Math.max(delay, 0));
+    }
+
+    // Writes pending changes now. Writes run one after another, so an older one never lands last.
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.firstChangeAt = null;
+        const write = this.writing.then(() => this.write());
+        this.writing = write.catch(() => {});
+        return write;
+    }
+
+    // Writes to a temporary file first so a crash mid-write cannot leave half a file behind
+    async write() {
+        if (!this.file || !this.dirty) return;
+        this.dirty = false;
+        const data = {
+            collections: Object.fromEntries([...this.collections].map(([name, collection]) => [name, collection.documents]))
+        };
+        const text = EJSON.stringify(data, null, 2, { relaxed: true });
+        try {
+            await fs.promises.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+            const temporary = `${this.file}.tmp`;
+            await fs.promises.writeFile(temporary, text);
+            await fs.promises.rename(temporary, this.file);
+        } catch (error) {
+            this.dirty = true; // the next write tries again
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    MemoryDb
+};
@@ -0,0 +1,374 @@
+const mongoose = require('mongoose');
+const {
+    isPlainObject,
+    isOperatorObject,
+    cloneValue,
+    valuesEqual,
+    applyUpdate,
+    upsertBase,
+    project
+} = require('./query_engine');
+
+// Repositories of the memory storage backend, over the collections of a MemoryDb (storage.js
+// describes the interface they share with the MongoDB backend). Mongoose is only used through its
+// public API: the model, compiled on a connection that never opens, casts filters and updates,
+// fills in defaults, validates, and makes the same documents the routes get from MongoDB.
+
+// The stored fields of each document when it was read or last saved, so save() writes only changes
+const savedFields = new WeakMap();
+
+// A document's data as it is stored
+function documentFields(doc) {
+    return cloneValue(doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false }));
+}
+
+// $set and $unset of the top-level fields that differ, or null when nothing does
+function fieldChanges(before, after) {
+    const $set = {};
+    const $unset = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (key === '_id') continue;
+        if (!(key in after)) $unset[key] = 1;
+        else if (!(key in before) || !valuesEqual(before[key], after[key])) $set[key] = after[key];
+    }
+    const update = {};
+    if (Object.keys($set).length > 0) update.$set = $set;
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+    return Object.keys(update).length > 0 ? update : null;
+}
+
+// Mongoose's hydrate() applies its projection again but not inside arrays, so it gets only the
+// top-level fields a projection selects; the data it receives is already projected
+function selectedFields(projection) {
+    if (!projection) return projection;
+    const fields = {};
+    for (const [key, value] of Object.entries(projection)) {
+        if (!key.includes('.') || value) fields[key.split('.')[0]] = value;
+    }
+    return fields;
+}
+
+// Plain objects and arrays are copied, so casting leaves the caller's filter alone
+function copyPlain(value) {
+    if (Array.isArray(value)) return value.map(copyPlain);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyPlain(item)]));
+    return value;
+}
+
+// A sort() argument, { date: -1 } or '-date name', as { field: 1 | -1 }
+function sortSpec(sort) {
+    if (typeof sort !== 'string') return sort || undefined;
+    return Object.fromEntries(sort.split(/\s+/).filter(Boolean)
+        .map(field => (field.startsWith('-') ? [field.slice(1), -1] : [field, 1])));
+}
+
+// What find() and findOne() return: sort, select, skip, limit and lean narrow it down, awaiting runs it
+class MemoryQuery {
+    constructor(repository, filter, select, single) {
+        this.repository = repository;
+        this.filter = filter;
+        this.single = single;
+        this.options = { select, lean: false };
+    }
+
+    sort(sort) {
+        this.options.sort = sort;
+        return this;
+    }
+
+    select(select) {
+        this.options.select = select;
+        return this;
+    }
+
+    skip(count) {
+        this.options.skip = count;
+        return this;
+    }
+
+    limit(count) {
+        this.options.limit = count;
+        return this;
+    }
+
+    lean() {
+        this.options.lean = true;
+        return this;
+    }
+
+    exec() {
+        return this.repository.run(this);
+    }
+
+    then(onFulfilled, onRejected) {
+        return this.exec().then(onFulfilled, onRejected);
+    }
+}
+
+class MemoryRepository {
+    // model: a Mongoose model on a connection that is never opened; db: the MemoryDb holding the data
+    constructor(model, db) {
+        this.model = model;
+        this.collection = db.collection(model.collection.collectionName);
+        this.hiddenFields = [];
+        model.schema.eachPath((path, type) => {
+            if (type.options.select === false) this.hiddenFields.push(path);
+        });
+        for (const [key, options] of model.schema.indexes()) {
+            this.collection.createIndex(key, options);
+        }
+    }
+
+    // Reads
+
+    find(filter, select) {
+        return new MemoryQuery(this, filter, select, false);
+    }
+
+    findOne(filter, select) {
+        return new MemoryQuery(this, filter, select, true);
+    }
+
+    findById(id, select) {
+        return this.findOne({ _id: id === undefined ? null : id }, select);
+    }
+
+    async run({ filter, single, options }) {
+        const projection = this.projection(options.select);
+        const found = this.collection.select(this.castFilter(filter), {
+            sort: sortSpec(options.sort),
+            skip: options.skip,
+            limit: single ? 1 : options.limit
+        });
+        const results = found.map(stored => this.result(stored, projection, options.lean));
+        return single ? results[0] || null : results;
+    }
+
+    async exists(filter) {
+        const [stored] = this.collection.select(this.castFilter(filter), { limit: 1 });
+        return stored ? { _id: stored._id } : null;
+    }
+
+    async countDocuments(filter) {
+        return this.collection.select(this.castFilter(filter)).length;
+    }
+
+    async distinct(field, filter) {
+        return this.collection.distinct(field, this.castFilter(filter));
+    }
+
+    // Pipelines are not cast, as with Mongoose
+    async aggregate(pipeline) {
+        return cloneValue(this.collection.aggregate(pipeline));
+    }
+
+    // Writes
+
+    build(fields) {
+        return new this.model(fields);
+    }
+
+    async create(fields) {
+        if (!Array.isArray(fields)) return this.save(this.build(fields));
+        const docs = [];
+        for (const item of fields) {
+            docs.push(await this.save(this.build(item)));
+        }
+        return docs;
+    }
+
+    // Validates every document first; a duplicate key stops the insert there, like an ordered insertMany
+    async insertMany(list) {
+        const docs = list.map(fields => this.build(fields));
+        for (const doc of docs) {
+            await doc.validate();
+        }
+        this.collection.insert(docs.map(doc => this.newFields(doc)));
+        for (const doc of docs) {
+            doc.isNew = false;
+            savedFields.set(doc, documentFields(doc));
+        }
+        return docs;
+    }
+
+    // Inserts a new document, or writes the fields changed since it was read
+    async save(doc) {
+        await doc.validate();
+        const fields = documentFields(doc);
+        if (doc.isNew) {
+            this.collection.insert([this.newFields(doc)]);
+            doc.isNew = false;
+        } else {
+            const update = fieldChanges(savedFields.get(doc) || {}, fields);
+            if (update && this.collection.modify({ _id: doc._id }, update).length === 0) {
+                throw new mongoose.Error.DocumentNotFoundError({ _id: doc._id }, this.model.modelName, 0, {});
+            }
+        }
+        savedFields.set(doc, fields);
+        return doc;
+    }
+
+    async updateOne(filter, update, options = {}) {
+        return this.updateResult(this.modify(filter, update, { upsert: options.upsert }));
+    }
+
+    async updateMany(filter, update, options = {}) {
+        return this.updateResult(this.modify(filter, update, { upsert: options.upsert, multi: true }));
+    }
+
+    // options: new (or returnDocument: 'after') for the document after the update, upsert, sort, projection, lean
+    async findOneAndUpdate(filter, update, options = {}) {
+        const { changes: [change], upserted } = this.modify(filter, update, options);
+        const after = options.new || options.returnDocument === 'after';
+        const stored = change ? (after ? change.after : change.before) : (after ? upserted : null);
+        return stored ? this.result(stored, this.projection(options.projection), options.lean) : null;
+    }
+
+    findByIdAndUpdate(id, update, options) {
+        return this.findOneAndUpdate({ _id: id }, update, options);
+    }
+
+    async findOneAndDelete(filter, options = {}) {
+        const [removed] = this.collection.remove(this.castFilter(filter), { sort: sortSpec(options.sort) });
+        return removed ? this.result(removed, this.projection(options.projection), options.lean) : null;
+    }
+
+    findByIdAndDelete(id, options) {
+        return this.findOneAndDelete({ _id: id }, options);
+    }
+
+    async deleteOne(filter) {
+        return { acknowledged: true, deletedCount: this.collection.remove(this.castFilter(filter)).length };
+    }
+
+    async deleteMany(filter) {
+        return { acknowledged: true, deletedCount: this.collection.remove(this.castFilter(filter), {}, true).length };
+    }
+
+    // Helpers
+
+    // A select() argument ('name email', '-password', '+revisions' or an object) as a projection
+    // that leaves out the schema's select: false fields unless they are asked for
+    projection(select) {
+        const fields = {};
+        const forced = new Set();
+        if (typeof select === 'string') {
+            for (const field of select.split(/\s+/).filter(Boolean)) {
+                if (field.startsWith('+')) forced.add(field.slice(1));
+                else if (field.startsWith('-')) fields[field.slice(1)] = 0;
+                else fields[field] = 1;
+            }
+        } else {
+            Object.assign(fields, select);
+        }
+
+        if (Object.entries(fields).some(([field, value]) => field !== '_id' && value)) {
+            for (const field of forced) fields[field] = 1;
+            if (fields._id === undefined) fields._id = 1;
+            return fields;
+        }
+        for (const field of this.hiddenFields) {
+            if (!forced.has(field) && fields[field] === undefined) fields[field] = 0;
+        }
+        return Object.keys(fields).length > 0 ? fields : undefined;
+    }
+
+    // A copy of a stored document: plain data for lean(), else a Mongoose document
+    result(stored, projection, lean) {
+        const fields = project(stored, projection);
+        if (lean) return fields;
+        const doc = this.model.hydrate(fields, selectedFields(projection));
+        savedFields.set(doc, documentFields(doc));
+        return doc;
+    }
+
+    // A new document's stored fields, with the version key Mongoose gives it on insert
+    newFields(doc) {
+        const fields = documentFields(doc);
+        const { versionKey } = this.model.schema.options;
+        if (versionKey && fields[versionKey] === undefined) fields[versionKey] = 0;
+        return fields;
+    }
+
+    castFilter(filter) {
+        return this.model.find().cast(this.model, copyPlain(filter || {}));
+    }
+
+    // Applies an update to the first match, or every match with multi; with upsert and no match,
+    // inserts a document built from the filter's equality conditions and the update
+    modify(filter, update, { multi = false, upsert = false, sort } = {}) {
+        const castFilter = this.castFilter(filter);
+        const castUpdate = this.castUpdate(update);
+        const changes = this.collection.modify(castFilter, castUpdate, { sort: sortSpec(sort) }, multi);
+        if (changes.length > 0 || !upsert) return { changes, upserted: null };
+
+        const fields = upsertBase(castFilter);
+        applyUpdate(fields, castUpdate, true);
+        const [upserted] = this.collection.insert([this.newFields(this.build(fields))]);
+        return { changes, upserted };
+    }
+
+    updateResult({ changes, upserted }) {
+        return {
+            acknowledged: true,
+            matchedCount: changes.length,
+            modifiedCount: changes.filter(change => change.modified).length,
+            upsertedCount: upserted ? 1 : 0,
+            upsertedId: upserted ? upserted._id : null
+        };
+    }
+
+    // Casts an update like Mongoose does before sending it to MongoDB: values go through the schema's
+    // types and setters, new subdocuments get their defaults, and paths outside the schema are dropped
+    castUpdate(update) {
+        const cast = {};
+        for (const [key, value] of Object.entries(update)) {
+            const [operator, fields] = key.startsWith('$') ? [key, value] : ['$set', { [key]: value }];
+            cast[operator] = cast[operator] || {};
+            for (const [path, argument] of Object.entries(fields)) {
+                const castArgument = this.castUpdateArgument(operator, path, argument);
+                if (castArgument !== undefined) cast[operator][path] = castArgument;
+            }
+        }
+        return cast;
+    }
+
+    castUpdateArgument(operator, path, argument) {
+        switch (operator) {
+            case '$unset':
+                return argument;
+            case '$pull': {
+                // A condition on subdocuments is cast as the $elemMatch it works like
+                const type = this.model.schema.path(path);
+                if (type && type.schema && isPlainObject(argument) && !isOperatorObject(argument)) {
+                    return this.castFilter({ [path]: { $elemMatch: argument } })[path].$elemMatch;
+                }
+                return this.castFilter({ [path]: argument })[path];
+            }
+            case '$push':
+            case '$addToSet': {
+                if (isPlainObject(argument) && '$each' in argument) {
+                    const each = this.castValue(path, argument.$each);
+                    return each && { ...argument, $each: each };
+                }
+                const items = this.castValue(path, [argument]);
+                return items && items[0];
+            }
+            default:
+                return this.castValue(path, argument);
+        }
+    }
+
+    // The value as the schema stores it at path, or undefined for a path outside the schema
+    castValue(path, value) {
+        const scratch = new this.model();
+        scratch.set(path, value);
+        const error = scratch.validateSync([path]);
+        if (error && error.errors[path] && error.errors[path].name === 'CastError') throw error.errors[path];
+        return cloneValue(scratch.get(path));
+    }
+}
+
+module.exports = {
+    MemoryRepository
+};
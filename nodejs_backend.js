@@ -4,300 +4,5806 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const config = require('./config');
+const { createMailer } = require('./mailer');
+const { createStorage } = require('./storage');
+const { createRateLimiter } = require('./rate_limit');
+const { scaleSectionScore, scaleTotalScore, totalScoreRange } = require('./scoring');
+const { parseCsvRecords, toCsv } = require('./csv');
+const { buildCalendar } = require('./icalendar');
+const { zipStream } = require('./zip');
+const { renderScoreReport } = require('./score_report');
+const { DAY_MS, REVIEW_QUALITY, scheduleReview } = require('./spaced_repetition');
+const { MAX_PLAN_WEEKS, buildWeeks, startOfDay } = require('./study_plan');
+const { isValidTimeZone, computeStreak, earnedBadges, leaderboardWeek } = require('./achievements');
+const {
+    EXCHANGE_RATES,
+    FEE_PERIODS,
+    PERIODS_PER_YEAR,
+    parseFeeText,
+    normalizeFeeInput,
+    exchangeRate,
+    annualAmountIn
+} = require('./currency');
+const {
+    DIFFICULTY_LEVELS,
+    QUESTION_FORMATS,
+    RUBRIC_FORMATS,
+    DATA_SUFFICIENCY_OPTIONS,
+    OPTION_SEPARATOR,
+    BLANK_SEPARATOR,
+    parseNumericAnswer,
+    isValidAnswer,
+    checkAnswer,
+    normalizeQuestionInput
+} = require('./question_formats');
+const { ESSAY_TASKS, countWords, preScore, combineRubricScores, rubricResult } = require('./writing_rubrics');
+const { SPEAKING_TASKS, AUDIO_TYPES, detectAudioType } = require('./speaking_rubrics');
+const { structuredErrors, errorHandler } = require('./api_errors');
+const { OBJECT_ID, NON_BLANK, validate } = require('./validation');
+const { buildOpenApi } = require('./openapi');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-const JWT_SECRET = 'your-secret-key-change-in-production';
+const mailer = createMailer(config.mail);
+const storage = createStorage(config.storage);
+app.locals.storage = storage;
+app.set('trust proxy', config.trustProxy);
 
 // Middleware
+app.use(structuredErrors); // every error response gets a code, see api_errors.js
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public')); // Serve static files
 
-// MongoDB Connection
-mongoose.connect('mongodb://localhost:27017/scholaro', {
-    useNewUrlParser: true,
-    useUnifiedTopology: true
-}).then(() => {
-    console.log('Connected to MongoDB');
+// Storage Connection (repositories can be used before it is ready; MongoDB queries wait for it)
+storage.connect().then(async () => {
+    console.log(`Connected to ${storage.backend} storage`);
+    await migrateTuitionFees();
+    await migrateEmailVerification();
+    await migrateEmailCase();
+    await promoteConfiguredAdmin();
+    await purgeDueAccounts();
+    // Accounts whose grace period runs out later are erased by the next sweep
+    setInterval(() => {
+        purgeDueAccounts().catch(err => console.error('Account purge error:', err));
+    }, ACCOUNT_PURGE_INTERVAL_MS).unref();
 }).catch(err => {
-    console.error('MongoDB connection error:', err);
+    console.error('Storage connection error:', err);
 });
 
 // User Schema
+const USER_ROLES = ['user', 'instructor', 'admin'];
+
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true }, // also applied to lookups
     password: { type: String, required: true },
-    role: { type: String, default: 'user', enum: ['user', 'admin'] },
+    role: { type: String, default: 'user', enum: USER_ROLES },
+    emailVerified: { type: Boolean, default: false },
+    passwordChangedAt: { type: Date },
+    failedLogins: { type: Number, default: 0 }, // consecutive, reset by a successful login
+    lockedUntil: { type: Date },
+    // Weekly leaderboards only ever show users who opted in, under their display name
+    leaderboard: {
+        optIn: { type: Boolean, default: false },
+        displayName: { type: String }
+    },
+    // Set while a requested account deletion waits out its grace period, see purgeDueAccounts()
+    deletion: {
+        requestedAt: { type: Date },
+        scheduledFor: { type: Date }
+    },
+    profile: {
+        timezone: { type: String, default: 'UTC' }, // IANA name; study streaks count days in this zone
+        targetCountries: [{ type: String }],
+        budget: {
+            amount: { type: Number }, // yearly tuition plus living costs
+            currency: { type: String, default: 'USD' } // also the preferred currency for university costs
+        },
+        // Official scores the student already has, as exam totals (GRE 260-340, IELTS 0-9, ...)
+        scores: {
+            GRE: { type: Number },
+            GMAT: { type: Number },
+            IELTS: { type: Number },
+            TOEFL: { type: Number }
+        }
+    },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const User = storage.repository('User', userSchema);
+
+// Accounts created before email verification existed are treated as verified
+async function migrateEmailVerification() {
+    const { modifiedCount } = await User.collection.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+    );
+    if (modifiedCount > 0) console.log(`Marked ${modifiedCount} existing account(s) as verified`);
+}
+
+// Emails used to be stored as typed; lookups are lowercased now, so stored addresses are too.
+// Two accounts that differ only in case cannot share an address, so those are left for an admin to merge.
+async function migrateEmailCase() {
+    const mixedCase = await User.collection.find({ email: /[A-Z]/ }).toArray();
+    let lowercased = 0;
+    for (const user of mixedCase) {
+        try {
+            await User.collection.updateOne({ _id: user._id }, { $set: { email: user.email.trim().toLowerCase() } });
+            lowercased++;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            console.warn(`Account ${user._id} (${user.email}) clashes with another account once lowercased; left unchanged`);
+        }
+    }
+    if (lowercased > 0) console.log(`Lowercased the email of ${lowercased} existing account(s)`);
+}
+
+// The first admin: ADMIN_EMAIL names an account to promote on startup, once its email is verified
+async function promoteConfiguredAdmin() {
+    if (!config.adminEmail) return;
+    const user = await User.findOne({ email: config.adminEmail });
+    if (!user || !user.emailVerified) {
+        console.warn(`ADMIN_EMAIL: no verified account for ${config.adminEmail} yet; register, verify and restart`);
+        return;
+    }
+    if (user.role !== 'admin') {
+        user.role = 'admin';
+        await User.save(user);
+        console.log(`Promoted ${config.adminEmail} to admin`);
+    }
+}
+
+// Auth Session Schema (one per login; holds the hash of the current refresh token)
+const authSessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true },
+    userAgent: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date }
+});
+authSessionSchema.index({ userId: 1 });
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthSession = storage.repository('AuthSession', authSessionSchema);
+
+// Account Token Schema (single-use links sent by email)
+const ACCOUNT_TOKEN_PURPOSES = ['verify-email', 'reset-password'];
+
+const accountTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    purpose: { type: String, enum: ACCOUNT_TOKEN_PURPOSES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date }
+});
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = storage.repository('AccountToken', accountTokenSchema);
+
+// Audit Log Schema (privacy-relevant account actions, kept after the account itself is gone).
+// Entries name the account by id only, so they hold no personal data once it is deleted.
+const AUDIT_ACTIONS = ['data-export', 'deletion-requested', 'deletion-cancelled', 'account-deleted'];
+
+const auditLogSchema = new mongoose.Schema({
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // the account acted on
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // unset for the scheduled purge
+    details: { type: mongoose.Schema.Types.Mixed },
+    createdAt: { type: Date, default: Date.now }
+});
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+
+const AuditLog = storage.repository('AuditLog', auditLogSchema);
+
+// Test Result Schema
+const testResultSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    testType: { type: String, required: true }, // GRE, GMAT, IELTS, etc.
+    section: { type: String, required: true }, // Verbal, Quant, etc.
+    score: { type: Number, required: true }, // percentage correct
+    scaledScore: { type: Number }, // official exam scale, see scoring.js
+    totalQuestions: { type: Number, required: true },
+    correctAnswers: { type: Number, required: true },
+    timeSpent: { type: Number, default: 0 }, // in minutes
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSession' },
+    // Rubric-graded work has no question counts
+    essayId: { type: mongoose.Schema.Types.ObjectId, ref: 'Essay' },
+    speakingAttemptId: { type: mongoose.Schema.Types.ObjectId, ref: 'SpeakingAttempt' },
+    // Offline practice: the pack it came from, and the id the client gave the attempt so a re-sent result is not counted twice
+    packId: { type: mongoose.Schema.Types.ObjectId, ref: 'PracticePack' },
+    clientId: { type: String },
+    date: { type: Date, default: Date.now }
+});
+testResultSchema.index({ userId: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+
+const TestResult = storage.repository('TestResult', testResultSchema);
+
+// University Schema
+const universitySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    country: { type: String, required: true },
+    ranking: { type: Number },
+    tuitionFee: {
+        amount: { type: Number },
+        currency: { type: String, enum: Object.keys(EXCHANGE_RATES) },
+        period: { type: String, enum: FEE_PERIODS, default: 'year' }
+    },
+    tuitionFeeNote: { type: String }, // original free-text fee, kept by the migration
+    livingCost: { // estimated, same shape as tuitionFee
+        amount: { type: Number },
+        currency: { type: String, enum: Object.keys(EXCHANGE_RATES) },
+        period: { type: String, enum: FEE_PERIODS, default: 'year' }
+    },
+    scholarships: [{ type: String }],
+    requirements: {
+        gre: { type: Boolean, default: false },
+        gmat: { type: Boolean, default: false },
+        ielts: { type: Boolean, default: false },
+        toefl: { type: Boolean, default: false }
+    },
+    // Minimum competitive totals per exam, on the official scale
+    minimumScores: {
+        gre: { type: Number },
+        gmat: { type: Number },
+        ielts: { type: Number },
+        toefl: { type: Number }
+    },
+    description: { type: String },
+    website: { type: String }
+});
+
+universitySchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 } });
+universitySchema.index({ country: 1, ranking: 1 });
+
+const University = storage.repository('University', universitySchema);
+
+// Tuition used to be free text such as '$54,002/year'; convert any such documents in place.
+// Fees that cannot be read keep their text in tuitionFeeNote for an admin to fix.
+async function migrateTuitionFees() {
+    const legacy = await University.collection.find({ tuitionFee: { $type: 'string' } }).toArray();
+    for (const doc of legacy) {
+        const fee = parseFeeText(doc.tuitionFee);
+        await University.collection.updateOne({ _id: doc._id }, {
+            $set: {
+                tuitionFee: fee || { amount: null, currency: null, period: 'year' },
+                tuitionFeeNote: doc.tuitionFee
+            }
+        });
+        if (!fee) console.warn(`Could not parse tuition fee of ${doc.name}: ${doc.tuitionFee}`);
+    }
+    if (legacy.length > 0) console.log(`Migrated ${legacy.length} tuition fee(s)`);
+}
+
+// Passage Schema (reading passages shared by a group of questions)
+const passageSchema = new mongoose.Schema({
+    testType: { type: String, required: true },
+    section: { type: String, required: true },
+    title: { type: String },
+    text: { type: String, required: true }
+});
+
+const Passage = storage.repository('Passage', passageSchema);
+
+// Question Schema
+// One admin edit: the fields it changed with their old and new values
+const questionRevisionSchema = new mongoose.Schema({
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    editedAt: { type: Date, default: Date.now },
+    note: { type: String },
+    changes: [{
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed }
+    }]
+});
+
+const questionSchema = new mongoose.Schema({
+    testType: { type: String, required: true },
+    section: { type: String, required: true },
+    format: { type: String, enum: QUESTION_FORMATS, default: 'single-choice' },
+    question: { type: String, required: true },
+    options: [{ type: String }],
+    blanks: [{ options: [{ type: String }] }], // text-completion
+    statements: [{ type: String }], // data-sufficiency (1) and (2)
+    passageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Passage' },
+    // Shape depends on format, see question_formats.js; essays and speaking prompts have none
+    correctAnswer: { type: mongoose.Schema.Types.Mixed, required: function() { return !RUBRIC_FORMATS.includes(this.format); } },
+    tolerance: { type: Number }, // numeric-entry
+    explanation: { type: String },
+    topic: { type: String }, // e.g. Algebra, Geometry, Critical Reasoning
+    essayTask: { type: String }, // essay: key of ESSAY_TASKS in writing_rubrics.js
+    speakingTask: { type: String }, // speaking: key of SPEAKING_TASKS in speaking_rubrics.js
+    difficulty: { type: String, enum: DIFFICULTY_LEVELS, default: 'medium' },
+    // Oldest first. Left out of queries unless asked for with '+revisions': old answer keys are not for students
+    revisions: { type: [questionRevisionSchema], select: false }
+});
+
+const Question = storage.repository('Question', questionSchema);
+
+// Question Discussion Schemas (comment threads and problem reports, see the moderation queue)
+const QUESTION_REPORT_CATEGORIES = ['wrong-answer', 'typo', 'ambiguous', 'explanation', 'other'];
+const QUESTION_REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+const questionCommentSchema = new mongoose.Schema({
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'QuestionComment' }, // replies are one level deep
+    text: { type: String },
+    // Deleted comments lose their text but stay in the thread, so replies keep their context
+    deletedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+questionCommentSchema.index({ questionId: 1, createdAt: 1 });
+
+const QuestionComment = storage.repository('QuestionComment', questionCommentSchema);
+
+const questionReportSchema = new mongoose.Schema({
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    category: { type: String, enum: QUESTION_REPORT_CATEGORIES, required: true },
+    note: { type: String },
+    status: { type: String, enum: QUESTION_REPORT_STATUSES, default: 'open' },
+    resolution: { type: String }, // the moderator's answer, shown to the reporter
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+});
+// A student has at most one open report per question
+questionReportSchema.index({ questionId: 1, userId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+questionReportSchema.index({ status: 1, createdAt: 1 });
+
+const QuestionReport = storage.repository('QuestionReport', questionReportSchema);
+
+// Section length and time limit (minutes) per test type
+const SECTION_CONFIG = {
+    GRE: {
+        Verbal: { questions: 12, minutes: 18 },
+        Quantitative: { questions: 12, minutes: 21 }
+    },
+    GMAT: {
+        Verbal: { questions: 23, minutes: 45 },
+        Quantitative: { questions: 21, minutes: 45 },
+        'Data Insights': { questions: 20, minutes: 45 }
+    },
+    IELTS: {
+        Reading: { questions: 40, minutes: 60 },
+        Listening: { questions: 40, minutes: 30 }
+    },
+    TOEFL: {
+        Reading: { questions: 20, minutes: 35 },
+        Listening: { questions: 28, minutes: 36 }
+    }
+};
+const DEFAULT_SECTION_CONFIG = { questions: 10, minutes: 15 };
+const SESSION_GRACE_SECONDS = 5; // allowance for network latency on the last answer
+
+// Adaptive testing
+const SECTION_ROUTING = { hard: 0.7, easy: 0.4 }; // first-section accuracy thresholds
+
+function getSectionConfig(testType, section) {
+    return (SECTION_CONFIG[testType] && SECTION_CONFIG[testType][section]) || DEFAULT_SECTION_CONFIG;
+}
+
+// Test Session Schema
+const testSessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    testType: { type: String, required: true },
+    section: { type: String, required: true },
+    mode: { type: String, default: 'fixed', enum: ['fixed', 'item', 'section'] },
+    stage: { type: Number, default: 1 }, // section mode: 1 = routing section, 2 = routed section
+    previousSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSession' },
+    nextSessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSession' }, // routed section started from this one
+    difficulty: { type: String, enum: DIFFICULTY_LEVELS }, // current target difficulty
+    questionCount: { type: Number, required: true },
+    questionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }],
+    answers: [{
+        questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+        answer: { type: mongoose.Schema.Types.Mixed, required: true },
+        answeredAt: { type: Date, default: Date.now }
+    }],
+    timeLimit: { type: Number, required: true }, // in minutes
+    status: { type: String, default: 'active', enum: ['active', 'completed', 'expired'] },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+    resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestResult' },
+    assignmentId: { type: mongoose.Schema.Types.ObjectId } // cohort assignment this session completes
+});
+testSessionSchema.index({ assignmentId: 1 });
+
+const TestSession = storage.repository('TestSession', testSessionSchema);
+
+// Answer Attempt Schema (every graded answer, for the mistake notebook)
+const answerAttemptSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    answer: { type: mongoose.Schema.Types.Mixed, required: true },
+    correct: { type: Boolean, required: true },
+    source: { type: String, enum: ['practice', 'session', 'review'], required: true },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestSession' },
+    timeSpent: { type: Number }, // seconds on the question, known for session answers only
+    createdAt: { type: Date, default: Date.now }
+});
+answerAttemptSchema.index({ userId: 1, questionId: 1, createdAt: -1 });
+
+const AnswerAttempt = storage.repository('AnswerAttempt', answerAttemptSchema);
+
+// Practice Attempt Schema (untimed practice on a set of questions). Each question can be checked
+// once, and answers and explanations are only revealed once the attempt is finished.
+const PRACTICE_ATTEMPT_HOURS = 24; // open attempts are finished automatically after this
+const MAX_PRACTICE_QUESTIONS = 20;
+
+const practiceAttemptSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    questionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }],
+    checks: [{
+        questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+        answer: { type: mongoose.Schema.Types.Mixed, required: true },
+        correct: { type: Boolean, required: true },
+        checkedAt: { type: Date, default: Date.now }
+    }],
+    status: { type: String, enum: ['open', 'finished'], default: 'open' },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    finishedAt: { type: Date }
+});
+practiceAttemptSchema.index({ userId: 1, status: 1, expiresAt: 1 });
+
+const PracticeAttempt = storage.repository('PracticeAttempt', practiceAttemptSchema);
+
+// Practice Pack Schema (questions downloaded with their answer keys for offline self-checking).
+// Packs are the one place answer keys leave the server ahead of time, so their size and number are capped.
+const MAX_PACK_QUESTIONS = 30;
+const PACKS_PER_DAY = 5;
+
+const practicePackSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    testType: { type: String, required: true },
+    section: { type: String, required: true },
+    questionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }],
+    createdAt: { type: Date, default: Date.now }
+});
+practicePackSchema.index({ userId: 1, createdAt: -1 });
+
+const PracticePack = storage.repository('PracticePack', practicePackSchema);
+
+// Review Item Schema (spaced-repetition queue of missed questions, see spaced_repetition.js)
+const reviewItemSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    easeFactor: { type: Number, default: 2.5 },
+    interval: { type: Number, default: 0 }, // in days
+    repetitions: { type: Number, default: 0 },
+    lapses: { type: Number, default: 0 },
+    dueDate: { type: Date, required: true },
+    lastReviewedAt: { type: Date },
+    addedAt: { type: Date, default: Date.now }
+});
+reviewItemSchema.index({ userId: 1, questionId: 1 }, { unique: true });
+reviewItemSchema.index({ userId: 1, dueDate: 1 });
+
+const ReviewItem = storage.repository('ReviewItem', reviewItemSchema);
+
+// Application Schema (a shortlisted university the student is applying to)
+const APPLICATION_STATUSES = ['researching', 'preparing', 'submitted', 'decision'];
+const APPLICATION_DECISIONS = ['admitted', 'rejected', 'waitlisted'];
+
+const applicationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    universityId: { type: mongoose.Schema.Types.ObjectId, ref: 'University', required: true },
+    program: { type: String, required: true },
+    intakeTerm: { type: String, required: true }, // e.g. Fall 2027
+    deadline: { type: Date },
+    status: { type: String, enum: APPLICATION_STATUSES, default: 'researching' },
+    decision: { type: String, enum: APPLICATION_DECISIONS },
+    checklist: [{
+        item: { type: String, required: true },
+        done: { type: Boolean, default: false }
+    }],
+    notes: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+applicationSchema.index({ userId: 1, universityId: 1, program: 1, intakeTerm: 1 }, { unique: true });
+applicationSchema.index({ userId: 1, deadline: 1 });
+
+const Application = storage.repository('Application', applicationSchema);
+
+// Study Plan Schema (week-by-week schedule towards an exam date, see study_plan.js)
+const STUDY_TASK_KINDS = ['practice', 'review', 'mock'];
+
+const studyPlanSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    testType: { type: String, required: true },
+    examDate: { type: Date, required: true },
+    targetScore: { type: Number, required: true },
+    weeklyHours: { type: Number, required: true },
+    sectionWeights: { type: mongoose.Schema.Types.Mixed }, // share of practice time per section
+    resultsThrough: { type: Date }, // newest TestResult the upcoming weeks are based on
+    weeks: [{
+        weekNumber: { type: Number, required: true },
+        startDate: { type: Date, required: true },
+        focus: { type: String },
+        tasks: [{
+            kind: { type: String, enum: STUDY_TASK_KINDS, required: true },
+            section: { type: String },
+            title: { type: String, required: true },
+            minutes: { type: Number, required: true },
+            done: { type: Boolean, default: false },
+            doneAt: { type: Date }
+        }]
+    }],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+studyPlanSchema.index({ userId: 1, testType: 1 }, { unique: true });
+
+const StudyPlan = storage.repository('StudyPlan', studyPlanSchema);
+
+// Cohort Schema (an instructor's group of students, joined with a code)
+const cohortSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    instructorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    joinCode: { type: String, required: true, unique: true },
+    members: [{
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        joinedAt: { type: Date, default: Date.now }
+    }],
+    // Mock tests the students should take; a finished TestSession with the assignment's id completes it
+    assignments: [{
+        title: { type: String, required: true },
+        testType: { type: String, required: true },
+        section: { type: String, required: true },
+        mode: { type: String, default: 'fixed', enum: ['fixed', 'item', 'section'] },
+        dueDate: { type: Date, required: true },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    createdAt: { type: Date, default: Date.now }
+});
+cohortSchema.index({ instructorId: 1 });
+cohortSchema.index({ 'members.userId': 1 });
+
+const Cohort = storage.repository('Cohort', cohortSchema);
+
+// Essay Schema (a timed writing task answer, graded against the task's rubric)
+const ESSAY_STATUSES = ['in-progress', 'submitted', 'graded'];
+
+const essaySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    task: { type: String, required: true }, // key of ESSAY_TASKS
+    testType: { type: String, required: true },
+    section: { type: String, required: true },
+    text: { type: String, default: '' },
+    wordCount: { type: Number, default: 0 },
+    status: { type: String, enum: ESSAY_STATUSES, default: 'in-progress' },
+    startedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    submittedAt: { type: Date },
+    timedOut: { type: Boolean, default: false }, // submitted from the last autosave when time ran out
+    preScore: {
+        estimate: { type: Number },
+        metrics: { type: mongoose.Schema.Types.Mixed },
+        notes: [{ type: String }]
+    },
+    rubricScores: { type: mongoose.Schema.Types.Mixed }, // { criterionKey: band }
+    score: { type: Number }, // on the task's rubric scale
+    feedback: { type: String },
+    gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    gradedAt: { type: Date },
+    // Inline comments point at a character range of the submitted text
+    comments: [{
+        authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        start: { type: Number, required: true },
+        end: { type: Number, required: true },
+        quote: { type: String },
+        comment: { type: String, required: true },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestResult' }
+});
+essaySchema.index({ userId: 1, startedAt: -1 });
+essaySchema.index({ status: 1, submittedAt: 1 });
+
+const Essay = storage.repository('Essay', essaySchema);
+
+// Speaking Attempt Schema (one recorded answer to a speaking prompt; the audio lives on disk)
+const speakingAttemptSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    task: { type: String, required: true }, // key of SPEAKING_TASKS
+    testType: { type: String, required: true },
+    section: { type: String, required: true },
+    audio: {
+        filename: { type: String, required: true }, // relative to <uploadsDir>/speaking
+        mimeType: { type: String, required: true },
+        size: { type: Number, required: true }, // bytes
+        durationSeconds: { type: Number } // as measured by the recorder
+    },
+    status: { type: String, enum: ['recorded', 'reviewed'], default: 'recorded' },
+    selfAssessment: {
+        scores: { type: mongoose.Schema.Types.Mixed },
+        score: { type: Number },
+        note: { type: String },
+        assessedAt: { type: Date }
+    },
+    review: {
+        scores: { type: mongoose.Schema.Types.Mixed },
+        score: { type: Number },
+        feedback: { type: String },
+        reviewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: { type: Date }
+    },
+    resultId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestResult' },
     createdAt: { type: Date, default: Date.now }
 });
+speakingAttemptSchema.index({ userId: 1, createdAt: -1 });
+speakingAttemptSchema.index({ status: 1, createdAt: 1 });
+
+const SpeakingAttempt = storage.repository('SpeakingAttempt', speakingAttemptSchema);
+
+// Access tokens are short-lived JWTs tied to an AuthSession, so logging out revokes them too
+async function verifyAccessToken(token) {
+    let payload;
+    try {
+        payload = jwt.verify(token, config.jwtSecret);
+    } catch (error) {
+        return null;
+    }
+    if (!payload.sid || !mongoose.Types.ObjectId.isValid(payload.sid)) return null;
+
+    const session = await AuthSession.findById(payload.sid).select('revokedAt expiresAt');
+    if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+    return payload;
+}
+
+// Middleware to verify JWT token
+const authenticateToken = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+        return res.status(401).json({ error: 'Access token required' });
+    }
+
+    try {
+        const user = await verifyAccessToken(token);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        req.user = user;
+    } catch (error) {
+        return res.status(500).json({ error: 'Error verifying token' });
+    }
+    next();
+};
+
+// Identifies the user when a valid token is sent, but lets anonymous requests through
+const optionalAuth = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token) return next();
+
+    try {
+        const user = await verifyAccessToken(token);
+        if (user) req.user = user;
+    } catch (error) {
+        return res.status(500).json({ error: 'Error verifying token' });
+    }
+    next();
+};
+
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: `${roles.join(' or ')} access required` });
+    }
+    next();
+};
+
+const requireAdmin = requireRole('admin');
+const requireInstructor = requireRole('instructor', 'admin');
+
+// Auth helpers
+const MIN_PASSWORD_LENGTH = 8;
+const VERIFY_EMAIL_HOURS = 48;
+const RESET_PASSWORD_HOURS = 1;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+const UNKNOWN_USER_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// Per-IP limits on the endpoints that guess passwords or create accounts
+const loginLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    key: req => req.ip,
+    message: 'Too many login attempts, please try again later'
+});
+const registerLimiter = createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    key: req => req.ip,
+    message: 'Too many accounts created from this address, please try again later'
+});
+
+// Only a SHA-256 hash of refresh and email tokens is stored, so a database leak reveals no usable tokens
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function randomToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { userId: user._id, email: user.email, role: user.role, sid: sessionId },
+        config.jwtSecret,
+        { expiresIn: config.accessTokenTtl }
+    );
+}
+
+// Refresh tokens are "<sessionId>.<secret>"; each refresh replaces the secret
+async function issueTokens(user, session) {
+    const secret = randomToken();
+    session.tokenHash = hashToken(secret);
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(Date.now() + config.refreshTokenDays * DAY_MS);
+    await AuthSession.save(session);
+
+    return {
+        token: signAccessToken(user, session._id),
+        refreshToken: `${session._id}.${secret}`,
+        user: {
+            id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            deletionScheduledFor: user.deletion && user.deletion.scheduledFor
+        }
+    };
+}
+
+async function revokeSessions(userId, exceptSessionId) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    await AuthSession.updateMany(filter, { $set: { revokedAt: new Date() } });
+}
+
+async function sendAccountEmail(user, purpose) {
+    const token = randomToken();
+    const hours = purpose === 'verify-email' ? VERIFY_EMAIL_HOURS : RESET_PASSWORD_HOURS;
+    await AccountToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+    await AccountToken.create({
+        userId: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+
+    const link = `${config.appUrl}/#${purpose}=${token}`;
+    const message = purpose === 'verify-email'
+        ? {
+            subject: 'Verify your Scholaro email address',
+            text: `Hi ${user.name},\n\nConfirm your email address to finish setting up your account:\n${link}\n\nThe link expires in ${hours} hours.`
+        }
+        : {
+            subject: 'Reset your Scholaro password',
+            text: `Hi ${user.name},\n\nUse this link to choose a new password:\n${link}\n\nThe link expires in ${hours} hour(s). If you did not ask for a reset, you can ignore this email.`
+        };
+    await mailer.send({ to: user.email, ...message });
+}
+
+// Marks a single-use token as used and returns it, or null when unknown, used or expired
+async function consumeAccountToken(token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+    return AccountToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+}
+
+// Request schemas (validation.js); the same objects are published in /api/openapi.json
+const EMAIL = { type: 'string', format: 'email', maxLength: 254 };
+const PASSWORD = { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: 128 };
+const ID_PARAMS = { id: OBJECT_ID };
+const TEST_TYPE = { type: 'string', minLength: 1, maxLength: 20 };
+const SECTION = { type: 'string', minLength: 1, maxLength: 50 };
+const DATE = { type: 'string', format: 'date' };
+// Checked against the question's format by isValidAnswer once the question is loaded
+const ANSWER = {
+    description: 'an option index, a list of option indexes, or text',
+    anyOf: [
+        { type: 'number' },
+        { type: 'string', maxLength: 1000 },
+        { type: 'array', maxItems: 20, items: { anyOf: [{ type: 'integer' }, { type: 'string', maxLength: 1000 }] } }
+    ]
+};
+
+function pagingQuery(maxLimit, defaultLimit) {
+    return {
+        page: { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit }
+    };
+}
+
+// Auth Routes
+app.post('/api/register', registerLimiter, validate({
+    summary: 'Create an account and email a verification link',
+    tag: 'auth',
+    body: {
+        type: 'object',
+        required: ['name', 'email', 'password'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            email: EMAIL,
+            password: PASSWORD
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { name, email, password } = req.body;
+
+        // Check if user already exists
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({ error: 'User already exists' });
+        }
+
+        // Hash password
+        const saltRounds = 10;
+        const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+        // Create new user
+        const user = User.build({
+            name,
+            email,
+            password: hashedPassword
+        });
+
+        await User.save(user);
+        await sendAccountEmail(user, 'verify-email');
+
+        res.status(201).json({ message: 'User registered successfully. Check your email to verify your account.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Server error during registration' });
+    }
+});
+
+app.post('/api/verify-email', validate({
+    summary: 'Confirm an email address with the emailed token',
+    tag: 'auth',
+    status: 200,
+    body: { type: 'object', required: ['token'], properties: { token: { type: 'string', minLength: 1 } } }
+}), async (req, res) => {
+    try {
+        const accountToken = await consumeAccountToken(req.body.token, 'verify-email');
+        if (!accountToken) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+        }
+
+        await User.updateOne({ _id: accountToken.userId }, { $set: { emailVerified: true } });
+        res.json({ message: 'Email verified. You can now log in.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error verifying email' });
+    }
+});
+
+// Same answer whether or not the account exists, so the endpoint cannot be used to probe emails
+app.post('/api/verify-email/resend', validate({
+    summary: 'Send a new verification link',
+    tag: 'auth',
+    status: 200,
+    body: { type: 'object', required: ['email'], properties: { email: EMAIL } }
+}), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user && !user.emailVerified) {
+            await sendAccountEmail(user, 'verify-email');
+        }
+        res.json({ message: 'If that account needs verifying, a new link is on its way.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error sending verification email' });
+    }
+});
+
+app.post('/api/login', loginLimiter, validate({
+    summary: 'Log in and receive an access and a refresh token',
+    tag: 'auth',
+    status: 200,
+    body: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+            email: { type: 'string', minLength: 1 },
+            password: { type: 'string', minLength: 1 }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        // Unknown emails are compared against a throwaway hash, and a lock is only reported once the
+        // password is right, so neither the answer nor its timing tells whether an account exists
+        const user = await User.findOne({ email });
+        const isValidPassword = await bcrypt.compare(password, user ? user.password : UNKNOWN_USER_HASH);
+        const locked = user && user.lockedUntil && user.lockedUntil > new Date();
+        if (!user || !isValidPassword) {
+            if (user && !locked) {
+                // Counted atomically so parallel guesses cannot slip past the limit
+                const { failedLogins } = await User.findByIdAndUpdate(user._id, { $inc: { failedLogins: 1 } }, { new: true });
+                if (failedLogins >= MAX_FAILED_LOGINS) {
+                    await User.updateOne({ _id: user._id }, {
+                        $set: { failedLogins: 0, lockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60000) }
+                    });
+                }
+            }
+            return res.status(400).json({ error: 'Invalid credentials' });
+        }
+
+        // A locked account rejects even the right password until the lock runs out or the password is reset
+        if (locked) {
+            const minutes = Math.ceil((user.lockedUntil - Date.now()) / 60000);
+            return res.status(423).json({
+                error: `Account locked after too many failed logins. Try again in ${minutes} minute(s) or reset your password.`
+            });
+        }
+        if (user.failedLogins > 0 || user.lockedUntil) {
+            await User.updateOne({ _id: user._id }, { $set: { failedLogins: 0 }, $unset: { lockedUntil: 1 } });
+        }
+
+        if (!user.emailVerified) {
+            return res.status(403).json({ error: 'Please verify your email address before logging in' });
+        }
+
+        const session = AuthSession.build({ userId: user._id, userAgent: req.headers['user-agent'] });
+        res.json(await issueTokens(user, session));
+    } catch (error) {
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// Rotates the refresh token. Presenting an already-rotated token means it was copied,
+// so the whole session is revoked and both holders have to log in again.
+app.post('/api/token/refresh', validate({
+    summary: 'Exchange a refresh token for new tokens',
+    tag: 'auth',
+    status: 200,
+    body: { type: 'object', required: ['refreshToken'], properties: { refreshToken: { type: 'string', minLength: 1 } } }
+}), async (req, res) => {
+    try {
+        const [sessionId, secret] = req.body.refreshToken.split('.');
+        const session = mongoose.Types.ObjectId.isValid(sessionId) && secret
+            ? await AuthSession.findById(sessionId)
+            : null;
+        if (!session || session.revokedAt || session.expiresAt < new Date()) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        if (session.tokenHash !== hashToken(secret)) {
+            session.revokedAt = new Date();
+            await AuthSession.save(session);
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const user = await User.findById(session.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        res.json(await issueTokens(user, session));
+    } catch (error) {
+        res.status(500).json({ error: 'Error refreshing token' });
+    }
+});
+
+// Ends this session, or every session of the user with { all: true }
+app.post('/api/logout', authenticateToken, validate({
+    summary: 'End this session, or every session with all',
+    tag: 'auth',
+    status: 200,
+    body: { type: 'object', properties: { all: { type: 'boolean' } } }
+}), async (req, res) => {
+    try {
+        if (req.body.all) {
+            await revokeSessions(req.user.userId);
+        } else {
+            await AuthSession.updateOne({ _id: req.user.sid }, { $set: { revokedAt: new Date() } });
+        }
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error logging out' });
+    }
+});
+
+// Other devices are logged out; this session stays signed in
+app.put('/api/password', authenticateToken, validate({
+    summary: 'Change the password and log out other devices',
+    tag: 'auth',
+    body: {
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+            currentPassword: { type: 'string', minLength: 1 },
+            newPassword: PASSWORD
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await User.findById(req.user.userId);
+        if (!user || !(await bcrypt.compare(currentPassword, user.password))) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date();
+        await User.save(user);
+        await revokeSessions(user._id, req.user.sid);
+
+        res.json({ message: 'Password changed' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error changing password' });
+    }
+});
+
+app.post('/api/password-reset/request', validate({
+    summary: 'Email a password reset link',
+    tag: 'auth',
+    status: 200,
+    body: { type: 'object', required: ['email'], properties: { email: EMAIL } }
+}), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user) {
+            await sendAccountEmail(user, 'reset-password');
+        }
+        res.json({ message: 'If an account exists for that email, a reset link is on its way.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error requesting password reset' });
+    }
+});
+
+app.post('/api/password-reset/confirm', validate({
+    summary: 'Choose a new password with the emailed token',
+    tag: 'auth',
+    status: 200,
+    body: {
+        type: 'object',
+        required: ['token', 'newPassword'],
+        properties: {
+            token: { type: 'string', minLength: 1 },
+            newPassword: PASSWORD
+        }
+    }
+}), async (req, res) => {
+    try {
+        const accountToken = await consumeAccountToken(req.body.token, 'reset-password');
+        const user = accountToken && await User.findById(accountToken.userId);
+        if (!user) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
+
+        // Following the emailed link proves the address, too
+        user.password = await bcrypt.hash(req.body.newPassword, 10);
+        user.passwordChangedAt = new Date();
+        user.emailVerified = true;
+        user.failedLogins = 0;
+        user.lockedUntil = undefined;
+        await User.save(user);
+        await revokeSessions(user._id);
+
+        res.json({ message: 'Password reset. You can now log in with your new password.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error resetting password' });
+    }
+});
+
+// Account Data helpers
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// A bundle holds every recording, so exports are limited per user
+const exportLimiter = createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    key: req => req.user.userId,
+    message: 'Too many exports, please try again later'
+});
+
+function recordAudit(action, userId, actorId, details) {
+    return AuditLog.create({ action, userId, actorId, details });
+}
+
+// Everything stored about the user, by collection. Password and token hashes are left out, and so
+// are other people's details: cohorts list what the user saw of them, not their members.
+async function userDataBundle(userId) {
+    const own = { userId };
+    const [
+        account, authSessions, testResults, testSessions, answerAttempts, practiceAttempts, practicePacks,
+        reviewItems, applications, studyPlans, essays, speakingAttempts, questionComments, questionReports,
+        cohorts, auditLog
+    ] = await Promise.all([
+        User.findById(userId).select('-password').lean(),
+        AuthSession.find(own).select('-tokenHash').lean(),
+        TestResult.find(own).lean(),
+        TestSession.find(own).lean(),
+        AnswerAttempt.find(own).lean(),
+        PracticeAttempt.find(own).lean(),
+        PracticePack.find(own).lean(),
+        ReviewItem.find(own).lean(),
+        Application.find(own).lean(),
+        StudyPlan.find(own).lean(),
+        Essay.find(own).lean(),
+        SpeakingAttempt.find(own).lean(),
+        QuestionComment.find(own).lean(),
+        QuestionReport.find(own).lean(),
+        Cohort.find({ $or: [{ instructorId: userId }, { 'members.userId': userId }] }).lean(),
+        AuditLog.find(own).lean()
+    ]);
+
+    return {
+        exportedAt: new Date(),
+        account,
+        collections: {
+            authSessions,
+            testResults,
+            testSessions,
+            answerAttempts,
+            practiceAttempts,
+            practicePacks,
+            reviewItems,
+            applications,
+            studyPlans,
+            essays,
+            speakingAttempts,
+            questionComments,
+            questionReports,
+            cohorts: cohorts.map(cohort => {
+                const membership = cohort.members.find(m => m.userId.toString() === userId.toString());
+                return {
+                    _id: cohort._id,
+                    name: cohort.name,
+                    role: cohort.instructorId.toString() === userId.toString() ? 'instructor' : 'member',
+                    joinedAt: membership ? membership.joinedAt : undefined,
+                    memberCount: cohort.members.length,
+                    assignments: cohort.assignments
+                };
+            }),
+            auditLog
+        }
+    };
+}
+
+// Erases the account. The user's own records are deleted; discussions keep their shape, with the
+// user's comments turned into deleted placeholders. Ids left behind where the user graded, reviewed
+// or edited other people's work point at no account any more, and are never shown by name.
+// Safe to run again after a failure: the User document goes last.
+async function purgeAccount(user) {
+    const userId = user._id;
+    const own = { userId };
+    const recordings = await SpeakingAttempt.find(own).select('audio');
+
+    const deleted = {};
+    const models = {
+        authSessions: AuthSession, accountTokens: AccountToken, testResults: TestResult, testSessions: TestSession,
+        answerAttempts: AnswerAttempt, practiceAttempts: PracticeAttempt, practicePacks: PracticePack,
+        reviewItems: ReviewItem, applications: Application, studyPlans: StudyPlan, essays: Essay,
+        speakingAttempts: SpeakingAttempt, questionReports: QuestionReport
+    };
+    for (const [name, model] of Object.entries(models)) {
+        deleted[name] = (await model.deleteMany(own)).deletedCount;
+    }
+
+    const { modifiedCount: anonymisedComments } = await QuestionComment.updateMany(
+        { userId, deletedAt: null },
+        { $set: { deletedAt: new Date() }, $unset: { text: 1 } }
+    );
+    // Cohorts the user taught go with them, and their students' sessions stop pointing at the assignments;
+    // in the others they leave the member list
+    const taught = await Cohort.find({ instructorId: userId }).select('assignments._id');
+    const { modifiedCount: detachedSessions } = await TestSession.updateMany(
+        { assignmentId: { $in: taught.flatMap(cohort => cohort.assignments.map(a => a._id)) } },
+        { $unset: { assignmentId: 1 } }
+    );
+    deleted.cohorts = (await Cohort.deleteMany({ instructorId: userId })).deletedCount;
+    const { modifiedCount: leftCohorts } = await Cohort.updateMany({ 'members.userId': userId }, { $pull: { members: { userId } } });
+
+    for (const attempt of recordings) {
+        await fs.promises.rm(recordingPath(attempt), { force: true });
+    }
+    await User.deleteOne({ _id: userId });
+
+    return { deleted, anonymisedComments, leftCohorts, detachedSessions, recordings: recordings.length };
+}
+
+async function purgeDueAccounts() {
+    const due = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } });
+    for (const user of due) {
+        const details = await purgeAccount(user);
+        await recordAudit('account-deleted', user._id, null, details);
+    }
+}
+
+// Account Data Routes
+app.get('/api/account/export', authenticateToken, exportLimiter, validate({
+    summary: 'Download everything stored about you',
+    description: 'format=zip (the default) bundles data.json with your speaking recordings; '
+        + 'format=json is data.json alone, with each recording\'s download path.',
+    query: { format: { type: 'string', enum: ['zip', 'json'], default: 'zip' } },
+    produces: ['application/zip', 'application/json']
+}), async (req, res) => {
+    try {
+        const bundle = await userDataBundle(req.user.userId);
+        if (!bundle.account) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        const { format } = req.query;
+        const stamp = bundle.exportedAt.toISOString().slice(0, 10);
+
+        const recordings = [];
+        for (const attempt of bundle.collections.speakingAttempts) {
+            const entry = {
+                attemptId: attempt._id,
+                file: `recordings/${attempt.audio.filename}`,
+                url: `/api/speaking/attempts/${attempt._id}/audio`,
+                mimeType: attempt.audio.mimeType
+            };
+            if (format === 'zip') {
+                // A recording missing from disk is listed without its file rather than failing the export
+                const stats = await fs.promises.stat(recordingPath(attempt)).catch(() => null);
+                if (stats && stats.isFile()) entry.source = recordingPath(attempt);
+                else entry.file = null;
+            }
+            recordings.push(entry);
+        }
+        bundle.recordings = recordings.map(({ source, ...entry }) => entry);
+
+        await recordAudit('data-export', req.user.userId, req.user.userId, { format, recordings: recordings.length });
+
+        if (format === 'json') {
+            return res.attachment(`scholaro-data-${stamp}.json`).json(bundle);
+        }
+        const zip = zipStream([
+            { name: 'data.json', data: JSON.stringify(bundle, null, 2) },
+            ...recordings.filter(r => r.source).map(r => ({ name: r.file, file: r.source }))
+        ]);
+        res.type('application/zip').attachment(`scholaro-data-${stamp}.zip`);
+        await pipeline(zip, res);
+    } catch (error) {
+        // Once the archive has started, all that is left is to cut it short
+        if (res.headersSent) return res.destroy();
+        res.status(500).json({ error: 'Error exporting your data' });
+    }
+});
+
+// The account keeps working during the grace period, so the user can still export their data or change their mind
+app.post('/api/account/deletion', authenticateToken, validate({
+    summary: 'Schedule your account for deletion',
+    description: 'Everything is erased once the grace period has passed; until then DELETE cancels it. '
+        + 'Other devices are logged out.',
+    status: 200,
+    body: { type: 'object', required: ['password'], properties: { password: { type: 'string', minLength: 1 } } }
+}), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user || !(await bcrypt.compare(req.body.password, user.password))) {
+            return res.status(400).json({ error: 'Password is incorrect' });
+        }
+        if (user.deletion && user.deletion.scheduledFor) {
+            return res.status(409).json({ error: 'Account deletion is already scheduled', scheduledFor: user.deletion.scheduledFor });
+        }
+
+        const scheduledFor = new Date(Date.now() + config.accountDeletionGraceDays * DAY_MS);
+        user.deletion = { requestedAt: new Date(), scheduledFor };
+        await User.save(user);
+        await revokeSessions(user._id, req.user.sid);
+        await recordAudit('deletion-requested', user._id, req.user.userId, { scheduledFor });
+
+        await mailer.send({
+            to: user.email,
+            subject: 'Your Scholaro account will be deleted',
+            text: `Hi ${user.name},\n\nYour account and all of its data will be deleted on ${scheduledFor.toISOString().slice(0, 10)}.\n`
+                + `If you change your mind, log in before then and cancel the deletion from your profile:\n${config.appUrl}`
+        });
+        res.json({ message: 'Account deletion scheduled', scheduledFor });
+    } catch (error) {
+        res.status(500).json({ error: 'Error scheduling account deletion' });
+    }
+});
+
+app.delete('/api/account/deletion', authenticateToken, validate({
+    summary: 'Cancel a scheduled account deletion'
+}), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user || !user.deletion || !user.deletion.scheduledFor) {
+            return res.status(404).json({ error: 'No account deletion is scheduled' });
+        }
+
+        user.deletion = undefined;
+        await User.save(user);
+        await recordAudit('deletion-cancelled', user._id, req.user.userId);
+        res.json({ message: 'Account deletion cancelled' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error cancelling account deletion' });
+    }
+});
+
+// Profile Routes
+const EXAMS = ['GRE', 'GMAT', 'IELTS', 'TOEFL'];
+
+// Best practice totals per exam, from the student's own results
+async function practiceTotals(userId) {
+    const examScores = await examScoreSummary(userId);
+    return Object.fromEntries(EXAMS
+        .filter(exam => examScores[exam] && examScores[exam].bestTotal !== null)
+        .map(exam => [exam, examScores[exam].bestTotal]));
+}
+
+app.get('/api/profile', authenticateToken, validate({
+    summary: 'Your profile and best practice totals'
+}), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('-password');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json({
+            name: user.name,
+            email: user.email,
+            profile: user.profile,
+            deletionScheduledFor: user.deletion && user.deletion.scheduledFor,
+            practiceScores: await practiceTotals(req.user.userId)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching profile' });
+    }
+});
+
+app.put('/api/profile', authenticateToken, validate({
+    summary: 'Update the timezone, target countries, budget and official scores',
+    body: {
+        type: 'object',
+        properties: {
+            timezone: { type: 'string', description: 'IANA timezone such as Europe/London' },
+            targetCountries: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 100 } },
+            budget: {
+                type: 'object',
+                nullable: true,
+                required: ['amount'],
+                properties: {
+                    amount: { type: 'number', minimum: 0 },
+                    currency: { type: 'string', pattern: '^[A-Z]{3}$' }
+                }
+            },
+            scores: {
+                type: 'object',
+                additionalProperties: false,
+                properties: Object.fromEntries(EXAMS.map(exam => {
+                    const [minimum, maximum] = totalScoreRange(exam);
+                    return [exam, { type: 'number', nullable: true, minimum, maximum }];
+                }))
+            }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { timezone, targetCountries, budget, scores } = req.body;
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (timezone !== undefined) {
+            if (!isValidTimeZone(timezone)) {
+                return res.status(400).json({ error: 'timezone must be an IANA timezone such as Europe/London' });
+            }
+            user.profile.timezone = timezone;
+        }
+
+        if (targetCountries !== undefined) {
+            user.profile.targetCountries = targetCountries.map(c => c.trim()).filter(Boolean);
+        }
+
+        if (budget !== undefined) {
+            if (budget === null) {
+                user.profile.budget = {};
+            } else {
+                user.profile.budget = { amount: budget.amount, currency: budget.currency || 'USD' };
+            }
+        }
+
+        if (scores !== undefined) {
+            for (const [exam, score] of Object.entries(scores)) {
+                user.profile.scores[exam] = score === null ? undefined : score;
+            }
+        }
+
+        await User.save(user);
+        res.json({ message: 'Profile updated successfully', profile: user.profile });
+    } catch (error) {
+        res.status(500).json({ error: 'Error updating profile' });
+    }
+});
+
+// Test Results helpers
+const MAX_CLIENT_ID_LENGTH = 64;
+const MAX_OFFLINE_MINUTES = 600;
+
+// Offline attempts are re-scored here against the pack's questions; the client's own marking is never trusted
+async function scorePackAttempt(pack, answers) {
+    const packIds = new Set(pack.questionIds.map(id => id.toString()));
+    const answeredIds = answers.map(a => a.questionId);
+    if (answeredIds.some(id => !packIds.has(id)) || new Set(answeredIds).size !== answeredIds.length) {
+        return { error: 'answers must cover distinct questions from the pack' };
+    }
+
+    const questions = await Question.find({ _id: { $in: answeredIds } });
+    const byId = new Map(questions.map(q => [q._id.toString(), q]));
+    const graded = [];
+    for (const { questionId, answer } of answers) {
+        const question = byId.get(questionId);
+        if (!question) continue; // deleted from the bank since the pack was downloaded
+        if (!isValidAnswer(question, answer)) {
+            return { error: `Answer to ${questionId} does not fit a ${question.format} question` };
+        }
+        graded.push({ questionId: question._id, answer, correct: checkAnswer(question, answer) });
+    }
+    return { graded };
+}
+
+// Test Results Routes
+// Records a practice-pack attempt made offline. Sending the same clientId again returns the stored result.
+// Body: { clientId, packId, answers: [{ questionId, answer }], timeSpent (minutes), finishedAt }
+app.post('/api/test-results', authenticateToken, validate({
+    summary: 'Record a practice-pack attempt made offline',
+    description: 'Sending the same clientId again returns the stored result with duplicate: true.',
+    body: {
+        type: 'object',
+        required: ['clientId', 'packId', 'answers'],
+        properties: {
+            clientId: { type: 'string', minLength: 1, maxLength: MAX_CLIENT_ID_LENGTH },
+            packId: OBJECT_ID,
+            answers: {
+                type: 'array',
+                minItems: 1,
+                maxItems: MAX_PACK_QUESTIONS,
+                items: {
+                    type: 'object',
+                    required: ['questionId', 'answer'],
+                    properties: { questionId: OBJECT_ID, answer: ANSWER }
+                }
+            },
+            timeSpent: { type: 'number', minimum: 0, description: 'Minutes' },
+            finishedAt: { type: 'string', format: 'date-time' }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { clientId, packId, answers, timeSpent, finishedAt } = req.body;
+
+        const existing = await TestResult.findOne({ userId: req.user.userId, clientId });
+        if (existing) {
+            return res.json({ result: existing, duplicate: true });
+        }
+
+        const pack = await PracticePack.findOne({ _id: packId, userId: req.user.userId });
+        if (!pack) {
+            return res.status(404).json({ error: 'Practice pack not found' });
+        }
+
+        const { graded, error } = await scorePackAttempt(pack, answers);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // The attempt happened offline at some point between the download and now
+        const date = finishedAt
+            ? new Date(Math.min(Math.max(Date.parse(finishedAt), pack.createdAt.getTime()), Date.now()))
+            : new Date();
+        const correctAnswers = graded.filter(a => a.correct).length;
+        const result = TestResult.build({
+            userId: req.user.userId,
+            testType: pack.testType,
+            section: pack.section,
+            score: graded.length > 0 ? Math.round((correctAnswers / graded.length) * 100) : 0,
+            totalQuestions: graded.length,
+            correctAnswers,
+            scaledScore: scaleSectionScore(pack.testType, pack.section, correctAnswers, graded.length),
+            timeSpent: Math.round(Math.min(timeSpent || 0, MAX_OFFLINE_MINUTES) * 10) / 10,
+            packId: pack._id,
+            clientId,
+            date
+        });
+
+        try {
+            await TestResult.save(result);
+        } catch (saveError) {
+            // The same attempt arrived twice at once; the other request stored it
+            if (saveError.code === 11000) {
+                const stored = await TestResult.findOne({ userId: req.user.userId, clientId });
+                return res.json({ result: stored, duplicate: true });
+            }
+            throw saveError;
+        }
+        await recordAttempts(req.user.userId, graded, 'practice');
+
+        res.status(201).json({ result, duplicate: false });
+    } catch (error) {
+        res.status(500).json({ error: 'Error saving test result' });
+    }
+});
+
+app.get('/api/test-results', authenticateToken, validate({
+    summary: 'List test results, newest first',
+    query: { testType: TEST_TYPE, ...pagingQuery(50, 10) }
+}), async (req, res) => {
+    try {
+        await finalizeExpiredSessions(req.user.userId);
+
+        const filter = { userId: req.user.userId };
+        if (req.query.testType) filter.testType = req.query.testType;
+
+        const { page, limit } = req.query;
+
+        const [results, total] = await Promise.all([
+            TestResult.find(filter).sort({ date: -1 }).skip((page - 1) * limit).limit(limit),
+            TestResult.countDocuments(filter)
+        ]);
+        res.json({ results, page, limit, total, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching test results' });
+    }
+});
+
+app.get('/api/test-results/:id', authenticateToken, validate({
+    summary: 'Get one test result',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const result = await TestResult.findOne({ _id: req.params.id, userId: req.user.userId });
+        if (!result) {
+            return res.status(404).json({ error: 'Test result not found' });
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching test result' });
+    }
+});
+
+// Scaled scores are only comparable within one exam, so they are summarised per testType and section
+async function examScoreSummary(userId) {
+    const sections = await TestResult.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(userId), scaledScore: { $ne: null } } },
+        { $sort: { date: -1 } },
+        {
+            $group: {
+                _id: { testType: '$testType', section: '$section' },
+                latest: { $first: '$scaledScore' },
+                best: { $max: '$scaledScore' },
+                average: { $avg: '$scaledScore' },
+                attempts: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const examScores = {};
+    for (const { _id, latest, best, average, attempts } of sections) {
+        const exam = examScores[_id.testType] || (examScores[_id.testType] = { sections: {} });
+        exam.sections[_id.section] = { latest, best, average: Math.round(average * 10) / 10, attempts };
+    }
+    for (const [testType, exam] of Object.entries(examScores)) {
+        const pick = key => Object.fromEntries(
+            Object.entries(exam.sections).map(([section, scores]) => [section, scores[key]])
+        );
+        exam.latestTotal = scaleTotalScore(testType, pick('latest'));
+        exam.bestTotal = null;
+    }
+
+    // The best total is one the student actually held: after each result, the latest score in every
+    // section. Adding up each section's best would combine attempts into a total never scored.
+    const history = await TestResult.find({ userId, scaledScore: { $ne: null } })
+        .sort({ date: 1 })
+        .select('testType section scaledScore');
+    const held = {};
+    for (const { testType, section, scaledScore } of history) {
+        const sectionScores = held[testType] || (held[testType] = {});
+        sectionScores[section] = scaledScore;
+        const total = scaleTotalScore(testType, sectionScores);
+        const exam = examScores[testType];
+        if (total !== null && (exam.bestTotal === null || total > exam.bestTotal)) exam.bestTotal = total;
+    }
+    return examScores;
+}
+
+app.get('/api/dashboard-stats', authenticateToken, validate({
+    summary: 'Totals and scaled scores per exam for the dashboard'
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        await finalizeExpiredSessions(userId);
+
+        const [totals] = await TestResult.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+            { $group: { _id: null, testsCompleted: { $sum: 1 }, totalStudyTime: { $sum: '$timeSpent' } } }
+        ]);
+
+        const examScores = await examScoreSummary(userId);
+
+        res.json({
+            testsCompleted: totals ? totals.testsCompleted : 0,
+            totalStudyTime: totals ? Math.round(totals.totalStudyTime) : 0,
+            examScores
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching dashboard stats' });
+    }
+});
+
+// Achievement Routes
+app.get('/api/achievements', authenticateToken, validate({
+    summary: 'Study streak and earned badges, counted in the profile timezone'
+}), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('profile.timezone');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const timezone = user.profile.timezone || 'UTC';
+        const results = await TestResult.find({ userId: req.user.userId })
+            .select('date totalQuestions correctAnswers sessionId')
+            .lean();
+        res.json({
+            timezone,
+            streak: computeStreak(results.map(r => r.date), timezone),
+            badges: earnedBadges(results, timezone)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching achievements' });
+    }
+});
+
+// Leaderboard helpers
+const LEADERBOARD_SIZE = 20;
+const DISPLAY_NAME_PATTERN = /^[\p{L}\p{N} _.-]{3,30}$/u;
+
+// This week's opted-in students for one exam, ranked by correct answers, then accuracy
+async function leaderboardRows(testType, week) {
+    const rows = await TestResult.aggregate([
+        { $match: { testType, date: { $gte: week.start, $lt: week.end } } },
+        {
+            $group: {
+                _id: '$userId',
+                correctAnswers: { $sum: '$correctAnswers' },
+                totalQuestions: { $sum: '$totalQuestions' },
+                tests: { $sum: 1 }
+            }
+        },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+        { $unwind: '$user' },
+        { $match: { 'user.leaderboard.optIn': true } },
+        {
+            $project: {
+                displayName: '$user.leaderboard.displayName',
+                correctAnswers: 1,
+                tests: 1,
+                accuracy: {
+                    $cond: [{ $gt: ['$totalQuestions', 0] }, { $divide: ['$correctAnswers', '$totalQuestions'] }, 0]
+                }
+            }
+        },
+        { $sort: { correctAnswers: -1, accuracy: -1, _id: 1 } }
+    ]);
+    return rows.map((row, i) => ({ ...row, rank: i + 1, accuracy: Math.round(row.accuracy * 100) }));
+}
+
+// Leaderboard Routes
+app.get('/api/leaderboards/:testType', authenticateToken, validate({
+    summary: "This week's leaderboard for one exam",
+    params: { testType: { type: 'string', description: `One of ${EXAMS.join(', ')}, in any case` } }
+}), async (req, res) => {
+    try {
+        const testType = req.params.testType.toUpperCase();
+        if (!EXAMS.includes(testType)) {
+            return res.status(400).json({ error: `testType must be one of ${EXAMS.join(', ')}` });
+        }
+
+        const week = leaderboardWeek();
+        const rows = await leaderboardRows(testType, week);
+        const mine = rows.find(row => row._id.toString() === req.user.userId);
+        const present = ({ _id, ...row }) => row;
+
+        res.json({
+            testType,
+            weekStart: week.start,
+            weekEnd: week.end,
+            entries: rows.slice(0, LEADERBOARD_SIZE).map(present),
+            me: mine ? present(mine) : null
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching leaderboard' });
+    }
+});
+
+app.get('/api/leaderboard/settings', authenticateToken, validate({
+    summary: 'Leaderboard opt-in and display name',
+    tag: 'leaderboards'
+}), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('leaderboard');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json({ optIn: user.leaderboard.optIn, displayName: user.leaderboard.displayName || null });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching leaderboard settings' });
+    }
+});
+
+// Body: { optIn, displayName }; a display name is needed to opt in and must not be taken
+app.put('/api/leaderboard/settings', authenticateToken, validate({
+    summary: 'Opt in to or out of weekly leaderboards',
+    tag: 'leaderboards',
+    body: {
+        type: 'object',
+        properties: {
+            optIn: { type: 'boolean' },
+            displayName: { type: 'string', nullable: true, maxLength: 30 }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const optIn = req.body.optIn === undefined ? user.leaderboard.optIn : req.body.optIn;
+        const displayName = req.body.displayName === undefined
+            ? user.leaderboard.displayName
+            : (req.body.displayName || '').trim();
+
+        if (displayName && !DISPLAY_NAME_PATTERN.test(displayName)) {
+            return res.status(400).json({ error: 'Display names are 3-30 letters, digits, spaces, dots, dashes or underscores' });
+        }
+        if (optIn && !displayName) {
+            return res.status(400).json({ error: 'Choose a display name to appear on leaderboards' });
+        }
+        if (optIn && await User.exists({
+            _id: { $ne: user._id },
+            'leaderboard.optIn': true,
+            'leaderboard.displayName': { $regex: `^${escapeRegex(displayName)}$`, $options: 'i' }
+        })) {
+            return res.status(409).json({ error: 'That display name is taken' });
+        }
+
+        user.leaderboard = { optIn, displayName: displayName || undefined };
+        await User.save(user);
+        res.json({ optIn, displayName: displayName || null });
+    } catch (error) {
+        res.status(500).json({ error: 'Error saving leaderboard settings' });
+    }
+});
+
+// Analytics helpers
+const WEAK_AREA_MIN_ATTEMPTS = 5; // ignore topics with too few answers to judge
+const WEAK_AREA_LIMIT = 5;
+
+// Accuracy and average time per question over the user's attempts, grouped by question fields
+async function attemptBreakdown(userId, testType, fields) {
+    const rows = await AnswerAttempt.aggregate([
+        { $match: { userId } },
+        { $lookup: { from: 'questions', localField: 'questionId', foreignField: '_id', as: 'question' } },
+        { $unwind: '$question' },
+        ...(testType ? [{ $match: { 'question.testType': testType } }] : []),
+        {
+            $group: {
+                _id: Object.fromEntries(fields.map(field => [field, `$question.${field}`])),
+                attempts: { $sum: 1 },
+                correct: { $sum: { $cond: ['$correct', 1, 0] } },
+                averageTime: { $avg: '$timeSpent' }
+            }
+        },
+        { $sort: { attempts: -1 } }
+    ]);
+
+    return rows.map(({ _id, attempts, correct, averageTime }) => ({
+        ..._id,
+        attempts,
+        correct,
+        accuracy: Math.round((correct / attempts) * 100),
+        averageTimeSeconds: averageTime === null ? null : Math.round(averageTime)
+    }));
+}
+
+// Average score per testType per calendar week (weeks start on Monday)
+async function weeklyScoreTrend(match) {
+    const rows = await TestResult.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    testType: '$testType',
+                    week: { $dateTrunc: { date: '$date', unit: 'week', startOfWeek: 'monday' } }
+                },
+                tests: { $sum: 1 },
+                averageScore: { $avg: '$score' },
+                averageScaledScore: { $avg: '$scaledScore' }
+            }
+        },
+        { $sort: { '_id.week': 1 } }
+    ]);
+
+    return rows.map(({ _id, tests, averageScore, averageScaledScore }) => ({
+        testType: _id.testType,
+        week: _id.week,
+        tests,
+        averageScore: Math.round(averageScore),
+        averageScaledScore: averageScaledScore === null ? null : Math.round(averageScaledScore * 10) / 10
+    }));
+}
+
+// Accuracy breakdowns, time per question, score trend and weakest areas for one student
+async function userAnalytics(userId, testType) {
+    userId = new mongoose.Types.ObjectId(userId);
+    await finalizeExpiredSessions(userId);
+
+    const resultMatch = testType ? { userId, testType } : { userId };
+
+    const [byTestType, bySection, byDifficulty, byTopic, scoreTrend] = await Promise.all([
+        attemptBreakdown(userId, testType, ['testType']),
+        attemptBreakdown(userId, testType, ['testType', 'section']),
+        attemptBreakdown(userId, testType, ['testType', 'difficulty']),
+        attemptBreakdown(userId, testType, ['testType', 'section', 'topic']),
+        weeklyScoreTrend(resultMatch)
+    ]);
+
+    // Fall back to whole sections while the bank has no topic tags
+    const tagged = byTopic.filter(row => row.topic);
+    const weakestAreas = (tagged.length > 0 ? tagged : bySection)
+        .filter(row => row.attempts >= WEAK_AREA_MIN_ATTEMPTS)
+        .sort((a, b) => a.accuracy - b.accuracy)
+        .slice(0, WEAK_AREA_LIMIT);
+
+    return {
+        accuracy: { byTestType, bySection, byDifficulty, byTopic },
+        timePerQuestion: bySection.map(({ testType, section, averageTimeSeconds }) => ({
+            testType, section, averageTimeSeconds
+        })),
+        scoreTrend,
+        weakestAreas
+    };
+}
+
+app.get('/api/analytics', authenticateToken, validate({
+    summary: 'Accuracy breakdowns, timing, score trend and weak areas',
+    query: { testType: TEST_TYPE }
+}), async (req, res) => {
+    try {
+        const testType = req.query.testType || null;
+        res.json(await userAnalytics(req.user.userId, testType));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching analytics' });
+    }
+});
+
+// Test Session helpers
+function isSessionExpired(session, now = new Date()) {
+    return now.getTime() > session.expiresAt.getTime() + SESSION_GRACE_SECONDS * 1000;
+}
+
+// Score the session on the server and store the outcome as a TestResult
+async function finalizeSession(session, status) {
+    if (session.status !== 'active') return session;
+
+    // Conditional update, so only one of two simultaneous finishes grades the session and writes its result
+    const finishedAt = status === 'expired' ? session.expiresAt : new Date();
+    const resultId = new mongoose.Types.ObjectId();
+    const claimed = await TestSession.findOneAndUpdate(
+        { _id: session._id, status: 'active' },
+        { $set: { status, finishedAt, resultId } },
+        { new: true }
+    );
+    if (!claimed) {
+        return TestSession.findById(session._id);
+    }
+    session = claimed;
+
+    const questions = await Question.find({ _id: { $in: session.questionIds } });
+    const byId = new Map(questions.map(q => [q._id.toString(), q]));
+
+    // Time on a question runs from the previous answer (or the start) to this one
+    let previousAnswerAt = session.startedAt;
+    const graded = [...session.answers]
+        .sort((a, b) => a.answeredAt - b.answeredAt)
+        .filter(a => byId.has(a.questionId.toString()))
+        .map(a => {
+            const timeSpent = Math.round((a.answeredAt - previousAnswerAt) / 1000);
+            previousAnswerAt = a.answeredAt;
+            return {
+                questionId: a.questionId,
+                answer: a.answer,
+                correct: checkAnswer(byId.get(a.questionId.toString()), a.answer),
+                timeSpent
+            };
+        });
+    const correctAnswers = graded.filter(a => a.correct).length;
+    // Item-adaptive sessions that run out of time still count the unseen questions
+    const totalQuestions = Math.max(session.questionCount, session.questionIds.length);
+
+    const timeSpent = (finishedAt - session.startedAt) / 60000;
+
+    const testResult = TestResult.build({
+        _id: resultId,
+        userId: session.userId,
+        testType: session.testType,
+        section: session.section,
+        score: totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0,
+        totalQuestions,
+        correctAnswers,
+        scaledScore: scaleSectionScore(session.testType, session.section, correctAnswers, totalQuestions),
+        timeSpent: Math.round(timeSpent * 10) / 10,
+        sessionId: session._id
+    });
+    await TestResult.save(testResult);
+
+    await recordAttempts(session.userId, graded, 'session', session._id);
+
+    return session;
+}
+
+async function finalizeExpiredSessions(userId) {
+    const cutoff = new Date(Date.now() - SESSION_GRACE_SECONDS * 1000);
+    const sessions = await TestSession.find({ userId, status: 'active', expiresAt: { $lt: cutoff } });
+    for (const session of sessions) {
+        await finalizeSession(session, 'expired');
+    }
+}
+
+async function findUserSession(req) {
+    return TestSession.findOne({ _id: req.params.id, userId: req.user.userId });
+}
+
+// Sample questions at the target difficulty, falling back to the nearest levels
+async function pickQuestions(testType, section, difficulty, excludeIds, size) {
+    const target = DIFFICULTY_LEVELS.indexOf(difficulty);
+    const levels = target === -1
+        ? [null]
+        : [...DIFFICULTY_LEVELS].sort((a, b) =>
+            Math.abs(DIFFICULTY_LEVELS.indexOf(a) - target) - Math.abs(DIFFICULTY_LEVELS.indexOf(b) - target)
+        );
+
+    const picked = [];
+    for (const level of levels) {
+        if (picked.length >= size) break;
+
+        const match = {
+            testType,
+            section,
+            format: { $nin: RUBRIC_FORMATS },
+            _id: { $nin: [...excludeIds, ...picked.map(q => q._id)] }
+        };
+        if (level) match.difficulty = level;
+
+        const batch = await Question.aggregate([
+            { $match: match },
+            { $sample: { size: size - picked.length } },
+            { $project: { revisions: 0 } }
+        ]);
+        picked.push(...batch);
+    }
+    return picked;
+}
+
+function nextItemDifficulty(current, wasCorrect) {
+    const index = DIFFICULTY_LEVELS.indexOf(current || 'medium');
+    const next = wasCorrect ? index + 1 : index - 1;
+    return DIFFICULTY_LEVELS[Math.min(Math.max(next, 0), DIFFICULTY_LEVELS.length - 1)];
+}
+
+function routeSecondSection(result) {
+    const accuracy = result.totalQuestions > 0 ? result.correctAnswers / result.totalQuestions : 0;
+    if (accuracy >= SECTION_ROUTING.hard) return 'hard';
+    if (accuracy <= SECTION_ROUTING.easy) return 'easy';
+    return 'medium';
+}
+
+// Client-facing questions: no answer key, passages attached, data sufficiency choices filled in
+async function presentQuestions(questions) {
+    const plain = questions.map(q => (typeof q.toObject === 'function' ? q.toObject() : q));
+
+    const passageIds = [...new Set(plain.filter(q => q.passageId).map(q => q.passageId.toString()))];
+    const passages = passageIds.length > 0 ? await Passage.find({ _id: { $in: passageIds } }) : [];
+    const passagesById = new Map(passages.map(p => [p._id.toString(), { _id: p._id, title: p.title, text: p.text }]));
+
+    return plain.map(({ correctAnswer, explanation, tolerance, ...question }) => ({
+        ...question,
+        options: question.format === 'data-sufficiency' ? DATA_SUFFICIENCY_OPTIONS : question.options,
+        passage: question.passageId ? passagesById.get(question.passageId.toString()) || null : null
+    }));
+}
+
+function sessionSummary(session) {
+    return {
+        id: session._id,
+        testType: session.testType,
+        section: session.section,
+        mode: session.mode,
+        stage: session.stage,
+        difficulty: session.difficulty,
+        questionCount: session.questionCount,
+        status: session.status,
+        timeLimit: session.timeLimit,
+        startedAt: session.startedAt,
+        expiresAt: session.expiresAt,
+        finishedAt: session.finishedAt,
+        remainingSeconds: session.status === 'active'
+            ? Math.max(0, Math.round((session.expiresAt - Date.now()) / 1000))
+            : 0,
+        answered: session.answers.map(a => ({ questionId: a.questionId, answer: a.answer })),
+        resultId: session.resultId
+    };
+}
+
+// Test Session Routes
+app.post('/api/test-sessions', authenticateToken, validate({
+    summary: 'Start a timed test session',
+    description: 'Give testType and section, or assignmentId to take a cohort assignment. '
+        + 'A second adaptive section passes the first one as previousSessionId.',
+    body: {
+        type: 'object',
+        properties: {
+            testType: TEST_TYPE,
+            section: SECTION,
+            mode: { type: 'string', enum: ['fixed', 'item', 'section'] },
+            previousSessionId: OBJECT_ID,
+            assignmentId: OBJECT_ID
+        }
+    }
+}), async (req, res) => {
+    try {
+        let { testType, section, mode = 'fixed' } = req.body;
+        const { previousSessionId, assignmentId } = req.body;
+
+        // Assigned tests take their exam, section and mode from the assignment
+        let assignment = null;
+        if (assignmentId) {
+            const cohort = await Cohort.findOne({
+                'assignments._id': assignmentId,
+                'members.userId': req.user.userId
+            });
+            assignment = cohort && cohort.assignments.id(assignmentId);
+            if (!assignment) {
+                return res.status(404).json({ error: 'Assignment not found' });
+            }
+            ({ testType, section, mode } = assignment);
+        }
+
+        if (!testType || !section) {
+            return res.status(400).json({ error: 'testType and section are required' });
+        }
+
+        const sectionConfig = getSectionConfig(testType, section);
+        let stage = 1;
+        let difficulty;
+        let excludeIds = [];
+
+        if (mode === 'section' && previousSessionId) {
+            // Second section: difficulty is routed from the first section's result
+            const previous = await TestSession.findOne({ _id: previousSessionId, userId: req.user.userId });
+            if (!previous || previous.mode !== 'section' || previous.stage !== 1
+                || previous.testType !== testType || previous.section !== section) {
+                return res.status(400).json({ error: 'previousSessionId must be a first section of the same test' });
+            }
+            if (previous.status === 'active') {
+                return res.status(409).json({ error: 'Finish the first section before starting the second' });
+            }
+            if (previous.nextSessionId) {
+                return res.status(409).json({ error: 'The second section has already been started' });
+            }
+
+            const previousResult = await TestResult.findById(previous.resultId);
+            stage = 2;
+            difficulty = routeSecondSection(previousResult);
+            excludeIds = previous.questionIds;
+        } else if (mode !== 'fixed') {
+            difficulty = 'medium';
+        }
+
+        // Item-adaptive sessions are served one question at a time
+        const sampled = await pickQuestions(testType, section, difficulty, excludeIds,
+            mode === 'item' ? 1 : sectionConfig.questions);
+        if (sampled.length === 0) {
+            return res.status(404).json({ error: 'No questions available for this section' });
+        }
+
+        // A first section routes exactly one second section; claiming it is a conditional update so
+        // simultaneous requests cannot both start one
+        const sessionId = new mongoose.Types.ObjectId();
+        if (stage === 2) {
+            const claimed = await TestSession.findOneAndUpdate(
+                { _id: previousSessionId, nextSessionId: null },
+                { $set: { nextSessionId: sessionId } }
+            );
+            if (!claimed) {
+                return res.status(409).json({ error: 'The second section has already been started' });
+            }
+        }
+
+        const startedAt = new Date();
+        const session = TestSession.build({
+            _id: sessionId,
+            userId: req.user.userId,
+            testType,
+            section,
+            mode,
+            stage,
+            previousSessionId: stage === 2 ? previousSessionId : undefined,
+            difficulty,
+            questionCount: mode === 'item' ? sectionConfig.questions : sampled.length,
+            questionIds: sampled.map(q => q._id),
+            timeLimit: sectionConfig.minutes,
+            startedAt,
+            expiresAt: new Date(startedAt.getTime() + sectionConfig.minutes * 60000),
+            assignmentId: assignment ? assignment._id : undefined
+        });
+        await TestSession.save(session);
+
+        res.status(201).json({ session: sessionSummary(session), questions: await presentQuestions(sampled) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error starting test session' });
+    }
+});
+
+app.get('/api/test-sessions/:id', authenticateToken, validate({
+    summary: 'Get a test session and its questions',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        let session = await findUserSession(req);
+        if (!session) {
+            return res.status(404).json({ error: 'Test session not found' });
+        }
+
+        if (session.status === 'active' && isSessionExpired(session)) {
+            session = await finalizeSession(session, 'expired');
+        }
+
+        const questions = await Question.find({ _id: { $in: session.questionIds } });
+        const byId = new Map(questions.map(q => [q._id.toString(), q]));
+
+        res.json({
+            session: sessionSummary(session),
+            questions: await presentQuestions(session.questionIds.map(id => byId.get(id.toString())).filter(Boolean))
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching test session' });
+    }
+});
+
+app.post('/api/test-sessions/:id/answers', authenticateToken, validate({
+    summary: 'Answer a question of an active session',
+    status: 200,
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['questionId', 'answer'],
+        properties: { questionId: OBJECT_ID, answer: ANSWER }
+    }
+}), async (req, res) => {
+    try {
+        const { questionId, answer } = req.body;
+
+        let session = await findUserSession(req);
+        if (!session) {
+            return res.status(404).json({ error: 'Test session not found' });
+        }
+
+        if (session.status === 'active' && isSessionExpired(session)) {
+            session = await finalizeSession(session, 'expired');
+        }
+        if (session.status !== 'active') {
+            return res.status(409).json({ error: 'Test session has ended', session: sessionSummary(session) });
+        }
+
+        if (!session.questionIds.some(id => id.toString() === String(questionId))) {
+            return res.status(400).json({ error: 'Question is not part of this session' });
+        }
+        const question = await Question.findById(questionId);
+        if (!question || !isValidAnswer(question, answer)) {
+            return res.status(400).json({ error: `Answer does not fit a ${question ? question.format : 'missing'} question` });
+        }
+
+        if (session.mode === 'item') {
+            // Item-adaptive: only the latest question can be answered, and only once
+            const currentId = session.questionIds[session.questionIds.length - 1].toString();
+            if (String(questionId) !== currentId || session.answers.some(a => a.questionId.toString() === currentId)) {
+                return res.status(400).json({ error: 'Only the current question can be answered' });
+            }
+        } else {
+            // Changing an answer replaces the earlier one, as on the real exams
+            session.answers = session.answers.filter(a => a.questionId.toString() !== String(questionId));
+        }
+        session.answers.push({ questionId, answer, answeredAt: new Date() });
+
+        let nextQuestion = null;
+        if (session.mode === 'item' && session.questionIds.length < session.questionCount) {
+            session.difficulty = nextItemDifficulty(session.difficulty, checkAnswer(question, answer));
+
+            const [picked] = await pickQuestions(session.testType, session.section,
+                session.difficulty, session.questionIds, 1);
+            if (picked) {
+                session.questionIds.push(picked._id);
+                [nextQuestion] = await presentQuestions([picked]);
+            } else {
+                // The bank ran dry; end the section at the questions served so far
+                session.questionCount = session.questionIds.length;
+            }
+        }
+        await TestSession.save(session);
+
+        res.json({ session: sessionSummary(session), nextQuestion });
+    } catch (error) {
+        res.status(500).json({ error: 'Error recording answer' });
+    }
+});
+
+app.post('/api/test-sessions/:id/finish', authenticateToken, validate({
+    summary: 'Finish a session and score it',
+    status: 200,
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        let session = await findUserSession(req);
+        if (!session) {
+            return res.status(404).json({ error: 'Test session not found' });
+        }
+
+        if (session.status === 'active') {
+            session = await finalizeSession(session, isSessionExpired(session) ? 'expired' : 'completed');
+        }
+
+        const result = await TestResult.findById(session.resultId);
+        res.json({ session: sessionSummary(session), result });
+    } catch (error) {
+        res.status(500).json({ error: 'Error finishing test session' });
+    }
+});
+
+// Mock Exam Review helpers
+const REPORT_PREVIOUS_ATTEMPTS = 5;
+
+// Every question the session served, in order, with the student's answer, the time taken and the key
+// for answered questions (answers were graded and timed into AnswerAttempt when the session was finalized)
+async function sessionReviewItems(session, firstNumber = 1) {
+    const [questions, attempts] = await Promise.all([
+        Question.find({ _id: { $in: session.questionIds } }),
+        AnswerAttempt.find({ userId: session.userId, sessionId: session._id })
+    ]);
+    const byId = new Map(questions.map(q => [q._id.toString(), q]));
+    const attemptsById = new Map(attempts.map(a => [a.questionId.toString(), a]));
+
+    const served = session.questionIds.map(id => byId.get(id.toString())).filter(Boolean);
+    const presented = await presentQuestions(served);
+    return served.map((question, i) => {
+        const attempt = attemptsById.get(question._id.toString());
+        return {
+            number: firstNumber + i,
+            question: presented[i],
+            answered: Boolean(attempt),
+            yourAnswer: attempt ? attempt.answer : null,
+            correct: attempt ? attempt.correct : false,
+            // Skipped questions get no key or explanation, as they may be served again
+            ...(attempt ? { correctAnswer: question.correctAnswer, explanation: question.explanation } : {}),
+            timeSpent: attempt ? attempt.timeSpent : null,
+            difficulty: question.difficulty,
+            topic: question.topic
+        };
+    });
+}
+
+// Accuracy and average time per value of `field`; unanswered questions count as wrong
+function reviewBreakdown(items, field) {
+    const groups = new Map();
+    for (const item of items) {
+        const key = item[field] || 'Untagged';
+        const group = groups.get(key) || { key, total: 0, correct: 0, times: [] };
+        group.total++;
+        if (item.correct) group.correct++;
+        if (item.timeSpent != null) group.times.push(item.timeSpent);
+        groups.set(key, group);
+    }
+    return [...groups.values()].map(({ key, total, correct, times }) => ({
+        key,
+        total,
+        correct,
+        accuracy: Math.round((correct / total) * 100),
+        averageTimeSeconds: times.length > 0 ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length) : null
+    }));
+}
+
+function reviewBreakdowns(items) {
+    return {
+        byDifficulty: reviewBreakdown(items, 'difficulty')
+            .sort((a, b) => DIFFICULTY_LEVELS.indexOf(a.key) - DIFFICULTY_LEVELS.indexOf(b.key)),
+        // Weakest topics first
+        byTopic: reviewBreakdown(items, 'topic').sort((a, b) => a.accuracy - b.accuracy)
+    };
+}
+
+// The finished sessions of one attempt: both sections of a GRE-style adaptive test, else just the session
+async function attemptSessions(session) {
+    if (session.mode !== 'section') return [session];
+
+    const [first, second] = session.stage === 2
+        ? [await TestSession.findOne({ _id: session.previousSessionId, userId: session.userId }), session]
+        : [session, await TestSession.findOne({ previousSessionId: session._id, userId: session.userId })];
+    return [first, second].filter(s => s && s.status !== 'active');
+}
+
+// Mock Exam Review Routes
+app.get('/api/test-sessions/:id/review', authenticateToken, validate({
+    summary: 'Review a finished session question by question',
+    description: 'Each question comes with your answer, the correct answer, the explanation, time taken and difficulty.',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        let session = await findUserSession(req);
+        if (!session) {
+            return res.status(404).json({ error: 'Test session not found' });
+        }
+
+        if (session.status === 'active' && isSessionExpired(session)) {
+            session = await finalizeSession(session, 'expired');
+        }
+        if (session.status === 'active') {
+            return res.status(409).json({ error: 'Finish the test to review it', session: sessionSummary(session) });
+        }
+
+        const [items, result] = await Promise.all([
+            sessionReviewItems(session),
+            TestResult.findById(session.resultId)
+        ]);
+        res.json({ session: sessionSummary(session), result, items, breakdown: reviewBreakdowns(items) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching test review' });
+    }
+});
+
+// Results of mock sessions get per-question detail; other results (practice, essays, speaking) only the scores
+app.get('/api/test-results/:id/report', authenticateToken, validate({
+    summary: 'Printable score report for a test result',
+    description: 'A print-ready HTML page with the section breakdown and a comparison with earlier attempts. '
+        + 'download=true sends it as an attachment.',
+    params: ID_PARAMS,
+    query: { download: { type: 'boolean' } },
+    produces: ['text/html']
+}), async (req, res) => {
+    try {
+        const result = await TestResult.findOne({ _id: req.params.id, userId: req.user.userId });
+        if (!result) {
+            return res.status(404).json({ error: 'Test result not found' });
+        }
+
+        const session = result.sessionId && await TestSession.findOne({ _id: result.sessionId, userId: req.user.userId });
+        const sessions = session ? await attemptSessions(session) : [];
+        const sectionResults = await TestResult.find({ _id: { $in: sessions.map(s => s.resultId) } });
+        const resultsById = new Map(sectionResults.map(r => [r._id.toString(), r]));
+
+        let items = null;
+        if (sessions.length > 0) {
+            items = [];
+            for (const attemptSession of sessions) {
+                items.push(...await sessionReviewItems(attemptSession, items.length + 1));
+            }
+        }
+
+        const [student, previous] = await Promise.all([
+            User.findById(req.user.userId).select('name email'),
+            TestResult.find({
+                userId: req.user.userId,
+                testType: result.testType,
+                section: result.section,
+                _id: { $ne: result._id },
+                date: { $lt: result.date }
+            }).sort({ date: -1 }).limit(REPORT_PREVIOUS_ATTEMPTS)
+        ]);
+
+        const sections = sessions.length > 1
+            ? sessions.map((s, i) => ({ label: `${s.section}, section ${i + 1}`, result: resultsById.get(String(s.resultId)) })).filter(s => s.result)
+            : [{ label: result.section, result }];
+
+        const html = renderScoreReport({
+            student,
+            result,
+            sections,
+            breakdown: items ? reviewBreakdowns(items) : null,
+            items,
+            previous,
+            generatedAt: new Date()
+        });
+
+        res.type('text/html');
+        if (req.query.download) {
+            res.attachment(`${result.testType}-${result.section}-${result.date.toISOString().slice(0, 10)}.html`.toLowerCase().replace(/\s+/g, '-'));
+        }
+        res.send(html);
+    } catch (error) {
+        res.status(500).json({ error: 'Error creating score report' });
+    }
+});
+
+// Universities Routes
+// Aggregation expression for a fee's yearly amount in the target currency (null when unconvertible)
+function annualCostExpression(field, currency) {
+    const switchOn = (path, values) => ({
+        $switch: {
+            branches: values.map(([value, then]) => ({ case: { $eq: [path, value] }, then })),
+            default: null
+        }
+    });
+
+    return {
+        $multiply: [
+            `$${field}.amount`,
+            switchOn(`$${field}.period`, Object.entries(PERIODS_PER_YEAR)),
+            switchOn(`$${field}.currency`, Object.keys(EXCHANGE_RATES).map(code => [code, exchangeRate(code, currency)]))
+        ]
+    };
+}
+
+const UNIVERSITY_TESTS = ['gre', 'gmat', 'ielts', 'toefl'];
+const UNIVERSITY_PAGE_SIZE = 12;
+const MAX_UNIVERSITY_PAGE_SIZE = 50;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Builds the $match stage from the validated query, where list filters arrive as arrays
+// ("USA,UK" and ?country=USA&country=UK both give ['USA', 'UK']); `omit` drops one filter so its
+// facet still shows the other choices
+function universityMatch(query, omit) {
+    const match = {};
+
+    if (query.search) {
+        match.$text = { $search: query.search };
+    }
+
+    const countries = query.country || [];
+    if (countries.length > 0 && omit !== 'country') {
+        match.country = { $in: countries };
+    }
+
+    const tests = (query.tests || []).map(test => test.toLowerCase());
+    if (tests.length > 0 && omit !== 'tests') {
+        for (const test of tests) {
+            match[`requirements.${test}`] = true;
+        }
+    }
+
+    if (query.minRanking !== undefined || query.maxRanking !== undefined) {
+        match.ranking = {};
+        if (query.minRanking !== undefined) match.ranking.$gte = query.minRanking;
+        if (query.maxRanking !== undefined) match.ranking.$lte = query.maxRanking;
+    }
+
+    // Scholarship keywords are matched literally, never as a user-supplied pattern
+    const keywords = query.scholarship || [];
+    if (keywords.length > 0) {
+        match.$and = keywords.map(keyword => ({
+            scholarships: { $regex: escapeRegex(keyword), $options: 'i' }
+        }));
+    }
+
+    return match;
+}
+
+// Display currency; whether it is supported is checked once the profile's fallback is known
+const CURRENCY = { type: 'string', pattern: '^[A-Za-z]{3}$', description: 'Currency code such as USD' };
+
+const UNIVERSITY_QUERY = {
+    search: { type: 'string', maxLength: 200 },
+    country: { type: 'array', items: { type: 'string', maxLength: 100 } },
+    tests: { type: 'array', items: { type: 'string', enum: [...UNIVERSITY_TESTS, ...UNIVERSITY_TESTS.map(test => test.toUpperCase())] } },
+    minRanking: { type: 'integer', minimum: 1 },
+    maxRanking: { type: 'integer', minimum: 1 },
+    minCost: { type: 'number', minimum: 0 },
+    maxCost: { type: 'number', minimum: 0 },
+    currency: CURRENCY,
+    scholarship: { type: 'array', items: { type: 'string', maxLength: 100 } },
+    sort: { type: 'string', enum: ['relevance', 'ranking', 'cost', '-cost'] },
+    ...pagingQuery(MAX_UNIVERSITY_PAGE_SIZE, UNIVERSITY_PAGE_SIZE)
+};
+
+const FEE = {
+    description: 'a fee such as "$54,002/year" or { amount, currency, period }',
+    anyOf: [
+        { type: 'string', minLength: 1, maxLength: 100 },
+        {
+            type: 'object',
+            required: ['amount', 'currency'],
+            properties: {
+                amount: { type: 'number', minimum: 0 },
+                currency: { type: 'string', enum: Object.keys(EXCHANGE_RATES) },
+                period: { type: 'string', enum: FEE_PERIODS }
+            }
+        }
+    ]
+};
+
+// Yearly tuition, living and total cost in the display currency, optionally filtered by total
+function costStages(currency, query) {
+    const stages = [
+        {
+            $addFields: {
+                'cost.tuition': annualCostExpression('tuitionFee', currency),
+                'cost.living': annualCostExpression('livingCost', currency)
+            }
+        },
+        { $addFields: { 'cost.total': { $add: ['$cost.tuition', { $ifNull: ['$cost.living', 0] }] } } }
+    ];
+
+    const costFilter = {};
+    if (query.minCost !== undefined) costFilter.$gte = query.minCost;
+    if (query.maxCost !== undefined) costFilter.$lte = query.maxCost;
+    if (Object.keys(costFilter).length > 0) {
+        stages.push({ $match: { 'cost.total': costFilter } });
+    }
+    return stages;
+}
+
+function universitySort(sort, searching) {
+    switch (sort) {
+        case 'cost':
+            return { costMissing: 1, 'cost.total': 1, ranking: 1 };
+        case '-cost':
+            return { costMissing: 1, 'cost.total': -1, ranking: 1 };
+        case 'ranking':
+            return { rankingMissing: 1, ranking: 1 };
+        default:
+            return searching ? { relevance: -1, ranking: 1 } : { rankingMissing: 1, ranking: 1 };
+    }
+}
+
+app.get('/api/universities', optionalAuth, validate({
+    summary: 'Search universities with filters, facets and costs in one currency',
+    description: 'Costs are in currency, else the budget currency of a signed-in student, else USD.',
+    query: UNIVERSITY_QUERY
+}), async (req, res) => {
+    try {
+        const query = req.query;
+
+        // Costs are shown in the requested currency, else the student's budget currency
+        let currency = query.currency ? query.currency.toUpperCase() : null;
+        if (!currency && req.user) {
+            const user = await User.findById(req.user.userId).select('profile.budget');
+            currency = user && user.profile.budget && user.profile.budget.currency;
+        }
+        currency = currency || 'USD';
+        if (!EXCHANGE_RATES[currency]) {
+            return res.status(400).json({ error: `Unsupported currency ${currency}` });
+        }
+
+        const { page, limit } = query;
+        const searching = Boolean(query.search);
+        const filtered = omit => [{ $match: universityMatch(query, omit) }, ...costStages(currency, query)];
+
+        const [universities, [counted], countryFacet, [testFacet]] = await Promise.all([
+            University.aggregate([
+                ...filtered(),
+                {
+                    $addFields: {
+                        costMissing: { $cond: [{ $eq: [{ $ifNull: ['$cost.total', null] }, null] }, 1, 0] },
+                        rankingMissing: { $cond: [{ $eq: [{ $ifNull: ['$ranking', null] }, null] }, 1, 0] },
+                        ...(searching ? { relevance: { $meta: 'textScore' } } : {})
+                    }
+                },
+                { $sort: universitySort(query.sort, searching) },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                { $project: { costMissing: 0, rankingMissing: 0 } }
+            ]),
+            University.aggregate([...filtered(), { $count: 'total' }]),
+            University.aggregate([
+                ...filtered('country'),
+                { $group: { _id: '$country', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } }
+            ]),
+            University.aggregate([
+                ...filtered('tests'),
+                {
+                    $group: {
+                        _id: null,
+                        ...Object.fromEntries(UNIVERSITY_TESTS.map(test => [
+                            test, { $sum: { $cond: [`$requirements.${test}`, 1, 0] } }
+                        ]))
+                    }
+                }
+            ])
+        ]);
+
+        const total = counted ? counted.total : 0;
+        const round = value => (value === null || value === undefined ? null : Math.round(value));
+
+        res.json({
+            universities: universities.map(university => ({
+                ...university,
+                cost: {
+                    currency,
+                    tuition: round(university.cost.tuition),
+                    living: round(university.cost.living),
+                    total: round(university.cost.total)
+                }
+            })),
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+            facets: {
+                countries: countryFacet.map(({ _id, count }) => ({ country: _id, count })),
+                tests: UNIVERSITY_TESTS.map(test => ({ test, count: testFacet ? testFacet[test] : 0 }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching universities' });
+    }
+});
+
+// University matching
+const SAFE_MARGIN = 0.05; // share of an exam's score range above every minimum that counts as safe
+const SELECTIVE_RANKING = 20; // at or above this rank strong scores still only make a match
+const TIER_ORDER = ['reach', 'match', 'safe'];
+
+// Official scores win over practice estimates
+function studentScores(user, practice) {
+    const scores = {};
+    for (const exam of EXAMS) {
+        const official = user.profile && user.profile.scores && user.profile.scores[exam];
+        if (official !== undefined && official !== null) {
+            scores[exam] = { score: official, source: 'official' };
+        } else if (practice[exam] !== undefined) {
+            scores[exam] = { score: practice[exam], source: 'practice' };
+        }
+    }
+    return scores;
+}
+
+// Places one university in a tier and explains why
+function matchUniversity(university, scores, budget) {
+    const reasons = [];
+    let weakestMargin = Infinity;
+    let missingScore = false;
+
+    for (const exam of EXAMS) {
+        const key = exam.toLowerCase();
+        if (!university.requirements || !university.requirements[key]) continue;
+
+        const minimum = university.minimumScores && university.minimumScores[key];
+        const student = scores[exam];
+        if (!student) {
+            missingScore = true;
+            reasons.push(`Requires the ${exam}, and you have no ${exam} score yet`);
+        } else if (minimum === undefined || minimum === null) {
+            reasons.push(`Requires the ${exam} but publishes no minimum score`);
+        } else {
+            const [low, high] = totalScoreRange(exam);
+            const difference = Math.round((student.score - minimum) * 10) / 10;
+            weakestMargin = Math.min(weakestMargin, difference / (high - low));
+            reasons.push(difference >= 0
+                ? `Your ${student.source} ${exam} of ${student.score} is ${difference} above the minimum of ${minimum}`
+                : `Your ${student.source} ${exam} of ${student.score} is ${-difference} below the minimum of ${minimum}`);
+        }
+    }
+
+    let tier;
+    if (missingScore || weakestMargin < 0) {
+        tier = 'reach';
+    } else if (weakestMargin === Infinity || weakestMargin < SAFE_MARGIN) {
+        tier = 'match';
+        if (weakestMargin === Infinity) reasons.push('No score thresholds to compare against');
+    } else {
+        tier = 'safe';
+    }
+    if (tier === 'safe' && university.ranking && university.ranking <= SELECTIVE_RANKING) {
+        tier = 'match';
+        reasons.push(`Ranked #${university.ranking}, so admission stays selective even with strong scores`);
+    }
+
+    let withinBudget = null;
+    if (budget && budget.amount !== undefined && budget.amount !== null) {
+        const tuition = annualAmountIn(university.tuitionFee, budget.currency);
+        const living = annualAmountIn(university.livingCost, budget.currency);
+        if (tuition === null) {
+            reasons.push('Tuition is not published in a form we can compare with your budget');
+        } else {
+            const total = tuition + (living || 0);
+            withinBudget = total <= budget.amount;
+            const estimate = `${total.toLocaleString('en-US')} ${budget.currency}/year${living === null ? ' (tuition only)' : ''}`;
+            reasons.push(withinBudget
+                ? `Estimated cost of ${estimate} fits your budget`
+                : `Estimated cost of ${estimate} is over your budget of ${budget.amount.toLocaleString('en-US')} ${budget.currency}`);
+        }
+    }
+
+    return { university, tier, withinBudget, margin: weakestMargin === Infinity ? null : weakestMargin, reasons };
+}
+
+app.get('/api/universities/recommendations', authenticateToken, validate({
+    summary: 'Reach, match and safe universities for the student\'s scores and budget'
+}), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const filter = {};
+        if (user.profile.targetCountries.length > 0) {
+            filter.country = { $in: user.profile.targetCountries };
+        }
+
+        const [universities, practice] = await Promise.all([
+            University.find(filter),
+            practiceTotals(req.user.userId)
+        ]);
+        const scores = studentScores(user, practice);
+
+        // Within a tier: affordable first, then the strongest score margin, then ranking
+        const matches = universities
+            .map(university => matchUniversity(university, scores, user.profile.budget))
+            .sort((a, b) =>
+                (b.withinBudget !== false) - (a.withinBudget !== false)
+                || (b.margin === null ? 0 : b.margin) - (a.margin === null ? 0 : a.margin)
+                || (a.university.ranking || Infinity) - (b.university.ranking || Infinity)
+            );
+
+        res.json({
+            scores,
+            tiers: Object.fromEntries(TIER_ORDER.map(tier => [tier, matches.filter(m => m.tier === tier)]))
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error building recommendations' });
+    }
+});
+
+// One university, with its yearly cost in the same currency rules as the list
+app.get('/api/universities/:id', optionalAuth, validate({
+    summary: 'Get one university with its yearly cost',
+    params: ID_PARAMS,
+    query: { currency: CURRENCY }
+}), async (req, res) => {
+    try {
+        const university = await University.findById(req.params.id);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        let currency = req.query.currency ? req.query.currency.toUpperCase() : null;
+        if (!currency && req.user) {
+            const user = await User.findById(req.user.userId).select('profile.budget');
+            currency = user && user.profile.budget && user.profile.budget.currency;
+        }
+        currency = currency || 'USD';
+        if (!EXCHANGE_RATES[currency]) {
+            return res.status(400).json({ error: `Unsupported currency ${currency}` });
+        }
+
+        const tuition = annualAmountIn(university.tuitionFee, currency);
+        const living = annualAmountIn(university.livingCost, currency);
+        res.json({
+            ...university.toObject(),
+            cost: { currency, tuition, living, total: tuition === null ? null : tuition + (living || 0) }
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching university' });
+    }
+});
+
+app.post('/api/universities', authenticateToken, requireAdmin, validate({
+    summary: 'Add a university',
+    body: {
+        type: 'object',
+        required: ['name', 'country', 'tuitionFee'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 200 },
+            country: { type: 'string', minLength: 1, maxLength: 100 },
+            ranking: { type: 'integer', minimum: 1 },
+            tuitionFee: FEE,
+            livingCost: FEE,
+            scholarships: { type: 'array', items: { type: 'string', maxLength: 200 } },
+            requirements: {
+                type: 'object',
+                additionalProperties: false,
+                properties: Object.fromEntries(UNIVERSITY_TESTS.map(test => [test, { type: 'boolean' }]))
+            },
+            minimumScores: {
+                type: 'object',
+                additionalProperties: false,
+                properties: Object.fromEntries(UNIVERSITY_TESTS.map(test => [test, { type: 'number', minimum: 0 }]))
+            },
+            description: { type: 'string', maxLength: 5000 },
+            website: { type: 'string', maxLength: 500 }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { fee: tuitionFee, error: tuitionError } = normalizeFeeInput(req.body.tuitionFee);
+        if (tuitionError) {
+            return res.status(400).json({ error: `tuitionFee: ${tuitionError}` });
+        }
+        const { fee: livingCost, error: livingError } = req.body.livingCost === undefined
+            ? {}
+            : normalizeFeeInput(req.body.livingCost);
+        if (livingError) {
+            return res.status(400).json({ error: `livingCost: ${livingError}` });
+        }
+
+        const university = University.build({ ...req.body, tuitionFee, livingCost });
+        await University.save(university);
+        res.status(201).json({ message: 'University added successfully', university });
+    } catch (error) {
+        res.status(500).json({ error: 'Error adding university' });
+    }
+});
+
+// Application Tracker helpers
+const DEFAULT_CHECKLIST = ['Statement of purpose', 'Letters of recommendation', 'Transcripts', 'CV / resume'];
+const UPCOMING_DEADLINE_DAYS = 30;
+
+// The default checklist plus a score report for every test the university requires
+function defaultChecklist(university) {
+    const reports = UNIVERSITY_TESTS
+        .filter(test => university.requirements && university.requirements[test])
+        .map(test => `${test.toUpperCase()} score report`);
+    return [...DEFAULT_CHECKLIST, ...reports].map(item => ({ item, done: false }));
+}
+
+function parseDeadline(value) {
+    if (value === null || value === '') return { deadline: null };
+    const deadline = new Date(value);
+    return Number.isNaN(deadline.getTime()) ? { error: 'deadline must be a date' } : { deadline };
+}
+
+async function findUserApplication(req) {
+    return Application.findOne({ _id: req.params.id, userId: req.user.userId });
+}
+
+// Applications with their university's name and country for display
+async function withUniversities(applications) {
+    const universities = await University.find({ _id: { $in: applications.map(a => a.universityId) } })
+        .select('name country website');
+    const byId = new Map(universities.map(u => [u._id.toString(), u]));
+    return applications.map(application => ({
+        ...application.toObject(),
+        university: byId.get(application.universityId.toString()) || null
+    }));
+}
+
+const APPLICATION_FIELDS = {
+    program: { type: 'string', minLength: 1, maxLength: 200 },
+    intakeTerm: { type: 'string', minLength: 1, maxLength: 100 },
+    deadline: { ...DATE, nullable: true },
+    notes: { type: 'string', maxLength: 5000 }
+};
+const APPLICATION_ITEM_PARAMS = { id: OBJECT_ID, itemId: OBJECT_ID };
+
+// Application Tracker Routes
+app.get('/api/applications', authenticateToken, validate({
+    summary: 'List the shortlist, soonest deadline first',
+    query: { status: { type: 'string', enum: APPLICATION_STATUSES } }
+}), async (req, res) => {
+    try {
+        const filter = { userId: req.user.userId };
+        if (req.query.status) filter.status = req.query.status;
+
+        const applications = await Application.find(filter).sort({ deadline: 1, createdAt: 1 });
+        res.json(await withUniversities(applications));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching applications' });
+    }
+});
+
+app.get('/api/applications/upcoming', authenticateToken, validate({
+    summary: 'Applications with a deadline in the next days',
+    query: { days: { type: 'integer', minimum: 1, maximum: 365, default: UPCOMING_DEADLINE_DAYS } }
+}), async (req, res) => {
+    try {
+        const { days } = req.query;
+        const now = new Date();
+
+        const applications = await Application.find({
+            userId: req.user.userId,
+            status: { $in: ['researching', 'preparing'] },
+            deadline: { $gte: now, $lte: new Date(now.getTime() + days * DAY_MS) }
+        }).sort({ deadline: 1 });
+
+        res.json((await withUniversities(applications)).map(application => ({
+            ...application,
+            daysLeft: Math.ceil((application.deadline - now) / DAY_MS),
+            openItems: application.checklist.filter(entry => !entry.done).length
+        })));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching upcoming deadlines' });
+    }
+});
+
+app.get('/api/applications/deadlines.ics', authenticateToken, validate({
+    summary: 'Application deadlines as an iCalendar file',
+    produces: ['text/calendar']
+}), async (req, res) => {
+    try {
+        const applications = await Application.find({ userId: req.user.userId, deadline: { $ne: null } })
+            .sort({ deadline: 1 });
+
+        const events = (await withUniversities(applications)).map(application => {
+            const name = application.university ? application.university.name : 'University';
+            const open = application.checklist.filter(entry => !entry.done).map(entry => entry.item);
+            return {
+                uid: `application-${application._id}@scholaro`,
+                start: application.deadline,
+                allDay: true,
+                summary: `Application deadline: ${name} - ${application.program}`,
+                description: [
+                    `${application.program}, ${application.intakeTerm}`,
+                    `Status: ${application.status}`,
+                    open.length > 0 ? `Still to do: ${open.join(', ')}` : 'Checklist complete'
+                ].join('\n'),
+                reminderDays: 7
+            };
+        });
+
+        res.type('text/calendar')
+            .attachment('application-deadlines.ics')
+            .send(buildCalendar({ name: 'Scholaro application deadlines', events }));
+    } catch (error) {
+        res.status(500).json({ error: 'Error exporting deadlines' });
+    }
+});
+
+app.post('/api/applications', authenticateToken, validate({
+    summary: 'Add a program to the shortlist',
+    body: {
+        type: 'object',
+        required: ['universityId', 'program', 'intakeTerm'],
+        properties: { universityId: OBJECT_ID, ...APPLICATION_FIELDS }
+    }
+}), async (req, res) => {
+    try {
+        const { universityId, program, intakeTerm, notes } = req.body;
+
+        const university = await University.findById(universityId);
+        if (!university) {
+            return res.status(404).json({ error: 'University not found' });
+        }
+
+        const { deadline, error } = req.body.deadline === undefined ? { deadline: null } : parseDeadline(req.body.deadline);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const application = Application.build({
+            userId: req.user.userId,
+            universityId,
+            program,
+            intakeTerm,
+            deadline,
+            notes,
+            checklist: defaultChecklist(university)
+        });
+        try {
+            await Application.save(application);
+        } catch (saveError) {
+            if (saveError.code === 11000) {
+                return res.status(409).json({ error: 'This program and intake is already on your shortlist' });
+            }
+            throw saveError;
+        }
+
+        const [created] = await withUniversities([application]);
+        res.status(201).json({ message: 'Application added to your shortlist', application: created });
+    } catch (error) {
+        res.status(500).json({ error: 'Error adding application' });
+    }
+});
+
+app.put('/api/applications/:id', authenticateToken, validate({
+    summary: 'Update an application',
+    description: 'status moves one stage forward at a time; decision is required once it reaches decision.',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        properties: {
+            ...APPLICATION_FIELDS,
+            status: { type: 'string', enum: APPLICATION_STATUSES },
+            decision: { type: 'string', enum: APPLICATION_DECISIONS }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const application = await findUserApplication(req);
+        if (!application) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+
+        const { program, intakeTerm, notes, status, decision } = req.body;
+        if (program !== undefined) application.program = program;
+        if (intakeTerm !== undefined) application.intakeTerm = intakeTerm;
+        if (notes !== undefined) application.notes = notes;
+
+        if (req.body.deadline !== undefined) {
+            const { deadline, error } = parseDeadline(req.body.deadline);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            application.deadline = deadline;
+        }
+
+        // The pipeline moves one stage forward at a time, but can step back to fix mistakes
+        if (status !== undefined && status !== application.status) {
+            const from = APPLICATION_STATUSES.indexOf(application.status);
+            const to = APPLICATION_STATUSES.indexOf(status);
+            if (to > from + 1) {
+                return res.status(400).json({ error: `Move to ${APPLICATION_STATUSES[from + 1]} before ${status}` });
+            }
+            application.status = status;
+        }
+
+        if (application.status === 'decision') {
+            const outcome = decision !== undefined ? decision : application.decision;
+            if (!APPLICATION_DECISIONS.includes(outcome)) {
+                return res.status(400).json({ error: `decision must be one of ${APPLICATION_DECISIONS.join(', ')}` });
+            }
+            application.decision = outcome;
+        } else {
+            application.decision = undefined;
+        }
+
+        application.updatedAt = new Date();
+        try {
+            await Application.save(application);
+        } catch (saveError) {
+            if (saveError.code === 11000) {
+                return res.status(409).json({ error: 'Another application on your shortlist has this program and intake' });
+            }
+            throw saveError;
+        }
+
+        const [updated] = await withUniversities([application]);
+        res.json({ message: 'Application updated successfully', application: updated });
+    } catch (error) {
+        res.status(500).json({ error: 'Error updating application' });
+    }
+});
+
+app.post('/api/applications/:id/checklist', authenticateToken, validate({
+    summary: 'Add a checklist item',
+    params: ID_PARAMS,
+    body: { type: 'object', required: ['item'], properties: { item: { type: 'string', pattern: NON_BLANK, maxLength: 200 } } }
+}), async (req, res) => {
+    try {
+        const application = await findUserApplication(req);
+        if (!application) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+
+        application.checklist.push({ item: req.body.item.trim(), done: false });
+        application.updatedAt = new Date();
+        await Application.save(application);
+        res.status(201).json({ checklist: application.checklist });
+    } catch (error) {
+        res.status(500).json({ error: 'Error adding checklist item' });
+    }
+});
+
+app.put('/api/applications/:id/checklist/:itemId', authenticateToken, validate({
+    summary: 'Tick off or rename a checklist item',
+    params: APPLICATION_ITEM_PARAMS,
+    body: {
+        type: 'object',
+        properties: {
+            done: { type: 'boolean' },
+            item: { type: 'string', pattern: NON_BLANK, maxLength: 200 }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const application = await findUserApplication(req);
+        const entry = application && application.checklist.id(req.params.itemId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Checklist item not found' });
+        }
+
+        if (req.body.done !== undefined) entry.done = req.body.done;
+        if (req.body.item !== undefined) entry.item = req.body.item.trim();
+        application.updatedAt = new Date();
+        await Application.save(application);
+        res.json({ checklist: application.checklist });
+    } catch (error) {
+        res.status(500).json({ error: 'Error updating checklist item' });
+    }
+});
+
+app.delete('/api/applications/:id/checklist/:itemId', authenticateToken, validate({
+    summary: 'Remove a checklist item',
+    params: APPLICATION_ITEM_PARAMS
+}), async (req, res) => {
+    try {
+        const application = await findUserApplication(req);
+        const entry = application && application.checklist.id(req.params.itemId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Checklist item not found' });
+        }
+
+        entry.deleteOne();
+        application.updatedAt = new Date();
+        await Application.save(application);
+        res.json({ checklist: application.checklist });
+    } catch (error) {
+        res.status(500).json({ error: 'Error removing checklist item' });
+    }
+});
+
+app.delete('/api/applications/:id', authenticateToken, validate({
+    summary: 'Remove an application from the shortlist',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const application = await findUserApplication(req);
+        if (!application) {
+            return res.status(404).json({ error: 'Application not found' });
+        }
+
+        await Application.deleteOne({ _id: application._id });
+        res.json({ message: 'Application removed from your shortlist' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error removing application' });
+    }
+});
+
+// Study Plan helpers
+const MAX_WEEKLY_HOURS = 60;
+
+// The target's range depends on the exam, so validatePlanInput checks it against the other fields
+const PLAN_FIELDS = {
+    testType: { type: 'string', enum: EXAMS },
+    examDate: DATE,
+    targetScore: { type: 'number', minimum: 0 },
+    weeklyHours: { type: 'number', minimum: 1, maximum: MAX_WEEKLY_HOURS }
+};
+
+// Checks the exam, the date and the exam-specific target; `plan` supplies the current values on update
+function validatePlanInput(body, plan = {}) {
+    const testType = plan.testType || body.testType;
+    const range = totalScoreRange(testType);
+    if (!range) {
+        return { error: `testType must be one of ${EXAMS.join(', ')}` };
+    }
+
+    const examDate = body.examDate !== undefined ? new Date(body.examDate) : plan.examDate;
+    const today = startOfDay(new Date());
+    if (startOfDay(examDate) <= today) {
+        return { error: 'examDate must be in the future' };
+    }
+    if (examDate - today > MAX_PLAN_WEEKS * 7 * DAY_MS) {
+        return { error: `examDate must be within ${MAX_PLAN_WEEKS} weeks` };
+    }
+
+    const targetScore = body.targetScore !== undefined ? body.targetScore : plan.targetScore;
+    if (!(targetScore >= range[0] && targetScore <= range[1])) {
+        return { error: `targetScore must be between ${range[0]} and ${range[1]} for the ${testType}` };
+    }
+
+    const weeklyHours = body.weeklyHours !== undefined ? body.weeklyHours : plan.weeklyHours;
+    return { values: { testType, examDate, targetScore, weeklyHours } };
+}
+
+// Rebuilds the weeks that have not started yet from the latest results; started weeks keep their tasks
+async function regeneratePlan(plan) {
+    const [examScores, latest] = await Promise.all([
+        examScoreSummary(plan.userId),
+        TestResult.findOne({ userId: plan.userId, testType: plan.testType }).sort({ date: -1 }).select('date')
+    ]);
+    const sections = examScores[plan.testType] ? examScores[plan.testType].sections : {};
+    const sectionScores = Object.fromEntries(
+        Object.entries(sections).map(([section, scores]) => [section, scores.latest])
+    );
+
+    const today = startOfDay(new Date());
+    const started = plan.weeks.filter(week => week.startDate <= today);
+    const from = started.length > 0
+        ? new Date(started[started.length - 1].startDate.getTime() + 7 * DAY_MS)
+        : today;
+
+    const { weights, weeks } = buildWeeks({
+        testType: plan.testType,
+        examDate: plan.examDate,
+        targetScore: plan.targetScore,
+        weeklyHours: plan.weeklyHours,
+        sectionScores,
+        from,
+        firstWeekNumber: started.length + 1
+    });
+
+    plan.sectionWeights = weights;
+    plan.weeks = from < startOfDay(plan.examDate) ? [...started, ...weeks] : started;
+    plan.resultsThrough = latest ? latest.date : null;
+    plan.updatedAt = new Date();
+    await StudyPlan.save(plan);
+    return plan;
+}
+
+// Plans follow the student's results: any newer TestResult reshapes the upcoming weeks
+async function refreshPlan(plan) {
+    const newer = await TestResult.exists({
+        userId: plan.userId,
+        testType: plan.testType,
+        ...(plan.resultsThrough ? { date: { $gt: plan.resultsThrough } } : {})
+    });
+    return newer ? regeneratePlan(plan) : plan;
+}
+
+async function findUserPlan(req) {
+    return StudyPlan.findOne({ _id: req.params.id, userId: req.user.userId });
+}
+
+function planSummary(plan) {
+    const tasks = plan.weeks.flatMap(week => week.tasks);
+    const today = startOfDay(new Date());
+    const current = plan.weeks.filter(week => week.startDate <= today).pop();
+    return {
+        ...plan.toObject(),
+        currentWeek: current ? current.weekNumber : null,
+        progress: {
+            tasksDone: tasks.filter(task => task.done).length,
+            tasks: tasks.length,
+            minutesDone: tasks.filter(task => task.done).reduce((sum, task) => sum + task.minutes, 0),
+            minutes: tasks.reduce((sum, task) => sum + task.minutes, 0)
+        }
+    };
+}
+
+// Study Plan Routes
+app.get('/api/study-plans', authenticateToken, validate({
+    summary: 'List study plans'
+}), async (req, res) => {
+    try {
+        await finalizeExpiredSessions(req.user.userId);
+
+        const plans = await StudyPlan.find({ userId: req.user.userId }).sort({ examDate: 1 });
+        const refreshed = [];
+        for (const plan of plans) {
+            refreshed.push(await refreshPlan(plan));
+        }
+        res.json(refreshed.map(planSummary));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching study plans' });
+    }
+});
+
+app.get('/api/study-plans/:id', authenticateToken, validate({
+    summary: 'Get a study plan, refreshed from the latest results',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        await finalizeExpiredSessions(req.user.userId);
+
+        const plan = await findUserPlan(req);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        res.json(planSummary(await refreshPlan(plan)));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching study plan' });
+    }
+});
+
+app.get('/api/study-plans/:id/calendar.ics', authenticateToken, validate({
+    summary: 'A study plan as an iCalendar file',
+    params: ID_PARAMS,
+    produces: ['text/calendar']
+}), async (req, res) => {
+    try {
+        const plan = await findUserPlan(req);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+        await refreshPlan(plan);
+
+        const events = plan.weeks.map(week => {
+            const end = new Date(Math.min(week.startDate.getTime() + 7 * DAY_MS, startOfDay(plan.examDate).getTime()));
+            return {
+                uid: `study-plan-${plan._id}-week-${week.weekNumber}@scholaro`,
+                start: week.startDate,
+                end: end > week.startDate ? end : undefined,
+                allDay: true,
+                summary: `${plan.testType} week ${week.weekNumber}: ${week.focus}`,
+                description: week.tasks
+                    .map(task => `${task.done ? '[x]' : '[ ]'} ${task.title} (${task.minutes} min)`)
+                    .join('\n')
+            };
+        });
+        events.push({
+            uid: `study-plan-${plan._id}-exam@scholaro`,
+            start: plan.examDate,
+            allDay: true,
+            summary: `${plan.testType} exam day`,
+            description: `Target score: ${plan.targetScore}`,
+            reminderDays: 7
+        });
+
+        res.type('text/calendar')
+            .attachment(`${plan.testType.toLowerCase()}-study-plan.ics`)
+            .send(buildCalendar({ name: `Scholaro ${plan.testType} study plan`, events }));
+    } catch (error) {
+        res.status(500).json({ error: 'Error exporting study plan' });
+    }
+});
+
+// One plan per exam: planning the same exam again replaces the old plan
+app.post('/api/study-plans', authenticateToken, validate({
+    summary: 'Create a week-by-week plan towards an exam date',
+    body: {
+        type: 'object',
+        required: ['testType', 'examDate', 'targetScore', 'weeklyHours'],
+        properties: PLAN_FIELDS
+    }
+}), async (req, res) => {
+    try {
+        const { values, error } = validatePlanInput(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await finalizeExpiredSessions(req.user.userId);
+        await StudyPlan.deleteOne({ userId: req.user.userId, testType: values.testType });
+
+        const plan = StudyPlan.build({ userId: req.user.userId, ...values, weeks: [] });
+        await regeneratePlan(plan);
+        res.status(201).json({ message: 'Study plan created', plan: planSummary(plan) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error creating study plan' });
+    }
+});
+
+app.put('/api/study-plans/:id', authenticateToken, validate({
+    summary: 'Change the exam date, target or hours and rebuild the upcoming weeks',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        properties: {
+            examDate: PLAN_FIELDS.examDate,
+            targetScore: PLAN_FIELDS.targetScore,
+            weeklyHours: PLAN_FIELDS.weeklyHours
+        }
+    }
+}), async (req, res) => {
+    try {
+        const plan = await findUserPlan(req);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+
+        const { values, error } = validatePlanInput(req.body, plan);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        plan.examDate = values.examDate;
+        plan.targetScore = values.targetScore;
+        plan.weeklyHours = values.weeklyHours;
+        await regeneratePlan(plan);
+        res.json({ message: 'Study plan updated', plan: planSummary(plan) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error updating study plan' });
+    }
+});
+
+app.put('/api/study-plans/:id/tasks/:taskId', authenticateToken, validate({
+    summary: 'Tick off a task',
+    params: { id: OBJECT_ID, taskId: OBJECT_ID },
+    body: { type: 'object', required: ['done'], properties: { done: { type: 'boolean' } } }
+}), async (req, res) => {
+    try {
+        const plan = await findUserPlan(req);
+        const task = plan && plan.weeks
+            .map(week => week.tasks.id(req.params.taskId))
+            .find(Boolean);
+        if (!task) {
+            return res.status(404).json({ error: 'Task not found' });
+        }
+
+        task.done = req.body.done;
+        task.doneAt = task.done ? new Date() : undefined;
+        plan.updatedAt = new Date();
+        await StudyPlan.save(plan);
+        res.json({ plan: planSummary(plan) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error updating task' });
+    }
+});
+
+app.delete('/api/study-plans/:id', authenticateToken, validate({
+    summary: 'Delete a study plan',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const plan = await findUserPlan(req);
+        if (!plan) {
+            return res.status(404).json({ error: 'Study plan not found' });
+        }
+
+        await StudyPlan.deleteOne({ _id: plan._id });
+        res.json({ message: 'Study plan deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error deleting study plan' });
+    }
+});
+
+// Cohort helpers
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I look-alikes
+const JOIN_CODE_LENGTH = 8;
+
+async function generateJoinCode() {
+    for (;;) {
+        const code = Array.from({ length: JOIN_CODE_LENGTH },
+            () => JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join('');
+        if (!(await Cohort.exists({ joinCode: code }))) return code;
+    }
+}
+
+// Join codes are the only thing between a student and a cohort, so guessing them is limited
+// per account and per address
+const joinUserLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    key: req => req.user.userId,
+    message: 'Too many join attempts, please try again later'
+});
+const joinIpLimiter = createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    key: req => req.ip,
+    message: 'Too many join attempts, please try again later'
+});
+
+const COHORT_BODY = {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { type: 'string', pattern: NON_BLANK, maxLength: 100 } }
+};
+const COHORT_MEMBER_PARAMS = { id: OBJECT_ID, userId: OBJECT_ID };
+
+// Instructors manage their own cohorts; admins can manage any
+async function findTaughtCohort(req) {
+    const filter = { _id: req.params.id };
+    if (req.user.role !== 'admin') filter.instructorId = req.user.userId;
+    return Cohort.findOne(filter);
+}
+
+// Finished sessions per assignment, with each attempt's score and whether it was late
+async function assignmentCompletions(cohort) {
+    const assignmentIds = cohort.assignments.map(a => a._id);
+    const sessions = await TestSession.find({ assignmentId: { $in: assignmentIds }, status: { $ne: 'active' } })
+        .select('userId assignmentId finishedAt resultId')
+        .sort({ finishedAt: 1 });
+    const results = await TestResult.find({ _id: { $in: sessions.map(s => s.resultId) } })
+        .select('score scaledScore');
+    const resultsById = new Map(results.map(r => [r._id.toString(), r]));
+
+    // The latest attempt of each student counts
+    const completions = new Map();
+    for (const session of sessions) {
+        const assignment = cohort.assignments.id(session.assignmentId);
+        const result = resultsById.get(String(session.resultId));
+        completions.set(`${session.assignmentId}:${session.userId}`, {
+            userId: session.userId,
+            assignmentId: session.assignmentId,
+            finishedAt: session.finishedAt,
+            late: session.finishedAt > assignment.dueDate,
+            score: result ? result.score : null,
+            scaledScore: result ? result.scaledScore : null
+        });
+    }
+    return completions;
+}
+
+function assignmentStatus(assignment, completion, now = new Date()) {
+    if (completion) return completion.late ? 'completed-late' : 'completed';
+    return assignment.dueDate < now ? 'overdue' : 'pending';
+}
+
+async function cohortDetail(cohort) {
+    const [students, completions] = await Promise.all([
+        User.find({ _id: { $in: cohort.members.map(m => m.userId) } }).select('name email'),
+        assignmentCompletions(cohort)
+    ]);
+    const studentsById = new Map(students.map(u => [u._id.toString(), u]));
+
+    return {
+        _id: cohort._id,
+        name: cohort.name,
+        joinCode: cohort.joinCode,
+        createdAt: cohort.createdAt,
+        members: cohort.members.map(member => {
+            const student = studentsById.get(member.userId.toString());
+            const statuses = cohort.assignments.map(a =>
+                assignmentStatus(a, completions.get(`${a._id}:${member.userId}`)));
+            return {
+                userId: member.userId,
+                name: student ? student.name : null,
+                email: student ? student.email : null,
+                joinedAt: member.joinedAt,
+                completed: statuses.filter(status => status.startsWith('completed')).length,
+                overdue: statuses.filter(status => status === 'overdue').length
+            };
+        }),
+        assignments: cohort.assignments.map(assignment => ({
+            ...assignment.toObject(),
+            results: cohort.members.map(member => {
+                const completion = completions.get(`${assignment._id}:${member.userId}`);
+                return {
+                    userId: member.userId,
+                    status: assignmentStatus(assignment, completion),
+                    finishedAt: completion ? completion.finishedAt : null,
+                    score: completion ? completion.score : null,
+                    scaledScore: completion ? completion.scaledScore : null
+                };
+            })
+        }))
+    };
+}
+
+// Instructor Cohort Routes
+app.get('/api/cohorts', authenticateToken, requireInstructor, validate({
+    summary: 'List the cohorts you teach',
+    query: { all: { type: 'boolean', description: 'Admins only: every cohort' } }
+}), async (req, res) => {
+    try {
+        const filter = req.user.role === 'admin' && req.query.all ? {} : { instructorId: req.user.userId };
+        const cohorts = await Cohort.find(filter).sort({ createdAt: -1 });
+        res.json(cohorts.map(cohort => ({
+            _id: cohort._id,
+            name: cohort.name,
+            joinCode: cohort.joinCode,
+            members: cohort.members.length,
+            assignments: cohort.assignments.length,
+            createdAt: cohort.createdAt
+        })));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching cohorts' });
+    }
+});
+
+app.post('/api/cohorts', authenticateToken, requireInstructor, validate({
+    summary: 'Create a cohort with a join code',
+    body: COHORT_BODY
+}), async (req, res) => {
+    try {
+        const cohort = Cohort.build({ name: req.body.name.trim(), instructorId: req.user.userId, joinCode: await generateJoinCode() });
+        await Cohort.save(cohort);
+        res.status(201).json({ message: 'Cohort created', cohort: await cohortDetail(cohort) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error creating cohort' });
+    }
+});
+
+app.get('/api/cohorts/:id', authenticateToken, requireInstructor, validate({
+    summary: 'Get a cohort with its members and assignments',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const cohort = await findTaughtCohort(req);
+        if (!cohort) {
+            return res.status(404).json({ error: 'Cohort not found' });
+        }
+        res.json(await cohortDetail(cohort));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching cohort' });
+    }
+});
+
+app.put('/api/cohorts/:id', authenticateToken, requireInstructor, validate({
+    summary: 'Rename a cohort',
+    params: ID_PARAMS,
+    body: COHORT_BODY
+}), async (req, res) => {
+    try {
+        const cohort = await findTaughtCohort(req);
+        if (!cohort) {
+            return res.status(404).json({ error: 'Cohort not found' });
+        }
+
+        cohort.name = req.body.name.trim();
+        await Cohort.save(cohort);
+        res.json({ message: 'Cohort updated', cohort: await cohortDetail(cohort) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error updating cohort' });
+    }
+});
+
+// A new code stops the old one from working, e.g. after it was shared too widely
+app.post('/api/cohorts/:id/join-code', authenticateToken, requireInstructor, validate({
+    summary: 'Replace the join code',
+    status: 200,
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const cohort = await findTaughtCohort(req);
+        if (!cohort) {
+            return res.status(404).json({ error: 'Cohort not found' });
+        }
+
+        cohort.joinCode = await generateJoinCode();
+        await Cohort.save(cohort);
+        res.json({ joinCode: cohort.joinCode });
+    } catch (error) {
+        res.status(500).json({ error: 'Error generating join code' });
+    }
+});
+
+app.delete('/api/cohorts/:id', authenticateToken, requireInstructor, validate({
+    summary: 'Delete a cohort',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const cohort = await findTaughtCohort(req);
+        if (!cohort) {
+            return res.status(404).json({ error: 'Cohort not found' });
+        }
+
+        await Cohort.deleteOne({ _id: cohort._id });
+        res.json({ message: 'Cohort deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error deleting cohort' });
+    }
+});
+
+app.delete('/api/cohorts/:id/members/:userId', authenticateToken, requireInstructor, validate({
+    summary: 'Remove a student from a cohort',
+    params: COHORT_MEMBER_PARAMS
+}), async (req, res) => {
+    try {
+        const cohort = await findTaughtCohort(req);
+        const member = cohort && cohort.members.find(m => m.userId.toString() === req.params.userId);
+        if (!member) {
+            return res.status(404).json({ error: 'Student not found in this cohort' });
+        }
+
+        member.deleteOne();
+        await Cohort.save(cohort);
+        res.json({ message: 'Student removed from cohort' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error removing student' });
+    }
+});
+
+app.post('/api/cohorts/:id/assignments', authenticateToken, requireInstructor, validate({
+    summary: 'Assign a test section to the cohort',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['testType', 'section', 'dueDate'],
+        properties: {
+            testType: TEST_TYPE,
+            section: SECTION,
+            mode: { type: 'string', enum: ['fixed', 'item', 'section'] },
+            dueDate: DATE,
+            title: { type: 'string', maxLength: 200 }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const cohort = await findTaughtCohort(req);
+        if (!cohort) {
+            return res.status(404).json({ error: 'Cohort not found' });
+        }
+
+        const { testType, section, mode = 'fixed' } = req.body;
+        const dueDate = new Date(req.body.dueDate);
+        if (!(await Question.exists({ testType, section }))) {
+            return res.status(400).json({ error: 'No questions available for this section' });
+        }
+
+        const title = (req.body.title || '').trim() || `${testType} ${section} mock test`;
+        cohort.assignments.push({ title, testType, section, mode, dueDate });
+        await Cohort.save(cohort);
+        res.status(201).json({ message: 'Test assigned', cohort: await cohortDetail(cohort) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error assigning test' });
+    }
+});
+
+app.delete('/api/cohorts/:id/assignments/:assignmentId', authenticateToken, requireInstructor, validate({
+    summary: 'Withdraw an assignment',
+    params: { id: OBJECT_ID, assignmentId: OBJECT_ID }
+}), async (req, res) => {
+    try {
+        const cohort = await findTaughtCohort(req);
+        const assignment = cohort && cohort.assignments.id(req.params.assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        assignment.deleteOne();
+        await Cohort.save(cohort);
+        res.json({ message: 'Assignment removed' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error removing assignment' });
+    }
+});
+
+// A student's results, scores and analytics, for the instructor of a cohort they belong to
+app.get('/api/cohorts/:id/students/:userId', authenticateToken, requireInstructor, validate({
+    summary: "A cohort member's analytics",
+    params: COHORT_MEMBER_PARAMS,
+    query: { testType: TEST_TYPE }
+}), async (req, res) => {
+    try {
+        const cohort = await findTaughtCohort(req);
+        const member = cohort && cohort.members.find(m => m.userId.toString() === req.params.userId);
+        const student = member && await User.findById(member.userId).select('name email');
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found in this cohort' });
+        }
+
+        const testType = req.query.testType || null;
+        const analytics = await userAnalytics(student._id, testType);
+        const [results, examScores] = await Promise.all([
+            TestResult.find({ userId: student._id }).sort({ date: -1 }).limit(50),
+            examScoreSummary(student._id)
+        ]);
+        res.json({ student, results, examScores, analytics });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching student progress' });
+    }
+});
+
+// Student Cohort Routes
+app.post('/api/cohorts/join', authenticateToken, joinUserLimiter, joinIpLimiter, validate({
+    summary: 'Join a cohort with its code',
+    body: {
+        type: 'object',
+        required: ['code'],
+        properties: { code: { type: 'string', pattern: NON_BLANK, maxLength: JOIN_CODE_LENGTH + 10 } }
+    }
+}), async (req, res) => {
+    try {
+        const code = req.body.code.trim().toUpperCase();
+        const cohort = await Cohort.findOne({ joinCode: code });
+        if (!cohort) {
+            return res.status(404).json({ error: 'No cohort found for that join code' });
+        }
+        if (cohort.instructorId.toString() === req.user.userId) {
+            return res.status(400).json({ error: 'You teach this cohort' });
+        }
+
+        // Added only while the student is not a member yet, in one update, so parallel joins add them once
+        const joined = await Cohort.findOneAndUpdate(
+            { _id: cohort._id, 'members.userId': { $ne: req.user.userId } },
+            { $addToSet: { members: { userId: req.user.userId } } }
+        );
+        if (!joined) {
+            return res.status(409).json({ error: 'You are already in this cohort' });
+        }
+        res.status(201).json({ message: `Joined ${cohort.name}` });
+    } catch (error) {
+        res.status(500).json({ error: 'Error joining cohort' });
+    }
+});
+
+// The cohorts a student is in, with their own status on every assignment
+app.get('/api/my-cohorts', authenticateToken, validate({
+    summary: 'Cohorts you belong to, with assignments and their progress',
+    tag: 'cohorts'
+}), async (req, res) => {
+    try {
+        await finalizeExpiredSessions(req.user.userId);
+
+        const cohorts = await Cohort.find({ 'members.userId': req.user.userId }).sort({ createdAt: -1 });
+        const instructors = await User.find({ _id: { $in: cohorts.map(c => c.instructorId) } }).select('name');
+        const instructorsById = new Map(instructors.map(u => [u._id.toString(), u.name]));
+
+        const response = [];
+        for (const cohort of cohorts) {
+            const completions = await assignmentCompletions(cohort);
+            response.push({
+                _id: cohort._id,
+                name: cohort.name,
+                instructor: instructorsById.get(cohort.instructorId.toString()) || null,
+                assignments: cohort.assignments
+                    .map(assignment => {
+                        const completion = completions.get(`${assignment._id}:${req.user.userId}`);
+                        return {
+                            ...assignment.toObject(),
+                            status: assignmentStatus(assignment, completion),
+                            finishedAt: completion ? completion.finishedAt : null,
+                            score: completion ? completion.score : null
+                        };
+                    })
+                    .sort((a, b) => a.dueDate - b.dueDate)
+            });
+        }
+        res.json(response);
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching cohorts' });
+    }
+});
+
+app.post('/api/cohorts/:id/leave', authenticateToken, validate({
+    summary: 'Leave a cohort',
+    status: 200,
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const cohort = await Cohort.findById(req.params.id);
+        const member = cohort && cohort.members.find(m => m.userId.toString() === req.user.userId);
+        if (!member) {
+            return res.status(404).json({ error: 'You are not in this cohort' });
+        }
+
+        member.deleteOne();
+        await Cohort.save(cohort);
+        res.json({ message: `Left ${cohort.name}` });
+    } catch (error) {
+        res.status(500).json({ error: 'Error leaving cohort' });
+    }
+});
+
+// Writing helpers
+const ESSAY_AUTOSAVE_LIMIT = 50000; // characters
+
+// Criterion -> score; each task's criteria, ranges and steps are checked by combineRubricScores
+const RUBRIC_SCORES = {
+    type: 'object',
+    additionalProperties: { type: 'number', minimum: 0 },
+    description: 'Score per rubric criterion'
+};
+const ESSAY_TEXT = { type: 'string', maxLength: ESSAY_AUTOSAVE_LIMIT };
+
+function isEssayExpired(essay, now = new Date()) {
+    return now.getTime() > essay.expiresAt.getTime() + SESSION_GRACE_SECONDS * 1000;
+}
+
+// Stores the final text with its word count and heuristic pre-score
+async function submitEssay(essay, timedOut) {
+    essay.status = 'submitted';
+    essay.timedOut = timedOut;
+    essay.submittedAt = timedOut ? essay.expiresAt : new Date();
+    essay.wordCount = countWords(essay.text);
+    essay.preScore = preScore(essay.task, essay.text);
+    await Essay.save(essay);
+    return essay;
+}
+
+// Time ran out without a submit: the last autosave becomes the submission
+async function closeExpiredEssay(essay) {
+    if (essay.status === 'in-progress' && isEssayExpired(essay)) {
+        await submitEssay(essay, true);
+    }
+    return essay;
+}
+
+// filter picks the students, e.g. { userId } or { userId: { $in: [...] } }
+async function closeExpiredEssays(filter) {
+    const cutoff = new Date(Date.now() - SESSION_GRACE_SECONDS * 1000);
+    const essays = await Essay.find({ ...filter, status: 'in-progress', expiresAt: { $lt: cutoff } });
+    for (const essay of essays) {
+        await submitEssay(essay, true);
+    }
+}
+
+// Admins grade anyone's essays and recordings; instructors those of students in their cohorts
+async function canReviewWorkOf(req, studentId) {
+    if (req.user.role === 'admin') return true;
+    if (req.user.role !== 'instructor' || studentId.toString() === req.user.userId) return false;
+    return Boolean(await Cohort.exists({ instructorId: req.user.userId, 'members.userId': studentId }));
+}
+
+// Students the requester may review: null for admins (everyone), otherwise their cohorts' members
+async function reviewableStudentIds(req) {
+    if (req.user.role === 'admin') return null;
+    const cohorts = await Cohort.find({ instructorId: req.user.userId }).select('members.userId');
+    return cohorts.flatMap(c => c.members.map(m => m.userId));
+}
+
+// The essay when the requester wrote it or may grade it, with `grader` telling which
+async function findVisibleEssay(req) {
+    const essay = await Essay.findById(req.params.id);
+    if (!essay) return {};
+
+    if (essay.userId.toString() === req.user.userId) return { essay, grader: false };
+    return (await canReviewWorkOf(req, essay.userId)) ? { essay, grader: true } : {};
+}
+
+async function presentEssay(essay) {
+    const question = await Question.findById(essay.questionId).select('question');
+    const task = ESSAY_TASKS[essay.task];
+    return {
+        ...essay.toObject(),
+        prompt: question ? question.question : null,
+        rubric: task ? { scale: task.scale, criteria: task.criteria, minWords: task.minWords, minutes: task.minutes } : null
+    };
+}
+
+// Writing Routes
+app.get('/api/essays/prompts', authenticateToken, validate({
+    summary: 'Essay prompts with their timing and rubric',
+    query: { testType: TEST_TYPE }
+}), async (req, res) => {
+    try {
+        const filter = { format: 'essay' };
+        if (req.query.testType) filter.testType = req.query.testType;
+
+        const prompts = await Question.find(filter).sort({ testType: 1, essayTask: 1 });
+        res.json(prompts.map(prompt => {
+            const task = ESSAY_TASKS[prompt.essayTask] || {};
+            return {
+                _id: prompt._id,
+                testType: prompt.testType,
+                section: prompt.section,
+                task: prompt.essayTask,
+                question: prompt.question,
+                minutes: task.minutes,
+                minWords: task.minWords
+            };
+        }));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching essay prompts' });
+    }
+});
+
+app.get('/api/essays', authenticateToken, validate({
+    summary: 'Your essays, newest first'
+}), async (req, res) => {
+    try {
+        await closeExpiredEssays({ userId: req.user.userId });
+
+        const essays = await Essay.find({ userId: req.user.userId })
+            .select('-text -comments')
+            .sort({ startedAt: -1 })
+            .limit(50);
+        res.json(essays);
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching essays' });
+    }
+});
+
+// Submitted, ungraded essays the instructor may grade, oldest first
+app.get('/api/essays/grading-queue', authenticateToken, requireInstructor, validate({
+    summary: "Submitted essays from your cohorts' students waiting for a grade"
+}), async (req, res) => {
+    try {
+        const filter = { status: 'submitted' };
+        const studentIds = await reviewableStudentIds(req);
+        if (studentIds) filter.userId = { $in: studentIds };
+        await closeExpiredEssays(filter.userId ? { userId: filter.userId } : {});
+
+        const essays = await Essay.find(filter).select('-text -comments').sort({ submittedAt: 1 }).limit(100);
+        const students = await User.find({ _id: { $in: essays.map(e => e.userId) } }).select('name email');
+        const studentsById = new Map(students.map(u => [u._id.toString(), u]));
+        res.json(essays.map(essay => ({
+            ...essay.toObject(),
+            student: studentsById.get(essay.userId.toString()) || null
+        })));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching grading queue' });
+    }
+});
+
+app.get('/api/essays/:id', authenticateToken, validate({
+    summary: 'Get an essay',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const { essay } = await findVisibleEssay(req);
+        if (!essay) {
+            return res.status(404).json({ error: 'Essay not found' });
+        }
+        await closeExpiredEssay(essay);
+        res.json(await presentEssay(essay));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching essay' });
+    }
+});
+
+// Starts the timer, or resumes the student's unfinished essay on the same prompt
+app.post('/api/essays', authenticateToken, validate({
+    summary: 'Start a timed essay, or resume the unfinished one for the prompt',
+    body: { type: 'object', required: ['questionId'], properties: { questionId: OBJECT_ID } }
+}), async (req, res) => {
+    try {
+        const { questionId } = req.body;
+        const question = await Question.findById(questionId);
+        const task = question && question.format === 'essay' && ESSAY_TASKS[question.essayTask];
+        if (!task) {
+            return res.status(404).json({ error: 'Essay prompt not found' });
+        }
+
+        const unfinished = await Essay.findOne({ userId: req.user.userId, questionId, status: 'in-progress' });
+        if (unfinished && !isEssayExpired(unfinished)) {
+            return res.json(await presentEssay(unfinished));
+        }
+        if (unfinished) await closeExpiredEssay(unfinished);
+
+        const startedAt = new Date();
+        const essay = Essay.build({
+            userId: req.user.userId,
+            questionId,
+            task: question.essayTask,
+            testType: question.testType,
+            section: question.section,
+            startedAt,
+            expiresAt: new Date(startedAt.getTime() + task.minutes * 60000)
+        });
+        await Essay.save(essay);
+        res.status(201).json(await presentEssay(essay));
+    } catch (error) {
+        res.status(500).json({ error: 'Error starting essay' });
+    }
+});
+
+// Autosave while the timer runs
+app.put('/api/essays/:id', authenticateToken, validate({
+    summary: 'Autosave the essay text',
+    params: ID_PARAMS,
+    body: { type: 'object', required: ['text'], properties: { text: ESSAY_TEXT } }
+}), async (req, res) => {
+    try {
+        const { essay, grader } = await findVisibleEssay(req);
+        if (!essay || grader) {
+            return res.status(404).json({ error: 'Essay not found' });
+        }
+        if (essay.status !== 'in-progress') {
+            return res.status(409).json({ error: 'This essay has already been submitted' });
+        }
+        if (isEssayExpired(essay)) {
+            await closeExpiredEssay(essay);
+            return res.status(409).json({ error: 'Time is up; your last saved draft was submitted' });
+        }
+
+        essay.text = req.body.text;
+        essay.wordCount = countWords(essay.text);
+        await Essay.save(essay);
+        res.json({ wordCount: essay.wordCount, savedAt: new Date() });
+    } catch (error) {
+        res.status(500).json({ error: 'Error saving essay' });
+    }
+});
+
+app.post('/api/essays/:id/submit', authenticateToken, validate({
+    summary: 'Submit the essay for a pre-score and grading',
+    status: 200,
+    params: ID_PARAMS,
+    body: { type: 'object', properties: { text: ESSAY_TEXT } }
+}), async (req, res) => {
+    try {
+        const { essay, grader } = await findVisibleEssay(req);
+        if (!essay || grader) {
+            return res.status(404).json({ error: 'Essay not found' });
+        }
+        if (essay.status !== 'in-progress') {
+            return res.status(409).json({ error: 'This essay has already been submitted' });
+        }
+
+        // After the deadline only the last autosave counts
+        const timedOut = isEssayExpired(essay);
+        if (!timedOut && req.body.text !== undefined) {
+            essay.text = req.body.text;
+        }
+        if (!essay.text.trim()) {
+            return res.status(400).json({ error: 'Write something before submitting' });
+        }
+
+        await submitEssay(essay, timedOut);
+        res.json({
+            message: timedOut ? 'Time was up; your last saved draft was submitted' : 'Essay submitted for grading',
+            essay: await presentEssay(essay)
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error submitting essay' });
+    }
+});
+
+app.post('/api/essays/:id/comments', authenticateToken, requireInstructor, validate({
+    summary: 'Comment on a range of the essay text',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['start', 'end', 'comment'],
+        properties: {
+            start: { type: 'integer', minimum: 0 },
+            end: { type: 'integer', minimum: 0 },
+            comment: { type: 'string', pattern: NON_BLANK, maxLength: 2000 }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { essay, grader } = await findVisibleEssay(req);
+        if (!essay || !grader) {
+            return res.status(404).json({ error: 'Essay not found' });
+        }
+        if (essay.status === 'in-progress') {
+            return res.status(409).json({ error: 'The essay has not been submitted yet' });
+        }
+
+        const { start, end } = req.body;
+        const comment = req.body.comment.trim();
+        if (end <= start || end > essay.text.length) {
+            return res.status(400).json({ error: 'start and end must mark a range of the essay text' });
+        }
+
+        essay.comments.push({ authorId: req.user.userId, start, end, quote: essay.text.slice(start, end), comment });
+        await Essay.save(essay);
+        res.status(201).json({ comments: essay.comments });
+    } catch (error) {
+        res.status(500).json({ error: 'Error adding comment' });
+    }
+});
+
+app.delete('/api/essays/:id/comments/:commentId', authenticateToken, requireInstructor, validate({
+    summary: 'Delete a comment',
+    params: { id: OBJECT_ID, commentId: OBJECT_ID }
+}), async (req, res) => {
+    try {
+        const { essay, grader } = await findVisibleEssay(req);
+        const entry = essay && grader && essay.comments.id(req.params.commentId);
+        if (!entry || (entry.authorId.toString() !== req.user.userId && req.user.role !== 'admin')) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+
+        entry.deleteOne();
+        await Essay.save(essay);
+        res.json({ comments: essay.comments });
+    } catch (error) {
+        res.status(500).json({ error: 'Error removing comment' });
+    }
+});
+
+// Grading (or regrading) writes the score to the essay's TestResult
+app.put('/api/essays/:id/grade', authenticateToken, requireInstructor, validate({
+    summary: 'Grade a submitted essay against its rubric',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['scores'],
+        properties: { scores: RUBRIC_SCORES, feedback: { type: 'string', maxLength: 5000 } }
+    }
+}), async (req, res) => {
+    try {
+        const { essay, grader } = await findVisibleEssay(req);
+        if (!essay || !grader) {
+            return res.status(404).json({ error: 'Essay not found' });
+        }
+        if (essay.status === 'in-progress') {
+            return res.status(409).json({ error: 'The essay has not been submitted yet' });
+        }
+
+        const task = ESSAY_TASKS[essay.task];
+        const { scores, score, error } = combineRubricScores(task, req.body.scores);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { scaledScore, percentage } = rubricResult(task, score);
+        const result = (essay.resultId && await TestResult.findById(essay.resultId)) || TestResult.build({
+            userId: essay.userId,
+            testType: essay.testType,
+            section: essay.section,
+            totalQuestions: 0,
+            correctAnswers: 0,
+            timeSpent: Math.round(((essay.submittedAt - essay.startedAt) / 60000) * 10) / 10,
+            essayId: essay._id
+        });
+        result.score = percentage;
+        result.scaledScore = scaledScore;
+        await TestResult.save(result);
+
+        essay.rubricScores = scores;
+        essay.score = score;
+        essay.feedback = req.body.feedback === undefined ? essay.feedback : req.body.feedback.trim();
+        essay.gradedBy = req.user.userId;
+        essay.gradedAt = new Date();
+        essay.status = 'graded';
+        essay.resultId = result._id;
+        await Essay.save(essay);
+
+        res.json({ message: 'Essay graded', essay: await presentEssay(essay) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error grading essay' });
+    }
+});
+
+// Speaking helpers
+const SPEAKING_UPLOAD_DIR = path.join(config.uploadsDir, 'speaking');
+const RECORDING_SLACK_SECONDS = 5; // the recorder stops itself at the time limit; this covers encoder latency
+
+// Recordings arrive as the raw request body; body-parser errors become JSON like everything else
+const parseRecording = express.raw({ type: Object.keys(AUDIO_TYPES), limit: `${config.maxRecordingMb}mb` });
+function recordingUpload(req, res, next) {
+    parseRecording(req, res, (error) => {
+        if (error && error.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Recordings are limited to ${config.maxRecordingMb} MB` });
+        }
+        if (error) {
+            return res.status(400).json({ error: 'Could not read the recording' });
+        }
+        next();
+    });
+}
+
+function recordingPath(attempt) {
+    return path.join(SPEAKING_UPLOAD_DIR, attempt.audio.filename);
+}
+
+// The attempt when the requester recorded it or may review it, with `reviewer` telling which
+async function findVisibleAttempt(req) {
+    const attempt = await SpeakingAttempt.findById(req.params.id);
+    if (!attempt) return {};
+
+    if (attempt.userId.toString() === req.user.userId) return { attempt, reviewer: false };
+    return (await canReviewWorkOf(req, attempt.userId)) ? { attempt, reviewer: true } : {};
+}
+
+async function presentAttempt(attempt) {
+    const question = await Question.findById(attempt.questionId).select('question');
+    const task = SPEAKING_TASKS[attempt.task];
+    return {
+        ...attempt.toObject(),
+        prompt: question ? question.question : null,
+        rubric: task ? { scale: task.scale, criteria: task.criteria } : null
+    };
+}
+
+// Speaking Routes
+app.get('/api/speaking/prompts', authenticateToken, validate({
+    summary: 'Speaking prompts with their timing and rubric',
+    query: { testType: TEST_TYPE }
+}), async (req, res) => {
+    try {
+        const filter = { format: 'speaking' };
+        if (req.query.testType) filter.testType = req.query.testType;
+
+        const prompts = await Question.find(filter).sort({ testType: 1, speakingTask: 1 });
+        res.json(prompts.map(prompt => {
+            const task = SPEAKING_TASKS[prompt.speakingTask] || {};
+            return {
+                _id: prompt._id,
+                testType: prompt.testType,
+                section: prompt.section,
+                task: prompt.speakingTask,
+                question: prompt.question,
+                prepSeconds: task.prepSeconds,
+                responseSeconds: task.responseSeconds
+            };
+        }));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching speaking prompts' });
+    }
+});
+
+// Body: the recording itself, with its audio Content-Type; ?questionId=&duration=<seconds>
+app.post('/api/speaking/attempts', authenticateToken, validate({
+    summary: 'Upload a recorded answer to a speaking prompt',
+    description: 'The request body is the recording itself.',
+    query: {
+        questionId: { ...OBJECT_ID, required: true },
+        duration: { type: 'number', minimum: 0, description: 'Seconds' }
+    },
+    consumes: Object.keys(AUDIO_TYPES)
+}), recordingUpload, async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(415).json({ error: `Upload the recording as one of: ${Object.keys(AUDIO_TYPES).join(', ')}` });
+        }
+        const audioType = detectAudioType(req.get('Content-Type'), req.body);
+        if (!audioType) {
+            return res.status(415).json({ error: 'The upload is not a recording of the declared audio type' });
+        }
+
+        const { questionId } = req.query;
+        const question = await Question.findOne({ _id: questionId, format: 'speaking' });
+        if (!question) {
+            return res.status(404).json({ error: 'Speaking prompt not found' });
+        }
+
+        const task = SPEAKING_TASKS[question.speakingTask];
+        const maxDuration = task.responseSeconds + RECORDING_SLACK_SECONDS;
+        const { duration } = req.query;
+        if (duration !== undefined && !(duration > 0 && duration <= maxDuration)) {
+            return res.status(400).json({
+                error: `duration must be between 0 and ${maxDuration} seconds (the ${task.responseSeconds}-second limit plus ${RECORDING_SLACK_SECONDS} for encoding)`
+            });
+        }
+
+        const attempt = SpeakingAttempt.build({
+            userId: req.user.userId,
+            questionId: question._id,
+            task: question.speakingTask,
+            testType: question.testType,
+            section: question.section
+        });
+        attempt.audio = {
+            filename: `${attempt._id}.${audioType.extension}`,
+            mimeType: audioType.mimeType,
+            size: req.body.length,
+            durationSeconds: duration !== undefined ? Math.round(duration * 10) / 10 : undefined
+        };
+
+        await fs.promises.mkdir(SPEAKING_UPLOAD_DIR, { recursive: true });
+        await fs.promises.writeFile(recordingPath(attempt), req.body);
+        try {
+            await SpeakingAttempt.save(attempt);
+        } catch (error) {
+            await fs.promises.rm(recordingPath(attempt), { force: true });
+            throw error;
+        }
+
+        res.status(201).json(await presentAttempt(attempt));
+    } catch (error) {
+        res.status(500).json({ error: 'Error saving recording' });
+    }
+});
+
+app.get('/api/speaking/attempts', authenticateToken, validate({
+    summary: 'Your speaking attempts, newest first'
+}), async (req, res) => {
+    try {
+        const attempts = await SpeakingAttempt.find({ userId: req.user.userId }).sort({ createdAt: -1 }).limit(50);
+        res.json(attempts);
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching recordings' });
+    }
+});
+
+// Recorded, unreviewed attempts the instructor may review, oldest first
+app.get('/api/speaking/review-queue', authenticateToken, requireInstructor, validate({
+    summary: "Recordings from your cohorts' students waiting for a review"
+}), async (req, res) => {
+    try {
+        const filter = { status: 'recorded' };
+        const studentIds = await reviewableStudentIds(req);
+        if (studentIds) filter.userId = { $in: studentIds };
+
+        const attempts = await SpeakingAttempt.find(filter).sort({ createdAt: 1 }).limit(100);
+        const students = await User.find({ _id: { $in: attempts.map(a => a.userId) } }).select('name email');
+        const studentsById = new Map(students.map(u => [u._id.toString(), u]));
+        res.json(attempts.map(attempt => ({
+            ...attempt.toObject(),
+            student: studentsById.get(attempt.userId.toString()) || null
+        })));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching review queue' });
+    }
+});
+
+app.get('/api/speaking/attempts/:id', authenticateToken, validate({
+    summary: 'Get a speaking attempt',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const { attempt } = await findVisibleAttempt(req);
+        if (!attempt) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.json(await presentAttempt(attempt));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching recording' });
+    }
+});
+
+app.get('/api/speaking/attempts/:id/audio', authenticateToken, validate({
+    summary: 'Download the recording',
+    params: ID_PARAMS,
+    produces: Object.keys(AUDIO_TYPES)
+}), async (req, res) => {
+    try {
+        const { attempt } = await findVisibleAttempt(req);
+        if (!attempt) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+        res.type(attempt.audio.mimeType);
+        res.sendFile(path.resolve(recordingPath(attempt)), (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'Recording file is missing' });
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching recording' });
+    }
+});
+
+// The student's own rubric scores, kept next to (and never replacing) a reviewer's
+app.put('/api/speaking/attempts/:id/self-assessment', authenticateToken, validate({
+    summary: 'Score your own recording against the rubric',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['scores'],
+        properties: { scores: RUBRIC_SCORES, note: { type: 'string', maxLength: 2000 } }
+    }
+}), async (req, res) => {
+    try {
+        const { attempt, reviewer } = await findVisibleAttempt(req);
+        if (!attempt || reviewer) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const { scores, score, error } = combineRubricScores(SPEAKING_TASKS[attempt.task], req.body.scores);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        attempt.selfAssessment = {
+            scores,
+            score,
+            note: req.body.note === undefined ? undefined : req.body.note.trim(),
+            assessedAt: new Date()
+        };
+        await SpeakingAttempt.save(attempt);
+        res.json(await presentAttempt(attempt));
+    } catch (error) {
+        res.status(500).json({ error: 'Error saving self-assessment' });
+    }
+});
+
+// Reviewing (or re-reviewing) writes the score to the attempt's TestResult
+app.put('/api/speaking/attempts/:id/review', authenticateToken, requireInstructor, validate({
+    summary: "Review a student's recording",
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['scores'],
+        properties: { scores: RUBRIC_SCORES, feedback: { type: 'string', maxLength: 5000 } }
+    }
+}), async (req, res) => {
+    try {
+        const { attempt, reviewer } = await findVisibleAttempt(req);
+        if (!attempt || !reviewer) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        const task = SPEAKING_TASKS[attempt.task];
+        const { scores, score, error } = combineRubricScores(task, req.body.scores);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const { scaledScore, percentage } = rubricResult(task, score);
+        const result = (attempt.resultId && await TestResult.findById(attempt.resultId)) || TestResult.build({
+            userId: attempt.userId,
+            testType: attempt.testType,
+            section: attempt.section,
+            totalQuestions: 0,
+            correctAnswers: 0,
+            timeSpent: Math.round(((task.prepSeconds + (attempt.audio.durationSeconds || task.responseSeconds)) / 60) * 10) / 10,
+            speakingAttemptId: attempt._id
+        });
+        result.score = percentage;
+        result.scaledScore = scaledScore;
+        await TestResult.save(result);
+
+        attempt.review = {
+            scores,
+            score,
+            feedback: req.body.feedback === undefined ? attempt.review && attempt.review.feedback : req.body.feedback.trim(),
+            reviewerId: req.user.userId,
+            reviewedAt: new Date()
+        };
+        attempt.status = 'reviewed';
+        attempt.resultId = result._id;
+        await SpeakingAttempt.save(attempt);
+
+        res.json({ message: 'Recording reviewed', attempt: await presentAttempt(attempt) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error reviewing recording' });
+    }
+});
+
+// Deleting a recording keeps any score already recorded in the test history
+app.delete('/api/speaking/attempts/:id', authenticateToken, validate({
+    summary: 'Delete a speaking attempt and its recording',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const { attempt, reviewer } = await findVisibleAttempt(req);
+        if (!attempt || reviewer) {
+            return res.status(404).json({ error: 'Recording not found' });
+        }
+
+        await SpeakingAttempt.deleteOne({ _id: attempt._id });
+        await fs.promises.rm(recordingPath(attempt), { force: true });
+        res.json({ message: 'Recording deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error deleting recording' });
+    }
+});
+
+// Question Discussion helpers
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_QUEUE_REPORTS = 500;
+
+const commentLimiter = createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: 30,
+    key: req => req.user.userId,
+    message: 'Too many comments, please try again later'
+});
+const reportLimiter = createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: 20,
+    key: req => req.user.userId,
+    message: 'Too many reports, please try again later'
+});
+
+// Threads talk about the answer, so students only see them once they have answered the question
+async function canSeeDiscussion(req, questionId) {
+    if (['instructor', 'admin'].includes(req.user.role)) return true;
+    return Boolean(await AnswerAttempt.exists({ userId: req.user.userId, questionId }));
+}
+
+// Other students see a leaderboard display name, or else just a first name
+function commentAuthor(user) {
+    if (!user) return { name: 'Former member', role: 'user' };
+    const displayName = user.leaderboard && user.leaderboard.displayName;
+    return { name: displayName || user.name.split(' ')[0], role: user.role };
+}
+
+async function presentComments(comments, userId) {
+    const authors = await User.find({ _id: { $in: comments.map(c => c.userId) } }).select('name role leaderboard.displayName');
+    const authorsById = new Map(authors.map(user => [user._id.toString(), user]));
+    return comments.map(comment => ({
+        id: comment._id,
+        parentId: comment.parentId || null,
+        author: commentAuthor(authorsById.get(comment.userId.toString())),
+        text: comment.deletedAt ? null : comment.text,
+        deleted: Boolean(comment.deletedAt),
+        mine: comment.userId.toString() === userId,
+        createdAt: comment.createdAt
+    }));
+}
+
+// Top-level comments, oldest first, each with its replies
+async function commentThread(comments, userId) {
+    const presented = await presentComments(comments, userId);
+    const topLevel = presented.filter(c => !c.parentId).map(c => ({ ...c, replies: [] }));
+    const byId = new Map(topLevel.map(c => [c.id.toString(), c]));
+    for (const reply of presented.filter(c => c.parentId)) {
+        const parent = byId.get(reply.parentId.toString());
+        if (parent) parent.replies.push(reply);
+    }
+    return topLevel;
+}
+
+function presentReport(report) {
+    return {
+        id: report._id,
+        questionId: report.questionId,
+        category: report.category,
+        note: report.note,
+        status: report.status,
+        resolution: report.resolution,
+        resolvedAt: report.resolvedAt,
+        createdAt: report.createdAt
+    };
+}
+
+// Question Discussion Routes
+// Registered before GET /api/questions/:testType/:section, which would otherwise match /api/questions/<id>/comments
+app.get('/api/questions/:id/comments', authenticateToken, validate({
+    summary: 'The discussion thread of a question',
+    description: 'Students can read it once they have answered the question.',
+    tag: 'discussions',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        if (!(await Question.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+        if (!(await canSeeDiscussion(req, req.params.id))) {
+            return res.status(403).json({ error: 'Answer this question to see its discussion' });
+        }
+
+        const comments = await QuestionComment.find({ questionId: req.params.id }).sort({ createdAt: 1 });
+        res.json({ comments: await commentThread(comments, req.user.userId) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching discussion' });
+    }
+});
+
+app.post('/api/questions/:id/comments', authenticateToken, commentLimiter, validate({
+    summary: 'Comment on a question, or reply to a comment with parentId',
+    tag: 'discussions',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+            text: { type: 'string', pattern: NON_BLANK, maxLength: MAX_COMMENT_LENGTH },
+            parentId: OBJECT_ID
+        }
+    }
+}), async (req, res) => {
+    try {
+        const text = req.body.text.trim();
+        if (!(await Question.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+        if (!(await canSeeDiscussion(req, req.params.id))) {
+            return res.status(403).json({ error: 'Answer this question before joining its discussion' });
+        }
+
+        if (req.body.parentId) {
+            const parent = await QuestionComment.exists({
+                _id: req.body.parentId,
+                questionId: req.params.id,
+                parentId: { $exists: false }
+            });
+            if (!parent) {
+                return res.status(404).json({ error: 'Comment not found' });
+            }
+        }
+
+        const comment = QuestionComment.build({
+            questionId: req.params.id,
+            userId: req.user.userId,
+            parentId: req.body.parentId,
+            text
+        });
+        await QuestionComment.save(comment);
+
+        const [created] = await presentComments([comment], req.user.userId);
+        res.status(201).json({ comment: created });
+    } catch (error) {
+        res.status(500).json({ error: 'Error adding comment' });
+    }
+});
+
+// Authors can delete their comments, admins any comment
+app.delete('/api/questions/:id/comments/:commentId', authenticateToken, validate({
+    summary: 'Delete a comment',
+    tag: 'discussions',
+    params: { id: OBJECT_ID, commentId: OBJECT_ID }
+}), async (req, res) => {
+    try {
+        const comment = await QuestionComment.findOne({ _id: req.params.commentId, questionId: req.params.id });
+        if (!comment || comment.deletedAt) {
+            return res.status(404).json({ error: 'Comment not found' });
+        }
+        if (comment.userId.toString() !== req.user.userId && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'You can only delete your own comments' });
+        }
+
+        comment.text = undefined;
+        comment.deletedAt = new Date();
+        await QuestionComment.save(comment);
+        res.json({ message: 'Comment deleted' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error deleting comment' });
+    }
+});
+
+app.post('/api/questions/:id/reports', authenticateToken, reportLimiter, validate({
+    summary: 'Report a problem with a question',
+    tag: 'discussions',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['category'],
+        properties: {
+            category: { type: 'string', enum: QUESTION_REPORT_CATEGORIES },
+            note: { type: 'string', maxLength: 1000 }
+        }
+    }
+}), async (req, res) => {
+    try {
+        if (!(await Question.exists({ _id: req.params.id }))) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        const report = QuestionReport.build({
+            questionId: req.params.id,
+            userId: req.user.userId,
+            category: req.body.category,
+            note: (req.body.note || '').trim() || undefined
+        });
+        try {
+            await QuestionReport.save(report);
+        } catch (saveError) {
+            if (saveError.code === 11000) {
+                return res.status(409).json({ error: 'You have already reported this question; a moderator will look at it' });
+            }
+            throw saveError;
+        }
+
+        res.status(201).json({ message: 'Thanks, a moderator will look at it', report: presentReport(report) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error reporting question' });
+    }
+});
+
+app.get('/api/my-reports', authenticateToken, validate({
+    summary: 'Your problem reports and how they were resolved',
+    tag: 'discussions'
+}), async (req, res) => {
+    try {
+        const reports = await QuestionReport.find({ userId: req.user.userId }).sort({ createdAt: -1 }).limit(100);
+        res.json(reports.map(presentReport));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching reports' });
+    }
+});
+
+// Questions Routes
+// Question text is public, but listing it is limited per IP like the answer checks below
+const questionsIpLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60, key: req => req.ip });
+app.get('/api/questions/:testType/:section', questionsIpLimiter, validate({
+    summary: 'Browse practice questions without their answers',
+    params: { testType: TEST_TYPE, section: SECTION },
+    query: {
+        difficulty: { type: 'string', enum: DIFFICULTY_LEVELS },
+        limit: { type: 'integer', minimum: 1, maximum: MAX_PRACTICE_QUESTIONS, default: 10 }
+    }
+}), async (req, res) => {
+    try {
+        const { testType, section } = req.params;
+        const { difficulty } = req.query;
+        const { limit } = req.query;
+
+        let filter = { testType, section, format: { $nin: RUBRIC_FORMATS } }; // see /api/essays and /api/speaking
+        if (difficulty) filter.difficulty = difficulty;
+
+        const questions = await Question.find(filter)
+            .limit(limit)
+            .sort({ _id: -1 });
+
+        res.json(await presentQuestions(questions)); // Don't send answers to client
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching questions' });
+    }
+});
+
+// Practice Attempt helpers
+// Answers are anything but free: per-user and per-IP limits stop the bank being harvested through practice
+const practiceUserLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 30, key: req => req.user.userId });
+const practiceIpLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 60, key: req => req.ip });
+
+// Moves the checked answers into the mistake notebook, which shows answer keys, so only at the end
+async function finishPracticeAttempt(attempt) {
+    attempt.status = 'finished';
+    attempt.finishedAt = attempt.expiresAt < new Date() ? attempt.expiresAt : new Date();
+    await PracticeAttempt.save(attempt);
+    await recordAttempts(attempt.userId, attempt.checks.map(({ questionId, answer, correct }) => ({
+        questionId, answer, correct
+    })), 'practice');
+    return attempt;
+}
+
+async function finishExpiredPracticeAttempts(userId) {
+    const attempts = await PracticeAttempt.find({ userId, status: 'open', expiresAt: { $lt: new Date() } });
+    for (const attempt of attempts) {
+        await finishPracticeAttempt(attempt);
+    }
+}
+
+async function findUserPracticeAttempt(req, id) {
+    const attempt = await PracticeAttempt.findOne({ _id: id, userId: req.user.userId });
+    if (attempt && attempt.status === 'open' && attempt.expiresAt < new Date()) {
+        await finishPracticeAttempt(attempt);
+    }
+    return attempt;
+}
+
+// The attempt's progress, plus the answer key once it is finished
+async function presentPracticeAttempt(attempt) {
+    const summary = {
+        id: attempt._id,
+        status: attempt.status,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+        finishedAt: attempt.finishedAt,
+        questionCount: attempt.questionIds.length,
+        checked: attempt.checks.map(c => ({ questionId: c.questionId, answer: c.answer, correct: c.correct }))
+    };
+    if (attempt.status !== 'finished') return summary;
+
+    const questions = await Question.find({ _id: { $in: attempt.questionIds } }).select('correctAnswer explanation');
+    const checksById = new Map(attempt.checks.map(c => [c.questionId.toString(), c]));
+    summary.correctAnswers = attempt.checks.filter(c => c.correct).length;
+    // Keys only for questions the user checked, so skipping a question does not reveal its answer
+    summary.answers = questions.map(q => {
+        const check = checksById.get(q._id.toString());
+        if (!check) return { questionId: q._id, yourAnswer: null, correct: false };
+        return {
+            questionId: q._id,
+            yourAnswer: check.answer,
+            correct: check.correct,
+            correctAnswer: q.correctAnswer,
+            explanation: q.explanation
+        };
+    });
+    return summary;
+}
+
+// Practice Attempt Routes
+// Body: { questionIds } to practise questions already on screen, or { testType, section, limit?, difficulty? }
+app.post('/api/practice-attempts', authenticateToken, practiceUserLimiter, practiceIpLimiter, validate({
+    summary: 'Start a practice attempt',
+    description: 'Give questionIds to practise chosen questions, or testType and section to get a sample.',
+    body: {
+        type: 'object',
+        properties: {
+            questionIds: { type: 'array', minItems: 1, maxItems: MAX_PRACTICE_QUESTIONS, items: OBJECT_ID },
+            testType: TEST_TYPE,
+            section: SECTION,
+            difficulty: { type: 'string', enum: DIFFICULTY_LEVELS },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PRACTICE_QUESTIONS }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { questionIds, testType, section, difficulty } = req.body;
+        let questions;
+
+        if (questionIds) {
+            const ids = [...new Set(questionIds)];
+            questions = await Question.find({ _id: { $in: ids }, format: { $nin: RUBRIC_FORMATS } });
+            if (questions.length !== ids.length) {
+                return res.status(404).json({ error: 'Some questions were not found or cannot be practised here' });
+            }
+        } else {
+            if (!testType || !section) {
+                return res.status(400).json({ error: 'Provide questionIds, or testType and section' });
+            }
+            questions = await pickQuestions(testType, section, difficulty, [], req.body.limit || 10);
+            if (questions.length === 0) {
+                return res.status(404).json({ error: 'No questions available for this section' });
+            }
+        }
+
+        await finishExpiredPracticeAttempts(req.user.userId);
+        const startedAt = new Date();
+        const attempt = PracticeAttempt.build({
+            userId: req.user.userId,
+            questionIds: questions.map(q => q._id),
+            startedAt,
+            expiresAt: new Date(startedAt.getTime() + PRACTICE_ATTEMPT_HOURS * 3600000)
+        });
+        await PracticeAttempt.save(attempt);
+
+        res.status(201).json({ attempt: await presentPracticeAttempt(attempt), questions: await presentQuestions(questions) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error starting practice' });
+    }
+});
+
+app.get('/api/practice-attempts/:id', authenticateToken, validate({
+    summary: 'Get a practice attempt',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const attempt = await findUserPracticeAttempt(req, req.params.id);
+        if (!attempt) {
+            return res.status(404).json({ error: 'Practice attempt not found' });
+        }
+        res.json(await presentPracticeAttempt(attempt));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching practice attempt' });
+    }
+});
+
+app.post('/api/practice-attempts/:id/finish', authenticateToken, validate({
+    summary: 'Finish a practice attempt and record its result',
+    status: 200,
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const attempt = await findUserPracticeAttempt(req, req.params.id);
+        if (!attempt) {
+            return res.status(404).json({ error: 'Practice attempt not found' });
+        }
+        if (attempt.status === 'open') {
+            await finishPracticeAttempt(attempt);
+        }
+        res.json(await presentPracticeAttempt(attempt));
+    } catch (error) {
+        res.status(500).json({ error: 'Error finishing practice attempt' });
+    }
+});
+
+// Tells whether an answer is right; the key and explanation come with the finished attempt, for checked questions only
+app.post('/api/check-answer', authenticateToken, practiceUserLimiter, practiceIpLimiter, validate({
+    summary: 'Check one answer of an open practice attempt',
+    tag: 'practice-attempts',
+    description: 'Each question can be checked once per attempt.',
+    status: 200,
+    body: {
+        type: 'object',
+        required: ['attemptId', 'questionId', 'userAnswer'],
+        properties: { attemptId: OBJECT_ID, questionId: OBJECT_ID, userAnswer: ANSWER }
+    }
+}), async (req, res) => {
+    try {
+        const { attemptId, questionId, userAnswer } = req.body;
+
+        const attempt = await findUserPracticeAttempt(req, attemptId);
+        if (!attempt) {
+            return res.status(404).json({ error: 'Practice attempt not found' });
+        }
+        if (attempt.status !== 'open') {
+            return res.status(409).json({ error: 'This practice attempt is finished' });
+        }
+        if (!attempt.questionIds.some(id => id.toString() === String(questionId))) {
+            return res.status(400).json({ error: 'Question is not part of this practice attempt' });
+        }
+
+        const question = await Question.findById(questionId);
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+        if (!isValidAnswer(question, userAnswer)) {
+            return res.status(400).json({ error: `Answer does not fit a ${question.format} question` });
+        }
+
+        // Conditional update, so two simultaneous checks of one question cannot both succeed
+        const correct = checkAnswer(question, userAnswer);
+        const updated = await PracticeAttempt.findOneAndUpdate(
+            { _id: attempt._id, status: 'open', 'checks.questionId': { $ne: question._id } },
+            { $push: { checks: { questionId: question._id, answer: userAnswer, correct, checkedAt: new Date() } } },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(409).json({ error: 'This question has already been checked in this attempt' });
+        }
+
+        res.json({
+            correct,
+            checked: updated.checks.length,
+            questionCount: updated.questionIds.length
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error checking answer' });
+    }
+});
+
+// Practice Pack Routes
+app.get('/api/practice-packs', authenticateToken, validate({
+    summary: 'Your latest practice packs'
+}), async (req, res) => {
+    try {
+        const packs = await PracticePack.find({ userId: req.user.userId }).sort({ createdAt: -1 }).limit(50);
+        res.json(packs.map(pack => ({
+            id: pack._id,
+            testType: pack.testType,
+            section: pack.section,
+            questionCount: pack.questionIds.length,
+            createdAt: pack.createdAt
+        })));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching practice packs' });
+    }
+});
+
+// Body: { testType, section, count?, difficulty? }. The response is the whole pack, answer keys
+// included; the client stores it for offline use, so it cannot be downloaded again.
+app.post('/api/practice-packs', authenticateToken, practiceUserLimiter, practiceIpLimiter, validate({
+    summary: 'Download a pack of questions, with answers, to practise offline',
+    body: {
+        type: 'object',
+        required: ['testType', 'section'],
+        properties: {
+            testType: TEST_TYPE,
+            section: SECTION,
+            difficulty: { type: 'string', enum: DIFFICULTY_LEVELS },
+            count: { type: 'integer', minimum: 1, maximum: MAX_PACK_QUESTIONS }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { testType, section, difficulty } = req.body;
+
+        const since = new Date(Date.now() - DAY_MS);
+        if (await PracticePack.countDocuments({ userId: req.user.userId, createdAt: { $gte: since } }) >= PACKS_PER_DAY) {
+            return res.status(429).json({ error: `You can download up to ${PACKS_PER_DAY} practice packs a day` });
+        }
+
+        const questions = await pickQuestions(testType, section, difficulty, [], req.body.count || 10);
+        if (questions.length === 0) {
+            return res.status(404).json({ error: 'No questions available for this section' });
+        }
+
+        const pack = PracticePack.build({
+            userId: req.user.userId,
+            testType,
+            section,
+            questionIds: questions.map(q => q._id)
+        });
+        await PracticePack.save(pack);
+
+        // Numeric keys are sent parsed, so the client does not need the server's fraction parsing for the key
+        const presented = await presentQuestions(questions);
+        res.status(201).json({
+            id: pack._id,
+            testType: pack.testType,
+            section: pack.section,
+            createdAt: pack.createdAt,
+            questions: presented.map((question, i) => ({
+                ...question,
+                answerKey: {
+                    correctAnswer: question.format === 'numeric-entry'
+                        ? parseNumericAnswer(questions[i].correctAnswer)
+                        : questions[i].correctAnswer,
+                    tolerance: questions[i].tolerance,
+                    explanation: questions[i].explanation
+                }
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error creating practice pack' });
+    }
+});
+
+// Mistake Notebook helpers
+// Stores graded answers and queues every missed question for spaced review
+async function recordAttempts(userId, attempts, source, sessionId) {
+    if (attempts.length === 0) return;
+
+    await AnswerAttempt.insertMany(attempts.map(a => ({ userId, sessionId, source, ...a })));
+
+    // Questions missed outside review mode go (back) into the queue, due tomorrow;
+    // review answers are rescheduled by the review route itself
+    if (source === 'review') return;
+    const now = new Date();
+    for (const attempt of attempts.filter(a => !a.correct)) {
+        const item = await ReviewItem.findOne({ userId, questionId: attempt.questionId });
+        if (item) {
+            item.set(scheduleReview(item, REVIEW_QUALITY.again, now));
+            await ReviewItem.save(item);
+        } else {
+            await ReviewItem.create({
+                userId,
+                questionId: attempt.questionId,
+                interval: 1,
+                dueDate: new Date(now.getTime() + DAY_MS)
+            });
+        }
+    }
+}
 
-const User = mongoose.model('User', userSchema);
+function endOfToday() {
+    const end = new Date();
+    end.setHours(23, 59, 59, 999);
+    return end;
+}
 
-// Test Result Schema
-const testResultSchema = new mongoose.Schema({
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    testType: { type: String, required: true }, // GRE, GMAT, IELTS, etc.
-    section: { type: String, required: true }, // Verbal, Quant, etc.
-    score: { type: Number, required: true },
-    totalQuestions: { type: Number, required: true },
-    correctAnswers: { type: Number, required: true },
-    timeSpent: { type: Number, default: 0 }, // in minutes
-    date: { type: Date, default: Date.now }
-});
+// Mistake Notebook Routes
+app.get('/api/mistakes', authenticateToken, validate({
+    summary: 'Questions answered wrongly, with the review schedule'
+}), async (req, res) => {
+    try {
+        await finishExpiredPracticeAttempts(req.user.userId);
+        const items = await ReviewItem.find({ userId: req.user.userId }).sort({ dueDate: 1 });
+        const questionIds = items.map(item => item.questionId);
 
-const TestResult = mongoose.model('TestResult', testResultSchema);
+        const [questions, attempts] = await Promise.all([
+            Question.find({ _id: { $in: questionIds } }),
+            AnswerAttempt.find({ userId: req.user.userId, questionId: { $in: questionIds }, correct: false })
+                .sort({ createdAt: -1 })
+        ]);
+        const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+        const lastWrong = new Map();
+        for (const attempt of attempts) {
+            const key = attempt.questionId.toString();
+            if (!lastWrong.has(key)) lastWrong.set(key, attempt);
+        }
 
-// University Schema
-const universitySchema = new mongoose.Schema({
-    name: { type: String, required: true },
-    country: { type: String, required: true },
-    ranking: { type: Number },
-    tuitionFee: { type: String, required: true },
-    scholarships: [{ type: String }],
-    requirements: {
-        gre: { type: Boolean, default: false },
-        gmat: { type: Boolean, default: false },
-        ielts: { type: Boolean, default: false },
-        toefl: { type: Boolean, default: false }
-    },
-    description: { type: String },
-    website: { type: String }
+        // Answers are already revealed by the time a question lands here, so the key is included
+        res.json(items.filter(item => questionsById.has(item.questionId.toString())).map(item => {
+            const question = questionsById.get(item.questionId.toString());
+            const attempt = lastWrong.get(item.questionId.toString());
+            return {
+                question,
+                yourAnswer: attempt ? attempt.answer : null,
+                missedAt: attempt ? attempt.createdAt : item.addedAt,
+                lapses: item.lapses,
+                dueDate: item.dueDate
+            };
+        }));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching mistakes' });
+    }
 });
 
-const University = mongoose.model('University', universitySchema);
+app.get('/api/review/due', authenticateToken, validate({
+    summary: 'Review items due today',
+    query: { limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 } }
+}), async (req, res) => {
+    try {
+        const items = await ReviewItem.find({ userId: req.user.userId, dueDate: { $lte: endOfToday() } })
+            .sort({ dueDate: 1 })
+            .limit(req.query.limit);
 
-// Question Schema
-const questionSchema = new mongoose.Schema({
-    testType: { type: String, required: true },
-    section: { type: String, required: true },
-    question: { type: String, required: true },
-    options: [{ type: String }],
-    correctAnswer: { type: Number, required: true },
-    explanation: { type: String },
-    difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'medium' }
+        const questions = await Question.find({ _id: { $in: items.map(item => item.questionId) } });
+        const byId = new Map(questions.map(q => [q._id.toString(), q]));
+        const due = items.filter(item => byId.has(item.questionId.toString()));
+
+        const presented = await presentQuestions(due.map(item => byId.get(item.questionId.toString())));
+        res.json(due.map((item, i) => ({
+            question: presented[i],
+            dueDate: item.dueDate,
+            repetitions: item.repetitions,
+            lapses: item.lapses
+        })));
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching review queue' });
+    }
 });
 
-const Question = mongoose.model('Question', questionSchema);
+app.post('/api/review/:questionId', authenticateToken, validate({
+    summary: 'Answer a review item and schedule its next review',
+    status: 200,
+    params: { questionId: OBJECT_ID },
+    body: {
+        type: 'object',
+        required: ['answer'],
+        properties: {
+            answer: ANSWER,
+            rating: { type: 'string', enum: Object.keys(REVIEW_QUALITY) }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const { answer, rating } = req.body;
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+        const item = await ReviewItem.findOne({ userId: req.user.userId, questionId: req.params.questionId });
+        const question = item && await Question.findById(item.questionId);
+        if (!question) {
+            return res.status(404).json({ error: 'Review item not found' });
+        }
+        if (!isValidAnswer(question, answer)) {
+            return res.status(400).json({ error: `Answer does not fit a ${question.format} question` });
+        }
 
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
+        // A wrong answer is always a lapse; a right one defaults to "good" unless the student rates it
+        const correct = checkAnswer(question, answer);
+        const quality = correct ? REVIEW_QUALITY[rating || 'good'] : REVIEW_QUALITY.again;
+        item.set(scheduleReview(item, quality));
+        await ReviewItem.save(item);
+
+        await recordAttempts(req.user.userId, [{ questionId: question._id, answer, correct }], 'review');
+
+        res.json({
+            correct,
+            correctAnswer: question.correctAnswer,
+            explanation: question.explanation,
+            nextReview: item.dueDate,
+            interval: item.interval
+        });
+    } catch (error) {
+        res.status(500).json({ error: 'Error recording review' });
     }
+});
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+app.delete('/api/review/:questionId', authenticateToken, validate({
+    summary: 'Stop reviewing a question',
+    params: { questionId: OBJECT_ID }
+}), async (req, res) => {
+    try {
+        const item = await ReviewItem.findOneAndDelete({ userId: req.user.userId, questionId: req.params.questionId });
+        if (!item) {
+            return res.status(404).json({ error: 'Review item not found' });
         }
-        req.user = user;
-        next();
-    });
-};
+        res.json({ message: 'Question removed from review queue' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error removing review item' });
+    }
+});
 
-// Auth Routes
-app.post('/api/register', async (req, res) => {
+// Admin User Routes
+app.get('/api/admin/users', authenticateToken, requireAdmin, validate({
+    summary: 'Search user accounts',
+    query: {
+        q: { type: 'string', maxLength: 200, description: 'Part of a name or email' },
+        role: { type: 'string', enum: USER_ROLES },
+        ...pagingQuery(200, 50)
+    }
+}), async (req, res) => {
     try {
-        const { name, email, password } = req.body;
-
-        // Check if user already exists
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
-            return res.status(400).json({ error: 'User already exists' });
+        const filter = {};
+        if (req.query.role) filter.role = req.query.role;
+        if (req.query.q) {
+            const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
         }
 
-        // Hash password
-        const saltRounds = 10;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        const { page, limit } = req.query;
 
-        // Create new user
-        const user = new User({
-            name,
-            email,
-            password: hashedPassword
-        });
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .select('name email role emailVerified deletion createdAt')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            User.countDocuments(filter)
+        ]);
+        res.json({ users, page, limit, total, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching users' });
+    }
+});
+
+// Accounts that have been deleted are named by id only; actorId is unset for the scheduled purge
+app.get('/api/admin/audit-log', authenticateToken, requireAdmin, validate({
+    summary: 'Data exports and account deletions, newest first',
+    query: {
+        action: { type: 'string', enum: AUDIT_ACTIONS },
+        userId: OBJECT_ID,
+        ...pagingQuery(200, 50)
+    }
+}), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.action) filter.action = req.query.action;
+        if (req.query.userId) filter.userId = req.query.userId;
+
+        const { page, limit } = req.query;
 
-        await user.save();
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            AuditLog.countDocuments(filter)
+        ]);
+        const people = await User.find({ _id: { $in: entries.flatMap(e => [e.userId, e.actorId].filter(Boolean)) } })
+            .select('name email');
+        const peopleById = new Map(people.map(user => [user._id.toString(), { name: user.name, email: user.email }]));
 
-        res.status(201).json({ message: 'User registered successfully' });
+        res.json({
+            entries: entries.map(entry => ({
+                id: entry._id,
+                action: entry.action,
+                userId: entry.userId,
+                user: peopleById.get(entry.userId.toString()) || null,
+                actorId: entry.actorId || null,
+                actor: entry.actorId ? peopleById.get(entry.actorId.toString()) || null : null,
+                details: entry.details,
+                createdAt: entry.createdAt
+            })),
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        });
     } catch (error) {
-        res.status(500).json({ error: 'Server error during registration' });
+        res.status(500).json({ error: 'Error fetching audit log' });
     }
 });
 
-app.post('/api/login', async (req, res) => {
+// Access tokens carry the role, so the user's sessions are revoked and the new role applies from their next login
+app.put('/api/admin/users/:id/role', authenticateToken, requireAdmin, validate({
+    summary: "Change a user's role",
+    params: ID_PARAMS,
+    body: { type: 'object', required: ['role'], properties: { role: { type: 'string', enum: USER_ROLES } } }
+}), async (req, res) => {
     try {
-        const { email, password } = req.body;
+        const { role } = req.body;
+        if (req.params.id === req.user.userId && role !== 'admin') {
+            return res.status(400).json({ error: 'You cannot remove your own admin role' });
+        }
 
-        // Find user
-        const user = await User.findOne({ email });
+        const user = await User.findById(req.params.id);
         if (!user) {
-            return res.status(400).json({ error: 'Invalid credentials' });
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        // Check password
-        const isValidPassword = await bcrypt.compare(password, user.password);
-        if (!isValidPassword) {
-            return res.status(400).json({ error: 'Invalid credentials' });
+        if (user.role !== role) {
+            user.role = role;
+            await User.save(user);
+            await revokeSessions(user._id);
         }
-
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user._id, email: user.email, role: user.role },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-
         res.json({
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role
-            }
+            message: 'Role updated',
+            user: { id: user._id, name: user.name, email: user.email, role: user.role }
         });
     } catch (error) {
-        res.status(500).json({ error: 'Server error during login' });
+        res.status(500).json({ error: 'Error updating role' });
     }
 });
 
-// Test Results Routes
-app.post('/api/test-results', authenticateToken, async (req, res) => {
+// Question Bank helpers
+const QUESTION_CSV_COLUMNS = [
+    'testType', 'section', 'format', 'question', 'options', 'blanks', 'statements',
+    'passageId', 'correctAnswer', 'tolerance', 'explanation', 'topic', 'difficulty', 'essayTask', 'speakingTask'
+];
+
+// Plain JSON without subdocument ids, so blanks that are saved again unchanged do not count as edits
+function revisionValue(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value, (key, item) => (key === '_id' ? undefined : item)));
+}
+
+// The fields an edit changed, as stored in Question.revisions
+function questionChanges(before, after) {
+    return QUESTION_CSV_COLUMNS
+        .map(field => ({ field, from: revisionValue(before[field]), to: revisionValue(after[field]) }))
+        .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+}
+
+const QUESTION_FILTER_QUERY = {
+    testType: TEST_TYPE,
+    section: SECTION,
+    difficulty: { type: 'string', enum: DIFFICULTY_LEVELS }
+};
+
+// Typed loosely: lists may also be written as separated text, like a CSV cell.
+// normalizeQuestionInput checks each format's options, blanks, statements and answer.
+const QUESTION_TEXT_LIST = {
+    description: 'a list of strings, or one string with the separators used in CSV files',
+    anyOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string' }]
+};
+const QUESTION_FIELDS = {
+    testType: TEST_TYPE,
+    section: SECTION,
+    format: { type: 'string', enum: QUESTION_FORMATS },
+    question: { type: 'string', minLength: 1, maxLength: 10000 },
+    explanation: { type: 'string', maxLength: 10000 },
+    difficulty: { type: 'string', enum: DIFFICULTY_LEVELS },
+    topic: { type: 'string', maxLength: 100 },
+    passageId: { ...OBJECT_ID, nullable: true },
+    options: QUESTION_TEXT_LIST,
+    statements: QUESTION_TEXT_LIST,
+    blanks: {
+        description: 'a list of blanks, each a list of options, or CSV text',
+        anyOf: [{ type: 'array', maxItems: 3 }, { type: 'string' }]
+    },
+    correctAnswer: ANSWER,
+    tolerance: { anyOf: [{ type: 'number', minimum: 0 }, { type: 'string' }], description: 'a non-negative number' },
+    essayTask: { type: 'string', enum: Object.keys(ESSAY_TASKS) },
+    speakingTask: { type: 'string', enum: Object.keys(SPEAKING_TASKS) }
+};
+
+// normalizeQuestionInput's messages in the API's error format
+function invalidQuestion(res, errors) {
+    return res.status(400).json({
+        error: `Invalid question: ${errors.join('; ')}`,
+        code: 'VALIDATION_FAILED',
+        details: errors.map(message => ({ in: 'body', message }))
+    });
+}
+
+function questionFilter(query) {
+    const filter = {};
+    for (const key of ['testType', 'section', 'difficulty']) {
+        if (query[key]) filter[key] = query[key];
+    }
+    return filter;
+}
+
+function questionKey(q) {
+    return [q.testType, q.section, q.question.replace(/\s+/g, ' ').toLowerCase()].join('|');
+}
+
+// Validates every row, skips duplicates (in the bank or earlier in the batch) and inserts the rest
+async function importQuestions(rows) {
+    const errors = [];
+    const skipped = [];
+    const valid = [];
+
+    rows.forEach((row, index) => {
+        const { errors: rowErrors, question } = normalizeQuestionInput(row || {});
+        if (rowErrors.length > 0) {
+            errors.push({ row: index + 1, errors: rowErrors });
+        } else {
+            valid.push({ row: index + 1, question });
+        }
+    });
+
+    const sections = [...new Set(valid.map(({ question }) => `${question.testType}|${question.section}`))];
+    const existing = sections.length === 0 ? [] : await Question.find({
+        $or: sections.map(key => {
+            const [testType, section] = key.split('|');
+            return { testType, section };
+        })
+    }).select('testType section question');
+    const seen = new Set(existing.map(questionKey));
+
+    const toInsert = [];
+    for (const { row, question } of valid) {
+        const key = questionKey(question);
+        if (seen.has(key)) {
+            skipped.push({ row, reason: 'duplicate question' });
+            continue;
+        }
+        seen.add(key);
+        toInsert.push(question);
+    }
+
+    const imported = toInsert.length > 0 ? await Question.insertMany(toInsert) : [];
+    return { imported, skipped, errors };
+}
+
+// Admin Question Bank Routes
+app.get('/api/admin/questions', authenticateToken, requireAdmin, validate({
+    summary: 'List questions in the bank, with answers',
+    query: { ...QUESTION_FILTER_QUERY, ...pagingQuery(200, 50) }
+}), async (req, res) => {
     try {
-        const { testType, section, score, totalQuestions, correctAnswers, timeSpent } = req.body;
+        const filter = questionFilter(req.query);
+        const { page, limit } = req.query;
 
-        const testResult = new TestResult({
-            userId: req.user.userId,
-            testType,
-            section,
-            score,
-            totalQuestions,
-            correctAnswers,
-            timeSpent
-        });
+        const [questions, total] = await Promise.all([
+            Question.find(filter).sort({ _id: -1 }).skip((page - 1) * limit).limit(limit),
+            Question.countDocuments(filter)
+        ]);
 
-        await testResult.save();
-        res.status(201).json({ message: 'Test result saved successfully', result: testResult });
+        res.json({ questions, page, limit, total });
     } catch (error) {
-        res.status(500).json({ error: 'Error saving test result' });
+        res.status(500).json({ error: 'Error fetching questions' });
     }
 });
 
-app.get('/api/test-results', authenticateToken, async (req, res) => {
+app.get('/api/admin/questions/export', authenticateToken, requireAdmin, validate({
+    summary: 'Export questions as JSON or CSV',
+    query: { ...QUESTION_FILTER_QUERY, format: { type: 'string', enum: ['json', 'csv'], default: 'json' } },
+    produces: ['application/json', 'text/csv']
+}), async (req, res) => {
     try {
-        const results = await TestResult.find({ userId: req.user.userId })
-            .sort({ date: -1 })
-            .limit(10);
-        res.json(results);
+        const { format } = req.query;
+        const questions = await Question.find(questionFilter(req.query)).sort({ testType: 1, section: 1, _id: 1 });
+
+        const records = questions.map(q => ({
+            testType: q.testType,
+            section: q.section,
+            format: q.format,
+            question: q.question,
+            options: q.options,
+            blanks: q.blanks.map(blank => blank.options),
+            statements: q.statements,
+            passageId: q.passageId,
+            correctAnswer: q.correctAnswer,
+            tolerance: q.tolerance,
+            explanation: q.explanation,
+            topic: q.topic,
+            difficulty: q.difficulty,
+            essayTask: q.essayTask,
+            speakingTask: q.speakingTask
+        }));
+
+        res.attachment(`questions.${format}`);
+        if (format === 'csv') {
+            // Same cell conventions the importer reads, so an export can be edited and re-imported
+            res.type('text/csv').send(toCsv(QUESTION_CSV_COLUMNS, records.map(r => ({
+                ...r,
+                options: r.options.join(OPTION_SEPARATOR),
+                blanks: r.blanks.map(options => options.join(OPTION_SEPARATOR)).join(BLANK_SEPARATOR),
+                statements: r.statements.join(OPTION_SEPARATOR),
+                correctAnswer: Array.isArray(r.correctAnswer)
+                    ? r.correctAnswer.join(r.format === 'text-completion' ? BLANK_SEPARATOR : OPTION_SEPARATOR)
+                    : r.correctAnswer
+            }))));
+        } else {
+            res.json(records);
+        }
     } catch (error) {
-        res.status(500).json({ error: 'Error fetching test results' });
+        res.status(500).json({ error: 'Error exporting questions' });
     }
 });
 
-app.get('/api/dashboard-stats', authenticateToken, async (req, res) => {
+app.post('/api/admin/questions/import', authenticateToken, requireAdmin, validate({
+    summary: 'Import questions from a JSON array or a CSV file',
+    description: 'Rows that fail validation are reported by row number; questions already in the bank are skipped.',
+    status: 200,
+    consumes: ['application/json', 'text/csv']
+}), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
     try {
-        const userId = req.user.userId;
-        
-        const totalTests = await TestResult.countDocuments({ userId });
-        const results = await TestResult.find({ userId });
-        
-        const avgScore = results.length > 0 
-            ? results.reduce((sum, result) => sum + result.score, 0) / results.length 
-            : 0;
-            
-        const totalStudyTime = results.reduce((sum, result) => sum + (result.timeSpent || 0), 0);
+        let rows;
+        if (typeof req.body === 'string') {
+            rows = parseCsvRecords(req.body);
+        } else if (Array.isArray(req.body)) {
+            rows = req.body;
+        } else if (req.body && Array.isArray(req.body.questions)) {
+            rows = req.body.questions;
+        } else {
+            return res.status(400).json({ error: 'Send a JSON array of questions or a CSV file' });
+        }
 
-        res.json({
-            testsCompleted: totalTests,
-            averageScore: Math.round(avgScore),
-            totalStudyTime: Math.round(totalStudyTime)
+        const { imported, skipped, errors } = await importQuestions(rows);
+        const failed = errors.length > 0 && imported.length === 0;
+        res.status(failed ? 400 : 200).json({
+            ...(failed ? { error: 'None of the questions could be imported', code: 'VALIDATION_FAILED' } : {}),
+            total: rows.length,
+            imported: imported.length,
+            skipped,
+            errors
         });
     } catch (error) {
-        res.status(500).json({ error: 'Error fetching dashboard stats' });
+        res.status(500).json({ error: 'Error importing questions' });
     }
 });
 
-// Universities Routes
-app.get('/api/universities', async (req, res) => {
+app.get('/api/admin/questions/:id', authenticateToken, requireAdmin, validate({
+    summary: 'Get a question with its answer, revision history and open report count',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const question = await Question.findById(req.params.id).select('+revisions');
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+        const openReports = await QuestionReport.countDocuments({ questionId: question._id, status: 'open' });
+        res.json({ ...question.toObject(), openReports });
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching question' });
+    }
+});
+
+app.post('/api/admin/questions', authenticateToken, requireAdmin, validate({
+    summary: 'Add a question to the bank',
+    body: { type: 'object', required: ['testType', 'section', 'question'], properties: QUESTION_FIELDS }
+}), async (req, res) => {
     try {
-        const { country, search } = req.query;
-        let filter = {};
-        
-        if (country) filter.country = country;
-        if (search) {
-            filter.name = { $regex: search, $options: 'i' };
+        const { errors, question } = normalizeQuestionInput(req.body);
+        if (errors.length > 0) {
+            return invalidQuestion(res, errors);
         }
 
-        const universities = await University.find(filter).sort({ ranking: 1 });
-        res.json(universities);
+        const created = Question.build(question);
+        await Question.save(created);
+        res.status(201).json({ message: 'Question added successfully', question: created });
     } catch (error) {
-        res.status(500).json({ error: 'Error fetching universities' });
+        res.status(500).json({ error: 'Error adding question' });
     }
 });
 
-app.post('/api/universities', authenticateToken, async (req, res) => {
-    // Only admin can add universities
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
+app.put('/api/admin/questions/:id', authenticateToken, requireAdmin, validate({
+    summary: 'Update a question; the merged question is validated as a whole',
+    description: 'Changed fields are added to the revision history with revisionNote. '
+        + 'resolveReports resolves the open problem reports on the question, with the note as the resolution.',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        properties: {
+            ...QUESTION_FIELDS,
+            revisionNote: { type: 'string', maxLength: 1000 },
+            resolveReports: { type: 'boolean' }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const question = await Question.findById(req.params.id).select('+revisions');
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+
+        // Partial updates are validated against the merged question
+        const { revisionNote, resolveReports, ...fields } = req.body;
+        const before = question.toObject();
+        const { errors, question: updates } = normalizeQuestionInput({ ...before, ...fields });
+        if (errors.length > 0) {
+            return invalidQuestion(res, errors);
+        }
+
+        question.set(updates);
+        const changes = questionChanges(before, question.toObject());
+        if (changes.length > 0) {
+            question.revisions.push({ editedBy: req.user.userId, note: revisionNote, changes });
+        }
+        await Question.save(question);
+
+        let resolvedReports = 0;
+        if (resolveReports) {
+            ({ modifiedCount: resolvedReports } = await QuestionReport.updateMany(
+                { questionId: question._id, status: 'open' },
+                {
+                    $set: {
+                        status: 'resolved',
+                        resolution: revisionNote || 'The question has been corrected',
+                        resolvedBy: req.user.userId,
+                        resolvedAt: new Date()
+                    }
+                }
+            ));
+        }
+
+        res.json({ message: 'Question updated successfully', question, changes, resolvedReports });
+    } catch (error) {
+        res.status(500).json({ error: 'Error updating question' });
     }
+});
 
+app.delete('/api/admin/questions/:id', authenticateToken, requireAdmin, validate({
+    summary: 'Delete a question',
+    params: ID_PARAMS
+}), async (req, res) => {
     try {
-        const university = new University(req.body);
-        await university.save();
-        res.status(201).json({ message: 'University added successfully', university });
+        const question = await Question.findByIdAndDelete(req.params.id);
+        if (!question) {
+            return res.status(404).json({ error: 'Question not found' });
+        }
+        await Promise.all([
+            QuestionComment.deleteMany({ questionId: question._id }),
+            QuestionReport.deleteMany({ questionId: question._id })
+        ]);
+        res.json({ message: 'Question deleted successfully' });
     } catch (error) {
-        res.status(500).json({ error: 'Error adding university' });
+        res.status(500).json({ error: 'Error deleting question' });
     }
 });
 
-// Questions Routes
-app.get('/api/questions/:testType/:section', async (req, res) => {
+// Moderation Queue Routes
+// Open reports grouped by question, most reported first; each group comes with the full question to edit
+app.get('/api/admin/reports', authenticateToken, requireAdmin, validate({
+    summary: 'Problem reports grouped by question',
+    query: {
+        status: { type: 'string', enum: QUESTION_REPORT_STATUSES, default: 'open' },
+        category: { type: 'string', enum: QUESTION_REPORT_CATEGORIES }
+    }
+}), async (req, res) => {
     try {
-        const { testType, section } = req.params;
-        const { limit = 10, difficulty } = req.query;
+        const filter = { status: req.query.status };
+        if (req.query.category) filter.category = req.query.category;
 
-        let filter = { testType, section };
-        if (difficulty) filter.difficulty = difficulty;
+        const reports = await QuestionReport.find(filter).sort({ createdAt: 1 }).limit(MAX_QUEUE_REPORTS);
+        const [questions, reporters] = await Promise.all([
+            Question.find({ _id: { $in: reports.map(r => r.questionId) } }),
+            User.find({ _id: { $in: reports.map(r => r.userId) } }).select('name email')
+        ]);
+        const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+        const reportersById = new Map(reporters.map(u => [u._id.toString(), u]));
 
-        const questions = await Question.find(filter)
-            .select('-correctAnswer -explanation') // Don't send answers to client
-            .limit(parseInt(limit))
-            .sort({ _id: -1 });
+        const groups = new Map();
+        for (const report of reports) {
+            const key = report.questionId.toString();
+            if (!groups.has(key)) {
+                groups.set(key, { question: questionsById.get(key) || null, categories: {}, reports: [] });
+            }
+            const group = groups.get(key);
+            group.categories[report.category] = (group.categories[report.category] || 0) + 1;
+            const reporter = reportersById.get(report.userId.toString());
+            group.reports.push({ ...presentReport(report), reporter: reporter ? { name: reporter.name, email: reporter.email } : null });
+        }
 
-        res.json(questions);
+        const queue = [...groups.values()]
+            .filter(group => group.question)
+            .sort((a, b) => b.reports.length - a.reports.length || a.reports[0].createdAt - b.reports[0].createdAt);
+        res.json({ status: filter.status, total: reports.length, queue });
     } catch (error) {
-        res.status(500).json({ error: 'Error fetching questions' });
+        res.status(500).json({ error: 'Error fetching reports' });
     }
 });
 
-app.post('/api/check-answer', async (req, res) => {
+app.put('/api/admin/reports/:id', authenticateToken, requireAdmin, validate({
+    summary: 'Resolve, dismiss or reopen a report',
+    params: ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { type: 'string', enum: QUESTION_REPORT_STATUSES },
+            resolution: { type: 'string', maxLength: 1000 }
+        }
+    }
+}), async (req, res) => {
     try {
-        const { questionId, userAnswer } = req.body;
-        
-        const question = await Question.findById(questionId);
-        if (!question) {
-            return res.status(404).json({ error: 'Question not found' });
+        const report = await QuestionReport.findById(req.params.id);
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
         }
 
-        const isCorrect = question.correctAnswer === userAnswer;
-        
-        res.json({
-            correct: isCorrect,
-            correctAnswer: question.correctAnswer,
-            explanation: question.explanation
-        });
+        report.status = req.body.status;
+        if (report.status === 'open') {
+            report.resolution = undefined;
+            report.resolvedBy = undefined;
+            report.resolvedAt = undefined;
+        } else {
+            if (req.body.resolution !== undefined) report.resolution = req.body.resolution.trim() || undefined;
+            report.resolvedBy = req.user.userId;
+            report.resolvedAt = new Date();
+        }
+
+        try {
+            await QuestionReport.save(report);
+        } catch (saveError) {
+            if (saveError.code === 11000) {
+                return res.status(409).json({ error: 'The student has another open report on this question' });
+            }
+            throw saveError;
+        }
+        res.json({ message: 'Report updated', report: presentReport(report) });
     } catch (error) {
-        res.status(500).json({ error: 'Error checking answer' });
+        res.status(500).json({ error: 'Error updating report' });
+    }
+});
+
+const PASSAGE_FIELDS = {
+    testType: TEST_TYPE,
+    section: SECTION,
+    title: { type: 'string', maxLength: 200 },
+    text: { type: 'string', minLength: 1, maxLength: 50000 }
+};
+
+app.get('/api/admin/passages', authenticateToken, requireAdmin, validate({
+    summary: 'List reading passages',
+    query: QUESTION_FILTER_QUERY
+}), async (req, res) => {
+    try {
+        const passages = await Passage.find(questionFilter(req.query)).sort({ _id: -1 });
+        res.json(passages);
+    } catch (error) {
+        res.status(500).json({ error: 'Error fetching passages' });
+    }
+});
+
+app.post('/api/admin/passages', authenticateToken, requireAdmin, validate({
+    summary: 'Add a reading passage',
+    body: { type: 'object', required: ['testType', 'section', 'text'], properties: PASSAGE_FIELDS }
+}), async (req, res) => {
+    try {
+        const { testType, section, title, text } = req.body;
+
+        const passage = Passage.build({ testType, section, title, text });
+        await Passage.save(passage);
+        res.status(201).json({ message: 'Passage added successfully', passage });
+    } catch (error) {
+        res.status(500).json({ error: 'Error adding passage' });
+    }
+});
+
+app.put('/api/admin/passages/:id', authenticateToken, requireAdmin, validate({
+    summary: 'Update a reading passage',
+    params: ID_PARAMS,
+    body: { type: 'object', properties: PASSAGE_FIELDS }
+}), async (req, res) => {
+    try {
+        const passage = await Passage.findById(req.params.id);
+        if (!passage) {
+            return res.status(404).json({ error: 'Passage not found' });
+        }
+
+        for (const key of ['testType', 'section', 'title', 'text']) {
+            if (req.body[key] !== undefined) passage[key] = req.body[key];
+        }
+        await Passage.save(passage);
+        res.json({ message: 'Passage updated successfully', passage });
+    } catch (error) {
+        res.status(500).json({ error: 'Error updating passage' });
+    }
+});
+
+app.delete('/api/admin/passages/:id', authenticateToken, requireAdmin, validate({
+    summary: 'Delete a passage no question uses',
+    params: ID_PARAMS
+}), async (req, res) => {
+    try {
+        const linked = await Question.countDocuments({ passageId: req.params.id });
+        if (linked > 0) {
+            return res.status(409).json({ error: `Passage is used by ${linked} question(s)` });
+        }
+
+        const passage = await Passage.findByIdAndDelete(req.params.id);
+        if (!passage) {
+            return res.status(404).json({ error: 'Passage not found' });
+        }
+        res.json({ message: 'Passage deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: 'Error deleting passage' });
     }
 });
 
-// Add sample data (run once)
-app.post('/api/seed-data', async (req, res) => {
+// Add sample data; records that already exist are left alone, so it is safe to re-run
+app.post('/api/seed-data', authenticateToken, requireAdmin, validate({
+    summary: 'Load sample universities, questions and prompts',
+    tag: 'admin',
+    status: 200
+}), async (req, res) => {
     try {
         // Add sample universities
         const universities = [
@@ -305,9 +5811,11 @@ app.post('/api/seed-data', async (req, res) => {
                 name: 'Harvard University',
                 country: 'USA',
                 ranking: 1,
-                tuitionFee: '$54,002/year',
+                tuitionFee: { amount: 54002, currency: 'USD', period: 'year' },
+                livingCost: { amount: 24000, currency: 'USD', period: 'year' },
                 scholarships: ['Need-based aid up to $75,000', 'Merit scholarships'],
                 requirements: { gre: true, toefl: true },
+                minimumScores: { gre: 320, toefl: 100 },
                 description: 'Ivy League university in Cambridge, Massachusetts',
                 website: 'https://harvard.edu'
             },
@@ -315,9 +5823,11 @@ app.post('/api/seed-data', async (req, res) => {
                 name: 'Stanford University',
                 country: 'USA',
                 ranking: 2,
-                tuitionFee: '$56,169/year',
+                tuitionFee: { amount: 56169, currency: 'USD', period: 'year' },
+                livingCost: { amount: 27000, currency: 'USD', period: 'year' },
                 scholarships: ['Knight-Hennessy Scholars Program', 'Stanford Graduate Fellowship'],
                 requirements: { gre: true, toefl: true },
+                minimumScores: { gre: 318, toefl: 100 },
                 description: 'Private research university in California',
                 website: 'https://stanford.edu'
             },
@@ -325,15 +5835,19 @@ app.post('/api/seed-data', async (req, res) => {
                 name: 'Oxford University',
                 country: 'UK',
                 ranking: 3,
-                tuitionFee: '£28,370/year',
+                tuitionFee: { amount: 28370, currency: 'GBP', period: 'year' },
+                livingCost: { amount: 15000, currency: 'GBP', period: 'year' },
                 scholarships: ['Rhodes Scholarship', 'Clarendon Fund'],
                 requirements: { ielts: true, gre: false },
+                minimumScores: { ielts: 7.5 },
                 description: 'Collegiate research university in Oxford, England',
                 website: 'https://ox.ac.uk'
             }
         ];
 
-        await University.insertMany(universities);
+        const existingUniversities = await University.find({ name: { $in: universities.map(u => u.name) } });
+        const existingNames = new Set(existingUniversities.map(u => u.name));
+        await University.insertMany(universities.filter(u => !existingNames.has(u.name)));
 
         // Add sample questions
         const questions = [
@@ -354,25 +5868,113 @@ app.post('/api/seed-data', async (req, res) => {
                 correctAnswer: 2,
                 explanation: 'Solving the system: x + y = 10, x - y = 4. Adding equations: 2x = 14, so x = 7.',
                 difficulty: 'easy'
+            },
+            {
+                testType: 'GRE',
+                section: 'Quantitative',
+                format: 'numeric-entry',
+                question: 'A recipe uses 3 cups of flour for every 4 cups of milk. How many cups of flour are needed for 10 cups of milk? Give your answer as a fraction.',
+                correctAnswer: '15/2',
+                explanation: 'Flour is 3/4 of the milk, so 3/4 × 10 = 30/4 = 15/2 cups.',
+                difficulty: 'medium'
+            },
+            {
+                testType: 'GMAT',
+                section: 'Data Insights',
+                format: 'data-sufficiency',
+                question: 'Is the integer n even?',
+                statements: ['n + 3 is odd.', '2n is even.'],
+                correctAnswer: 0,
+                explanation: 'Statement (1): n + 3 is odd only when n is even, so it is sufficient. Statement (2): 2n is even for every integer n, so it is not sufficient.',
+                difficulty: 'easy'
+            },
+            {
+                testType: 'IELTS',
+                section: 'Writing',
+                format: 'essay',
+                essayTask: 'IELTS Task 2',
+                question: 'Some people believe that university education should be free for every student. Others think students should pay for their own studies. Discuss both views and give your own opinion.',
+                difficulty: 'medium'
+            },
+            {
+                testType: 'GRE',
+                section: 'Analytical Writing',
+                format: 'essay',
+                essayTask: 'GRE Issue',
+                question: 'To understand the most important characteristics of a society, one must study its major cities. Write a response in which you discuss the extent to which you agree or disagree with the statement.',
+                difficulty: 'medium'
+            },
+            {
+                testType: 'IELTS',
+                section: 'Speaking',
+                format: 'speaking',
+                speakingTask: 'IELTS Part 2',
+                question: 'Describe a teacher who has influenced you. You should say who this teacher was, what subject they taught, how they taught it, and explain why they influenced you.',
+                difficulty: 'medium'
+            },
+            {
+                testType: 'TOEFL',
+                section: 'Speaking',
+                format: 'speaking',
+                speakingTask: 'TOEFL Independent',
+                question: 'Some students prefer to study alone, while others prefer to study in a group. Which do you prefer and why? Use details and examples in your response.',
+                difficulty: 'medium'
             }
         ];
 
-        await Question.insertMany(questions);
+        const { imported, skipped } = await importQuestions(questions);
 
-        res.json({ message: 'Sample data seeded successfully' });
+        res.json({ message: 'Sample data seeded successfully', questionsAdded: imported.length, questionsSkipped: skipped.length });
     } catch (error) {
         res.status(500).json({ error: 'Error seeding data' });
     }
 });
 
+// API description, generated from the routes and their validate() schemas
+let openApiDocument = null;
+app.get('/api/openapi.json', validate({
+    summary: 'This OpenAPI 3.0 document',
+    tag: 'meta'
+}), (req, res) => {
+    openApiDocument = openApiDocument || buildOpenApi(app, {
+        info: {
+            title: 'Scholaro API',
+            version: '1.0.0',
+            description: 'Errors are { error, code, details? }; see the Error schema.'
+        },
+        authenticate: authenticateToken,
+        optionalAuthenticate: optionalAuth,
+        roles: new Map([[requireAdmin, 'admin'], [requireInstructor, 'instructor or admin']])
+    });
+    res.json(openApiDocument);
+});
+
+// Unknown API paths answer in the API's error format instead of with the app's page
+app.use('/api', (req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.originalUrl.split('?')[0]}` });
+});
+
 // Serve React app (if you have a build folder)
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-});
+app.use(errorHandler);
+
+// Start server when run directly; tests require the app and use it in-process
+if (require.main === module) {
+    const server = app.listen(config.port, () => {
+        console.log(`Server running on http://localhost:${config.port}`);
+    });
+    // Disconnecting writes out anything the memory backend has not saved to its file yet
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => {
+            server.close();
+            storage.disconnect()
+                .catch(err => console.error('Storage disconnect error:', err))
+                .finally(() => process.exit(0));
+        });
+    }
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
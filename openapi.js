@@ -0,0 +1,145 @@
+const { ERROR_CODES } = require('./api_errors');
+
+// Builds the OpenAPI 3.0 document from the Express router itself: every registered /api route is
+// listed, and routes with a validate() middleware (see validation.js) contribute its schemas.
+// options: {
+//     info: { title, version, description },
+//     authenticate: middleware requiring a bearer token, optionalAuthenticate: one accepting it,
+//     roles: Map of middleware -> the role it requires
+// }
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+        error: { type: 'string', description: 'Readable message' },
+        code: { type: 'string', enum: [...new Set([...Object.values(ERROR_CODES), 'VALIDATION_FAILED', 'INVALID_JSON'])] },
+        details: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    in: { type: 'string', enum: ['path', 'query', 'body'] },
+                    field: { type: 'string' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+const STATUS_DESCRIPTIONS = {
+    200: 'OK',
+    201: 'Created',
+    400: 'Invalid request',
+    401: 'Missing or expired access token',
+    403: 'Not allowed for this account',
+    404: 'Not found'
+};
+
+function errorResponse(status) {
+    return {
+        description: STATUS_DESCRIPTIONS[status] || 'Error',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+}
+
+function routeHandlers(route) {
+    return route.stack.map(layer => layer.handle);
+}
+
+function operationFor(route, method, options) {
+    const handlers = routeHandlers(route);
+    const spec = (handlers.find(handler => handler.apiSpec) || {}).apiSpec || {};
+    const pathNames = (route.path.match(/:(\w+)/g) || []).map(name => name.slice(1));
+    const status = spec.status || (method === 'post' ? 201 : 200);
+
+    const parameters = [
+        ...pathNames.map(name => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: (spec.params || {})[name] || { type: 'string' }
+        })),
+        ...Object.entries(spec.query || {}).map(([name, { required, ...schema }]) => ({
+            name,
+            in: 'query',
+            required: Boolean(required),
+            ...(schema.type === 'array' ? { style: 'form', explode: false } : {}),
+            schema
+        }))
+    ];
+
+    const operation = {
+        summary: spec.summary || `${method.toUpperCase()} ${route.path}`,
+        ...(spec.description ? { description: spec.description } : {}),
+        tags: [spec.tag || route.path.split('/')[2]],
+        parameters,
+        responses: {
+            [status]: {
+                description: spec.responseDescription || STATUS_DESCRIPTIONS[status] || 'OK',
+                ...(spec.produces ? { content: Object.fromEntries(spec.produces.map(type => [type, {}])) } : {})
+            },
+            default: errorResponse('default')
+        }
+    };
+    if (parameters.length === 0) delete operation.parameters;
+
+    if (spec.body) {
+        operation.requestBody = {
+            required: (spec.body.required || []).length > 0,
+            content: { 'application/json': { schema: spec.body } }
+        };
+        operation.responses[400] = errorResponse(400);
+    } else if (spec.consumes) {
+        operation.requestBody = {
+            required: true,
+            content: Object.fromEntries(spec.consumes.map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+        };
+    }
+    if (spec.params || spec.query) operation.responses[400] = errorResponse(400);
+    if (pathNames.length > 0) operation.responses[404] = errorResponse(404);
+
+    if (handlers.includes(options.authenticate)) {
+        operation.security = [{ bearerAuth: [] }];
+        operation.responses[401] = errorResponse(401);
+    } else if (handlers.includes(options.optionalAuthenticate)) {
+        operation.security = [{}, { bearerAuth: [] }];
+    }
+    const role = handlers.map(handler => options.roles && options.roles.get(handler)).find(Boolean);
+    if (role) {
+        operation.description = [`Requires the ${role} role.`, operation.description].filter(Boolean).join(' ');
+        operation.responses[403] = errorResponse(403);
+    }
+    return operation;
+}
+
+function buildOpenApi(app, options) {
+    const paths = {};
+    for (const layer of app._router.stack) {
+        const route = layer.route;
+        if (!route || typeof route.path !== 'string' || !route.path.startsWith('/api/')) continue;
+
+        const path = route.path.replace(/:(\w+)/g, '{$1}');
+        for (const method of Object.keys(route.methods).filter(name => name !== '_all')) {
+            paths[path] = paths[path] || {};
+            paths[path][method] = operationFor(route, method, options);
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: options.info,
+        paths,
+        components: {
+            schemas: { Error: ERROR_SCHEMA },
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApi
+};
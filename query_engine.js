@@ -0,0 +1,867 @@
+// The part of the MongoDB query language the API uses, evaluated over plain documents:
+// filters, update operators, projections, sorting and aggregation pipelines. It backs the
+// in-memory storage (memory_db.js); anything outside the subset throws instead of silently
+// returning wrong results, so a new query shows up as an error in development.
+
+const { ObjectId } = require('mongoose').Types;
+
+const TEXT_SCORE = Symbol('textScore');
+
+function isObjectId(value) {
+    return value != null && value._bsontype === 'ObjectId';
+}
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
+
+// Deep copy of stored data; ObjectIds are immutable and shared. Mongoose documents and
+// arrays in casted updates are turned into plain data the way the driver would serialize them.
+function cloneValue(value) {
+    if (value !== null && typeof value === 'object' && typeof value.toBSON === 'function' && !isObjectId(value)) {
+        return cloneValue(value.toBSON());
+    }
+    if (Array.isArray(value)) return Array.from(value, cloneValue);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (isPlainObject(value)) {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (item !== undefined) copy[key] = cloneValue(item);
+        }
+        if (value[TEXT_SCORE] !== undefined) copy[TEXT_SCORE] = value[TEXT_SCORE];
+        return copy;
+    }
+    return value;
+}
+
+// Comparison and equality
+
+// BSON comparison order: null < numbers < strings < objects < arrays < ObjectId < booleans < dates < regexes
+function typeRank(value) {
+    if (value === null || value === undefined) return 1;
+    if (typeof value === 'number') return 2;
+    if (typeof value === 'string') return 3;
+    if (Array.isArray(value)) return 5;
+    if (isObjectId(value)) return 7;
+    if (typeof value === 'boolean') return 8;
+    if (value instanceof Date) return 9;
+    if (value instanceof RegExp) return 11;
+    return 4;
+}
+
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    switch (rankA) {
+        case 1:
+            return 0;
+        case 2:
+            return a === b ? 0 : (a < b ? -1 : 1);
+        case 3:
+            return a === b ? 0 : (a < b ? -1 : 1);
+        case 5:
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                const order = compareValues(a[i], b[i]);
+                if (order !== 0) return order;
+            }
+            return a.length - b.length;
+        case 7:
+            return compareValues(a.toHexString(), b.toHexString());
+        case 8:
+            return Number(a) - Number(b);
+        case 9:
+            return a.getTime() - b.getTime();
+        case 11:
+            return compareValues(String(a), String(b));
+        default: {
+            const keysA = Object.keys(a);
+            const keysB = Object.keys(b);
+            for (let i = 0; i < Math.min(keysA.length, keysB.length); i++) {
+                const order = compareValues(keysA[i], keysB[i]) || compareValues(a[keysA[i]], b[keysB[i]]);
+                if (order !== 0) return order;
+            }
+            return keysA.length - keysB.length;
+        }
+    }
+}
+
+function valuesEqual(a, b) {
+    return compareValues(a, b) === 0;
+}
+
+// Paths
+
+// Every value a dotted path reaches, looking inside arrays of subdocuments like MongoDB does
+function resolvePath(value, parts) {
+    if (parts.length === 0) return [value];
+    if (Array.isArray(value)) {
+        const [head, ...rest] = parts;
+        const found = /^\d+$/.test(head) ? resolvePath(value[Number(head)], rest) : [];
+        for (const item of value) {
+            if (isPlainObject(item)) found.push(...resolvePath(item, parts));
+        }
+        return found;
+    }
+    if (!isPlainObject(value)) return [undefined];
+    return resolvePath(value[parts[0]], parts.slice(1));
+}
+
+// The values a filter compares against: each reached value and, for arrays, their elements
+function candidates(doc, path) {
+    const values = resolvePath(doc, path.split('.'));
+    const expanded = [...values];
+    for (const value of values) {
+        if (Array.isArray(value)) expanded.push(...value);
+    }
+    return expanded;
+}
+
+// A single value at a path, without looking inside arrays (used by sorting and updates)
+function getPath(doc, path) {
+    let value = doc;
+    for (const part of path.split('.')) {
+        if (value === null || value === undefined || typeof value !== 'object') return undefined;
+        value = value[part];
+    }
+    return value;
+}
+
+function setPath(doc, path, value) {
+    const parts = path.split('.');
+    let target = doc;
+    for (const part of parts.slice(0, -1)) {
+        if (target[part] === null || typeof target[part] !== 'object') {
+            target[part] = {};
+        }
+        target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+    const parts = path.split('.');
+    const target = parts.length === 1 ? doc : getPath(doc, parts.slice(0, -1).join('.'));
+    if (isPlainObject(target)) delete target[parts[parts.length - 1]];
+}
+
+// Filters
+
+function bsonType(value) {
+    if (value === null) return 'null';
+    if (value === undefined) return 'missing';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+    if (typeof value === 'string') return 'string';
+    if (typeof value === 'boolean') return 'bool';
+    if (Array.isArray(value)) return 'array';
+    if (isObjectId(value)) return 'objectId';
+    if (value instanceof Date) return 'date';
+    if (value instanceof RegExp) return 'regex';
+    return 'object';
+}
+
+function typeMatches(value, type) {
+    const actual = bsonType(value);
+    if (type === 'number') return actual === 'int' || actual === 'double';
+    if (type === 'double') return actual === 'double' || actual === 'int';
+    return actual === type;
+}
+
+function equalsAny(values, expected) {
+    if (expected instanceof RegExp) {
+        return values.some(value => typeof value === 'string' && expected.test(value));
+    }
+    if (expected === null) {
+        return values.some(value => value === null || value === undefined);
+    }
+    return values.some(value => value !== undefined && valuesEqual(value, expected));
+}
+
+function compareAny(values, expected, test) {
+    return values.some(value => value !== undefined && typeRank(value) === typeRank(expected)
+        && test(compareValues(value, expected)));
+}
+
+function matchOperators(values, condition, doc, path) {
+    return Object.entries(condition).every(([op, arg]) => {
+        switch (op) {
+            case '$eq':
+                return equalsAny(values, arg);
+            case '$ne':
+                return !equalsAny(values, arg);
+            case '$gt':
+                return compareAny(values, arg, order => order > 0);
+            case '$gte':
+                return compareAny(values, arg, order => order >= 0);
+            case '$lt':
+                return compareAny(values, arg, order => order < 0);
+            case '$lte':
+                return compareAny(values, arg, order => order <= 0);
+            case '$in':
+                return arg.some(expected => equalsAny(values, expected));
+            case '$nin':
+                return !arg.some(expected => equalsAny(values, expected));
+            case '$exists': {
+                const reached = resolvePath(doc, path.split('.')).some(value => value !== undefined);
+                return arg ? reached : !reached;
+            }
+            case '$regex': {
+                const regex = arg instanceof RegExp ? arg : new RegExp(arg, condition.$options || '');
+                return values.some(value => typeof value === 'string' && regex.test(value));
+            }
+            case '$options':
+                return true;
+            case '$type':
+                return resolvePath(doc, path.split('.')).some(value => typeMatches(value, arg));
+            case '$size':
+                return resolvePath(doc, path.split('.')).some(value => Array.isArray(value) && value.length === arg);
+            case '$all':
+                return arg.every(expected => equalsAny(values, expected));
+            case '$elemMatch':
+                return resolvePath(doc, path.split('.')).some(value => Array.isArray(value)
+                    && value.some(item => elementMatches(item, arg)));
+            case '$not':
+                return arg instanceof RegExp
+                    ? !equalsAny(values, arg)
+                    : !matchOperators(values, arg, doc, path);
+            default:
+                throw new Error(`Unsupported query operator ${op}`);
+        }
+    });
+}
+
+// Text search over the fields of a text index; returns the relevance score, 0 for no match.
+// Terms match whole words case-insensitively; quoted phrases must appear and -terms must not.
+function textScore(doc, search, textIndex) {
+    if (!textIndex) {
+        throw new Error('$text needs a text index on the collection');
+    }
+    const phrases = [...search.matchAll(/"([^"]+)"/g)].map(match => match[1].toLowerCase());
+    const words = search.replace(/"[^"]*"/g, ' ').toLowerCase().split(/\s+/).filter(Boolean);
+    const excluded = words.filter(word => word.startsWith('-')).map(word => word.slice(1)).filter(Boolean);
+    const terms = words.filter(word => !word.startsWith('-'));
+
+    const fields = Object.entries(textIndex.weights).map(([field, weight]) => ({
+        weight,
+        text: candidates(doc, field).filter(value => typeof value === 'string').join(' ').toLowerCase()
+    }));
+    const all = fields.map(field => field.text).join(' ');
+    const tokens = all.split(/[^\p{L}\p{N}]+/u);
+    if (excluded.some(word => tokens.includes(word))) return 0;
+    if (phrases.some(phrase => !all.includes(phrase))) return 0;
+
+    let score = 0;
+    for (const field of fields) {
+        const fieldTokens = field.text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        if (fieldTokens.length === 0) continue;
+        const hits = terms.reduce((sum, term) => sum + fieldTokens.filter(token => token === term).length, 0)
+            + phrases.reduce((sum, phrase) => sum + (field.text.includes(phrase) ? 1 : 0), 0);
+        score += field.weight * hits / fieldTokens.length;
+    }
+    return score;
+}
+
+// options.textIndex: { weights: { field: weight } } for $text; with options.keepTextScore
+// a match records its score on the document for { $meta: 'textScore' }
+function matches(doc, filter, options = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        switch (key) {
+            case '$and':
+                return condition.every(part => matches(doc, part, options));
+            case '$or':
+                return condition.some(part => matches(doc, part, options));
+            case '$nor':
+                return !condition.some(part => matches(doc, part, options));
+            case '$text': {
+                const score = textScore(doc, String(condition.$search), options.textIndex);
+                if (score > 0 && options.keepTextScore) doc[TEXT_SCORE] = score;
+                return score > 0;
+            }
+            default:
+                if (key.startsWith('$')) throw new Error(`Unsupported query operator ${key}`);
+                return isOperatorObject(condition)
+                    ? matchOperators(candidates(doc, key), condition, doc, key)
+                    : equalsAny(candidates(doc, key), condition);
+        }
+    });
+}
+
+// Updates
+
+// Whether an array element meets a $pull / $elemMatch condition
+function elementMatches(item, condition) {
+    if (isOperatorObject(condition)) return matchOperators([item], condition, { value: item }, 'value');
+    if (isPlainObject(condition)) return isPlainObject(item) && matches(item, condition);
+    return condition instanceof RegExp ? typeof item === 'string' && condition.test(item) : valuesEqual(item, condition);
+}
+
+// Applies an update document in place. inserting: the document is being created by an upsert.
+function applyUpdate(doc, update, inserting = false) {
+    const keys = Object.keys(update);
+    if (keys.length > 0 && !keys.some(key => key.startsWith('$'))) {
+        for (const key of Object.keys(doc)) {
+            if (key !== '_id') delete doc[key];
+        }
+        Object.assign(doc, cloneValue(update), { _id: doc._id });
+        return;
+    }
+
+    for (const [op, fields] of Object.entries(update)) {
+        for (const [path, arg] of Object.entries(fields)) {
+            if (path.includes('$')) throw new Error(`Unsupported positional update ${path}`);
+            const current = getPath(doc, path);
+            switch (op) {
+                case '$set':
+                    setPath(doc, path, cloneValue(arg));
+                    break;
+                case '$setOnInsert':
+                    if (inserting) setPath(doc, path, cloneValue(arg));
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc':
+                    setPath(doc, path, (current || 0) + arg);
+                    break;
+                case '$mul':
+                    setPath(doc, path, (current || 0) * arg);
+                    break;
+                case '$min':
+                    if (current === undefined || compareValues(arg, current) < 0) setPath(doc, path, cloneValue(arg));
+                    break;
+                case '$max':
+                    if (current === undefined || compareValues(arg, current) > 0) setPath(doc, path, cloneValue(arg));
+                    break;
+                case '$push': {
+                    const list = Array.isArray(current) ? current : [];
+                    const each = isPlainObject(arg) && arg.$each ? arg.$each : [arg];
+                    const position = isPlainObject(arg) && arg.$position !== undefined ? arg.$position : list.length;
+                    list.splice(position, 0, ...each.map(cloneValue));
+                    if (isPlainObject(arg) && arg.$slice !== undefined) {
+                        list.splice(0, list.length, ...(arg.$slice < 0 ? list.slice(arg.$slice) : list.slice(0, arg.$slice)));
+                    }
+                    setPath(doc, path, list);
+                    break;
+                }
+                case '$addToSet': {
+                    const list = Array.isArray(current) ? current : [];
+                    const each = isPlainObject(arg) && arg.$each ? arg.$each : [arg];
+                    for (const item of each) {
+                        if (!list.some(existing => valuesEqual(existing, item))) list.push(cloneValue(item));
+                    }
+                    setPath(doc, path, list);
+                    break;
+                }
+                case '$pull':
+                    if (Array.isArray(current)) {
+                        setPath(doc, path, current.filter(item => !elementMatches(item, arg)));
+                    }
+                    break;
+                case '$pullAll':
+                    if (Array.isArray(current)) {
+                        setPath(doc, path, current.filter(item => !arg.some(value => valuesEqual(item, value))));
+                    }
+                    break;
+                default:
+                    throw new Error(`Unsupported update operator ${op}`);
+            }
+        }
+    }
+}
+
+// The document an upsert starts from: the filter's plain equality conditions
+function upsertBase(filter) {
+    const doc = {};
+    for (const [key, condition] of Object.entries(filter)) {
+        if (key.startsWith('$')) continue;
+        if (isOperatorObject(condition)) {
+            if ('$eq' in condition) setPath(doc, key, cloneValue(condition.$eq));
+        } else if (!(condition instanceof RegExp)) {
+            setPath(doc, key, cloneValue(condition));
+        }
+    }
+    return doc;
+}
+
+// Projections and sorting
+
+function pickPath(source, parts, target) {
+    const [head, ...rest] = parts;
+    if (!(head in source)) return;
+    if (rest.length === 0) {
+        target[head] = cloneValue(source[head]);
+    } else if (Array.isArray(source[head])) {
+        const existing = Array.isArray(target[head]) ? target[head] : [];
+        target[head] = source[head].filter(isPlainObject).map((item, i) => {
+            const picked = existing[i] || {};
+            pickPath(item, rest, picked);
+            return picked;
+        });
+    } else if (isPlainObject(source[head])) {
+        target[head] = target[head] || {};
+        pickPath(source[head], rest, target[head]);
+    }
+}
+
+function unsetDeep(value, parts) {
+    if (Array.isArray(value)) {
+        value.forEach(item => unsetDeep(item, parts));
+    } else if (isPlainObject(value)) {
+        if (parts.length === 1) delete value[parts[0]];
+        else unsetDeep(value[parts[0]], parts.slice(1));
+    }
+}
+
+// find()-style projection: { a: 1, 'b.c': 1 } keeps only those fields, { a: 0 } drops them
+function project(doc, projection) {
+    const entries = Object.entries(projection || {});
+    if (entries.length === 0) return cloneValue(doc);
+    for (const [key, value] of entries) {
+        if (typeof value === 'object' && value !== null) throw new Error(`Unsupported projection of ${key}`);
+    }
+
+    const inclusive = entries.some(([key, value]) => key !== '_id' && value);
+    if (inclusive) {
+        const result = {};
+        if (projection._id !== 0 && projection._id !== false && '_id' in doc) result._id = doc._id;
+        for (const [key, value] of entries) {
+            if (key !== '_id' && value) pickPath(doc, key.split('.'), result);
+        }
+        return result;
+    }
+
+    const result = cloneValue(doc);
+    for (const [key] of entries) unsetDeep(result, key.split('.'));
+    return result;
+}
+
+// Sorts a copy of docs by a { field: 1 | -1 } specification; the original order breaks ties
+function sortDocuments(docs, spec) {
+    const keys = Object.entries(spec || {});
+    if (keys.length === 0) return [...docs];
+    return docs
+        .map((doc, index) => ({ doc, index }))
+        .sort((a, b) => {
+            for (const [path, direction] of keys) {
+                const order = isPlainObject(direction) && direction.$meta === 'textScore'
+                    ? (b.doc[TEXT_SCORE] || 0) - (a.doc[TEXT_SCORE] || 0)
+                    : compareValues(getPath(a.doc, path), getPath(b.doc, path)) * (direction < 0 ? -1 : 1);
+                if (order !== 0) return order;
+            }
+            return a.index - b.index;
+        })
+        .map(({ doc }) => doc);
+}
+
+// Aggregation expressions
+
+// '$a.b' on a document; through arrays of subdocuments it gives the array of values
+function fieldValue(doc, path) {
+    let value = doc;
+    for (const part of path.split('.')) {
+        if (Array.isArray(value)) {
+            value = value.filter(isPlainObject).map(item => item[part]).filter(item => item !== undefined);
+        } else if (isPlainObject(value)) {
+            value = value[part];
+        } else {
+            return undefined;
+        }
+    }
+    return value;
+}
+
+function truthy(value) {
+    return value !== undefined && value !== null && value !== false && value !== 0;
+}
+
+function isNullish(value) {
+    return value === null || value === undefined;
+}
+
+function arithmetic(values, combine) {
+    if (values.some(isNullish)) return null;
+    return values.reduce(combine);
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// $dateTrunc in UTC, with a bin size of one unit
+function truncateDate(date, { unit, binSize = 1, timezone = 'UTC', startOfWeek = 'sunday' }) {
+    if (isNullish(date)) return null;
+    if (binSize !== 1 || !['UTC', 'GMT', 'Etc/UTC'].includes(timezone)) {
+        throw new Error('$dateTrunc supports only binSize 1 in UTC');
+    }
+    const d = new Date(date);
+    switch (unit) {
+        case 'year':
+            return new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+        case 'quarter':
+            return new Date(Date.UTC(d.getUTCFullYear(), Math.floor(d.getUTCMonth() / 3) * 3, 1));
+        case 'month':
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+        case 'week': {
+            const day = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+            const back = (day.getUTCDay() - WEEKDAYS.indexOf(String(startOfWeek).toLowerCase()) + 7) % 7;
+            return new Date(day.getTime() - back * 24 * 60 * 60 * 1000);
+        }
+        case 'day':
+            return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+        case 'hour':
+            return new Date(Math.floor(d.getTime() / 3600000) * 3600000);
+        case 'minute':
+            return new Date(Math.floor(d.getTime() / 60000) * 60000);
+        case 'second':
+            return new Date(Math.floor(d.getTime() / 1000) * 1000);
+        default:
+            throw new Error(`Unsupported $dateTrunc unit ${unit}`);
+    }
+}
+
+function evaluate(expr, doc) {
+    if (typeof expr === 'string' && expr.startsWith('$$')) {
+        const [variable, ...rest] = expr.slice(2).split('.');
+        if (variable === 'ROOT' || variable === 'CURRENT') return rest.length ? fieldValue(doc, rest.join('.')) : doc;
+        if (variable === 'NOW') return new Date();
+        throw new Error(`Unsupported variable $$${variable}`);
+    }
+    if (typeof expr === 'string' && expr.startsWith('$')) return fieldValue(doc, expr.slice(1));
+    if (Array.isArray(expr)) return expr.map(item => evaluate(item, doc));
+    if (!isPlainObject(expr)) return expr;
+
+    const keys = Object.keys(expr);
+    if (keys.length !== 1 || !keys[0].startsWith('$')) {
+        return Object.fromEntries(keys.map(key => [key, evaluate(expr[key], doc)]));
+    }
+
+    const op = keys[0];
+    const arg = expr[op];
+    const args = () => [].concat(arg).map(item => evaluate(item, doc));
+    switch (op) {
+        case '$literal':
+            return arg;
+        case '$meta':
+            if (arg !== 'textScore') throw new Error(`Unsupported $meta ${arg}`);
+            return doc[TEXT_SCORE] || 0;
+        case '$cond': {
+            const [test, then, otherwise] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+            return truthy(evaluate(test, doc)) ? evaluate(then, doc) : evaluate(otherwise, doc);
+        }
+        case '$switch': {
+            const branch = arg.branches.find(({ case: test }) => truthy(evaluate(test, doc)));
+            if (branch) return evaluate(branch.then, doc);
+            if (!('default' in arg)) throw new Error('$switch found no matching branch and has no default');
+            return evaluate(arg.default, doc);
+        }
+        case '$ifNull': {
+            const values = args();
+            const found = values.slice(0, -1).find(value => !isNullish(value));
+            return found !== undefined ? found : values[values.length - 1];
+        }
+        case '$eq': case '$ne': case '$gt': case '$gte': case '$lt': case '$lte': case '$cmp': {
+            const [a, b] = args().map(value => (value === undefined ? null : value));
+            const order = compareValues(a, b);
+            return {
+                $eq: order === 0, $ne: order !== 0, $gt: order > 0, $gte: order >= 0,
+                $lt: order < 0, $lte: order <= 0, $cmp: Math.sign(order)
+            }[op];
+        }
+        case '$and':
+            return args().every(truthy);
+        case '$or':
+            return args().some(truthy);
+        case '$not':
+            return !truthy(args()[0]);
+        case '$add': {
+            const values = args();
+            if (values.some(isNullish)) return null;
+            const date = values.find(value => value instanceof Date);
+            const sum = values.reduce((total, value) => total + (value instanceof Date ? value.getTime() : value), 0);
+            return date ? new Date(sum) : sum;
+        }
+        case '$subtract': {
+            const [a, b] = args();
+            if (isNullish(a) || isNullish(b)) return null;
+            if (a instanceof Date && b instanceof Date) return a - b;
+            if (a instanceof Date) return new Date(a.getTime() - b);
+            return a - b;
+        }
+        case '$multiply':
+            return arithmetic(args(), (a, b) => a * b);
+        case '$divide':
+            return arithmetic(args(), (a, b) => {
+                if (b === 0) throw new Error('$divide by zero');
+                return a / b;
+            });
+        case '$mod':
+            return arithmetic(args(), (a, b) => a % b);
+        case '$abs':
+            return arithmetic(args(), Math.abs);
+        case '$round': {
+            const [value, places = 0] = args();
+            if (isNullish(value)) return null;
+            const factor = 10 ** places;
+            return Math.round(value * factor) / factor;
+        }
+        case '$size': {
+            const value = args()[0];
+            if (!Array.isArray(value)) throw new Error('$size needs an array');
+            return value.length;
+        }
+        case '$in': {
+            const [value, list] = args();
+            return list.some(item => valuesEqual(item, value));
+        }
+        case '$concat': {
+            const values = args();
+            return values.some(isNullish) ? null : values.join('');
+        }
+        case '$toString': {
+            const value = args()[0];
+            if (isNullish(value)) return null;
+            return value instanceof Date ? value.toISOString() : String(value);
+        }
+        case '$toLower':
+            return String(args()[0] ?? '').toLowerCase();
+        case '$toUpper':
+            return String(args()[0] ?? '').toUpperCase();
+        case '$min': case '$max': case '$sum': case '$avg': {
+            const values = args().flat().filter(value => !isNullish(value));
+            return accumulate(op, values);
+        }
+        case '$dateTrunc':
+            return truncateDate(evaluate(arg.date, doc), arg);
+        default:
+            throw new Error(`Unsupported expression operator ${op}`);
+    }
+}
+
+// $min, $max, $sum and $avg over values that are already known not to be missing
+function accumulate(op, values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    switch (op) {
+        case '$sum':
+            return numbers.reduce((total, value) => total + value, 0);
+        case '$avg':
+            return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+        case '$min':
+            return values.length > 0 ? values.reduce((a, b) => (compareValues(b, a) < 0 ? b : a)) : null;
+        case '$max':
+            return values.length > 0 ? values.reduce((a, b) => (compareValues(b, a) > 0 ? b : a)) : null;
+        default:
+            throw new Error(`Unsupported accumulator ${op}`);
+    }
+}
+
+// Aggregation stages
+
+function groupStage(docs, spec) {
+    const groups = new Map();
+    for (const doc of docs) {
+        const id = spec._id === undefined ? null : evaluate(spec._id, doc);
+        const key = JSON.stringify(id === undefined ? null : id);
+        if (!groups.has(key)) groups.set(key, { id: id === undefined ? null : id, docs: [] });
+        groups.get(key).docs.push(doc);
+    }
+
+    return [...groups.values()].map(({ id, docs: members }) => {
+        const row = { _id: cloneValue(id) };
+        for (const [field, accumulator] of Object.entries(spec)) {
+            if (field === '_id') continue;
+            const [op, expr] = Object.entries(accumulator)[0];
+            const values = members.map(doc => evaluate(expr, doc));
+            switch (op) {
+                case '$sum':
+                    row[field] = values.reduce((total, value) => total + (typeof value === 'number' ? value : 0), 0);
+                    break;
+                case '$avg': case '$min': case '$max':
+                    row[field] = accumulate(op, values.filter(value => !isNullish(value)));
+                    break;
+                case '$first':
+                    row[field] = values.length > 0 && values[0] !== undefined ? values[0] : null;
+                    break;
+                case '$last':
+                    row[field] = values.length > 0 && values[values.length - 1] !== undefined ? values[values.length - 1] : null;
+                    break;
+                case '$push':
+                    row[field] = values.filter(value => value !== undefined);
+                    break;
+                case '$addToSet':
+                    row[field] = values.filter((value, i) => value !== undefined
+                        && values.findIndex(other => valuesEqual(other, value)) === i);
+                    break;
+                case '$count':
+                    row[field] = members.length;
+                    break;
+                default:
+                    throw new Error(`Unsupported accumulator ${op}`);
+            }
+        }
+        return row;
+    });
+}
+
+// $project with computed fields; plain 0/1 projections behave like find()
+function projectStage(doc, spec) {
+    const entries = Object.entries(spec);
+    const computed = entries.filter(([, value]) => typeof value !== 'number' && typeof value !== 'boolean');
+    if (computed.length === 0) return project(doc, spec);
+
+    const result = {};
+    if (spec._id === undefined || truthy(spec._id)) {
+        if ('_id' in doc) result._id = doc._id;
+    }
+    for (const [key, value] of entries) {
+        if (key === '_id' && (value === 0 || value === false || value === 1 || value === true)) continue;
+        if (value === 1 || value === true) pickPath(doc, key.split('.'), result);
+        else if (value === 0 || value === false) throw new Error('$project cannot mix exclusions with computed fields');
+        else setPath(result, key, evaluate(value, doc));
+    }
+    if (doc[TEXT_SCORE] !== undefined) result[TEXT_SCORE] = doc[TEXT_SCORE];
+    return result;
+}
+
+function lookupStage(docs, spec, collection) {
+    if (!spec.localField || !spec.foreignField) {
+        throw new Error('$lookup supports only localField/foreignField');
+    }
+    const foreign = collection(spec.from);
+    return docs.map(doc => {
+        const locals = candidates(doc, spec.localField).map(value => (value === undefined ? null : value));
+        const joined = foreign.filter(other => locals.some(local => equalsAny(candidates(other, spec.foreignField), local)));
+        const result = { ...doc };
+        setPath(result, spec.as, joined.map(cloneValue));
+        return result;
+    });
+}
+
+function unwindStage(docs, spec) {
+    const { path, preserveNullAndEmptyArrays = false, includeArrayIndex } = typeof spec === 'string' ? { path: spec } : spec;
+    const field = path.slice(1);
+    const result = [];
+    for (const doc of docs) {
+        const value = getPath(doc, field);
+        if (Array.isArray(value) && value.length > 0) {
+            value.forEach((item, i) => {
+                const copy = { ...doc };
+                setPath(copy, field, item);
+                if (includeArrayIndex) copy[includeArrayIndex] = i;
+                result.push(copy);
+            });
+        } else if (!Array.isArray(value) && !isNullish(value)) {
+            const copy = { ...doc };
+            if (includeArrayIndex) copy[includeArrayIndex] = null;
+            result.push(copy);
+        } else if (preserveNullAndEmptyArrays) {
+            const copy = { ...doc };
+            if (Array.isArray(value)) delete copy[field];
+            if (includeArrayIndex) copy[includeArrayIndex] = null;
+            result.push(copy);
+        }
+    }
+    return result;
+}
+
+function sampleStage(docs, size) {
+    const shuffled = [...docs];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled.slice(0, size);
+}
+
+// Runs a pipeline over copies of docs. options: { textIndex, collection(name) -> documents for $lookup }
+function aggregate(docs, pipeline, options = {}) {
+    const matchOptions = { ...options, keepTextScore: true };
+    let current = docs.map(cloneValue);
+    pipeline.forEach((stage, index) => {
+        const [name, spec] = Object.entries(stage)[0];
+        switch (name) {
+            case '$match':
+                if (spec.$text && index !== 0) throw new Error('$text must be in the first $match stage');
+                current = current.filter(doc => matches(doc, spec, matchOptions));
+                break;
+            case '$addFields':
+            case '$set':
+                current = current.map(doc => {
+                    const result = { ...doc };
+                    for (const [key, expr] of Object.entries(spec)) {
+                        if (key.includes('.')) {
+                            const [head] = key.split('.');
+                            result[head] = isPlainObject(result[head]) ? { ...result[head] } : {};
+                        }
+                        setPath(result, key, evaluate(expr, doc));
+                    }
+                    return result;
+                });
+                break;
+            case '$project':
+                current = current.map(doc => projectStage(doc, spec));
+                break;
+            case '$unset':
+                current = current.map(doc => project(doc, Object.fromEntries([].concat(spec).map(key => [key, 0]))));
+                break;
+            case '$group':
+                current = groupStage(current, spec);
+                break;
+            case '$sort':
+                current = sortDocuments(current, spec);
+                break;
+            case '$skip':
+                current = current.slice(spec);
+                break;
+            case '$limit':
+                current = current.slice(0, spec);
+                break;
+            case '$count':
+                current = current.length > 0 ? [{ [spec]: current.length }] : [];
+                break;
+            case '$lookup':
+                current = lookupStage(current, spec, options.collection);
+                break;
+            case '$unwind':
+                current = unwindStage(current, spec);
+                break;
+            case '$sample':
+                current = sampleStage(current, spec.size);
+                break;
+            case '$replaceRoot':
+                current = current.map(doc => evaluate(spec.newRoot, doc));
+                break;
+            default:
+                throw new Error(`Unsupported aggregation stage ${name}`);
+        }
+    });
+    return current.map(doc => {
+        delete doc[TEXT_SCORE];
+        return doc;
+    });
+}
+
+function newId() {
+    return new ObjectId();
+}
+
+module.exports = {
+    TEXT_SCORE,
+    isPlainObject,
+    isOperatorObject,
+    cloneValue,
+    compareValues,
+    valuesEqual,
+    matches,
+    applyUpdate,
+    upsertBase,
+    project,
+    sortDocuments,
+    aggregate,
+    newId
+};
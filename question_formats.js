@@ -0,0 +1,274 @@
+// Question formats, answer checking and question input validation
+const { ESSAY_TASKS } = require('./writing_rubrics');
+const { SPEAKING_TASKS } = require('./speaking_rubrics');
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+// Answer shape per format:
+//   single-choice, data-sufficiency  option index            2
+//   multi-select                      option indices          [0, 2]
+//   sentence-equivalence              exactly two indices     [1, 4]
+//   text-completion                   one index per blank     [0, 2, 1]
+//   numeric-entry                     number or fraction      0.75, "3/4", "1,200"
+//   essay                             text, graded by rubric  (no correctAnswer, see writing_rubrics.js)
+//   speaking                          recording, by rubric    (no correctAnswer, see speaking_rubrics.js)
+const QUESTION_FORMATS = [
+    'single-choice',
+    'multi-select',
+    'numeric-entry',
+    'text-completion',
+    'sentence-equivalence',
+    'data-sufficiency',
+    'essay',
+    'speaking'
+];
+
+// Formats a person grades against a rubric; they never appear in auto-graded practice or tests
+const RUBRIC_FORMATS = ['essay', 'speaking'];
+
+// GMAT data sufficiency always uses the same five answer choices
+const DATA_SUFFICIENCY_OPTIONS = [
+    'Statement (1) ALONE is sufficient, but statement (2) alone is not sufficient.',
+    'Statement (2) ALONE is sufficient, but statement (1) alone is not sufficient.',
+    'BOTH statements TOGETHER are sufficient, but NEITHER statement ALONE is sufficient.',
+    'EACH statement ALONE is sufficient.',
+    'Statements (1) and (2) TOGETHER are NOT sufficient.'
+];
+
+const OPTION_SEPARATOR = '|'; // "compelling|persuasive|unconvincing", or answer letters "A|C"
+const BLANK_SEPARATOR = ';'; // text-completion blanks: "a|b|c;d|e|f"
+const DEFAULT_NUMERIC_TOLERANCE = 1e-9;
+
+// Parses 12, "12", "-1.5", "1,200" and fractions such as "3/4"; returns NaN otherwise
+function parseNumericAnswer(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return NaN;
+
+    const text = value.replace(/[,\s]/g, '');
+    const fraction = text.match(/^(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)$/);
+    if (fraction) {
+        const denominator = Number(fraction[2]);
+        return denominator === 0 ? NaN : Number(fraction[1]) / denominator;
+    }
+    return /^-?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+}
+
+function formatOf(question) {
+    return question.format || 'single-choice';
+}
+
+function choiceCount(question) {
+    return formatOf(question) === 'data-sufficiency'
+        ? DATA_SUFFICIENCY_OPTIONS.length
+        : (question.options || []).length;
+}
+
+function isIndexIn(value, count) {
+    return Number.isInteger(value) && value >= 0 && value < count;
+}
+
+function isIndexSet(value, count) {
+    return Array.isArray(value)
+        && value.every(index => isIndexIn(index, count))
+        && new Set(value).size === value.length;
+}
+
+// Whether an answer has the right shape for the question (not whether it is correct)
+function isValidAnswer(question, answer) {
+    const count = choiceCount(question);
+
+    switch (formatOf(question)) {
+        case 'multi-select':
+            return isIndexSet(answer, count) && answer.length > 0;
+        case 'sentence-equivalence':
+            return isIndexSet(answer, count) && answer.length === 2;
+        case 'text-completion':
+            return Array.isArray(answer)
+                && answer.length === question.blanks.length
+                && answer.every((index, blank) => isIndexIn(index, question.blanks[blank].options.length));
+        case 'numeric-entry':
+            return Number.isFinite(parseNumericAnswer(answer));
+        case 'essay':
+            return typeof answer === 'string' && answer.trim() !== '';
+        case 'speaking':
+            return false; // answered with an uploaded recording
+        default:
+            return isIndexIn(answer, count);
+    }
+}
+
+function sameIndexSet(a, b) {
+    return a.length === b.length && a.every(index => b.includes(index));
+}
+
+// Multi-answer formats are all-or-nothing, as on the GRE. Rubric formats are never auto-graded.
+function checkAnswer(question, answer) {
+    if (!isValidAnswer(question, answer) || RUBRIC_FORMATS.includes(formatOf(question))) return false;
+    const correct = question.correctAnswer;
+
+    switch (formatOf(question)) {
+        case 'multi-select':
+        case 'sentence-equivalence':
+            return sameIndexSet(answer, correct);
+        case 'text-completion':
+            return answer.every((index, blank) => index === correct[blank]);
+        case 'numeric-entry': {
+            const tolerance = question.tolerance || DEFAULT_NUMERIC_TOLERANCE;
+            return Math.abs(parseNumericAnswer(answer) - parseNumericAnswer(correct)) <= tolerance;
+        }
+        default:
+            return answer === correct;
+    }
+}
+
+// Letters as printed on the page (A, B, ...) or zero-based indices
+function parseChoice(value) {
+    if (typeof value === 'number') return value;
+
+    const text = String(value).trim();
+    if (/^[A-Za-z]$/.test(text)) return text.toUpperCase().charCodeAt(0) - 65;
+    return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+function parseChoiceList(value, separator = OPTION_SEPARATOR) {
+    if (Array.isArray(value)) return value.map(parseChoice);
+    if (typeof value === 'string') return value.split(separator).filter(v => v.trim() !== '').map(parseChoice);
+    return [];
+}
+
+function toList(value, separator) {
+    if (typeof value === 'string') return value.split(separator);
+    return Array.isArray(value) ? value : [];
+}
+
+// Accepts API payloads as well as spreadsheet rows where every cell is a string
+function normalizeQuestionInput(input) {
+    const errors = [];
+    const text = value => (value === undefined || value === null ? '' : String(value).trim());
+
+    const format = text(input.format) || 'single-choice';
+    const question = {
+        testType: text(input.testType),
+        section: text(input.section),
+        format,
+        question: text(input.question),
+        explanation: text(input.explanation),
+        difficulty: text(input.difficulty).toLowerCase() || 'medium',
+        options: toList(input.options, OPTION_SEPARATOR).map(text).filter(Boolean)
+    };
+    if (text(input.passageId)) question.passageId = text(input.passageId);
+    if (text(input.topic)) question.topic = text(input.topic);
+    if (text(input.essayTask)) question.essayTask = text(input.essayTask);
+    if (text(input.speakingTask)) question.speakingTask = text(input.speakingTask);
+
+    if (!question.testType) errors.push('testType is required');
+    if (!question.section) errors.push('section is required');
+    if (!question.question) errors.push('question is required');
+    if (question.passageId && !/^[a-f\d]{24}$/i.test(question.passageId)) {
+        errors.push('passageId must be a passage id');
+    }
+    if (!DIFFICULTY_LEVELS.includes(question.difficulty)) {
+        errors.push(`difficulty must be one of ${DIFFICULTY_LEVELS.join(', ')}`);
+    }
+    if (!QUESTION_FORMATS.includes(format)) {
+        errors.push(`format must be one of ${QUESTION_FORMATS.join(', ')}`);
+        return { errors, question };
+    }
+
+    switch (format) {
+        case 'multi-select':
+        case 'sentence-equivalence':
+            question.correctAnswer = parseChoiceList(input.correctAnswer);
+            break;
+        case 'text-completion':
+            question.options = [];
+            question.blanks = toList(input.blanks, BLANK_SEPARATOR).map(blank => {
+                const options = blank && blank.options !== undefined ? blank.options : blank;
+                return { options: toList(options, OPTION_SEPARATOR).map(text).filter(Boolean) };
+            });
+            question.correctAnswer = parseChoiceList(input.correctAnswer, BLANK_SEPARATOR);
+            break;
+        case 'numeric-entry':
+            question.options = [];
+            question.correctAnswer = typeof input.correctAnswer === 'number'
+                ? input.correctAnswer
+                : text(input.correctAnswer);
+            if (text(input.tolerance)) question.tolerance = Number(input.tolerance);
+            break;
+        case 'data-sufficiency':
+            question.options = [];
+            question.statements = toList(input.statements, OPTION_SEPARATOR).map(text).filter(Boolean);
+            question.correctAnswer = parseChoice(input.correctAnswer);
+            break;
+        case 'essay':
+        case 'speaking':
+            question.options = [];
+            break;
+        default:
+            question.correctAnswer = input.correctAnswer === undefined ? NaN : parseChoice(input.correctAnswer);
+    }
+
+    switch (format) {
+        case 'single-choice':
+        case 'multi-select':
+            if (question.options.length < 2) errors.push('at least two options are required');
+            break;
+        case 'sentence-equivalence':
+            if (question.options.length !== 6) errors.push('sentence equivalence needs exactly six options');
+            break;
+        case 'text-completion':
+            if (question.blanks.length < 1 || question.blanks.length > 3) {
+                errors.push('text completion needs one to three blanks');
+            } else if (question.blanks.some(blank => blank.options.length < 2)) {
+                errors.push('every blank needs at least two options');
+            }
+            break;
+        case 'data-sufficiency':
+            if (question.statements.length !== 2) errors.push('data sufficiency needs exactly two statements');
+            break;
+        case 'numeric-entry':
+            if (question.tolerance !== undefined && !(question.tolerance >= 0)) {
+                errors.push('tolerance must be a non-negative number');
+            }
+            break;
+        case 'essay': {
+            const task = ESSAY_TASKS[question.essayTask];
+            if (!task) {
+                errors.push(`essayTask must be one of ${Object.keys(ESSAY_TASKS).join(', ')}`);
+            } else if (task.testType !== question.testType) {
+                errors.push(`${question.essayTask} belongs to the ${task.testType}`);
+            }
+            break;
+        }
+        case 'speaking': {
+            const task = SPEAKING_TASKS[question.speakingTask];
+            if (!task) {
+                errors.push(`speakingTask must be one of ${Object.keys(SPEAKING_TASKS).join(', ')}`);
+            } else if (task.testType !== question.testType) {
+                errors.push(`${question.speakingTask} belongs to the ${task.testType}`);
+            }
+            break;
+        }
+    }
+
+    if (!RUBRIC_FORMATS.includes(format) && errors.length === 0 && !isValidAnswer(question, question.correctAnswer)) {
+        errors.push(format === 'numeric-entry'
+            ? 'correctAnswer must be a number or fraction'
+            : 'correctAnswer must point at the options');
+    }
+
+    return { errors, question };
+}
+
+module.exports = {
+    DIFFICULTY_LEVELS,
+    QUESTION_FORMATS,
+    RUBRIC_FORMATS,
+    DATA_SUFFICIENCY_OPTIONS,
+    OPTION_SEPARATOR,
+    BLANK_SEPARATOR,
+    parseNumericAnswer,
+    isValidAnswer,
+    checkAnswer,
+    normalizeQuestionInput
+};
@@ -0,0 +1,39 @@
+// Fixed-window rate limiting kept in process memory. Enough for a single server;
+// behind several instances each one counts on its own, so limits would need a shared store.
+
+// Middleware allowing `max` requests per `windowMs` for each key. `key(req)` picks what is
+// counted (an IP, a user id, ...); requests it returns no key for are not limited.
+function createRateLimiter({ windowMs, max, key, message = 'Too many requests, please try again later' }) {
+    const windows = new Map(); // key -> { count, resetAt }
+
+    // Drop finished windows so the map does not grow with every visitor
+    setInterval(() => {
+        const now = Date.now();
+        for (const [k, window] of windows) {
+            if (window.resetAt <= now) windows.delete(k);
+        }
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const k = key(req);
+        if (k == null) return next();
+
+        const now = Date.now();
+        let window = windows.get(k);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(k, window);
+        }
+        window.count++;
+
+        if (window.count > max) {
+            res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+            return res.status(429).json({ error: message });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
@@ -0,0 +1,142 @@
+// Print-ready HTML score reports for one test result; browsers save them as PDF from the print dialog
+
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+function formatScore(result) {
+    return result.scaledScore != null ? `${result.scaledScore} (${result.score}%)` : `${result.score}%`;
+}
+
+function formatSeconds(seconds) {
+    if (seconds == null) return '-';
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${String(Math.round(seconds % 60)).padStart(2, '0')}s` : `${Math.round(seconds)}s`;
+}
+
+// Positive changes get a plus sign, so "+4" reads as an improvement
+function formatChange(change) {
+    if (change == null) return '-';
+    const rounded = Math.round(change * 10) / 10;
+    return rounded > 0 ? `+${rounded}` : String(rounded);
+}
+
+function table(headings, rows) {
+    if (rows.length === 0) return '<p class="muted">Nothing to show.</p>';
+    return `<table>
+<thead><tr>${headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+function breakdownRows(groups) {
+    return groups.map(group => [
+        group.key,
+        `${group.correct}/${group.total}`,
+        `${group.accuracy}%`,
+        formatSeconds(group.averageTimeSeconds)
+    ]);
+}
+
+const STYLE = `
+body { font-family: Georgia, 'Times New Roman', serif; color: #222; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+h1 { margin-bottom: 0; }
+h2 { border-bottom: 1px solid #999; padding-bottom: 0.2rem; margin-top: 2rem; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.5rem; text-align: left; font-size: 0.9rem; }
+th { background: #f2f2f2; }
+.score { font-size: 2rem; font-weight: bold; }
+.muted { color: #666; }
+.print-hint { background: #fff8dc; padding: 0.5rem; border: 1px solid #e0d090; }
+@media print {
+    .print-hint { display: none; }
+    body { margin: 0; }
+    h2, table { page-break-inside: avoid; }
+}
+`;
+
+// report: {
+//     student: { name, email },
+//     result: TestResult,
+//     sections: [{ label, result }] - the sections of the attempt (two for a routed adaptive test),
+//     breakdown: { byDifficulty, byTopic } of [{ key, total, correct, accuracy, averageTimeSeconds }], or null,
+//     items: [{ number, topic, difficulty, correct, answered, timeSpent }], or null when unknown,
+//     previous: earlier results for the same test and section, newest first,
+//     generatedAt: Date
+// }
+function renderScoreReport({ student, result, sections, breakdown, items, previous, generatedAt }) {
+    const title = `${result.testType} ${result.section} score report`;
+    const sectionRows = sections.map(({ label, result: section }) => [
+        label,
+        formatScore(section),
+        `${section.correctAnswers}/${section.totalQuestions}`,
+        `${section.timeSpent} min`
+    ]);
+
+    const previousRows = previous.map(earlier => [
+        formatDate(earlier.date),
+        formatScore(earlier),
+        `${earlier.correctAnswers}/${earlier.totalQuestions}`,
+        earlier.scaledScore != null && result.scaledScore != null
+            ? formatChange(result.scaledScore - earlier.scaledScore)
+            : `${formatChange(result.score - earlier.score)}%`
+    ]);
+    const best = previous.reduce((top, earlier) => Math.max(top, earlier.score), -Infinity);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<p class="print-hint">Use your browser's Print command to print this report or save it as a PDF.</p>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">${escapeHtml(student.name)} (${escapeHtml(student.email)}) - taken ${formatDate(result.date)}, generated ${formatDate(generatedAt)}</p>
+
+<p class="score">${escapeHtml(formatScore(result))}</p>
+<p>${result.correctAnswers} of ${result.totalQuestions} correct in ${result.timeSpent} minutes.
+${previous.length === 0 ? 'This is your first attempt at this section.'
+        : result.score > best ? 'Your best result on this section so far.'
+            : `Change since your last attempt: ${escapeHtml(previousRows[0][3])}.`}</p>
+
+<h2>Sections</h2>
+${table(['Section', 'Score', 'Correct', 'Time'], sectionRows)}
+
+${breakdown ? `<h2>By difficulty</h2>
+${table(['Difficulty', 'Correct', 'Accuracy', 'Average time'], breakdownRows(breakdown.byDifficulty))}
+
+<h2>By topic</h2>
+${table(['Topic', 'Correct', 'Accuracy', 'Average time'], breakdownRows(breakdown.byTopic))}` : ''}
+
+${items ? `<h2>Questions</h2>
+${table(['#', 'Topic', 'Difficulty', 'Result', 'Time'], items.map(item => [
+        item.number,
+        item.topic || '-',
+        item.difficulty || '-',
+        !item.answered ? 'Not answered' : item.correct ? 'Correct' : 'Incorrect',
+        formatSeconds(item.timeSpent)
+    ]))}` : ''}
+
+<h2>Compared with earlier attempts</h2>
+${table(['Date', 'Score', 'Correct', 'Change since'], previousRows)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderScoreReport
+};
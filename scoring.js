@@ -0,0 +1,137 @@
+const path = require('path');
+
+// Official score scales per exam.
+// Section anchors map the fraction of correct answers (0-1) to the exam's scale;
+// scores between anchors are interpolated and rounded to the scale's step.
+const SCORE_SCALES = {
+    GRE: {
+        sections: ['Verbal', 'Quantitative'],
+        section: {
+            min: 130, max: 170, step: 1,
+            anchors: [[0, 130], [0.25, 140], [0.5, 150], [0.75, 160], [0.9, 166], [1, 170]]
+        },
+        total: { method: 'sum' } // 260-340
+    },
+    GMAT: {
+        sections: ['Quantitative', 'Verbal', 'Data Insights'],
+        section: {
+            min: 60, max: 90, step: 1,
+            anchors: [[0, 60], [0.3, 70], [0.6, 80], [0.85, 86], [1, 90]]
+        },
+        // Sum of the three sections (180-270) mapped onto the 205-805 total
+        total: { method: 'linear', from: [180, 270], to: [205, 805], step: 10 }
+    },
+    IELTS: {
+        sections: ['Listening', 'Reading', 'Writing', 'Speaking'],
+        section: {
+            min: 0, max: 9, step: 0.5,
+            anchors: [[0, 0], [0.1, 2.5], [0.25, 4], [0.4, 5], [0.575, 6], [0.75, 7], [0.875, 8], [0.975, 9], [1, 9]]
+        },
+        sectionOverrides: {
+            Reading: {
+                min: 0, max: 9, step: 0.5,
+                anchors: [[0, 0], [0.1, 2.5], [0.25, 4], [0.375, 5], [0.575, 6], [0.75, 7], [0.875, 8], [0.975, 9], [1, 9]]
+            }
+        },
+        total: { method: 'mean', step: 0.5 }
+    },
+    TOEFL: {
+        sections: ['Reading', 'Listening', 'Speaking', 'Writing'],
+        section: {
+            min: 0, max: 30, step: 1,
+            anchors: [[0, 0], [0.3, 10], [0.6, 20], [0.85, 26], [1, 30]]
+        },
+        total: { method: 'sum' } // 0-120
+    }
+};
+
+// Local overrides, e.g. SCORE_SCALES_PATH=./score-scales.json with { "GRE": { ... } }
+if (process.env.SCORE_SCALES_PATH) {
+    Object.assign(SCORE_SCALES, require(path.resolve(process.env.SCORE_SCALES_PATH)));
+}
+
+// Rounds half-way values up, so an IELTS mean of 6.25 becomes 6.5 as on the real test
+function roundToStep(value, step) {
+    return Number((Math.floor(value / step + 0.5) * step).toFixed(2));
+}
+
+function interpolate(anchors, x) {
+    for (let i = 1; i < anchors.length; i++) {
+        const [x0, y0] = anchors[i - 1];
+        const [x1, y1] = anchors[i];
+        if (x <= x1) {
+            return x1 === x0 ? y1 : y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+        }
+    }
+    return anchors[anchors.length - 1][1];
+}
+
+function getSectionScale(testType, section) {
+    const scale = SCORE_SCALES[testType];
+    if (!scale) return null;
+    return (scale.sectionOverrides && scale.sectionOverrides[section]) || scale.section;
+}
+
+// Scaled section score from a raw correct count, or null for exams without a scale
+function scaleSectionScore(testType, section, correctAnswers, totalQuestions) {
+    const scale = getSectionScale(testType, section);
+    if (!scale || !totalQuestions) return null;
+
+    const fraction = Math.min(Math.max(correctAnswers / totalQuestions, 0), 1);
+    const scaled = roundToStep(interpolate(scale.anchors, fraction), scale.step);
+    return Math.min(Math.max(scaled, scale.min), scale.max);
+}
+
+// Total score from scaled section scores ({ Verbal: 155, ... }); null until every section is present
+function scaleTotalScore(testType, sectionScores) {
+    const scale = SCORE_SCALES[testType];
+    if (!scale) return null;
+
+    const scores = scale.sections.map(section => sectionScores[section]);
+    if (scores.some(score => score === undefined || score === null)) return null;
+
+    const sum = scores.reduce((total, score) => total + score, 0);
+    const { method, step = 1 } = scale.total;
+
+    if (method === 'mean') {
+        return roundToStep(sum / scores.length, step);
+    }
+    if (method === 'linear') {
+        const [fromMin, fromMax] = scale.total.from;
+        const [toMin, toMax] = scale.total.to;
+        const value = toMin + ((sum - fromMin) / (fromMax - fromMin)) * (toMax - toMin);
+        return toMin + roundToStep(value - toMin, step);
+    }
+    return sum;
+}
+
+// Lowest and highest possible total, e.g. [260, 340] for the GRE
+function totalScoreRange(testType) {
+    const scale = SCORE_SCALES[testType];
+    if (!scale) return null;
+
+    const sectionRanges = scale.sections.map(section => {
+        const { min, max } = getSectionScale(testType, section);
+        return [min, max];
+    });
+
+    switch (scale.total.method) {
+        case 'linear':
+            return scale.total.to;
+        case 'mean':
+            return [
+                Math.min(...sectionRanges.map(([min]) => min)),
+                Math.max(...sectionRanges.map(([, max]) => max))
+            ];
+        default:
+            return sectionRanges.reduce(([lo, hi], [min, max]) => [lo + min, hi + max], [0, 0]);
+    }
+}
+
+module.exports = {
+    SCORE_SCALES,
+    getSectionScale,
+    scaleSectionScore,
+    scaleTotalScore,
+    totalScoreRange
+};
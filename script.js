@@ -1,5 +1,10 @@
+// Opens the study planner, or the app page on /#/study-plan when the planner is not loaded here
 function startPreparing() {
-  alert("Redirecting to preparation modules...");
+  if (typeof openStudyPlanner === "function") {
+    openStudyPlanner();
+  } else {
+    window.location.href = "/#/study-plan";
+  }
 }
 
 function toggleMenu() {
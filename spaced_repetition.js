@@ -0,0 +1,53 @@
+// SM-2 spaced repetition scheduling for the review queue
+// https://super-memory.com/english/ol/sm2.htm
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE_FACTOR = 1.3;
+const INITIAL_EASE_FACTOR = 2.5;
+
+// Recall quality on SM-2's 0-5 scale; below 3 counts as a lapse
+const REVIEW_QUALITY = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+// Returns the next scheduling state; item holds easeFactor, interval (days) and repetitions
+function scheduleReview(item, quality, now = new Date()) {
+    let { easeFactor = INITIAL_EASE_FACTOR, interval = 0, repetitions = 0, lapses = 0 } = item;
+
+    if (quality < 3) {
+        repetitions = 0;
+        interval = 1;
+        lapses += 1;
+    } else {
+        if (repetitions === 0) {
+            interval = 1;
+        } else if (repetitions === 1) {
+            interval = 6;
+        } else {
+            interval = Math.round(interval * easeFactor);
+        }
+        repetitions += 1;
+    }
+
+    easeFactor += 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+    easeFactor = Math.max(MIN_EASE_FACTOR, Math.round(easeFactor * 100) / 100);
+
+    return {
+        easeFactor,
+        interval,
+        repetitions,
+        lapses,
+        lastReviewedAt: now,
+        dueDate: new Date(now.getTime() + interval * DAY_MS)
+    };
+}
+
+module.exports = {
+    DAY_MS,
+    INITIAL_EASE_FACTOR,
+    REVIEW_QUALITY,
+    scheduleReview
+};
@@ -0,0 +1,53 @@
+// Speaking tasks: preparation and response timers, and the bands reviewers score against.
+// Scores combine with combineRubricScores/rubricResult from writing_rubrics.js.
+
+// Every task is scored on the same four criteria, on the exam's own band range
+const SPEAKING_CRITERIA = (max) => [
+    { key: 'fluency', label: 'Fluency', min: 0, max, step: 1 },
+    { key: 'pronunciation', label: 'Pronunciation', min: 0, max, step: 1 },
+    { key: 'grammar', label: 'Grammar', min: 0, max, step: 1 },
+    { key: 'coherence', label: 'Coherence', min: 0, max, step: 1 }
+];
+
+const IELTS_SPEAKING = { testType: 'IELTS', section: 'Speaking', scale: { min: 0, max: 9, step: 0.5 }, criteria: SPEAKING_CRITERIA(9) };
+// TOEFL raters use 0-4 per task; the section is reported on 0-30
+const TOEFL_SPEAKING = { testType: 'TOEFL', section: 'Speaking', scale: { min: 0, max: 4, step: 1 }, criteria: SPEAKING_CRITERIA(4), sectionMax: 30 };
+
+// Times in seconds
+const SPEAKING_TASKS = {
+    'IELTS Part 1': { ...IELTS_SPEAKING, prepSeconds: 0, responseSeconds: 45 },
+    'IELTS Part 2': { ...IELTS_SPEAKING, prepSeconds: 60, responseSeconds: 120 },
+    'IELTS Part 3': { ...IELTS_SPEAKING, prepSeconds: 0, responseSeconds: 90 },
+    'TOEFL Independent': { ...TOEFL_SPEAKING, prepSeconds: 15, responseSeconds: 45 },
+    'TOEFL Integrated': { ...TOEFL_SPEAKING, prepSeconds: 30, responseSeconds: 60 }
+};
+
+// Accepted recordings and how to recognise them from their first bytes,
+// so a file cannot pass as audio on its Content-Type header alone
+const AUDIO_TYPES = {
+    'audio/webm': { extension: 'webm', matches: head => head.readUInt32BE(0) === 0x1a45dfa3 },
+    'audio/ogg': { extension: 'ogg', matches: head => head.toString('latin1', 0, 4) === 'OggS' },
+    'audio/mp4': { extension: 'm4a', matches: head => head.toString('latin1', 4, 8) === 'ftyp' },
+    'audio/mpeg': {
+        extension: 'mp3',
+        matches: head => head.toString('latin1', 0, 3) === 'ID3' || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)
+    },
+    'audio/wav': {
+        extension: 'wav',
+        matches: head => head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE'
+    }
+};
+
+// The audio type of an upload, or null when the header and the bytes disagree
+function detectAudioType(contentType, data) {
+    const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const type = AUDIO_TYPES[mimeType];
+    if (!type || !Buffer.isBuffer(data) || data.length < 12) return null;
+    return type.matches(data) ? { mimeType, extension: type.extension } : null;
+}
+
+module.exports = {
+    SPEAKING_TASKS,
+    AUDIO_TYPES,
+    detectAudioType
+};
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const { MemoryDb } = require('./memory_db');
+const { MemoryRepository } = require('./memory_repository');
+
+// Where the API's data is kept. Routes never touch a database directly: each collection is behind
+// a repository, and the storage backend decides which kind. 'mongo' keeps the data on a MongoDB
+// server, 'memory' in the process (optionally saved to a JSON file), for demos and tests.
+//
+// A repository offers the subset of the Mongoose model API the routes use, with the same results:
+//   find(filter, select) and findOne(filter, select), chainable with sort, select, skip, limit
+//   and lean; findById, exists, countDocuments, distinct and aggregate;
+//   build(fields) for a new unsaved document, save(doc) to insert or update it, create and insertMany;
+//   updateOne, updateMany, findOneAndUpdate, findByIdAndUpdate (options new, upsert, sort);
+//   findOneAndDelete, findByIdAndDelete, deleteOne and deleteMany;
+//   collection, driver-style access to the stored documents for migrations.
+// Documents are Mongoose documents, but are saved and deleted through their repository.
+//
+// A backend is an object with repository(name, schema), an async connect() and an async disconnect().
+class MongoRepository {
+    constructor(model) {
+        this.model = model;
+        this.collection = model.collection;
+    }
+
+    find(filter, select) {
+        return this.model.find(filter, select);
+    }
+
+    findOne(filter, select) {
+        return this.model.findOne(filter, select);
+    }
+
+    findById(id, select) {
+        return this.model.findById(id, select);
+    }
+
+    exists(filter) {
+        return this.model.exists(filter);
+    }
+
+    countDocuments(filter) {
+        return this.model.countDocuments(filter);
+    }
+
+    distinct(field, filter) {
+        return this.model.distinct(field, filter);
+    }
+
+    aggregate(pipeline) {
+        return this.model.aggregate(pipeline);
+    }
+
+    build(fields) {
+        return new this.model(fields);
+    }
+
+    save(doc) {
+        return doc.save();
+    }
+
+    create(fields) {
+        return this.model.create(fields);
+    }
+
+    insertMany(list) {
+        return this.model.insertMany(list);
+    }
+
+    updateOne(filter, update, options) {
+        return this.model.updateOne(filter, update, options);
+    }
+
+    updateMany(filter, update, options) {
+        return this.model.updateMany(filter, update, options);
+    }
+
+    findOneAndUpdate(filter, update, options) {
+        return this.model.findOneAndUpdate(filter, update, options);
+    }
+
+    findByIdAndUpdate(id, update, options) {
+        return this.model.findByIdAndUpdate(id, update, options);
+    }
+
+    findOneAndDelete(filter, options) {
+        return this.model.findOneAndDelete(filter, options);
+    }
+
+    findByIdAndDelete(id, options) {
+        return this.model.findByIdAndDelete(id, options);
+    }
+
+    deleteOne(filter) {
+        return this.model.deleteOne(filter);
+    }
+
+    deleteMany(filter) {
+        return this.model.deleteMany(filter);
+    }
+}
+
+const backends = {
+    // Until connect() the models buffer queries, as Mongoose models waiting for their server do
+    mongo: ({ mongoUri }) => ({
+        repository: (name, schema) => new MongoRepository(mongoose.model(name, schema)),
+        connect: () => mongoose.connect(mongoUri, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true
+        }),
+        disconnect: () => mongoose.disconnect()
+    }),
+
+    // The models live on a connection that is never opened: they cast, validate and make documents,
+    // and the repositories keep the data in a MemoryDb. Its file is written shortly after changes.
+    memory: ({ dataFile }) => {
+        const connection = mongoose.createConnection();
+        const db = new MemoryDb({ file: dataFile });
+        return {
+            repository(name, schema) {
+                // A document saved around its repository fails at once instead of waiting for a server
+                const unbuffered = schema.clone().set('bufferCommands', false);
+                return new MemoryRepository(connection.model(name, unbuffered), db);
+            },
+            async connect() {},
+            async disconnect() {
+                await db.flush();
+            }
+        };
+    }
+};
+
+function registerBackend(name, factory) {
+    backends[name] = factory;
+}
+
+// options: { backend, mongoUri, dataFile }
+function createStorage(options) {
+    const factory = backends[options.backend];
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${options.backend}"`);
+    }
+    const backend = factory(options);
+    const repositories = {};
+    return {
+        ...backend,
+        backend: options.backend,
+        repositories,
+        repository(name, schema) {
+            repositories[name] = backend.repository(name, schema);
+            return repositories[name];
+        }
+    };
+}
+
+module.exports = {
+    registerBackend,
+    createStorage
+};
@@ -0,0 +1,114 @@
+// Week-by-week study plan generation, weighted towards the student's weak sections
+const { SCORE_SCALES, getSectionScale, totalScoreRange } = require('./scoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PLAN_WEEKS = 52;
+const MOCK_TEST_EVERY_WEEKS = 3;
+const REVIEW_SHARE = 0.1; // of each week's time, for the mistake review queue
+const BASELINE_GAP = 0.1; // every section keeps some practice even when on target
+const UNKNOWN_GAP = 0.5; // gap assumed for sections with no results yet
+const TASK_ROUNDING_MINUTES = 15;
+
+function roundMinutes(minutes) {
+    return Math.max(TASK_ROUNDING_MINUTES, Math.round(minutes / TASK_ROUNDING_MINUTES) * TASK_ROUNDING_MINUTES);
+}
+
+// Plans work in whole UTC days, matching the all-day dates in the calendar export
+function startOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+}
+
+// Share of study time per section: the further a section is below the target, the more time it gets.
+// sectionScores maps section name to the latest scaled score (missing when never practised).
+function sectionWeights(testType, targetScore, sectionScores) {
+    const scale = SCORE_SCALES[testType];
+    const [low, high] = totalScoreRange(testType);
+    const targetFraction = (targetScore - low) / (high - low);
+
+    const known = {};
+    for (const section of scale.sections) {
+        const score = sectionScores[section];
+        if (score === undefined || score === null) continue;
+
+        const { min, max } = getSectionScale(testType, section);
+        known[section] = Math.max(0, targetFraction - (score - min) / (max - min));
+    }
+
+    const knownGaps = Object.values(known);
+    const unknownGap = knownGaps.length > 0
+        ? knownGaps.reduce((sum, gap) => sum + gap, 0) / knownGaps.length
+        : UNKNOWN_GAP;
+
+    const gaps = scale.sections.map(section =>
+        (section in known ? known[section] : Math.max(unknownGap, BASELINE_GAP)) + BASELINE_GAP
+    );
+    const totalGap = gaps.reduce((sum, gap) => sum + gap, 0);
+
+    return Object.fromEntries(scale.sections.map((section, i) => [section, gaps[i] / totalGap]));
+}
+
+function weekTasks(testType, weights, minutes, { mockTest, examWeek }) {
+    const tasks = [];
+    let remaining = minutes;
+
+    if (mockTest) {
+        const mockMinutes = Math.min(remaining * 0.5, 180);
+        tasks.push({ kind: 'mock', title: `Full-length ${testType} mock test and review`, minutes: roundMinutes(mockMinutes) });
+        remaining -= mockMinutes;
+    }
+
+    const reviewMinutes = remaining * (examWeek ? 0.5 : REVIEW_SHARE);
+    tasks.push({ kind: 'review', title: 'Work through your mistake review queue', minutes: roundMinutes(reviewMinutes) });
+    remaining -= reviewMinutes;
+
+    const sections = Object.entries(weights).sort((a, b) => b[1] - a[1]);
+    for (const [section, weight] of sections) {
+        const sectionMinutes = remaining * weight;
+        if (sectionMinutes < TASK_ROUNDING_MINUTES / 2) continue;
+
+        tasks.push({
+            kind: 'practice',
+            section,
+            title: examWeek ? `Light ${section} refresher` : `${section} practice set`,
+            minutes: roundMinutes(sectionMinutes)
+        });
+    }
+
+    return tasks.map(task => ({ ...task, done: false }));
+}
+
+// Builds the weeks from `from` up to the exam. Exam week is halved and kept light.
+function buildWeeks({ testType, examDate, targetScore, weeklyHours, sectionScores, from = new Date(), firstWeekNumber = 1 }) {
+    const weights = sectionWeights(testType, targetScore, sectionScores);
+    const start = startOfDay(from);
+    const exam = startOfDay(examDate);
+    const weekCount = Math.min(Math.max(Math.ceil((exam - start) / (7 * DAY_MS)), 1), MAX_PLAN_WEEKS);
+    const [first, second] = Object.entries(weights).sort((a, b) => b[1] - a[1]);
+    const focus = second && first[1] - second[1] < 0.05 ? 'Balanced practice across sections' : `Focus on ${first[0]}`;
+
+    const weeks = [];
+    for (let i = 0; i < weekCount; i++) {
+        const weekNumber = firstWeekNumber + i;
+        const examWeek = i === weekCount - 1;
+        const minutes = weeklyHours * 60 * (examWeek ? 0.5 : 1);
+        const mockTest = !examWeek && (weekNumber % MOCK_TEST_EVERY_WEEKS === 0 || i === weekCount - 2);
+
+        weeks.push({
+            weekNumber,
+            startDate: new Date(start.getTime() + i * 7 * DAY_MS),
+            focus: examWeek ? 'Rest and light review before the exam' : focus,
+            tasks: weekTasks(testType, weights, minutes, { mockTest, examWeek })
+        });
+    }
+
+    return { weights, weeks };
+}
+
+module.exports = {
+    MAX_PLAN_WEEKS,
+    sectionWeights,
+    buildWeeks,
+    startOfDay
+};
@@ -0,0 +1,48 @@
+// Service worker: keeps the app shell available offline and serves downloaded practice packs.
+// Packs are written to PACK_CACHE by the page (see updated_frontend_js.js) and only removed there.
+const SHELL_CACHE = 'scholaro-shell-v1';
+const PACK_CACHE = 'scholaro-packs';
+const SHELL_FILES = ['/', '/index.html', '/style.css', '/script.js', '/updated_frontend_js.js'];
+
+self.addEventListener('install', event => {
+    // One missing file should not stop the others from being cached
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache =>
+        Promise.all(SHELL_FILES.map(file => cache.add(file).catch(() => {})))
+    ));
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys().then(keys => Promise.all(
+        keys.filter(key => key.startsWith('scholaro-shell-') && key !== SHELL_CACHE).map(key => caches.delete(key))
+    )));
+    self.clients.claim();
+});
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/offline-packs/')) {
+        event.respondWith(caches.open(PACK_CACHE)
+            .then(cache => cache.match(event.request))
+            .then(response => response || new Response('Pack not downloaded', { status: 404 })));
+        return;
+    }
+
+    // API responses are personal and change constantly, so they are never cached here
+    if (url.pathname.startsWith('/api/')) return;
+
+    // App shell: network first so updates arrive, the cached copy when offline
+    event.respondWith(fetch(event.request)
+        .then(response => {
+            if (response.ok && SHELL_FILES.includes(url.pathname)) {
+                const copy = response.clone();
+                caches.open(SHELL_CACHE).then(cache => cache.put(event.request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(event.request).then(cached =>
+            cached || (event.request.mode === 'navigate' ? caches.match('/') : Response.error())
+        )));
+});
@@ -0,0 +1,133 @@
+// Data exports, and account deletion: the grace period, then the hourly purge, run here on fake time
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scholaro-uploads-'));
+process.env.UPLOADS_DIR = uploadsDir;
+mock.timers.enable({ apis: ['setInterval'] });
+
+const mongoose = require('mongoose');
+const { startServer, createUser, repository } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let server;
+let request;
+let admin;
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+    admin = await createUser(request, { name: 'Admin', email: 'admin@example.com', role: 'admin' });
+});
+
+after(() => {
+    mock.timers.reset();
+    return server.close();
+});
+
+// Names and contents of the entries in a stored (uncompressed) ZIP
+function zipEntries(archive) {
+    const entries = new Map();
+    let offset = 0;
+    while (archive.readUInt32LE(offset) === 0x04034b50) {
+        const size = archive.readUInt32LE(offset + 18);
+        const nameLength = archive.readUInt16LE(offset + 26);
+        const name = archive.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength;
+        entries.set(name, archive.subarray(start, start + size));
+        offset = start + size;
+    }
+    return entries;
+}
+
+// Fires the hourly purge and waits for it to finish with the account
+async function runPurge(userId) {
+    mock.timers.tick(HOUR_MS);
+    for (let i = 0; i < 100 && await repository('User').exists({ _id: userId }); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+test('the export bundles the records with the recordings that are still on disk', async () => {
+    const student = await createUser(request, { name: 'Sam', email: 'sam@example.com' });
+    const recording = Buffer.from('OggS pretend recording');
+    const attempts = await repository('SpeakingAttempt').create(['kept.ogg', 'lost.ogg'].map(filename => ({
+        userId: student.user.id,
+        questionId: new mongoose.Types.ObjectId(),
+        task: 'IELTS Part 1',
+        testType: 'IELTS',
+        section: 'Speaking',
+        audio: { filename, mimeType: 'audio/ogg', size: recording.length }
+    })));
+    fs.mkdirSync(path.join(uploadsDir, 'speaking'), { recursive: true });
+    fs.writeFileSync(path.join(uploadsDir, 'speaking', 'kept.ogg'), recording);
+
+    const response = await request('GET', '/api/account/export', { token: student.token });
+    assert.strictEqual(response.status, 200);
+    const entries = zipEntries(response.body);
+    assert.deepStrictEqual([...entries.keys()], ['data.json', 'recordings/kept.ogg']);
+    assert.ok(entries.get('recordings/kept.ogg').equals(recording));
+
+    const data = JSON.parse(entries.get('data.json'));
+    assert.strictEqual(data.account.email, 'sam@example.com');
+    assert.strictEqual(data.account.password, undefined);
+    assert.deepStrictEqual(data.recordings.map(r => [String(r.attemptId), r.file]), [
+        [String(attempts[0]._id), 'recordings/kept.ogg'],
+        [String(attempts[1]._id), null]
+    ]);
+});
+
+test('a deletion waits out its grace period and can be cancelled until then', async () => {
+    const user = await createUser(request, { name: 'Wanda', email: 'wanda@example.com' });
+
+    const wrong = await request('POST', '/api/account/deletion', { token: user.token, body: { password: 'nope' } });
+    assert.strictEqual(wrong.status, 400);
+
+    const scheduled = await request('POST', '/api/account/deletion', { token: user.token, body: { password: 'correct-horse-1' } });
+    assert.strictEqual(scheduled.status, 200);
+    const days = (new Date(scheduled.body.scheduledFor) - Date.now()) / (24 * HOUR_MS);
+    assert.ok(days > 13.9 && days <= 14);
+
+    await runPurge(user.user.id);
+    assert.ok(await repository('User').exists({ _id: user.user.id }));
+
+    assert.strictEqual((await request('DELETE', '/api/account/deletion', { token: user.token })).status, 200);
+    assert.strictEqual((await request('DELETE', '/api/account/deletion', { token: user.token })).status, 404);
+});
+
+test('purging an instructor removes their cohorts and detaches the students\' assignment sessions', async () => {
+    const instructor = await createUser(request, { name: 'Ines', email: 'ines@example.com', role: 'instructor' });
+    const student = await createUser(request, { name: 'Stu', email: 'stu@example.com' });
+
+    await request('POST', '/api/admin/questions', {
+        token: admin.token,
+        body: { testType: 'GRE', section: 'Quantitative', question: 'What is 1 + 1?', options: ['2', '3'], correctAnswer: 'A' }
+    });
+    const { cohort } = (await request('POST', '/api/cohorts', { token: instructor.token, body: { name: 'Spring' } })).body;
+    await request('POST', '/api/cohorts/join', { token: student.token, body: { code: cohort.joinCode } });
+    const assigned = await request('POST', `/api/cohorts/${cohort._id}/assignments`, {
+        token: instructor.token,
+        body: { testType: 'GRE', section: 'Quantitative', dueDate: '2030-01-01' }
+    });
+    const [assignment] = assigned.body.cohort.assignments;
+    const started = await request('POST', '/api/test-sessions', { token: student.token, body: { assignmentId: assignment._id } });
+    assert.strictEqual(started.status, 201);
+
+    await request('POST', '/api/account/deletion', { token: instructor.token, body: { password: 'correct-horse-1' } });
+    await repository('User').updateOne({ _id: instructor.user.id }, { $set: { 'deletion.scheduledFor': new Date(Date.now() - 1000) } });
+    await runPurge(instructor.user.id);
+
+    assert.strictEqual(await repository('User').exists({ _id: instructor.user.id }), null);
+    assert.strictEqual(await repository('Cohort').exists({ _id: cohort._id }), null);
+    const session = await repository('TestSession').findById(started.body.session.id);
+    assert.strictEqual(session.assignmentId, undefined);
+    assert.strictEqual((await request('GET', `/api/test-sessions/${session._id}`, { token: student.token })).status, 200);
+
+    const audit = await request('GET', `/api/admin/audit-log?action=account-deleted&userId=${instructor.user.id}`, { token: admin.token });
+    assert.strictEqual(audit.body.entries[0].details.deleted.cohorts, 1);
+    assert.strictEqual(audit.body.entries[0].details.detachedSessions, 1);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { isValidTimeZone, localDay, computeStreak, earnedBadges, leaderboardWeek } = require('../achievements');
+
+test('days are counted in the student\'s timezone', () => {
+    assert.strictEqual(localDay('2026-03-10T02:30:00Z', 'UTC'), '2026-03-10');
+    assert.strictEqual(localDay('2026-03-10T02:30:00Z', 'America/New_York'), '2026-03-09');
+    assert.strictEqual(isValidTimeZone('Asia/Kolkata'), true);
+    assert.strictEqual(isValidTimeZone('Mars/Olympus'), false);
+});
+
+test('a streak stays current until a whole day is missed', () => {
+    const dates = ['2026-03-01T10:00:00Z', '2026-03-02T10:00:00Z', '2026-03-02T20:00:00Z', '2026-03-05T10:00:00Z',
+        '2026-03-06T10:00:00Z', '2026-03-07T10:00:00Z'];
+
+    assert.deepStrictEqual(computeStreak(dates, 'UTC', new Date('2026-03-07T22:00:00Z')),
+        { current: 3, longest: 3, studiedToday: true, lastStudyDay: '2026-03-07' });
+    assert.strictEqual(computeStreak(dates, 'UTC', new Date('2026-03-08T22:00:00Z')).current, 3);
+    assert.strictEqual(computeStreak(dates, 'UTC', new Date('2026-03-09T00:30:00Z')).current, 0);
+    assert.deepStrictEqual(computeStreak([], 'UTC'), { current: 0, longest: 0, studiedToday: false, lastStudyDay: null });
+});
+
+test('late-evening practice counts for that evening, not the next UTC day', () => {
+    // 23:30 in New York on the 1st and 2nd is already the 2nd and 3rd in UTC
+    const dates = ['2026-03-02T04:30:00Z', '2026-03-03T04:30:00Z'];
+    assert.strictEqual(computeStreak(dates, 'America/New_York', new Date('2026-03-03T12:00:00Z')).lastStudyDay, '2026-03-02');
+    assert.strictEqual(computeStreak(dates, 'Asia/Tokyo', new Date('2026-03-03T12:00:00Z')).longest, 2);
+});
+
+test('badges record when they were earned', () => {
+    const day = n => new Date(Date.UTC(2026, 0, n, 12));
+    const results = [
+        ...Array.from({ length: 7 }, (_, i) => ({ date: day(i + 1), totalQuestions: 10, correctAnswers: 6 })),
+        { date: day(8), totalQuestions: 20, correctAnswers: 20, sessionId: 'session' },
+        { date: day(20), totalQuestions: 3, correctAnswers: 3 },
+        { date: day(21), totalQuestions: 7, correctAnswers: 1 }
+    ];
+
+    const badges = Object.fromEntries(earnedBadges(results.reverse(), 'UTC').map(badge => [badge.key, badge.earnedAt]));
+    assert.deepStrictEqual(badges, {
+        'first-result': day(1),
+        'first-mock': day(8),
+        'perfect-section': day(8),
+        'hundred-questions': day(21),
+        'streak-7': day(7),
+        'streak-30': null
+    });
+    assert.ok(earnedBadges([], 'UTC').every(badge => badge.earned === false));
+});
+
+test('leaderboard weeks run Monday to Monday in UTC', () => {
+    const sunday = leaderboardWeek(new Date('2026-03-15T23:00:00Z'));
+    assert.strictEqual(sunday.start.toISOString(), '2026-03-09T00:00:00.000Z');
+    assert.strictEqual(sunday.end.toISOString(), '2026-03-16T00:00:00.000Z');
+    assert.strictEqual(leaderboardWeek(new Date('2026-03-16T00:00:00Z')).start.toISOString(), '2026-03-16T00:00:00.000Z');
+});
@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, repository } = require('./helpers');
+
+let server;
+let request;
+let student;
+let university;
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+    student = await createUser(request, { name: 'Sam', email: 'sam@example.com' });
+    university = await repository('University').create({
+        name: 'Northfield University',
+        country: 'USA',
+        tuitionFee: { amount: 40000, currency: 'USD' },
+        requirements: { gre: true }
+    });
+});
+
+after(() => server.close());
+
+const shortlist = body => request('POST', '/api/applications', {
+    token: student.token,
+    body: { universityId: university._id.toString(), ...body }
+});
+
+test('a program and intake can be on the shortlist once', async () => {
+    const first = await shortlist({ program: 'MSc Data Science', intakeTerm: 'Fall 2027' });
+    assert.strictEqual(first.status, 201);
+    assert.deepStrictEqual(first.body.application.checklist.map(entry => entry.item).slice(-1), ['GRE score report']);
+
+    const [again, parallel] = await Promise.all([
+        shortlist({ program: 'MSc Data Science', intakeTerm: 'Fall 2027' }),
+        shortlist({ program: 'MSc Statistics', intakeTerm: 'Fall 2027' })
+    ]);
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.body.code, 'CONFLICT');
+    assert.strictEqual(parallel.status, 201);
+
+    const renamed = await request('PUT', `/api/applications/${parallel.body.application._id}`, {
+        token: student.token,
+        body: { program: 'MSc Data Science' }
+    });
+    assert.strictEqual(renamed.status, 409);
+    assert.strictEqual((await request('GET', '/api/applications', { token: student.token })).body.length, 2);
+});
+
+test('deadlines export as an iCalendar file with the open checklist', async () => {
+    const created = await shortlist({ program: 'MBA', intakeTerm: 'Spring 2028', deadline: '2027-10-15' });
+    assert.strictEqual(created.status, 201);
+
+    const calendar = await request('GET', '/api/applications/deadlines.ics', { token: student.token });
+    assert.strictEqual(calendar.status, 200);
+    const unfolded = calendar.body.replace(/\r\n /g, '');
+    assert.strictEqual(unfolded.match(/BEGIN:VEVENT/g).length, 1);
+    assert.match(unfolded, /DTSTART;VALUE=DATE:20271015/);
+    assert.match(unfolded, /SUMMARY:Application deadline: Northfield University - MBA/);
+    assert.match(unfolded, /Still to do: Statement of purpose\\, Letters of recommendation/);
+});
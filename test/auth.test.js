@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, emailedToken, createUser } = require('./helpers');
+
+let server;
+let request;
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+});
+
+after(() => server.close());
+
+test('an account can log in only once its email is verified', async () => {
+    const email = 'ada@example.com';
+    const password = 'analytical-1';
+
+    const registered = await request('POST', '/api/register', { body: { name: 'Ada', email, password } });
+    assert.strictEqual(registered.status, 201);
+
+    const early = await request('POST', '/api/login', { body: { email, password } });
+    assert.strictEqual(early.status, 403);
+
+    const verified = await request('POST', '/api/verify-email', { body: { token: emailedToken(email, 'verify-email') } });
+    assert.strictEqual(verified.status, 200);
+
+    const login = await request('POST', '/api/login', { body: { email, password } });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.body.user.email, email);
+    assert.strictEqual(login.body.user.role, 'user');
+    assert.ok(login.body.token);
+    assert.ok(login.body.refreshToken);
+
+    const wrong = await request('POST', '/api/login', { body: { email, password: 'not-the-password' } });
+    assert.strictEqual(wrong.status, 400);
+});
+
+test('invalid registrations get one structured validation error', async () => {
+    const response = await request('POST', '/api/register', {
+        body: { name: 'Short', email: 'not-an-email', password: 'short' }
+    });
+
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.code, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(response.body.details.map(detail => detail.field), ['email', 'password']);
+});
+
+test('protected routes need a valid access token', async () => {
+    const { token } = await createUser(request, { name: 'Grace', email: 'grace@example.com' });
+
+    const anonymous = await request('GET', '/api/profile');
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.body.code, 'UNAUTHENTICATED');
+
+    const forged = await request('GET', '/api/profile', { token: `${token}x` });
+    assert.strictEqual(forged.status, 401);
+
+    const authenticated = await request('GET', '/api/profile', { token });
+    assert.strictEqual(authenticated.status, 200);
+});
+
+test('refresh tokens rotate, and replaying an old one ends the session', async () => {
+    const first = await createUser(request, { name: 'Linus', email: 'linus@example.com' });
+
+    const second = await request('POST', '/api/token/refresh', { body: { refreshToken: first.refreshToken } });
+    assert.strictEqual(second.status, 200);
+    assert.notStrictEqual(second.body.refreshToken, first.refreshToken);
+    assert.strictEqual((await request('GET', '/api/profile', { token: second.body.token })).status, 200);
+
+    const replayed = await request('POST', '/api/token/refresh', { body: { refreshToken: first.refreshToken } });
+    assert.strictEqual(replayed.status, 401);
+
+    const afterReplay = await request('POST', '/api/token/refresh', { body: { refreshToken: second.body.refreshToken } });
+    assert.strictEqual(afterReplay.status, 401);
+    assert.strictEqual((await request('GET', '/api/profile', { token: second.body.token })).status, 401);
+});
+
+test('logout revokes the access and refresh tokens of that session only', async () => {
+    const email = 'margaret@example.com';
+    const laptop = await createUser(request, { name: 'Margaret', email });
+    const phone = (await request('POST', '/api/login', { body: { email, password: 'correct-horse-1' } })).body;
+
+    const logout = await request('POST', '/api/logout', { token: laptop.token, body: {} });
+    assert.strictEqual(logout.status, 200);
+
+    assert.strictEqual((await request('GET', '/api/profile', { token: laptop.token })).status, 401);
+    assert.strictEqual((await request('POST', '/api/token/refresh', { body: { refreshToken: laptop.refreshToken } })).status, 401);
+    assert.strictEqual((await request('GET', '/api/profile', { token: phone.token })).status, 200);
+});
+
+test('changing a role ends the sessions issued under the old one', async () => {
+    const admin = await createUser(request, { name: 'Admin', email: 'admin@example.com', role: 'admin' });
+    const instructor = await createUser(request, { name: 'Ian', email: 'ian@example.com', role: 'instructor' });
+
+    assert.strictEqual((await request('GET', '/api/cohorts', { token: instructor.token })).status, 200);
+
+    const changed = await request('PUT', `/api/admin/users/${instructor.user.id}/role`, {
+        token: admin.token,
+        body: { role: 'user' }
+    });
+    assert.strictEqual(changed.status, 200);
+
+    assert.strictEqual((await request('GET', '/api/cohorts', { token: instructor.token })).status, 401);
+    assert.strictEqual((await request('POST', '/api/token/refresh', { body: { refreshToken: instructor.refreshToken } })).status, 401);
+
+    const relogin = await request('POST', '/api/login', { body: { email: 'ian@example.com', password: 'correct-horse-1' } });
+    assert.strictEqual(relogin.body.user.role, 'user');
+    assert.strictEqual((await request('GET', '/api/cohorts', { token: relogin.body.token })).status, 403);
+});
@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser } = require('./helpers');
+
+let server;
+let request;
+let instructor;
+let cohort;
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+
+    instructor = await createUser(request, { name: 'Ines', email: 'ines@example.com', role: 'instructor' });
+    const created = await request('POST', '/api/cohorts', { token: instructor.token, body: { name: 'Fall GRE' } });
+    assert.strictEqual(created.status, 201);
+    cohort = created.body.cohort;
+});
+
+after(() => server.close());
+
+test('a student joins once, even with parallel requests', async () => {
+    const student = await createUser(request, { name: 'Sam', email: 'sam@example.com' });
+
+    const joins = await Promise.all([1, 2, 3].map(() =>
+        request('POST', '/api/cohorts/join', { token: student.token, body: { code: ` ${cohort.joinCode.toLowerCase()} ` } })));
+    assert.deepStrictEqual(joins.map(join => join.status).sort(), [201, 409, 409]);
+
+    const detail = await request('GET', `/api/cohorts/${cohort._id}`, { token: instructor.token });
+    assert.deepStrictEqual(detail.body.members.map(member => member.email), ['sam@example.com']);
+
+    const mine = await request('GET', '/api/my-cohorts', { token: student.token });
+    assert.deepStrictEqual(mine.body.map(c => c.name), ['Fall GRE']);
+});
+
+test('guessing join codes is rate limited per account', async () => {
+    const guesser = await createUser(request, { name: 'Gus', email: 'gus@example.com' });
+
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+        statuses.push((await request('POST', '/api/cohorts/join', { token: guesser.token, body: { code: `WRONG${i}` } })).status);
+    }
+    assert.deepStrictEqual(statuses, [...Array(10).fill(404), 429]);
+
+    const blank = await request('POST', '/api/cohorts/join', { token: instructor.token, body: { code: '   ' } });
+    assert.strictEqual(blank.status, 400);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, parseCsvRecords, toCsv } = require('../csv');
+
+test('quoted cells keep commas, quotes and line breaks', () => {
+    const rows = parseCsv('a,"b, c","say ""hi""","two\nlines"\r\nd,,f,\n');
+    assert.deepStrictEqual(rows, [
+        ['a', 'b, c', 'say "hi"', 'two\nlines'],
+        ['d', '', 'f', '']
+    ]);
+});
+
+test('byte order marks, blank lines and a missing final newline are tolerated', () => {
+    assert.deepStrictEqual(parseCsv('\uFEFFx,y\r\n\r\n , \n1,2'), [['x', 'y'], ['1', '2']]);
+    assert.deepStrictEqual(parseCsv(''), []);
+});
+
+test('records are keyed by the trimmed header, with short rows padded', () => {
+    assert.deepStrictEqual(parseCsvRecords(' name ,score\nAda,3\nGrace\n'), [
+        { name: 'Ada', score: '3' },
+        { name: 'Grace', score: '' }
+    ]);
+    assert.deepStrictEqual(parseCsvRecords(''), []);
+});
+
+test('written CSV quotes only what needs it and reads back the same', () => {
+    const records = [
+        { question: 'Pick one, or two', answer: 0, note: null },
+        { question: 'He said "no"\nthen left', answer: 'A|C' }
+    ];
+    const csv = toCsv(['question', 'answer', 'note'], records);
+    assert.strictEqual(csv, 'question,answer,note\r\n"Pick one, or two",0,\r\n"He said ""no""\nthen left",A|C,\r\n');
+    assert.deepStrictEqual(parseCsvRecords(csv), [
+        { question: 'Pick one, or two', answer: '0', note: '' },
+        { question: 'He said "no"\nthen left', answer: 'A|C', note: '' }
+    ]);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseFeeText, normalizeFeeInput, exchangeRate, annualAmountIn } = require('../currency');
+
+test('free-text fees give an amount, currency and period', () => {
+    assert.deepStrictEqual(parseFeeText('$54,002/year'), { amount: 54002, currency: 'USD', period: 'year' });
+    assert.deepStrictEqual(parseFeeText('£28,370/year'), { amount: 28370, currency: 'GBP', period: 'year' });
+    assert.deepStrictEqual(parseFeeText('EUR 1,500 per semester'), { amount: 1500, currency: 'EUR', period: 'semester' });
+    assert.deepStrictEqual(parseFeeText('A$45,000.50 per annum'), { amount: 45000.5, currency: 'AUD', period: 'year' });
+    assert.deepStrictEqual(parseFeeText('NZ$3,000 a month'), { amount: 3000, currency: 'NZD', period: 'month' });
+    assert.deepStrictEqual(parseFeeText('¥800,000'), { amount: 800000, currency: 'JPY', period: 'year' });
+});
+
+test('fees without an amount or a known currency are not guessed', () => {
+    assert.strictEqual(parseFeeText('12,000 per year'), null);
+    assert.strictEqual(parseFeeText('XYZ 100'), null);
+    assert.strictEqual(parseFeeText('Free for residents'), null);
+    assert.strictEqual(parseFeeText(12000), null);
+});
+
+test('structured and text input are normalised, or explained', () => {
+    assert.deepStrictEqual(normalizeFeeInput({ amount: '1500', currency: 'eur', period: 'semester' }),
+        { fee: { amount: 1500, currency: 'EUR', period: 'semester' } });
+    assert.deepStrictEqual(normalizeFeeInput('C$30,000'), { fee: { amount: 30000, currency: 'CAD', period: 'year' } });
+
+    assert.deepStrictEqual(normalizeFeeInput('lots'), { error: 'Could not read an amount and currency from "lots"' });
+    assert.deepStrictEqual(normalizeFeeInput(null), { error: 'Fee must have an amount and a currency' });
+    assert.deepStrictEqual(normalizeFeeInput({ amount: -1, currency: 'USD' }), { error: 'Fee amount must be a non-negative number' });
+    assert.deepStrictEqual(normalizeFeeInput({ amount: 1, currency: 'XYZ' }), { error: 'Unsupported currency XYZ' });
+    assert.deepStrictEqual(normalizeFeeInput({ amount: 1, currency: 'USD', period: 'week' }),
+        { error: 'Fee period must be one of year, semester, term, month' });
+});
+
+test('yearly amounts are converted between currencies', () => {
+    assert.strictEqual(exchangeRate('USD', 'USD'), 1);
+    assert.strictEqual(exchangeRate('GBP', 'EUR'), 0.92 / 0.79);
+    assert.strictEqual(exchangeRate('USD', 'XYZ'), null);
+
+    assert.strictEqual(annualAmountIn({ amount: 10000, currency: 'USD' }, 'INR'), 830000);
+    assert.strictEqual(annualAmountIn({ amount: 1000, currency: 'EUR', period: 'semester' }, 'USD'), 2174);
+    assert.strictEqual(annualAmountIn({ amount: 500, currency: 'GBP', period: 'month' }, 'GBP'), 6000);
+    assert.strictEqual(annualAmountIn({ amount: 1, currency: 'XYZ' }, 'USD'), null);
+    assert.strictEqual(annualAmountIn(null, 'USD'), null);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser } = require('./helpers');
+
+let server;
+let request;
+let admin;
+let sam;
+let kim;
+let questionId;
+
+// Answers the question in a practice attempt; finishing it records the answer and opens the discussion
+async function answer(user) {
+    const attempt = await request('POST', '/api/practice-attempts', { token: user.token, body: { questionIds: [questionId] } });
+    assert.strictEqual(attempt.status, 201);
+    const checked = await request('POST', '/api/check-answer', {
+        token: user.token,
+        body: { attemptId: attempt.body.attempt.id, questionId, userAnswer: 1 }
+    });
+    assert.strictEqual(checked.status, 200);
+    const finished = await request('POST', `/api/practice-attempts/${attempt.body.attempt.id}/finish`, { token: user.token });
+    assert.strictEqual(finished.status, 200);
+}
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+
+    admin = await createUser(request, { name: 'Ada Admin', email: 'admin@example.com', role: 'admin' });
+    sam = await createUser(request, { name: 'Sam Lee', email: 'sam@example.com' });
+    kim = await createUser(request, { name: 'Kim Park', email: 'kim@example.com' });
+
+    const created = await request('POST', '/api/admin/questions', {
+        token: admin.token,
+        body: { testType: 'GRE', section: 'Verbal', question: 'Which is a synonym of terse?', options: ['wordy', 'brief'], correctAnswer: 'B' }
+    });
+    assert.strictEqual(created.status, 201);
+    questionId = created.body.question._id;
+});
+
+after(() => server.close());
+
+test('a thread opens to a student once they have answered the question', async () => {
+    const thread = `/api/questions/${questionId}/comments`;
+    assert.strictEqual((await request('GET', thread, { token: sam.token })).status, 403);
+    assert.strictEqual((await request('POST', thread, { token: sam.token, body: { text: 'Why B?' } })).status, 403);
+
+    await answer(sam);
+    await answer(kim);
+
+    const asked = await request('POST', thread, { token: sam.token, body: { text: '  Why B?  ' } });
+    assert.strictEqual(asked.status, 201);
+    assert.deepStrictEqual([asked.body.comment.text, asked.body.comment.author.name], ['Why B?', 'Sam']);
+
+    const reply = await request('POST', thread, { token: kim.token, body: { text: 'Terse means brief.', parentId: asked.body.comment.id } });
+    assert.strictEqual(reply.status, 201);
+    const nested = await request('POST', thread, { token: sam.token, body: { text: 'Thanks', parentId: reply.body.comment.id } });
+    assert.strictEqual(nested.status, 404, 'replies are one level deep');
+    assert.strictEqual((await request('POST', thread, { token: kim.token, body: { text: '   ' } })).status, 400);
+
+    const notYours = await request('DELETE', `${thread}/${asked.body.comment.id}`, { token: kim.token });
+    assert.strictEqual(notYours.status, 403);
+    assert.strictEqual((await request('DELETE', `${thread}/${asked.body.comment.id}`, { token: sam.token })).status, 200);
+
+    const { body } = await request('GET', thread, { token: kim.token });
+    assert.strictEqual(body.comments.length, 1);
+    const [deleted] = body.comments;
+    assert.deepStrictEqual([deleted.text, deleted.deleted, deleted.mine], [null, true, false]);
+    assert.deepStrictEqual(deleted.replies.map(r => [r.text, r.author.name, r.mine]), [['Terse means brief.', 'Kim', true]]);
+
+    assert.strictEqual((await request('GET', thread, { token: admin.token })).status, 200);
+});
+
+test('reports reach the moderation queue and their resolution reaches the reporter', async () => {
+    const report = (user, category) => request('POST', `/api/questions/${questionId}/reports`, {
+        token: user.token,
+        body: { category, note: 'B is not the only fit' }
+    });
+
+    const [first, again] = await Promise.all([report(sam, 'ambiguous'), report(sam, 'typo')]);
+    assert.deepStrictEqual([first.status, again.status].sort(), [201, 409]);
+    assert.strictEqual((await report(kim, 'wrong-answer')).status, 201);
+
+    const queue = await request('GET', '/api/admin/reports', { token: admin.token });
+    assert.strictEqual(queue.body.total, 2);
+    assert.strictEqual(queue.body.queue.length, 1);
+    const [group] = queue.body.queue;
+    assert.strictEqual(group.question._id, questionId);
+    assert.strictEqual(group.reports.length, 2);
+    assert.strictEqual(group.reports[0].reporter.email, 'sam@example.com');
+    assert.strictEqual((await request('GET', '/api/admin/reports', { token: sam.token })).status, 403);
+
+    const kimsReport = group.reports.find(r => r.reporter.email === 'kim@example.com');
+    const dismissed = await request('PUT', `/api/admin/reports/${kimsReport.id}`, {
+        token: admin.token,
+        body: { status: 'dismissed', resolution: 'B is the only synonym offered' }
+    });
+    assert.strictEqual(dismissed.status, 200);
+
+    // Correcting the question resolves the reports still open
+    const edited = await request('PUT', `/api/admin/questions/${questionId}`, {
+        token: admin.token,
+        body: { explanation: 'Terse means brief and to the point.', revisionNote: 'Explained the answer', resolveReports: true }
+    });
+    assert.strictEqual(edited.body.resolvedReports, 1);
+
+    const [samsReport] = (await request('GET', '/api/my-reports', { token: sam.token })).body;
+    assert.deepStrictEqual([samsReport.status, samsReport.resolution], ['resolved', 'Explained the answer']);
+    const [kimsOwn] = (await request('GET', '/api/my-reports', { token: kim.token })).body;
+    assert.deepStrictEqual([kimsOwn.status, kimsOwn.resolution], ['dismissed', 'B is the only synonym offered']);
+
+    assert.strictEqual((await request('GET', '/api/admin/reports', { token: admin.token })).body.total, 0);
+    assert.strictEqual((await report(sam, 'typo')).status, 201, 'a new report can follow a resolved one');
+});
@@ -0,0 +1,89 @@
+// Shared setup for the integration tests: the exported app on the memory backend, served on a
+// random port, with outgoing email captured instead of printed
+process.env.STORAGE_BACKEND = 'memory';
+delete process.env.STORAGE_FILE;
+process.env.MAIL_TRANSPORT = 'capture';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+delete process.env.ADMIN_EMAIL;
+
+const { registerTransport } = require('../mailer');
+
+const outbox = [];
+registerTransport('capture', () => ({
+    async send(message) {
+        outbox.push(message);
+    }
+}));
+
+const app = require('../nodejs_backend');
+
+// Starts the server; call the returned close() in an after() hook
+async function startServer() {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Resolves with { status, body }; body is the parsed JSON, the text of text responses, or a Buffer.
+    // A request body is sent as JSON, or as it is (text or a Buffer) when a contentType is given.
+    async function request(method, path, { body, token, contentType } = {}) {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = contentType || 'application/json';
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers,
+            body: body === undefined || contentType ? body : JSON.stringify(body)
+        });
+        const responseType = response.headers.get('content-type') || '';
+        if (responseType.includes('application/json')) {
+            return { status: response.status, body: JSON.parse(await response.text()) };
+        }
+        if (responseType.startsWith('text/')) {
+            return { status: response.status, body: await response.text() };
+        }
+        return { status: response.status, body: Buffer.from(await response.arrayBuffer()) };
+    }
+
+    return {
+        request,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// The app's repository for a model, for fixtures only
+function repository(name) {
+    const found = app.locals.storage.repositories[name];
+    if (!found) throw new Error(`No repository ${name}`);
+    return found;
+}
+
+// Token from the last link emailed to `email` for `purpose` ('verify-email' or 'reset-password')
+function emailedToken(email, purpose) {
+    const message = [...outbox].reverse().find(m => m.to === email && m.text.includes(`#${purpose}=`));
+    if (!message) throw new Error(`No ${purpose} email for ${email}`);
+    return message.text.match(new RegExp(`#${purpose}=([\\w-]+)`))[1];
+}
+
+// Registers, verifies and logs in an account; returns the login response ({ token, refreshToken, user })
+async function createUser(request, { name, email, password = 'correct-horse-1', role = 'user' }) {
+    const registered = await request('POST', '/api/register', { body: { name, email, password } });
+    if (registered.status !== 201) throw new Error(`Register failed: ${JSON.stringify(registered.body)}`);
+    await request('POST', '/api/verify-email', { body: { token: emailedToken(email, 'verify-email') } });
+    if (role !== 'user') {
+        await repository('User').updateOne({ email }, { $set: { role } });
+    }
+
+    const login = await request('POST', '/api/login', { body: { email, password } });
+    if (login.status !== 200) throw new Error(`Login failed: ${JSON.stringify(login.body)}`);
+    return login.body;
+}
+
+module.exports = {
+    outbox,
+    startServer,
+    repository,
+    emailedToken,
+    createUser
+};
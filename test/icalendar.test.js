@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { buildCalendar } = require('../icalendar');
+
+// Unfolded content lines, without the DTSTAMP that changes on every build
+function contentLines(calendar) {
+    return calendar.replace(/\r\n /g, '').split('\r\n').filter(line => line && !line.startsWith('DTSTAMP:'));
+}
+
+test('all-day and timed events, with an optional reminder', () => {
+    const calendar = buildCalendar({
+        name: 'Deadlines',
+        events: [
+            { uid: 'a@test', start: '2026-12-01T00:00:00Z', allDay: true, summary: 'Apply', reminderDays: 7 },
+            { uid: 'b@test', start: '2026-12-02T09:30:00Z', summary: 'Mock test', description: 'Full length' }
+        ]
+    });
+
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.deepStrictEqual(contentLines(calendar), [
+        'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Scholaro//Scholaro//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+        'X-WR-CALNAME:Deadlines',
+        'BEGIN:VEVENT', 'UID:a@test', 'DTSTART;VALUE=DATE:20261201', 'DTEND;VALUE=DATE:20261202', 'SUMMARY:Apply',
+        'BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Apply', 'TRIGGER:-P7D', 'END:VALARM', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:b@test', 'DTSTART:20261202T093000Z', 'DTEND:20261202T103000Z', 'SUMMARY:Mock test',
+        'DESCRIPTION:Full length', 'END:VEVENT',
+        'END:VCALENDAR'
+    ]);
+});
+
+test('text is escaped and long lines are folded at 75 octets', () => {
+    const summary = `Essay; draft, v2\\final\n${'é'.repeat(60)}`;
+    const calendar = buildCalendar({ name: 'Plan', events: [{ uid: 'c@test', start: '2026-01-01', allDay: true, summary }] });
+
+    for (const line of calendar.split('\r\n')) {
+        assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.ok(contentLines(calendar).includes(`SUMMARY:Essay\\; draft\\, v2\\\\final\\n${'é'.repeat(60)}`));
+});
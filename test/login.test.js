@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, emailedToken, createUser } = require('./helpers');
+
+let server;
+let request;
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+});
+
+after(() => server.close());
+
+const login = (email, password) => request('POST', '/api/login', { body: { email, password } });
+
+test('emails are matched whatever their case', async () => {
+    const registered = await request('POST', '/api/register', {
+        body: { name: 'Mixed', email: 'Mixed.Case@Example.com', password: 'correct-horse-1' }
+    });
+    assert.strictEqual(registered.status, 201);
+    await request('POST', '/api/verify-email', { body: { token: emailedToken('mixed.case@example.com', 'verify-email') } });
+
+    const lower = await login('mixed.case@example.com', 'correct-horse-1');
+    assert.strictEqual(lower.status, 200);
+    assert.strictEqual(lower.body.user.email, 'mixed.case@example.com');
+    assert.strictEqual((await login('MIXED.CASE@EXAMPLE.COM', 'correct-horse-1')).status, 200);
+
+    const again = await request('POST', '/api/register', {
+        body: { name: 'Again', email: 'mixed.case@EXAMPLE.com', password: 'correct-horse-1' }
+    });
+    assert.strictEqual(again.status, 400);
+});
+
+test('a lock is only revealed to someone who knows the password', async () => {
+    const email = 'locked@example.com';
+    await createUser(request, { name: 'Locked', email });
+
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await login(email, 'wrong-guess')).status, 400);
+    }
+
+    const lockedGuess = await login(email, 'wrong-guess');
+    const unknown = await login('nobody@example.com', 'wrong-guess');
+    assert.strictEqual(lockedGuess.status, 400);
+    assert.deepStrictEqual(lockedGuess.body, unknown.body);
+
+    const rightPassword = await login(email, 'correct-horse-1');
+    assert.strictEqual(rightPassword.status, 423);
+});
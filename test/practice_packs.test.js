@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser } = require('./helpers');
+
+let server;
+let request;
+let student;
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+
+    const admin = await createUser(request, { name: 'Admin', email: 'admin@example.com', role: 'admin' });
+    student = await createUser(request, { name: 'Sam', email: 'sam@example.com' });
+
+    // Option B is right for every question
+    for (let i = 0; i < 3; i++) {
+        const created = await request('POST', '/api/admin/questions', {
+            token: admin.token,
+            body: { testType: 'GRE', section: 'Verbal', question: `Synonym ${i}?`, options: ['no', 'yes'], correctAnswer: 'B' }
+        });
+        assert.strictEqual(created.status, 201);
+    }
+});
+
+after(() => server.close());
+
+async function downloadPack(token) {
+    const pack = await request('POST', '/api/practice-packs', { token, body: { testType: 'GRE', section: 'Verbal' } });
+    assert.strictEqual(pack.status, 201);
+    return pack.body;
+}
+
+test('a pack carries its answer keys for offline checking', async () => {
+    const pack = await downloadPack(student.token);
+    assert.strictEqual(pack.questions.length, 3);
+    assert.ok(pack.questions.every(question => question.answerKey.correctAnswer === 1));
+});
+
+test('a result re-sent with the same clientId is stored once', async () => {
+    const pack = await downloadPack(student.token);
+    const body = {
+        clientId: 'offline-attempt-1',
+        packId: pack.id,
+        answers: pack.questions.map((question, i) => ({ questionId: question._id, answer: i === 0 ? 0 : 1 })),
+        timeSpent: 4,
+        finishedAt: '2000-01-01T00:00:00Z'
+    };
+
+    const sent = await Promise.all([1, 2, 3].map(() => request('POST', '/api/test-results', { token: student.token, body })));
+    assert.deepStrictEqual(sent.map(r => r.status).sort(), [200, 200, 201]);
+    assert.deepStrictEqual(sent.map(r => r.body.duplicate).sort(), [false, true, true]);
+    assert.strictEqual(new Set(sent.map(r => r.body.result._id)).size, 1);
+
+    const { result } = sent.find(r => r.status === 201).body;
+    assert.deepStrictEqual([result.totalQuestions, result.correctAnswers, result.timeSpent], [3, 2, 4]);
+    assert.ok(new Date(result.date) >= new Date(pack.createdAt), 'dated no earlier than the download');
+
+    const later = await request('POST', '/api/test-results', { token: student.token, body });
+    assert.strictEqual(later.body.duplicate, true);
+
+    const results = await request('GET', '/api/test-results', { token: student.token });
+    assert.strictEqual(results.body.results.filter(r => r.clientId === 'offline-attempt-1').length, 1);
+});
+
+test('client ids are per student, and answers must come from the pack', async () => {
+    const other = await createUser(request, { name: 'Kim', email: 'kim@example.com' });
+    const pack = await downloadPack(other.token);
+    const answers = pack.questions.map(question => ({ questionId: question._id, answer: 1 }));
+
+    const own = await request('POST', '/api/test-results', {
+        token: other.token,
+        body: { clientId: 'offline-attempt-1', packId: pack.id, answers }
+    });
+    assert.strictEqual(own.status, 201);
+    assert.strictEqual(own.body.result.correctAnswers, 3);
+
+    const repeated = await request('POST', '/api/test-results', {
+        token: other.token,
+        body: { clientId: 'offline-attempt-2', packId: pack.id, answers: [answers[0], answers[0]] }
+    });
+    assert.strictEqual(repeated.status, 400);
+
+    const notMine = await request('POST', '/api/test-results', {
+        token: student.token,
+        body: { clientId: 'offline-attempt-3', packId: pack.id, answers }
+    });
+    assert.strictEqual(notMine.status, 404);
+});
@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser, repository } = require('./helpers');
+
+let server;
+let request;
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+});
+
+after(() => server.close());
+
+test('the best practice total comes from results held at one time, not each section\'s best', async () => {
+    const student = await createUser(request, { name: 'Sam', email: 'sam@example.com' });
+    const result = (section, scaledScore, date) => ({
+        userId: student.user.id, testType: 'GRE', section, scaledScore, date: new Date(date),
+        score: 0, totalQuestions: 10, correctAnswers: 0
+    });
+    await repository('TestResult').create([
+        result('Verbal', 170, '2026-01-05'),
+        result('Quantitative', 140, '2026-01-06'),
+        result('Verbal', 140, '2026-02-05'),
+        result('Quantitative', 165, '2026-02-06')
+    ]);
+
+    const profile = await request('GET', '/api/profile', { token: student.token });
+    assert.deepStrictEqual(profile.body.practiceScores, { GRE: 310 });
+
+    const stats = await request('GET', '/api/dashboard-stats', { token: student.token });
+    assert.strictEqual(stats.body.examScores.GRE.latestTotal, 305);
+    assert.strictEqual(stats.body.examScores.GRE.bestTotal, 310);
+    assert.strictEqual(stats.body.examScores.GRE.sections.Verbal.best, 170);
+});
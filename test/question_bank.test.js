@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser } = require('./helpers');
+
+let server;
+let request;
+let admin;
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+    admin = await createUser(request, { name: 'Admin', email: 'admin@example.com', role: 'admin' });
+});
+
+after(() => server.close());
+
+const SPREADSHEET = [
+    'testType,section,format,question,options,blanks,statements,correctAnswer,tolerance,explanation,topic,difficulty',
+    'GRE,Verbal,single-choice,"Pick the synonym of ""terse""",concise|verbose|vague,,,A,,"Terse, like concise, means brief",Vocabulary,easy',
+    'GRE,Verbal,multi-select,Which are primes?,2|4|5|9,,,A|C,,,Number theory,medium',
+    'GRE,Verbal,text-completion,The (i) ___ critic was (ii) ___,,harsh|kind;pleased|unmoved,,A;B,,,,hard',
+    'GRE,Quantitative,numeric-entry,What is 3/4 as a decimal?,,,,0.75,0.01,,,',
+    'GMAT,Quantitative,data-sufficiency,Is x > 0?,,,(1) x^2 = 4|(2) x^3 = 8,B,,,,medium'
+].join('\r\n');
+
+const exportCsv = () => request('GET', '/api/admin/questions/export?format=csv', { token: admin.token });
+const importCsv = csv => request('POST', '/api/admin/questions/import', { token: admin.token, body: csv, contentType: 'text/csv' });
+
+test('a CSV export re-imports into the same question bank', async () => {
+    const imported = await importCsv(SPREADSHEET);
+    assert.strictEqual(imported.status, 200);
+    assert.deepStrictEqual([imported.body.total, imported.body.imported, imported.body.errors], [5, 5, []]);
+
+    const exported = await exportCsv();
+    assert.strictEqual(exported.status, 200);
+    assert.match(exported.body, /^testType,section,format,question,options,blanks,statements,passageId,correctAnswer/);
+
+    const again = await importCsv(exported.body);
+    assert.strictEqual(again.body.imported, 0);
+    assert.deepStrictEqual(again.body.skipped.map(s => s.reason), Array(5).fill('duplicate question'));
+
+    const { body: bank } = await request('GET', '/api/admin/questions', { token: admin.token });
+    for (const question of bank.questions) {
+        assert.strictEqual((await request('DELETE', `/api/admin/questions/${question._id}`, { token: admin.token })).status, 200);
+    }
+
+    assert.strictEqual((await importCsv(exported.body)).body.imported, 5);
+    assert.strictEqual((await exportCsv()).body, exported.body);
+
+    const { body: json } = await request('GET', '/api/admin/questions/export?testType=GRE', { token: admin.token });
+    const byFormat = Object.fromEntries(json.map(q => [q.format, q]));
+    assert.strictEqual(byFormat['single-choice'].question, 'Pick the synonym of "terse"');
+    assert.strictEqual(byFormat['single-choice'].correctAnswer, 0);
+    assert.deepStrictEqual(byFormat['multi-select'].correctAnswer, [0, 2]);
+    assert.deepStrictEqual(byFormat['text-completion'].blanks, [['harsh', 'kind'], ['pleased', 'unmoved']]);
+    assert.deepStrictEqual(byFormat['text-completion'].correctAnswer, [0, 1]);
+    assert.strictEqual(byFormat['numeric-entry'].tolerance, 0.01);
+    assert.strictEqual(json.length, 4);
+});
+
+test('invalid rows are reported by number and the rest imported', async () => {
+    const csv = [
+        'testType,section,question,options,correctAnswer,difficulty',
+        'GRE,Verbal,Which word means happy?,glad|sad,A,easy',
+        'GRE,Verbal,,glad|sad,A,easy',
+        'GRE,Verbal,Only one option?,glad,A,easy',
+        'GRE,Verbal,Which word means sad?,glad|sad,C,extreme'
+    ].join('\n');
+
+    const response = await importCsv(csv);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.imported, 1);
+    assert.deepStrictEqual(response.body.errors, [
+        { row: 2, errors: ['question is required'] },
+        { row: 3, errors: ['at least two options are required'] },
+        { row: 4, errors: ['difficulty must be one of easy, medium, hard'] }
+    ]);
+
+    const nothing = await importCsv('testType,section,question\nGRE,,\n');
+    assert.strictEqual(nothing.status, 400);
+    assert.strictEqual(nothing.body.code, 'VALIDATION_FAILED');
+});
+
+test('the question bank is for admins only', async () => {
+    const student = await createUser(request, { name: 'Sam', email: 'sam@example.com' });
+    assert.strictEqual((await request('GET', '/api/admin/questions/export', { token: student.token })).status, 403);
+    const imported = await request('POST', '/api/admin/questions/import', {
+        token: student.token, body: SPREADSHEET, contentType: 'text/csv'
+    });
+    assert.strictEqual(imported.status, 403);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseNumericAnswer, isValidAnswer, checkAnswer, normalizeQuestionInput } = require('../question_formats');
+
+const blanks = (...lists) => lists.map(options => ({ options }));
+
+test('numeric answers accept integers, decimals, thousands separators and fractions', () => {
+    assert.strictEqual(parseNumericAnswer(12), 12);
+    assert.strictEqual(parseNumericAnswer(' -1.5 '), -1.5);
+    assert.strictEqual(parseNumericAnswer('1,200'), 1200);
+    assert.strictEqual(parseNumericAnswer('.5'), 0.5);
+    assert.strictEqual(parseNumericAnswer('3/4'), 0.75);
+    assert.ok(Number.isNaN(parseNumericAnswer('3/0')));
+    assert.ok(Number.isNaN(parseNumericAnswer('twelve')));
+    assert.ok(Number.isNaN(parseNumericAnswer(null)));
+});
+
+test('each format checks answers of its own shape', () => {
+    const single = { options: ['a', 'b', 'c'], correctAnswer: 1 };
+    assert.strictEqual(checkAnswer(single, 1), true);
+    assert.strictEqual(checkAnswer(single, 2), false);
+    assert.strictEqual(checkAnswer(single, '1'), false);
+
+    const multi = { format: 'multi-select', options: ['a', 'b', 'c', 'd'], correctAnswer: [0, 2] };
+    assert.strictEqual(checkAnswer(multi, [2, 0]), true);
+    assert.strictEqual(checkAnswer(multi, [0]), false, 'partly right is wrong');
+    assert.strictEqual(checkAnswer(multi, [0, 0, 2]), false);
+
+    const equivalence = { format: 'sentence-equivalence', options: ['a', 'b', 'c', 'd', 'e', 'f'], correctAnswer: [1, 4] };
+    assert.strictEqual(checkAnswer(equivalence, [4, 1]), true);
+    assert.strictEqual(isValidAnswer(equivalence, [1, 4, 5]), false);
+
+    const completion = { format: 'text-completion', blanks: blanks(['x', 'y'], ['p', 'q', 'r']), correctAnswer: [1, 2] };
+    assert.strictEqual(checkAnswer(completion, [1, 2]), true);
+    assert.strictEqual(checkAnswer(completion, [1, 1]), false);
+    assert.strictEqual(isValidAnswer(completion, [1, 3]), false);
+
+    const numeric = { format: 'numeric-entry', correctAnswer: '3/4', tolerance: 0.01 };
+    assert.strictEqual(checkAnswer(numeric, '0.755'), true);
+    assert.strictEqual(checkAnswer(numeric, 0.8), false);
+    assert.strictEqual(checkAnswer({ format: 'numeric-entry', correctAnswer: 1200 }, '1,200'), true);
+
+    const sufficiency = { format: 'data-sufficiency', correctAnswer: 4 };
+    assert.strictEqual(checkAnswer(sufficiency, 4), true);
+    assert.strictEqual(isValidAnswer(sufficiency, 5), false);
+});
+
+test('rubric formats are never auto-graded', () => {
+    assert.strictEqual(checkAnswer({ format: 'essay' }, 'A long essay'), false);
+    assert.strictEqual(isValidAnswer({ format: 'essay' }, 'A long essay'), true);
+    assert.strictEqual(isValidAnswer({ format: 'speaking' }, 'anything'), false);
+});
+
+test('spreadsheet rows are normalised: letters, separators and defaults', () => {
+    const { errors, question } = normalizeQuestionInput({
+        testType: ' GRE ', section: 'Verbal', format: 'text-completion', question: 'The ___ was ___',
+        blanks: 'harsh|kind;pleased| unmoved ', correctAnswer: 'a;B', difficulty: 'HARD'
+    });
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(question.testType, 'GRE');
+    assert.strictEqual(question.difficulty, 'hard');
+    assert.deepStrictEqual(question.blanks, blanks(['harsh', 'kind'], ['pleased', 'unmoved']));
+    assert.deepStrictEqual(question.correctAnswer, [0, 1]);
+
+    const defaults = normalizeQuestionInput({ testType: 'GRE', section: 'Verbal', question: 'Q?', options: ['a', 'b'], correctAnswer: 1 });
+    assert.deepStrictEqual(defaults.errors, []);
+    assert.strictEqual(defaults.question.format, 'single-choice');
+    assert.strictEqual(defaults.question.difficulty, 'medium');
+});
+
+test('invalid questions explain every problem', () => {
+    assert.deepStrictEqual(normalizeQuestionInput({}).errors, [
+        'testType is required', 'section is required', 'question is required', 'at least two options are required'
+    ]);
+    const base = { testType: 'GRE', section: 'Verbal', question: 'Q?' };
+    assert.deepStrictEqual(normalizeQuestionInput({ ...base, options: 'a|b', correctAnswer: 'C' }).errors,
+        ['correctAnswer must point at the options']);
+    assert.deepStrictEqual(normalizeQuestionInput({ ...base, format: 'sentence-equivalence', options: 'a|b', correctAnswer: 'A|B' }).errors,
+        ['sentence equivalence needs exactly six options']);
+    assert.deepStrictEqual(normalizeQuestionInput({ ...base, format: 'numeric-entry', correctAnswer: 'x', tolerance: '-1' }).errors,
+        ['tolerance must be a non-negative number']);
+    assert.deepStrictEqual(normalizeQuestionInput({ ...base, format: 'data-sufficiency', statements: 'one', correctAnswer: 'A' }).errors,
+        ['data sufficiency needs exactly two statements']);
+    assert.match(normalizeQuestionInput({ ...base, format: 'essay', essayTask: 'Bogus' }).errors.join(), /^essayTask must be one of /);
+    assert.deepStrictEqual(normalizeQuestionInput({ ...base, format: 'quiz' }).errors, [
+        'format must be one of single-choice, multi-select, numeric-entry, text-completion, sentence-equivalence, '
+            + 'data-sufficiency, essay, speaking'
+    ]);
+});
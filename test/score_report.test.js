@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { renderScoreReport } = require('../score_report');
+
+const result = (date, score, scaledScore, extra) => ({
+    testType: 'GRE', section: 'Verbal', date: new Date(date), score, scaledScore,
+    correctAnswers: Math.round(score / 10), totalQuestions: 10, timeSpent: 18, ...extra
+});
+
+// The text of the table rows that follow a heading
+function rows(html, heading) {
+    const section = html.split(`<h2>${heading}</h2>`)[1].split('</table>')[0];
+    return [...section.matchAll(/<tr>(.*?)<\/tr>/g)].slice(1)
+        .map(([, row]) => [...row.matchAll(/<td>(.*?)<\/td>/g)].map(([, cell]) => cell));
+}
+
+test('a report breaks the attempt down and compares it with earlier attempts', () => {
+    const latest = result('2026-04-10', 70, 158);
+    const html = renderScoreReport({
+        student: { name: 'Sam <Lee>', email: 'sam@example.com' },
+        result: latest,
+        sections: [{ label: 'Verbal', result: latest }],
+        breakdown: {
+            byDifficulty: [{ key: 'easy', total: 6, correct: 5, accuracy: 83, averageTimeSeconds: 75 }],
+            byTopic: [{ key: 'Vocabulary', total: 4, correct: 2, accuracy: 50, averageTimeSeconds: null }]
+        },
+        items: [
+            { number: 1, topic: 'Vocabulary', difficulty: 'easy', answered: true, correct: true, timeSpent: 42 },
+            { number: 2, answered: false, correct: false, timeSpent: null }
+        ],
+        previous: [result('2026-04-01', 80, 161), result('2026-03-20', 50, 150)],
+        generatedAt: new Date('2026-04-11')
+    });
+
+    assert.match(html, /<title>GRE Verbal score report<\/title>/);
+    assert.match(html, /Sam &lt;Lee&gt; \(sam@example.com\) - taken 2026-04-10, generated 2026-04-11/);
+    assert.match(html, /Change since your last attempt: -3\./);
+    assert.deepStrictEqual(rows(html, 'Sections'), [['Verbal', '158 (70%)', '7/10', '18 min']]);
+    assert.deepStrictEqual(rows(html, 'By difficulty'), [['easy', '5/6', '83%', '1m 15s']]);
+    assert.deepStrictEqual(rows(html, 'By topic'), [['Vocabulary', '2/4', '50%', '-']]);
+    assert.deepStrictEqual(rows(html, 'Questions'), [
+        ['1', 'Vocabulary', 'easy', 'Correct', '42s'],
+        ['2', '-', '-', 'Not answered', '-']
+    ]);
+    assert.deepStrictEqual(rows(html, 'Compared with earlier attempts'), [
+        ['2026-04-01', '161 (80%)', '8/10', '-3'],
+        ['2026-03-20', '150 (50%)', '5/10', '+8']
+    ]);
+});
+
+test('results without session detail still get a report', () => {
+    const essay = result('2026-04-10', 60, null, { section: 'Analytical Writing' });
+    const first = renderScoreReport({
+        student: { name: 'Sam', email: 'sam@example.com' },
+        result: essay,
+        sections: [{ label: essay.section, result: essay }],
+        breakdown: null,
+        items: null,
+        previous: [],
+        generatedAt: new Date('2026-04-10')
+    });
+    assert.match(first, /This is your first attempt at this section\./);
+    assert.doesNotMatch(first, /<h2>(By difficulty|Questions)<\/h2>/);
+    assert.match(first, /Nothing to show\./);
+
+    const better = renderScoreReport({
+        student: { name: 'Sam', email: 'sam@example.com' },
+        result: essay,
+        sections: [{ label: essay.section, result: essay }],
+        breakdown: null,
+        items: null,
+        previous: [result('2026-04-01', 40, null)],
+        generatedAt: new Date('2026-04-10')
+    });
+    assert.match(better, /Your best result on this section so far\./);
+    assert.deepStrictEqual(rows(better, 'Compared with earlier attempts')[0].slice(-1), ['+20%']);
+});
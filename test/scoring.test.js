@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getSectionScale, scaleSectionScore, scaleTotalScore, totalScoreRange } = require('../scoring');
+
+test('section scores follow the anchors and are interpolated between them', () => {
+    assert.strictEqual(scaleSectionScore('GRE', 'Verbal', 0, 20), 130);
+    assert.strictEqual(scaleSectionScore('GRE', 'Verbal', 10, 20), 150);
+    assert.strictEqual(scaleSectionScore('GRE', 'Verbal', 18, 20), 166);
+    assert.strictEqual(scaleSectionScore('GRE', 'Verbal', 19, 20), 168);
+    assert.strictEqual(scaleSectionScore('GRE', 'Verbal', 20, 20), 170);
+    assert.strictEqual(scaleSectionScore('TOEFL', 'Reading', 9, 30), 10);
+    assert.strictEqual(scaleSectionScore('IELTS', 'Listening', 30, 40), 7);
+});
+
+test('section scores stay on the scale and need a known exam and questions', () => {
+    assert.strictEqual(scaleSectionScore('GRE', 'Quantitative', 25, 20), 170);
+    assert.strictEqual(scaleSectionScore('GRE', 'Quantitative', 0, 0), null);
+    assert.strictEqual(scaleSectionScore('LSAT', 'Logic', 10, 20), null);
+});
+
+test('IELTS Reading has its own conversion table', () => {
+    assert.notStrictEqual(getSectionScale('IELTS', 'Reading'), getSectionScale('IELTS', 'Listening'));
+    assert.strictEqual(getSectionScale('IELTS', 'Writing'), getSectionScale('IELTS', 'Listening'));
+    assert.strictEqual(getSectionScale('SAT', 'Math'), null);
+});
+
+test('totals add, average or map the sections as each exam does', () => {
+    assert.strictEqual(scaleTotalScore('GRE', { Verbal: 155, Quantitative: 162 }), 317);
+    assert.strictEqual(scaleTotalScore('TOEFL', { Reading: 25, Listening: 24, Speaking: 22, Writing: 27 }), 98);
+    assert.strictEqual(scaleTotalScore('GMAT', { Quantitative: 80, Verbal: 80, 'Data Insights': 80 }), 605);
+    assert.strictEqual(scaleTotalScore('GMAT', { Quantitative: 90, Verbal: 90, 'Data Insights': 90 }), 805);
+});
+
+test('IELTS band averages round half-way values up to the next half band', () => {
+    assert.strictEqual(scaleTotalScore('IELTS', { Listening: 6, Reading: 6, Writing: 6.5, Speaking: 6.5 }), 6.5);
+    assert.strictEqual(scaleTotalScore('IELTS', { Listening: 6, Reading: 6, Writing: 6, Speaking: 6.5 }), 6);
+    assert.strictEqual(scaleTotalScore('IELTS', { Listening: 7, Reading: 7.5, Writing: 7, Speaking: 7 }), 7);
+});
+
+test('a total needs every section', () => {
+    assert.strictEqual(scaleTotalScore('GRE', { Verbal: 155 }), null);
+    assert.strictEqual(scaleTotalScore('GRE', { Verbal: 155, Quantitative: null }), null);
+    assert.strictEqual(scaleTotalScore('LSAT', { Logic: 160 }), null);
+});
+
+test('total ranges per exam', () => {
+    assert.deepStrictEqual(totalScoreRange('GRE'), [260, 340]);
+    assert.deepStrictEqual(totalScoreRange('GMAT'), [205, 805]);
+    assert.deepStrictEqual(totalScoreRange('IELTS'), [0, 9]);
+    assert.deepStrictEqual(totalScoreRange('TOEFL'), [0, 120]);
+    assert.strictEqual(totalScoreRange('LSAT'), null);
+});
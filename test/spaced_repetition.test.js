@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DAY_MS, INITIAL_EASE_FACTOR, REVIEW_QUALITY, scheduleReview } = require('../spaced_repetition');
+
+const now = new Date('2026-03-01T08:00:00Z');
+
+test('good recalls step through 1 and 6 days, then grow by the ease factor', () => {
+    const first = scheduleReview({}, REVIEW_QUALITY.good, now);
+    assert.deepStrictEqual(first, {
+        easeFactor: INITIAL_EASE_FACTOR, interval: 1, repetitions: 1, lapses: 0,
+        lastReviewedAt: now, dueDate: new Date(now.getTime() + DAY_MS)
+    });
+
+    const second = scheduleReview(first, REVIEW_QUALITY.good, now);
+    assert.strictEqual(second.interval, 6);
+
+    const third = scheduleReview(second, REVIEW_QUALITY.good, now);
+    assert.strictEqual(third.interval, 15);
+    assert.strictEqual(third.repetitions, 3);
+    assert.strictEqual(third.dueDate.toISOString(), '2026-03-16T08:00:00.000Z');
+});
+
+test('easy raises the ease factor and hard lowers it', () => {
+    assert.strictEqual(scheduleReview({}, REVIEW_QUALITY.easy, now).easeFactor, 2.6);
+    assert.strictEqual(scheduleReview({}, REVIEW_QUALITY.hard, now).easeFactor, 2.36);
+});
+
+test('a lapse starts the item over and counts it', () => {
+    const learned = { easeFactor: 2.5, interval: 15, repetitions: 3, lapses: 1 };
+    const lapsed = scheduleReview(learned, REVIEW_QUALITY.again, now);
+    assert.strictEqual(lapsed.interval, 1);
+    assert.strictEqual(lapsed.repetitions, 0);
+    assert.strictEqual(lapsed.lapses, 2);
+    assert.strictEqual(lapsed.easeFactor, 1.96);
+});
+
+test('the ease factor never drops below 1.3', () => {
+    assert.strictEqual(scheduleReview({ easeFactor: 1.4 }, REVIEW_QUALITY.again, now).easeFactor, 1.3);
+    assert.strictEqual(scheduleReview({ easeFactor: 1.3 }, 0, now).easeFactor, 1.3);
+});
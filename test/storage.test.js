@@ -0,0 +1,204 @@
+// The memory backend's repositories: the query, update and aggregation operators the routes rely on,
+// and documents read, changed and saved the way routes handle them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { createStorage } = require('../storage');
+
+const dataFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scholaro-storage-')), 'data.json');
+
+const itemSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true },
+    kind: String,
+    score: Number,
+    tags: [String],
+    stats: { views: { type: Number, default: 0 }, lastSeen: Date },
+    checks: [{ questionId: mongoose.Schema.Types.ObjectId, correct: Boolean }],
+    ownerId: mongoose.Schema.Types.ObjectId,
+    notes: { type: String, select: false }
+});
+const ownerSchema = new mongoose.Schema({ name: String });
+
+let storage;
+let Item;
+let Owner;
+let ada;
+
+before(async () => {
+    storage = createStorage({ backend: 'memory', dataFile });
+    Item = storage.repository('Item', itemSchema);
+    Owner = storage.repository('Owner', ownerSchema);
+    await storage.connect();
+
+    ada = await Owner.create({ name: 'Ada' });
+    const questionId = new mongoose.Types.ObjectId();
+    await Item.insertMany([
+        { name: 'alpha', kind: 'quiz', score: 10, tags: ['gre', 'verbal'], ownerId: ada._id,
+            checks: [{ questionId, correct: true }] },
+        { name: 'beta', kind: 'quiz', score: 25, tags: ['gre', 'quant'], ownerId: ada._id },
+        { name: 'gamma', kind: 'essay', score: 40, tags: ['ielts'] },
+        { name: 'delta', kind: 'essay', tags: [] }
+    ]);
+});
+
+after(() => storage.disconnect());
+
+const names = docs => docs.map(doc => doc.name).sort();
+
+test('comparison, set and existence operators', async () => {
+    assert.deepStrictEqual(names(await Item.find({ score: { $gte: 25 } })), ['beta', 'gamma']);
+    assert.deepStrictEqual(names(await Item.find({ score: { $gt: 5, $lt: 30 } })), ['alpha', 'beta']);
+    assert.deepStrictEqual(names(await Item.find({ kind: { $ne: 'quiz' } })), ['delta', 'gamma']);
+    assert.deepStrictEqual(names(await Item.find({ name: { $in: ['alpha', 'delta', 'omega'] } })), ['alpha', 'delta']);
+    assert.deepStrictEqual(names(await Item.find({ kind: { $nin: ['quiz'] } })), ['delta', 'gamma']);
+    assert.deepStrictEqual(names(await Item.find({ score: { $exists: false } })), ['delta']);
+    assert.deepStrictEqual(names(await Item.find({ ownerId: ada._id })), ['alpha', 'beta']);
+});
+
+test('array, regex and logical operators', async () => {
+    assert.deepStrictEqual(names(await Item.find({ tags: 'gre' })), ['alpha', 'beta']);
+    assert.deepStrictEqual(names(await Item.find({ tags: { $all: ['gre', 'quant'] } })), ['beta']);
+    assert.deepStrictEqual(names(await Item.find({ tags: { $size: 0 } })), ['delta']);
+    assert.deepStrictEqual(names(await Item.find({ checks: { $elemMatch: { correct: true } } })), ['alpha']);
+    assert.deepStrictEqual(names(await Item.find({ name: /^(al|ga)/ })), ['alpha', 'gamma']);
+    assert.deepStrictEqual(names(await Item.find({ name: { $regex: 'ETA', $options: 'i' } })), ['beta']);
+    assert.deepStrictEqual(names(await Item.find({ $or: [{ score: 10 }, { kind: 'essay', score: { $exists: true } }] })),
+        ['alpha', 'gamma']);
+    assert.deepStrictEqual(names(await Item.find({ $nor: [{ kind: 'quiz' }, { score: 40 }] })), ['delta']);
+    assert.deepStrictEqual(names(await Item.find({ score: { $not: { $gt: 20 } } })), ['alpha', 'delta']);
+});
+
+test('sorting, paging, projection and counting', async () => {
+    const page = await Item.find({ score: { $exists: true } }).sort({ score: -1 }).skip(1).limit(1).select('name');
+    assert.deepStrictEqual(page.map(doc => doc.name), ['beta']);
+    assert.strictEqual(page[0].score, undefined);
+
+    const [{ checks }] = await Item.find({ name: 'alpha' }).select('checks._id');
+    const stored = await Item.findOne({ name: 'alpha' }).lean();
+    assert.ok(checks[0]._id.equals(stored.checks[0]._id));
+    assert.strictEqual(checks[0].correct, undefined);
+
+    assert.strictEqual(await Item.countDocuments({ kind: 'quiz' }), 2);
+    assert.deepStrictEqual((await Item.distinct('kind')).sort(), ['essay', 'quiz']);
+});
+
+test('update operators', async () => {
+    await Item.updateOne({ name: 'delta' }, {
+        $set: { score: 5, 'stats.lastSeen': new Date('2026-01-02T00:00:00Z') },
+        $inc: { 'stats.views': 2 },
+        $push: { tags: { $each: ['toefl', 'gmat', 'ielts'], $slice: -2 } }
+    });
+    let delta = await Item.findOne({ name: 'delta' });
+    assert.strictEqual(delta.score, 5);
+    assert.strictEqual(delta.stats.views, 2);
+    assert.deepStrictEqual([...delta.tags], ['gmat', 'ielts']);
+    assert.strictEqual(delta.stats.lastSeen.toISOString(), '2026-01-02T00:00:00.000Z');
+
+    await Item.updateOne({ name: 'delta' }, { $addToSet: { tags: 'gmat' }, $max: { score: 3 }, $unset: { kind: 1 } });
+    await Item.updateOne({ name: 'delta' }, { $pull: { tags: 'ielts' }, $min: { score: 1 } });
+    delta = await Item.findOne({ name: 'delta' });
+    assert.deepStrictEqual([...delta.tags], ['gmat']);
+    assert.strictEqual(delta.score, 1);
+    assert.strictEqual(delta.kind, undefined);
+
+    const changed = await Item.updateMany({ kind: 'quiz' }, { $inc: { score: 1 } });
+    assert.strictEqual(changed.modifiedCount, 2);
+});
+
+test('conditional findOneAndUpdate only applies while the filter still matches', async () => {
+    const claim = () => Item.findOneAndUpdate(
+        { name: 'gamma', kind: 'essay' },
+        { $set: { kind: 'graded' } },
+        { new: true }
+    );
+    const [first, second] = await Promise.all([claim(), claim()]);
+    assert.strictEqual([first, second].filter(Boolean).length, 1);
+    assert.strictEqual((first || second).kind, 'graded');
+
+    const upserted = await Item.findOneAndUpdate(
+        { name: 'epsilon' },
+        { $setOnInsert: { kind: 'quiz' }, $set: { score: 7 } },
+        { upsert: true, new: true }
+    );
+    assert.deepStrictEqual([upserted.name, upserted.kind, upserted.score], ['epsilon', 'quiz', 7]);
+});
+
+test('documents save only what changed, and not around their repository', async () => {
+    const partial = await Item.findOne({ name: 'beta' }).select('score');
+    partial.score = 30;
+    await Item.save(partial);
+    const beta = await Item.findById(partial._id.toString());
+    assert.deepStrictEqual([beta.score, beta.kind, [...beta.tags]], [30, 'quiz', ['gre', 'quant']]);
+
+    const zeta = Item.build({ name: 'zeta', notes: 'kept out of reads' });
+    await Item.save(zeta);
+    zeta.checks.push({ questionId: new mongoose.Types.ObjectId(), correct: false });
+    await Item.save(zeta);
+    assert.strictEqual((await Item.findById(zeta._id)).notes, undefined);
+    const full = await Item.findById(zeta._id).select('+notes');
+    assert.strictEqual(full.notes, 'kept out of reads');
+    assert.ok(full.checks[0]._id.equals(zeta.checks[0]._id));
+
+    await assert.rejects(async () => zeta.save(), /initial connection/);
+    await Item.deleteOne({ _id: zeta._id });
+    full.kind = 'gone';
+    await assert.rejects(Item.save(full), mongoose.Error.DocumentNotFoundError);
+});
+
+test('updates are cast like Mongoose casts them', async () => {
+    await Item.updateOne({ name: 'alpha' }, { $push: { checks: { questionId: ada._id.toString(), correct: 'false' } } });
+    const { checks } = await Item.findOne({ name: 'alpha' });
+    assert.ok(checks[1]._id instanceof mongoose.Types.ObjectId);
+    assert.ok(checks[1].questionId.equals(ada._id));
+    assert.strictEqual(checks[1].correct, false);
+
+    await Item.updateOne({ name: 'alpha' }, { $pull: { checks: { questionId: ada._id.toString() } } });
+    assert.strictEqual((await Item.findOne({ name: 'alpha' })).checks.length, 1);
+    await assert.rejects(Item.updateOne({ name: 'alpha' }, { $set: { score: 'many' } }), mongoose.Error.CastError);
+});
+
+test('unique indexes reject duplicates', async () => {
+    await assert.rejects(Item.create({ name: 'alpha' }), error => error.code === 11000);
+});
+
+test('aggregation pipelines', async () => {
+    const byKind = await Item.aggregate([
+        { $match: { score: { $exists: true } } },
+        { $group: { _id: '$kind', total: { $sum: '$score' }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+    ]);
+    assert.deepStrictEqual(byKind, [
+        { _id: null, total: 1, count: 1 },
+        { _id: 'graded', total: 40, count: 1 },
+        { _id: 'quiz', total: 48, count: 3 }
+    ]);
+
+    const withOwners = await Item.aggregate([
+        { $match: { ownerId: { $exists: true } } },
+        { $lookup: { from: 'owners', localField: 'ownerId', foreignField: '_id', as: 'owner' } },
+        { $unwind: '$owner' },
+        { $unwind: '$tags' },
+        { $project: { _id: 0, name: 1, tag: '$tags', owner: '$owner.name' } },
+        { $sort: { name: 1, tag: 1 } }
+    ]);
+    assert.deepStrictEqual(withOwners, [
+        { name: 'alpha', tag: 'gre', owner: 'Ada' },
+        { name: 'alpha', tag: 'verbal', owner: 'Ada' },
+        { name: 'beta', tag: 'gre', owner: 'Ada' },
+        { name: 'beta', tag: 'quant', owner: 'Ada' }
+    ]);
+});
+
+test('deletes, and data kept in the storage file across restarts', async () => {
+    assert.strictEqual((await Item.deleteOne({ name: 'epsilon' })).deletedCount, 1);
+    await storage.disconnect();
+
+    const reopened = createStorage({ backend: 'memory', dataFile });
+    const ReopenedItem = reopened.repository('Item', itemSchema);
+    await reopened.connect();
+    assert.deepStrictEqual(names(await ReopenedItem.find()), ['alpha', 'beta', 'delta', 'gamma']);
+    assert.strictEqual((await ReopenedItem.findOne({ name: 'gamma' })).kind, 'graded');
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MAX_PLAN_WEEKS, sectionWeights, buildWeeks, startOfDay } = require('../study_plan');
+
+const round = weights => Object.fromEntries(Object.entries(weights).map(([section, w]) => [section, Math.round(w * 100) / 100]));
+
+test('sections further below the target get more of the time', () => {
+    // GRE 320 is 75% of the way up the scale: Verbal 150 is 25 points short of that, Quantitative 165 is above it
+    assert.deepStrictEqual(round(sectionWeights('GRE', 320, { Verbal: 150, Quantitative: 165 })), { Verbal: 0.78, Quantitative: 0.22 });
+    assert.deepStrictEqual(round(sectionWeights('GRE', 320, {})), { Verbal: 0.5, Quantitative: 0.5 });
+});
+
+test('sections never practised are weighted like the average known gap', () => {
+    const weights = sectionWeights('IELTS', 7, { Listening: 5, Reading: 7 });
+    assert.ok(weights.Listening > weights.Writing);
+    assert.ok(weights.Writing > weights.Reading);
+    assert.strictEqual(weights.Writing, weights.Speaking);
+    assert.strictEqual(Math.round(Object.values(weights).reduce((sum, w) => sum + w, 0) * 1e9), 1e9);
+});
+
+test('weeks run up to the exam, with regular mock tests and a light exam week', () => {
+    const { weeks } = buildWeeks({
+        testType: 'GRE',
+        examDate: '2026-04-13T15:00:00Z',
+        targetScore: 320,
+        weeklyHours: 10,
+        sectionScores: { Verbal: 150, Quantitative: 165 },
+        from: new Date('2026-03-02T18:00:00Z')
+    });
+
+    assert.deepStrictEqual(weeks.map(w => w.weekNumber), [1, 2, 3, 4, 5, 6]);
+    assert.strictEqual(weeks[1].startDate.toISOString(), '2026-03-09T00:00:00.000Z');
+    assert.deepStrictEqual(weeks.map(w => w.tasks.some(task => task.kind === 'mock')), [false, false, true, false, true, false]);
+
+    assert.strictEqual(weeks[0].focus, 'Focus on Verbal');
+    assert.deepStrictEqual(weeks[0].tasks.map(({ kind, section, minutes }) => [kind, section, minutes]), [
+        ['review', undefined, 60], ['practice', 'Verbal', 420], ['practice', 'Quantitative', 120]
+    ]);
+
+    const examWeek = weeks[5];
+    assert.strictEqual(examWeek.focus, 'Rest and light review before the exam');
+    assert.deepStrictEqual(examWeek.tasks.map(({ title, minutes }) => [title, minutes]), [
+        ['Work through your mistake review queue', 150], ['Light Verbal refresher', 120], ['Light Quantitative refresher', 30]
+    ]);
+    assert.ok(weeks.every(week => week.tasks.every(task => task.done === false)));
+});
+
+test('plans have at least one week and at most a year', () => {
+    const plan = options => buildWeeks({ testType: 'TOEFL', targetScore: 100, weeklyHours: 5, sectionScores: {}, ...options });
+
+    assert.strictEqual(plan({ examDate: '2026-01-01', from: new Date('2026-02-01') }).weeks.length, 1);
+    assert.strictEqual(plan({ examDate: '2030-01-01', from: new Date('2026-02-01') }).weeks.length, MAX_PLAN_WEEKS);
+    assert.strictEqual(plan({ examDate: '2026-03-01', from: new Date('2026-02-01'), firstWeekNumber: 4 }).weeks[0].weekNumber, 4);
+});
+
+test('days start at UTC midnight', () => {
+    assert.strictEqual(startOfDay('2026-05-17T23:59:59+02:00').toISOString(), '2026-05-17T00:00:00.000Z');
+});
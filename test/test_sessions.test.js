@@ -0,0 +1,210 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, createUser } = require('./helpers');
+
+const QUESTION_COUNT = 6;
+
+let server;
+let request;
+let admin;
+let student;
+const explanations = new Map(); // question text -> explanation
+
+before(async () => {
+    server = await startServer();
+    request = server.request;
+
+    admin = await createUser(request, { name: 'Admin', email: 'admin@example.com', role: 'admin' });
+    student = await createUser(request, { name: 'Sam', email: 'sam@example.com' });
+
+    // Option A is right for every question, so answering 0 scores and 1 misses
+    for (let i = 0; i < QUESTION_COUNT; i++) {
+        explanations.set(`What is ${i} + ${i}?`, `${i} + ${i} = ${i * 2}`);
+        const created = await request('POST', '/api/admin/questions', {
+            token: admin.token,
+            body: {
+                testType: 'GRE',
+                section: 'Quantitative',
+                question: `What is ${i} + ${i}?`,
+                options: [String(i * 2), String(i * 2 + 1), String(i * 2 + 2)],
+                correctAnswer: 'A',
+                explanation: explanations.get(`What is ${i} + ${i}?`),
+                topic: i % 2 ? 'Algebra' : 'Arithmetic',
+                difficulty: 'easy'
+            }
+        });
+        assert.strictEqual(created.status, 201);
+    }
+});
+
+after(() => server.close());
+
+async function startSession(token = student.token) {
+    const response = await request('POST', '/api/test-sessions', {
+        token,
+        body: { testType: 'GRE', section: 'Quantitative' }
+    });
+    assert.strictEqual(response.status, 201);
+    return response.body;
+}
+
+test('a session serves questions without their answer keys', async () => {
+    const { session, questions } = await startSession();
+
+    assert.strictEqual(session.status, 'active');
+    assert.strictEqual(questions.length, QUESTION_COUNT);
+    for (const question of questions) {
+        assert.strictEqual(question.correctAnswer, undefined);
+        assert.strictEqual(question.explanation, undefined);
+    }
+
+    const other = await createUser(request, { name: 'Other', email: 'other@example.com' });
+    assert.strictEqual((await request('GET', `/api/test-sessions/${session.id}`, { token: other.token })).status, 404);
+});
+
+test('finishing scores the session, once, and the review only reveals answered questions', async () => {
+    const { session, questions } = await startSession();
+    const [first, second] = questions;
+
+    const answers = [[first, 0], [second, 1]];
+    for (const [question, answer] of answers) {
+        const answered = await request('POST', `/api/test-sessions/${session.id}/answers`, {
+            token: student.token,
+            body: { questionId: question._id, answer }
+        });
+        assert.strictEqual(answered.status, 200);
+    }
+
+    const early = await request('GET', `/api/test-sessions/${session.id}/review`, { token: student.token });
+    assert.strictEqual(early.status, 409);
+
+    // Simultaneous finishes must agree on a single result
+    const finishes = await Promise.all([1, 2, 3].map(() =>
+        request('POST', `/api/test-sessions/${session.id}/finish`, { token: student.token })));
+    const resultIds = new Set(finishes.map(finish => {
+        assert.strictEqual(finish.status, 200);
+        return finish.body.result._id;
+    }));
+    assert.strictEqual(resultIds.size, 1);
+
+    const { result } = finishes[0].body;
+    assert.strictEqual(result.correctAnswers, 1);
+    assert.strictEqual(result.totalQuestions, QUESTION_COUNT);
+    assert.strictEqual(finishes[0].body.session.status, 'completed');
+
+    const results = await request('GET', '/api/test-results', { token: student.token });
+    assert.strictEqual(results.body.results.filter(r => r._id === result._id).length, 1);
+    assert.strictEqual(results.body.total, 1);
+
+    const late = await request('POST', `/api/test-sessions/${session.id}/answers`, {
+        token: student.token,
+        body: { questionId: questions[2]._id, answer: 0 }
+    });
+    assert.strictEqual(late.status, 409);
+
+    const review = await request('GET', `/api/test-sessions/${session.id}/review`, { token: student.token });
+    assert.strictEqual(review.status, 200);
+    const byId = new Map(review.body.items.map(item => [item.question._id, item]));
+
+    assert.deepStrictEqual(
+        [byId.get(first._id).correct, byId.get(first._id).correctAnswer, byId.get(first._id).explanation],
+        [true, 0, explanations.get(first.question)]
+    );
+    assert.strictEqual(byId.get(second._id).correct, false);
+    assert.strictEqual(byId.get(second._id).correctAnswer, 0);
+
+    const unanswered = review.body.items.filter(item => !item.answered);
+    assert.strictEqual(unanswered.length, QUESTION_COUNT - 2);
+    for (const item of unanswered) {
+        assert.strictEqual(item.correctAnswer, undefined);
+        assert.strictEqual(item.explanation, undefined);
+    }
+});
+
+test('practice attempts only reveal the keys of checked questions', async () => {
+    const { questions } = await startSession();
+    const [checked, skipped] = questions;
+
+    const started = await request('POST', '/api/practice-attempts', {
+        token: student.token,
+        body: { questionIds: [checked._id, skipped._id] }
+    });
+    assert.strictEqual(started.status, 201);
+    const attemptId = started.body.attempt.id;
+
+    const check = await request('POST', '/api/check-answer', {
+        token: student.token,
+        body: { attemptId, questionId: checked._id, userAnswer: 1 }
+    });
+    assert.strictEqual(check.status, 200);
+    assert.strictEqual(check.body.correct, false);
+    assert.strictEqual(check.body.correctAnswer, undefined);
+
+    const finished = await request('POST', `/api/practice-attempts/${attemptId}/finish`, { token: student.token });
+    assert.strictEqual(finished.status, 200);
+    const byId = new Map(finished.body.answers.map(answer => [answer.questionId, answer]));
+
+    assert.strictEqual(byId.get(checked._id).correctAnswer, 0);
+    assert.ok(byId.get(checked._id).explanation);
+    assert.deepStrictEqual(byId.get(skipped._id), { questionId: skipped._id, yourAnswer: null, correct: false });
+});
+
+test('a first section routes one second section only', async () => {
+    // Sections without their own configuration have 10 questions, so 12 leave two for the second section
+    for (let i = 0; i < 12; i++) {
+        const created = await request('POST', '/api/admin/questions', {
+            token: admin.token,
+            body: {
+                testType: 'GRE',
+                section: 'Analytical',
+                question: `Which option is first? (${i})`,
+                options: ['First', 'Second'],
+                correctAnswer: 'A',
+                difficulty: ['easy', 'medium', 'hard'][i % 3]
+            }
+        });
+        assert.strictEqual(created.status, 201);
+    }
+
+    const first = await request('POST', '/api/test-sessions', {
+        token: student.token,
+        body: { testType: 'GRE', section: 'Analytical', mode: 'section' }
+    });
+    assert.strictEqual(first.status, 201);
+    const previousSessionId = first.body.session.id;
+    assert.strictEqual((await request('POST', `/api/test-sessions/${previousSessionId}/finish`, { token: student.token })).status, 200);
+
+    const starts = await Promise.all([1, 2].map(() => request('POST', '/api/test-sessions', {
+        token: student.token,
+        body: { testType: 'GRE', section: 'Analytical', mode: 'section', previousSessionId }
+    })));
+    assert.deepStrictEqual(starts.map(start => start.status).sort(), [201, 409]);
+
+    const second = starts.find(start => start.status === 201).body;
+    assert.strictEqual(second.session.stage, 2);
+    assert.strictEqual(second.questions.length, 2);
+});
+
+test('a finished session has a printable score report compared with earlier attempts', async () => {
+    const { session, questions } = await startSession();
+    for (const question of questions) {
+        const answered = await request('POST', `/api/test-sessions/${session.id}/answers`, {
+            token: student.token,
+            body: { questionId: question._id, answer: 0 }
+        });
+        assert.strictEqual(answered.status, 200);
+    }
+    const { result } = (await request('POST', `/api/test-sessions/${session.id}/finish`, { token: student.token })).body;
+
+    const report = await request('GET', `/api/test-results/${result._id}/report?download=true`, { token: student.token });
+    assert.strictEqual(report.status, 200);
+    assert.match(report.body, /<title>GRE Quantitative score report<\/title>/);
+    assert.match(report.body, /6 of 6 correct/);
+    assert.match(report.body, /Your best result on this section so far\./);
+    const questionRows = report.body.split('<h2>Questions</h2>')[1].split('</table>')[0].match(/<tr>/g);
+    assert.strictEqual(questionRows.length, QUESTION_COUNT + 1);
+    assert.match(report.body.split('<h2>Compared with earlier attempts</h2>')[1], /1\/6/);
+
+    const other = await createUser(request, { name: 'Kim', email: 'kim@example.com' });
+    assert.strictEqual((await request('GET', `/api/test-results/${result._id}/report`, { token: other.token })).status, 404);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { OBJECT_ID, NON_BLANK, validate } = require('../validation');
+
+// Runs the middleware on a fake request; resolves with the request as the handler sees it, or the 400 body
+function run(spec, { params = {}, query = {}, body } = {}) {
+    const req = { params: { ...params }, query: { ...query }, body };
+    return new Promise(resolve => {
+        const res = {
+            status(code) {
+                this.code = code;
+                return this;
+            },
+            json: payload => resolve({ status: res.code, body: payload })
+        };
+        validate(spec)(req, res, () => resolve({ status: 200, req }));
+    });
+}
+
+const spec = {
+    params: { id: OBJECT_ID },
+    query: {
+        page: { type: 'integer', minimum: 1, default: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+        all: { type: 'boolean' },
+        country: { type: 'array', items: { type: 'string' } }
+    }
+};
+const id = '0123456789abcdef01234567';
+
+test('path and query values reach the handler typed, with defaults filled in', async () => {
+    const { status, req } = await run(spec, { params: { id }, query: { limit: '25', all: 'true', country: ['USA,UK', 'India'] } });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(req.params.id, id);
+    assert.deepStrictEqual(req.query, { page: 1, limit: 25, all: true, country: ['USA', 'UK', 'India'] });
+});
+
+test('out-of-range and malformed values are rejected instead of clamped', async () => {
+    const { status, body } = await run(spec, { params: { id: 'nope' }, query: { limit: '500' } });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(body.details, [
+        { in: 'path', field: 'id', message: 'must be a valid id' },
+        { in: 'query', field: 'limit', message: 'must be at most 50' }
+    ]);
+});
+
+test('blank text fails a non-blank pattern', async () => {
+    const textSpec = { body: { type: 'object', required: ['text'], properties: { text: { type: 'string', pattern: NON_BLANK } } } };
+
+    const blank = await run(textSpec, { body: { text: ' \n ' } });
+    assert.strictEqual(blank.status, 400);
+    assert.strictEqual(blank.body.error, 'text must not be blank');
+
+    assert.strictEqual((await run(textSpec, { body: { text: ' hi ' } })).status, 200);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { zipStream } = require('../zip');
+
+// Reads the archive back through its central directory: [{ name, crc, data }]
+function readZip(archive) {
+    const end = archive.length - 22;
+    assert.strictEqual(archive.readUInt32LE(end), 0x06054b50);
+    const count = archive.readUInt16LE(end + 10);
+    let central = archive.readUInt32LE(end + 16);
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(archive.readUInt32LE(central), 0x02014b50);
+        const crc = archive.readUInt32LE(central + 16);
+        const size = archive.readUInt32LE(central + 20);
+        const nameLength = archive.readUInt16LE(central + 28);
+        const offset = archive.readUInt32LE(central + 42);
+        const name = archive.toString('utf8', central + 46, central + 46 + nameLength);
+
+        assert.strictEqual(archive.readUInt32LE(offset), 0x04034b50);
+        assert.strictEqual(archive.readUInt32LE(offset + 14), crc);
+        const dataStart = offset + 30 + archive.readUInt16LE(offset + 26);
+        entries.push({ name, crc, data: archive.subarray(dataStart, dataStart + size) });
+        central += 46 + nameLength;
+    }
+    return entries;
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+test('text, buffer and file entries are stored with their checksums', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scholaro-zip-')), 'clip.webm');
+    // Larger than one read chunk, so the file is streamed in pieces
+    const recording = Buffer.alloc(200 * 1024, 'abc');
+    fs.writeFileSync(file, recording);
+
+    const archive = await collect(zipStream([
+        { name: 'data.json', data: '{"café":1}' },
+        { name: 'raw.bin', data: Buffer.from([0, 1, 2]) },
+        { name: 'recordings/clip.webm', file }
+    ]));
+    const entries = readZip(archive);
+
+    assert.deepStrictEqual(entries.map(entry => entry.name), ['data.json', 'raw.bin', 'recordings/clip.webm']);
+    assert.strictEqual(entries[0].data.toString('utf8'), '{"café":1}');
+    assert.deepStrictEqual([...entries[1].data], [0, 1, 2]);
+    assert.ok(entries[2].data.equals(recording));
+    for (const entry of entries) {
+        assert.strictEqual(entry.crc, zlib.crc32(entry.data));
+    }
+});
+
+test('an empty archive is just the end record', async () => {
+    const archive = await collect(zipStream([]));
+    assert.strictEqual(archive.length, 22);
+    assert.deepStrictEqual(readZip(archive), []);
+});
+
+test('a missing file fails the stream', async () => {
+    const missing = path.join(os.tmpdir(), 'scholaro-zip-missing', 'nothing.webm');
+    await assert.rejects(collect(zipStream([{ name: 'nothing.webm', file: missing }])), { code: 'ENOENT' });
+});
@@ -1,13 +1,80 @@
 // Global state management
 let currentUser = null;
 let authToken = null;
+let refreshToken = null;
 let testResults = [];
-let currentQuestion = null;
+let displayedQuestion = null; // question currently rendered in .question
+let activeSession = null;
+let sessionTimer = null;
+let activeReview = null; // { items, index } while working through the review queue
+let activePractice = null; // practice attempt the displayed question is checked against
+let lastResultId = null; // result of the last finished mock test, for its score report
+let resultsPage = 1;
+let universityPage = 1;
+let activeEssay = null; // essay being written, with savedText for autosave
+let essayTimer = null;
+let essayAutosave = null;
 
 const API_BASE_URL = 'http://localhost:3000/api';
 
-// Utility function for API calls
-async function apiCall(endpoint, method = 'GET', data = null) {
+// Text from users or the question bank (names, titles, answers) is escaped before it goes into innerHTML
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Text passed to an inline handler, as in onclick="addToShortlist(${jsArg(name)})"
+function jsArg(value) {
+    return escapeHtml(JSON.stringify(value));
+}
+
+// Only the refresh token is persisted; the short-lived access token is fetched again on load
+const REFRESH_TOKEN_KEY = 'scholaroRefreshToken';
+const LAST_USER_KEY = 'scholaroUserId'; // whose offline packs to show while the session cannot be refreshed
+
+function storeRefreshToken(token) {
+    refreshToken = token;
+    if (token) {
+        localStorage.setItem(REFRESH_TOKEN_KEY, token);
+    } else {
+        localStorage.removeItem(REFRESH_TOKEN_KEY);
+    }
+}
+
+// Swaps the refresh token for a new token pair; false when the session has ended
+async function refreshSession() {
+    // Another tab may have rotated the token since this one last read it
+    refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY) || refreshToken;
+    if (!refreshToken) return false;
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/token/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+        if (response.status === 401) {
+            storeRefreshToken(null);
+            return false;
+        }
+        if (!response.ok) return false;
+
+        const result = await response.json();
+        authToken = result.token;
+        currentUser = result.user;
+        storeRefreshToken(result.refreshToken);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Utility function for API calls; an expired access token is refreshed once and the call retried
+async function apiCall(endpoint, method = 'GET', data = null, retry = true) {
     const options = {
         method,
         headers: {
@@ -25,10 +92,23 @@ async function apiCall(endpoint, method = 'GET', data = null) {
 
     try {
         const response = await fetch(`${API_BASE_URL}${endpoint}`, options);
+        if (response.status === 401 && retry && authToken) {
+            if (await refreshSession()) {
+                return apiCall(endpoint, method, data, false);
+            }
+            if (!refreshToken) {
+                // The session has ended (expired, or logged out elsewhere): log in again and come back here
+                const { path } = currentRoute();
+                clearSession();
+                navigate(`login?next=${encodeURIComponent(path)}`);
+            }
+        }
         const result = await response.json();
         
         if (!response.ok) {
-            throw new Error(result.error || 'API call failed');
+            const error = new Error(result.error || 'API call failed');
+            error.status = response.status;
+            throw error;
         }
         
         return result;
@@ -43,7 +123,87 @@ function showSection(sectionId) {
     document.querySelectorAll('.section').forEach(section => {
         section.classList.remove('active');
     });
-    document.getElementById(sectionId).classList.add('active');
+    const section = document.getElementById(sectionId);
+    if (section) section.classList.add('active');
+}
+
+// Views live in the URL hash (#/dashboard, #/universities/<id>, ...) so back, refresh and shared links work.
+// `auth` routes send logged-out visitors to #/login?next=<route> and return them there after login.
+const ROUTES = [
+    { path: '', section: 'home' },
+    { path: 'login', section: 'home', enter: () => (authToken ? navigate(routeAfterLogin(), { replace: true }) : openModal('loginModal')) },
+    { path: 'dashboard', section: 'userDashboard', auth: true, enter: () => loadDashboardData() },
+    { path: 'study-plan', section: 'userDashboard', auth: true, enter: () => showStudyPlanner() },
+    { path: 'practice', section: 'practice', enter: () => initializeSampleQuestion() },
+    { path: 'offline', section: 'offlinePractice', enter: () => loadPracticePacks() },
+    { path: 'universities', section: 'universities', enter: () => loadUniversities(universityPage) },
+    { path: 'universities/:id', section: 'universityDetail', enter: ({ id }) => showUniversity(id) },
+    { path: 'results/:id', section: 'resultDetail', auth: true, enter: ({ id }) => showResult(id) }
+];
+
+// Older links used #study-plan before the router existed
+const LEGACY_HASHES = { '#study-plan': 'study-plan' };
+
+function currentRoute() {
+    const hash = window.location.hash;
+    const route = LEGACY_HASHES[hash] || (hash.startsWith('#/') ? hash.slice(2) : '');
+    const [path, search = ''] = route.split('?');
+    return { path: path.replace(/\/$/, ''), query: new URLSearchParams(search) };
+}
+
+function matchRoute(path) {
+    const segments = path.split('/');
+    for (const route of ROUTES) {
+        const pattern = route.path.split('/');
+        if (pattern.length !== segments.length) continue;
+
+        const params = {};
+        const matches = pattern.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(segments[i]);
+                return segments[i] !== '';
+            }
+            return part === segments[i];
+        });
+        if (matches) return { route, params };
+    }
+    return null;
+}
+
+function navigate(path, { replace = false } = {}) {
+    const hash = `#/${path}`;
+    if (window.location.hash === hash) return handleRoute();
+    if (replace) {
+        history.replaceState(null, '', hash);
+        return handleRoute();
+    }
+    window.location.hash = hash; // the hashchange listener renders it
+}
+
+async function handleRoute() {
+    const { path, query } = currentRoute();
+    const { route, params } = matchRoute(path) || matchRoute('');
+
+    if (route.auth && !authToken) {
+        const search = query.toString();
+        return navigate(`login?next=${encodeURIComponent(search ? `${path}?${search}` : path)}`, { replace: true });
+    }
+
+    showSection(route.section);
+    if (route.enter) {
+        try {
+            await route.enter(params, query);
+        } catch (error) {
+            console.error(`Error opening ${path || 'home'}:`, error);
+        }
+    }
+}
+
+// Where to go after logging in: the page that asked for it, else the dashboard
+function routeAfterLogin() {
+    const { path, query } = currentRoute();
+    const next = path === 'login' && query.get('next');
+    return next && matchRoute(next.split('?')[0]) ? next : 'dashboard';
 }
 
 // Modal functions
@@ -66,19 +226,20 @@ document.getElementById('loginForm').addEventListener('submit', async function(e
         
         currentUser = response.user;
         authToken = response.token;
-        
-        // Store token in sessionStorage (not localStorage due to artifact restrictions)
-        // In a real app, you'd use localStorage or secure cookies
-        
-        document.getElementById('userName').textContent = currentUser.name;
-        document.querySelector('.auth-buttons').style.display = 'none';
-        document.getElementById('userMenu').classList.remove('hidden');
+        storeRefreshToken(response.refreshToken);
+
+        showLoggedIn();
         closeModal('loginModal');
-        showSection('userDashboard');
-        
-        await loadDashboardData();
-        alert('Login successful!');
+        navigate(routeAfterLogin());
+        await loadUniversities(universityPage); // shows the shortlist buttons
     } catch (error) {
+        if (/verify your email/i.test(error.message)) {
+            if (confirm(error.message + '. Send a new verification link?')) {
+                await apiCall('/verify-email/resend', 'POST', { email }).catch(() => {});
+                alert('Verification link sent. Check your inbox.');
+            }
+            return;
+        }
         alert('Login failed: ' + error.message);
     }
 });
@@ -91,7 +252,7 @@ document.getElementById('registerForm').addEventListener('submit', async functio
     
     try {
         await apiCall('/register', 'POST', { name, email, password });
-        alert('Registration successful! Please login.');
+        alert('Registration successful! Check your email for a verification link, then login.');
         closeModal('registerModal');
         openModal('loginModal');
     } catch (error) {
@@ -99,38 +260,227 @@ document.getElementById('registerForm').addEventListener('submit', async functio
     }
 });
 
-function logout() {
+function showLoggedIn() {
+    localStorage.setItem(LAST_USER_KEY, currentUser.id);
+    document.getElementById('userName').textContent = currentUser.name;
+    document.querySelector('.auth-buttons').style.display = 'none';
+    document.getElementById('userMenu').classList.remove('hidden');
+}
+
+// Picks up the session persisted by an earlier visit, if it is still valid
+async function restoreSession() {
+    if (!localStorage.getItem(REFRESH_TOKEN_KEY)) return;
+    if (await refreshSession()) showLoggedIn();
+}
+
+// Clears the local state only; logout() also ends the session on the server
+function clearSession() {
     currentUser = null;
     authToken = null;
+    storeRefreshToken(null);
+    localStorage.removeItem(LAST_USER_KEY);
+    activePractice = null;
+    activeOfflinePack = null;
     document.querySelector('.auth-buttons').style.display = 'flex';
     document.getElementById('userMenu').classList.add('hidden');
-    showSection('home');
+    loadInstructorPanel();
+    loadAdminUsers();
+    loadModerationQueue();
+    loadAuditLog();
+}
+
+async function logout() {
+    if (authToken) {
+        // Revoke the session on the server; the local state is cleared either way
+        await apiCall('/logout', 'POST', {}).catch(() => {});
+    }
+    clearSession();
+    navigate('');
+}
+
+// Tabs share the stored session: follow another tab's token rotation and logout
+window.addEventListener('storage', function(e) {
+    if (e.key !== REFRESH_TOKEN_KEY) return;
+    if (e.newValue) {
+        refreshToken = e.newValue;
+    } else if (authToken) {
+        clearSession();
+        navigate('');
+    }
+});
+
+// Account: password change and reset, email verification links
+async function changePassword() {
+    const currentPassword = prompt('Current password:');
+    if (!currentPassword) return;
+    const newPassword = prompt('New password (at least 8 characters):');
+    if (!newPassword) return;
+
+    try {
+        await apiCall('/password', 'PUT', { currentPassword, newPassword });
+        alert('Password changed. Your other devices have been logged out.');
+    } catch (error) {
+        alert('Could not change password: ' + error.message);
+    }
+}
+
+async function forgotPassword() {
+    const email = prompt('Email address of your account:');
+    if (!email) return;
+
+    try {
+        const { message } = await apiCall('/password-reset/request', 'POST', { email });
+        alert(message);
+    } catch (error) {
+        alert('Could not request a reset: ' + error.message);
+    }
+}
+
+// Emailed links open the app on #verify-email=<token> or #reset-password=<token>
+async function handleAccountLink() {
+    const match = /^#(verify-email|reset-password)=(.+)$/.exec(window.location.hash);
+    if (!match) return;
+    const [, purpose, token] = match;
+    history.replaceState(null, '', window.location.pathname);
+
+    try {
+        if (purpose === 'verify-email') {
+            const { message } = await apiCall('/verify-email', 'POST', { token });
+            alert(message);
+        } else {
+            const newPassword = prompt('Choose a new password (at least 8 characters):');
+            if (!newPassword) return;
+            const { message } = await apiCall('/password-reset/confirm', 'POST', { token, newPassword });
+            alert(message);
+        }
+        openModal('loginModal');
+    } catch (error) {
+        alert(error.message);
+    }
 }
 
-// Load universities from backend
-async function loadUniversities() {
+// Load universities from backend, applying the filter form and facet sidebar when the page has them
+async function loadUniversities(page = 1) {
     try {
-        const universities = await apiCall('/universities');
-        displayUniversities(universities);
+        const params = new URLSearchParams({ page });
+        const filters = document.getElementById('universityFilters');
+        if (filters) {
+            for (const key of ['search', 'minRanking', 'maxRanking', 'scholarship', 'currency', 'maxCost', 'sort']) {
+                const value = filters.elements[key] && filters.elements[key].value.trim();
+                if (value) params.set(key, value);
+            }
+        }
+        for (const key of ['country', 'tests']) {
+            const checked = [...document.querySelectorAll(`#universityFacets input[name="${key}"]:checked`)];
+            if (checked.length > 0) params.set(key, checked.map(input => input.value).join(','));
+        }
+
+        const response = await apiCall(`/universities?${params}`);
+        universityPage = response.page;
+        displayUniversities(response);
+        displayUniversityFacets(response.facets, params);
     } catch (error) {
         console.error('Error loading universities:', error);
     }
 }
 
-function displayUniversities(universities) {
+function displayUniversities({ universities, page, pages, total }) {
     const grid = document.querySelector('.colleges-grid');
     if (!grid) return;
     
     grid.innerHTML = universities.map(uni => `
         <div class="college-card">
-            <h3>${uni.name}</h3>
-            <p><strong>Country:</strong> ${uni.country}</p>
-            <p><strong>Tuition:</strong> ${uni.tuitionFee}</p>
-            <p><strong>Scholarships:</strong> ${uni.scholarships.join(', ')}</p>
+            <h3><a href="#/universities/${uni._id}">${escapeHtml(uni.name)}</a></h3>
+            <p><strong>Country:</strong> ${escapeHtml(uni.country)}</p>
+            <p><strong>Tuition:</strong> ${formatFee(uni.tuitionFee)}</p>
+            ${uni.cost && uni.cost.total !== null ? `
+                <p><strong>Estimated cost:</strong> ${formatMoney(uni.cost.total, uni.cost.currency)}/year
+                   ${uni.cost.living === null ? '(tuition only)' : '(tuition + living)'}</p>` : ''}
+            <p><strong>Scholarships:</strong> ${escapeHtml(uni.scholarships.join(', '))}</p>
             <p><strong>Requirements:</strong> ${getRequirements(uni.requirements)}</p>
-            ${uni.website ? `<p><a href="${uni.website}" target="_blank" class="btn btn-secondary">Visit Website</a></p>` : ''}
+            ${uni.website ? `<p><a href="${escapeHtml(uni.website)}" target="_blank" class="btn btn-secondary">Visit Website</a></p>` : ''}
+            ${authToken ? `<p><button class="btn btn-secondary" onclick="addToShortlist('${uni._id}', ${jsArg(uni.name)})">Add to Shortlist</button></p>` : ''}
         </div>
-    `).join('');
+    `).join('') || '<p>No universities match these filters.</p>';
+
+    if (pages > 1) {
+        grid.innerHTML += `
+            <div>
+                <button class="btn btn-secondary" onclick="loadUniversities(${page - 1})" ${page <= 1 ? 'disabled' : ''}>Previous</button>
+                Page ${page} of ${pages} (${total} universities)
+                <button class="btn btn-secondary" onclick="loadUniversities(${page + 1})" ${page >= pages ? 'disabled' : ''}>Next</button>
+            </div>
+        `;
+    }
+}
+
+// Filter sidebar with counts; checking a box reloads from the first page
+function displayUniversityFacets(facets, params) {
+    const sidebar = document.getElementById('universityFacets');
+    if (!sidebar) return;
+
+    const selected = key => (params.get(key) || '').split(',');
+    const checkbox = (name, value, label, count) => `
+        <label style="display: block;">
+            <input type="checkbox" name="${name}" value="${escapeHtml(value)}" onchange="loadUniversities()"
+                   ${selected(name).includes(value) ? 'checked' : ''}>
+            ${escapeHtml(label)} (${count})
+        </label>
+    `;
+
+    sidebar.innerHTML = `
+        <h4>Country</h4>
+        ${facets.countries.map(({ country, count }) => checkbox('country', country, country, count)).join('')}
+        <h4>Required tests</h4>
+        ${facets.tests.map(({ test, count }) => checkbox('tests', test, test.toUpperCase(), count)).join('')}
+    `;
+}
+
+function formatMoney(amount, currency) {
+    return `${amount.toLocaleString()} ${currency}`;
+}
+
+function formatFee(fee) {
+    if (!fee || fee.amount == null) return 'Check website';
+    return `${formatMoney(fee.amount, fee.currency)}/${fee.period || 'year'}`;
+}
+
+const universityFilters = document.getElementById('universityFilters');
+if (universityFilters) {
+    universityFilters.addEventListener('submit', function(e) {
+        e.preventDefault();
+        loadUniversities();
+    });
+}
+
+async function showUniversity(universityId) {
+    const container = document.getElementById('universityDetail');
+    if (!container) return;
+
+    try {
+        const uni = await apiCall(`/universities/${universityId}`);
+        const minimums = Object.entries(uni.minimumScores || {})
+            .filter(([, score]) => score != null)
+            .map(([test, score]) => `${test.toUpperCase()} ${score}`);
+        container.innerHTML = `
+            <p><a href="#/universities">&larr; All universities</a></p>
+            <h2>${escapeHtml(uni.name)}</h2>
+            <p><strong>Country:</strong> ${escapeHtml(uni.country)}${uni.ranking ? ` | <strong>Ranking:</strong> #${uni.ranking}` : ''}</p>
+            ${uni.description ? `<p>${escapeHtml(uni.description)}</p>` : ''}
+            <p><strong>Tuition:</strong> ${formatFee(uni.tuitionFee)}</p>
+            <p><strong>Living costs:</strong> ${formatFee(uni.livingCost)}</p>
+            ${uni.cost.total !== null ? `
+                <p><strong>Estimated cost:</strong> ${formatMoney(uni.cost.total, uni.cost.currency)}/year
+                   ${uni.cost.living === null ? '(tuition only)' : '(tuition + living)'}</p>` : ''}
+            <p><strong>Scholarships:</strong> ${escapeHtml(uni.scholarships.join(', ')) || 'None listed'}</p>
+            <p><strong>Requirements:</strong> ${getRequirements(uni.requirements)}</p>
+            ${minimums.length > 0 ? `<p><strong>Competitive scores:</strong> ${minimums.join(', ')}</p>` : ''}
+            ${uni.website ? `<p><a href="${escapeHtml(uni.website)}" target="_blank" class="btn btn-secondary">Visit Website</a></p>` : ''}
+            ${authToken ? `<p><button class="btn btn-secondary" onclick="addToShortlist('${uni._id}', ${jsArg(uni.name)})">Add to Shortlist</button></p>` : ''}
+        `;
+    } catch (error) {
+        container.innerHTML = `<p>Could not load this university: ${escapeHtml(error.message)}</p>`;
+    }
 }
 
 function getRequirements(req) {
@@ -142,175 +492,2589 @@ function getRequirements(req) {
     return tests.join(', ') || 'Check website';
 }
 
-// Load test questions from backend
-async function loadTestQuestions(testType, section, limit = 1) {
+// Personalised university matches (reach / match / safe)
+async function loadRecommendations() {
+    const container = document.getElementById('recommendations');
+    if (!container || !authToken) return;
+
     try {
-        const questions = await apiCall(`/questions/${testType}/${section}?limit=${limit}`);
-        return questions;
+        const { tiers } = await apiCall('/universities/recommendations');
+        const labels = { safe: 'Safe', match: 'Match', reach: 'Reach' };
+
+        container.innerHTML = ['match', 'safe', 'reach'].map(tier => `
+            <h3>${labels[tier]} (${tiers[tier].length})</h3>
+            <div class="recommendations-grid">
+                ${tiers[tier].map(({ university, withinBudget, reasons }) => `
+                    <div class="college-card">
+                        <h3>${escapeHtml(university.name)}</h3>
+                        <p><strong>Country:</strong> ${escapeHtml(university.country)}</p>
+                        <p><strong>Tuition:</strong> ${formatFee(university.tuitionFee)}
+                           ${withinBudget === false ? ' (over budget)' : ''}</p>
+                        <ul>${reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>
+                    </div>
+                `).join('') || '<p>None yet.</p>'}
+            </div>
+        `).join('');
     } catch (error) {
-        console.error('Error loading questions:', error);
-        return [];
+        console.error('Error loading recommendations:', error);
     }
 }
 
-// Quiz functionality
-function selectOption(element, isCorrect) {
-    document.querySelectorAll('.option').forEach(opt => opt.classList.remove('selected'));
-    element.classList.add('selected');
-    currentQuestion = { element: element, isCorrect: isCorrect, questionId: element.dataset.questionId };
-}
+async function loadProfile() {
+    const form = document.getElementById('profileForm');
+    if (!form || !authToken) return;
 
-async function submitAnswer() {
-    if (!currentQuestion) {
-        alert('Please select an answer');
-        return;
-    }
-    
     try {
-        const response = await apiCall('/check-answer', 'POST', {
-            questionId: currentQuestion.questionId,
-            userAnswer: parseInt(currentQuestion.element.dataset.optionIndex)
-        });
-        
-        const resultDiv = document.getElementById('mockTestResults');
-        const scoreDetails = document.getElementById('scoreDetails');
-        
-        if (response.correct) {
-            scoreDetails.innerHTML = `<h4>Correct! ✓</h4><p>Explanation: ${response.explanation}</p>`;
-        } else {
-            scoreDetails.innerHTML = `<h4>Incorrect ✗</h4><p>Explanation: ${response.explanation}</p>`;
+        const { profile, practiceScores, deletionScheduledFor } = await apiCall('/profile');
+        renderAccountData(deletionScheduledFor);
+        form.elements.targetCountries.value = profile.targetCountries.join(', ');
+        form.elements.budgetAmount.value = profile.budget && profile.budget.amount != null ? profile.budget.amount : '';
+        form.elements.budgetCurrency.value = (profile.budget && profile.budget.currency) || 'USD';
+        for (const exam of ['GRE', 'GMAT', 'IELTS', 'TOEFL']) {
+            const input = form.elements[`score${exam}`];
+            input.value = profile.scores && profile.scores[exam] != null ? profile.scores[exam] : '';
+            input.placeholder = practiceScores[exam] != null ? `Practice best: ${practiceScores[exam]}` : '';
         }
-        
-        resultDiv.classList.remove('hidden');
-        
-        // Save test result
-        if (authToken) {
-            const testResult = {
-                testType: 'GRE',
-                section: 'Verbal',
-                score: response.correct ? 100 : 0,
-                totalQuestions: 1,
-                correctAnswers: response.correct ? 1 : 0,
-                timeSpent: 2 // Mock time spent
-            };
-            
-            await saveTestResult(testResult);
+    } catch (error) {
+        console.error('Error loading profile:', error);
+    }
+}
+
+const profileForm = document.getElementById('profileForm');
+if (profileForm) {
+    profileForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+        const number = value => (value.trim() === '' ? null : Number(value));
+
+        try {
+            await apiCall('/profile', 'PUT', {
+                targetCountries: this.elements.targetCountries.value.split(',').map(c => c.trim()).filter(Boolean),
+                budget: this.elements.budgetAmount.value.trim() === '' ? null : {
+                    amount: number(this.elements.budgetAmount.value),
+                    currency: this.elements.budgetCurrency.value.trim().toUpperCase() || 'USD'
+                },
+                scores: Object.fromEntries(['GRE', 'GMAT', 'IELTS', 'TOEFL']
+                    .map(exam => [exam, number(this.elements[`score${exam}`].value)]))
+            });
+            await loadRecommendations();
+            alert('Profile saved!');
+        } catch (error) {
+            alert('Could not save profile: ' + error.message);
         }
+    });
+}
+
+// Your data: export everything, or delete the account after a grace period
+function renderAccountData(deletionScheduledFor) {
+    const container = document.getElementById('accountData');
+    if (!container) return;
+
+    container.innerHTML = `
+        <button class="btn btn-secondary" onclick="exportMyData()">Download my data (.zip)</button>
+        ${deletionScheduledFor ? `
+            <p>Your account will be deleted on ${new Date(deletionScheduledFor).toLocaleDateString()}.</p>
+            <button class="btn btn-primary" onclick="cancelAccountDeletion()">Keep my account</button>
+        ` : `
+            <button class="btn btn-secondary" onclick="requestAccountDeletion()">Delete my account</button>
+        `}
+    `;
+}
+
+async function exportMyData() {
+    try {
+        const response = await authFetch('/account/export');
+        if (!response.ok) throw new Error((await response.json().catch(() => ({}))).error || 'Export failed');
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = `scholaro-data-${new Date().toISOString().slice(0, 10)}.zip`;
+        link.click();
+        URL.revokeObjectURL(link.href);
     } catch (error) {
-        alert('Error checking answer: ' + error.message);
+        alert('Could not export your data: ' + error.message);
     }
 }
 
-async function saveTestResult(testResult) {
+async function requestAccountDeletion() {
+    if (!confirm('Delete your account and all of its data? You can cancel during the grace period.')) return;
+    const password = prompt('Enter your password to confirm:');
+    if (!password) return;
+
     try {
-        await apiCall('/test-results', 'POST', testResult);
-        await loadDashboardData(); // Refresh dashboard
+        const { scheduledFor } = await apiCall('/account/deletion', 'POST', { password });
+        alert(`Your account will be deleted on ${new Date(scheduledFor).toLocaleDateString()}. Log in before then to cancel.`);
+        await loadProfile();
     } catch (error) {
-        console.error('Error saving test result:', error);
+        alert('Could not delete account: ' + error.message);
     }
 }
 
-function saveResults() {
-    if (!currentUser) {
-        alert('Please login to save results');
-        return;
+async function cancelAccountDeletion() {
+    try {
+        await apiCall('/account/deletion', 'DELETE');
+        await loadProfile();
+    } catch (error) {
+        alert('Could not cancel deletion: ' + error.message);
     }
-    
-    alert('Results saved successfully!');
 }
 
-// Dashboard functions
-async function loadDashboardData() {
+// Application tracker
+const APPLICATION_STATUSES = ['researching', 'preparing', 'submitted', 'decision'];
+
+async function addToShortlist(universityId, universityName) {
+    const program = prompt(`Which program at ${universityName}?`);
+    if (!program) return;
+    const intakeTerm = prompt('Intake term (e.g. Fall 2027)?');
+    if (!intakeTerm) return;
+    const deadline = prompt('Application deadline (YYYY-MM-DD), or leave empty:');
+
+    try {
+        await apiCall('/applications', 'POST', {
+            universityId,
+            program,
+            intakeTerm,
+            deadline: deadline ? deadline : null
+        });
+        await loadApplications();
+        alert(`${universityName} added to your shortlist`);
+    } catch (error) {
+        alert('Could not add application: ' + error.message);
+    }
+}
+
+async function loadApplications() {
     if (!authToken) return;
-    
+
     try {
-        const [stats, results] = await Promise.all([
-            apiCall('/dashboard-stats'),
-            apiCall('/test-results')
+        const [applications, upcoming] = await Promise.all([
+            apiCall('/applications'),
+            apiCall('/applications/upcoming')
         ]);
-        
-        updateDashboard(stats, results);
+        displayApplications(applications);
+        displayUpcomingDeadlines(upcoming);
     } catch (error) {
-        console.error('Error loading dashboard data:', error);
+        console.error('Error loading applications:', error);
     }
 }
 
-function updateDashboard(stats, results) {
-    if (!currentUser) return;
-    
-    document.getElementById('testsCompleted').textContent = stats.testsCompleted;
-    document.getElementById('avgScore').textContent = stats.averageScore;
-    document.getElementById('studyTime').textContent = stats.totalStudyTime;
-    
-    const resultsList = document.getElementById('resultsList');
-    if (results && results.length > 0) {
-        resultsList.innerHTML = results.map(result => `
+function displayApplications(applications) {
+    const list = document.getElementById('applicationsList');
+    if (!list) return;
+
+    if (applications.length === 0) {
+        list.innerHTML = '<p>Your shortlist is empty. Add universities from the colleges list.</p>';
+        return;
+    }
+
+    list.innerHTML = `
+        <button class="btn btn-secondary" onclick="downloadDeadlineCalendar()">Export deadlines (.ics)</button>
+        ${applications.map(application => `
             <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
-                <strong>${result.testType} ${result.section}</strong> - ${new Date(result.date).toLocaleDateString()}<br>
-                Score: ${result.score}% (${result.correctAnswers}/${result.totalQuestions})
-                ${result.timeSpent ? `<br>Time: ${result.timeSpent} minutes` : ''}
+                <strong>${application.university ? escapeHtml(application.university.name) : 'University'}</strong> -
+                ${escapeHtml(application.program)}, ${escapeHtml(application.intakeTerm)}<br>
+                Deadline: ${application.deadline ? new Date(application.deadline).toLocaleDateString() : 'not set'}<br>
+                Status:
+                <select onchange="updateApplicationStatus('${application._id}', this.value)">
+                    ${APPLICATION_STATUSES.map(status => `
+                        <option value="${status}"${status === application.status ? ' selected' : ''}>${status}</option>
+                    `).join('')}
+                </select>
+                ${application.decision ? `(${application.decision})` : ''}
+                <ul style="list-style: none;">
+                    ${application.checklist.map(entry => `
+                        <li>
+                            <label>
+                                <input type="checkbox" ${entry.done ? 'checked' : ''}
+                                       onchange="toggleChecklistItem('${application._id}', '${entry._id}', this.checked)">
+                                ${escapeHtml(entry.item)}
+                            </label>
+                        </li>
+                    `).join('')}
+                </ul>
+                <button class="btn btn-secondary" onclick="removeApplication('${application._id}')">Remove</button>
+            </div>
+        `).join('')}
+    `;
+}
+
+function displayUpcomingDeadlines(upcoming) {
+    const widget = document.getElementById('upcomingDeadlines');
+    if (!widget) return;
+
+    widget.innerHTML = upcoming.length === 0
+        ? '<p>No deadlines in the next 30 days.</p>'
+        : upcoming.map(application => `
+            <div>
+                <strong>${application.daysLeft} day(s)</strong> -
+                ${application.university ? escapeHtml(application.university.name) : 'University'} (${escapeHtml(application.program)})
+                ${application.openItems > 0 ? `- ${application.openItems} item(s) left` : ''}
             </div>
         `).join('');
-    } else {
-        resultsList.innerHTML = '<p>No test results yet. Take a practice test to get started!</p>';
+}
+
+async function updateApplicationStatus(applicationId, status) {
+    const payload = { status };
+    if (status === 'decision') {
+        const decision = prompt('Decision: admitted, rejected or waitlisted?');
+        if (!decision) {
+            await loadApplications();
+            return;
+        }
+        payload.decision = decision.trim().toLowerCase();
+    }
+
+    try {
+        await apiCall(`/applications/${applicationId}`, 'PUT', payload);
+    } catch (error) {
+        alert('Could not update status: ' + error.message);
     }
+    await loadApplications();
 }
 
-// Initialize sample question with backend data
-async function initializeSampleQuestion() {
+async function toggleChecklistItem(applicationId, itemId, done) {
     try {
-        const questions = await loadTestQuestions('GRE', 'Verbal', 1);
-        if (questions.length > 0) {
-            const question = questions[0];
-            const questionContainer = document.querySelector('.question');
-            if (questionContainer) {
-                questionContainer.innerHTML = `
-                    <p>${question.question}</p>
-                    <div class="options">
-                        ${question.options.map((option, index) => `
-                            <div class="option" onclick="selectOption(this, false)" 
-                                 data-question-id="${question._id}" 
-                                 data-option-index="${index}">
-                                ${String.fromCharCode(65 + index)}) ${option}
-                            </div>
-                        `).join('')}
-                    </div>
-                `;
-            }
-        }
+        await apiCall(`/applications/${applicationId}/checklist/${itemId}`, 'PUT', { done });
+        await loadApplications();
     } catch (error) {
-        console.error('Error initializing sample question:', error);
+        alert('Could not update checklist: ' + error.message);
     }
 }
 
-// Close modals when clicking outside
-window.onclick = function(event) {
-    if (event.target.classList.contains('modal')) {
-        event.target.style.display = 'none';
+async function removeApplication(applicationId) {
+    if (!confirm('Remove this application from your shortlist?')) return;
+
+    try {
+        await apiCall(`/applications/${applicationId}`, 'DELETE');
+        await loadApplications();
+    } catch (error) {
+        alert('Could not remove application: ' + error.message);
     }
 }
 
-// Smooth scrolling for navigation
-document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function (e) {
-        e.preventDefault();
-        const target = document.querySelector(this.getAttribute('href'));
-        if (target) {
-            target.scrollIntoView({
-                behavior: 'smooth'
-            });
-        }
+// Calendar exports need the auth header, so they are fetched and saved as a blob
+// Authenticated fetch for non-JSON requests and responses (files, recordings), with the same refresh-once retry as apiCall
+async function authFetch(endpoint, options = {}) {
+    const request = () => fetch(`${API_BASE_URL}${endpoint}`, {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${authToken}` }
     });
-});
+    let response = await request();
+    if (response.status === 401 && await refreshSession()) {
+        response = await request();
+    }
+    return response;
+}
 
-// Initialize data on page load
-document.addEventListener('DOMContentLoaded', async function() {
-    await loadUniversities();
-    await initializeSampleQuestion();
-    
-    // Check if user is logged in (in a real app, you'd check stored token)
-    // For demo purposes, we'll just initialize the dashboard
-    if (currentUser) {
-        await loadDashboardData();
+async function downloadCalendar(endpoint, filename) {
+    try {
+        const response = await authFetch(endpoint);
+        if (!response.ok) throw new Error('Export failed');
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        alert('Could not export calendar: ' + error.message);
+    }
+}
+
+function downloadDeadlineCalendar() {
+    downloadCalendar('/applications/deadlines.ics', 'application-deadlines.ics');
+}
+
+// Study planner
+// Opened by the landing page's "Start Preparing" button (script.js) and by #/study-plan links
+function openStudyPlanner() {
+    navigate('study-plan');
+}
+
+function showStudyPlanner() {
+    const planner = document.getElementById('studyPlanner');
+    if (planner) planner.scrollIntoView({ behavior: 'smooth' });
+    return loadStudyPlans();
+}
+
+async function loadStudyPlans() {
+    if (!authToken) return;
+
+    try {
+        displayStudyPlans(await apiCall('/study-plans'));
+    } catch (error) {
+        console.error('Error loading study plans:', error);
     }
+}
+
+function displayStudyPlans(plans) {
+    const container = document.getElementById('studyPlans');
+    if (!container) return;
+
+    if (plans.length === 0) {
+        container.innerHTML = '<p>No study plan yet. Pick your exam, date and target score to build one.</p>';
+        return;
+    }
+
+    container.innerHTML = plans.map(plan => `
+        <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
+            <strong>${escapeHtml(plan.testType)}</strong> on ${new Date(plan.examDate).toLocaleDateString()} -
+            target ${plan.targetScore}, ${plan.weeklyHours} h/week<br>
+            Progress: ${plan.progress.tasksDone}/${plan.progress.tasks} tasks
+            (${Math.round(plan.progress.minutesDone / 60)} of ${Math.round(plan.progress.minutes / 60)} hours)
+            <div>
+                <button class="btn btn-secondary" onclick="downloadStudyPlanCalendar('${plan._id}', ${jsArg(plan.testType)})">Export to calendar (.ics)</button>
+                <button class="btn btn-secondary" onclick="deleteStudyPlan('${plan._id}')">Delete plan</button>
+            </div>
+            ${plan.weeks.map(week => `
+                <details ${week.weekNumber === plan.currentWeek ? 'open' : ''} style="margin-top: 0.5rem;">
+                    <summary>
+                        Week ${week.weekNumber} (${new Date(week.startDate).toLocaleDateString()}) - ${escapeHtml(week.focus)}
+                        ${week.weekNumber === plan.currentWeek ? '<em>this week</em>' : ''}
+                    </summary>
+                    <ul style="list-style: none;">
+                        ${week.tasks.map(task => `
+                            <li>
+                                <label>
+                                    <input type="checkbox" ${task.done ? 'checked' : ''}
+                                           onchange="toggleStudyTask('${plan._id}', '${task._id}', this.checked)">
+                                    ${escapeHtml(task.title)} (${task.minutes} min)
+                                </label>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+const studyPlanForm = document.getElementById('studyPlanForm');
+if (studyPlanForm) {
+    studyPlanForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        try {
+            await apiCall('/study-plans', 'POST', {
+                testType: this.elements.testType.value,
+                examDate: this.elements.examDate.value,
+                targetScore: Number(this.elements.targetScore.value),
+                weeklyHours: Number(this.elements.weeklyHours.value)
+            });
+            await loadStudyPlans();
+            alert('Study plan ready!');
+        } catch (error) {
+            alert('Could not build study plan: ' + error.message);
+        }
+    });
+}
+
+async function toggleStudyTask(planId, taskId, done) {
+    try {
+        await apiCall(`/study-plans/${planId}/tasks/${taskId}`, 'PUT', { done });
+        await loadStudyPlans();
+    } catch (error) {
+        alert('Could not update task: ' + error.message);
+    }
+}
+
+async function deleteStudyPlan(planId) {
+    if (!confirm('Delete this study plan?')) return;
+
+    try {
+        await apiCall(`/study-plans/${planId}`, 'DELETE');
+        await loadStudyPlans();
+    } catch (error) {
+        alert('Could not delete study plan: ' + error.message);
+    }
+}
+
+function downloadStudyPlanCalendar(planId, testType) {
+    downloadCalendar(`/study-plans/${planId}/calendar.ics`, `${testType.toLowerCase()}-study-plan.ics`);
+}
+
+// Cohorts: students join with a code and take assigned tests
+const ASSIGNMENT_STATUS_LABELS = {
+    pending: 'Due',
+    overdue: 'Overdue',
+    completed: 'Done',
+    'completed-late': 'Done (late)'
+};
+
+async function loadMyCohorts() {
+    const container = document.getElementById('myCohorts');
+    if (!container || !authToken) return;
+
+    try {
+        const cohorts = await apiCall('/my-cohorts');
+        container.innerHTML = cohorts.length === 0
+            ? '<p>You are not in a cohort. Ask your instructor for a join code.</p>'
+            : cohorts.map(cohort => `
+                <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
+                    <strong>${escapeHtml(cohort.name)}</strong>${cohort.instructor ? ` - ${escapeHtml(cohort.instructor)}` : ''}
+                    <button class="btn btn-secondary" onclick="leaveCohort('${cohort._id}')">Leave</button>
+                    <ul style="list-style: none;">
+                        ${cohort.assignments.map(assignment => `
+                            <li>
+                                ${escapeHtml(assignment.title)} - ${ASSIGNMENT_STATUS_LABELS[assignment.status]}
+                                ${new Date(assignment.dueDate).toLocaleDateString()}
+                                ${assignment.score != null ? `(${assignment.score}%)` : ''}
+                                ${assignment.status === 'pending' || assignment.status === 'overdue' ? `
+                                    <button class="btn btn-primary"
+                                            onclick="startMockTest(${jsArg(assignment.testType)}, ${jsArg(assignment.section)}, '${assignment.mode}', null, '${assignment._id}')">Start</button>
+                                ` : ''}
+                            </li>
+                        `).join('') || '<li>No tests assigned yet.</li>'}
+                    </ul>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading cohorts:', error);
+    }
+}
+
+const joinCohortForm = document.getElementById('joinCohortForm');
+if (joinCohortForm) {
+    joinCohortForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        try {
+            const { message } = await apiCall('/cohorts/join', 'POST', { code: this.elements.code.value });
+            this.reset();
+            await loadMyCohorts();
+            alert(message);
+        } catch (error) {
+            alert('Could not join cohort: ' + error.message);
+        }
+    });
+}
+
+async function leaveCohort(cohortId) {
+    if (!confirm('Leave this cohort? Your instructor will no longer see your progress.')) return;
+
+    try {
+        await apiCall(`/cohorts/${cohortId}/leave`, 'POST');
+        await loadMyCohorts();
+    } catch (error) {
+        alert('Could not leave cohort: ' + error.message);
+    }
+}
+
+// Instructor panel: cohorts, assignments and student progress
+async function loadInstructorPanel() {
+    const panel = document.getElementById('instructorPanel');
+    if (!panel) return;
+
+    const isInstructor = currentUser && ['instructor', 'admin'].includes(currentUser.role);
+    panel.classList.toggle('hidden', !isInstructor);
+    if (!isInstructor) return;
+
+    try {
+        const cohorts = await apiCall('/cohorts');
+        const list = document.getElementById('cohortList');
+        if (!list) return;
+
+        list.innerHTML = cohorts.length === 0
+            ? '<p>No cohorts yet.</p>'
+            : cohorts.map(cohort => `
+                <div style="margin: 0.5rem 0;">
+                    <a href="#" onclick="showCohort('${cohort._id}'); return false;"><strong>${escapeHtml(cohort.name)}</strong></a>
+                    - code <code>${cohort.joinCode}</code>, ${cohort.members} student(s), ${cohort.assignments} assignment(s)
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading cohorts:', error);
+    }
+}
+
+const cohortForm = document.getElementById('cohortForm');
+if (cohortForm) {
+    cohortForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        try {
+            const { cohort } = await apiCall('/cohorts', 'POST', { name: this.elements.name.value });
+            this.reset();
+            await loadInstructorPanel();
+            displayCohort(cohort);
+        } catch (error) {
+            alert('Could not create cohort: ' + error.message);
+        }
+    });
+}
+
+async function showCohort(cohortId) {
+    try {
+        displayCohort(await apiCall(`/cohorts/${cohortId}`));
+    } catch (error) {
+        alert('Could not load cohort: ' + error.message);
+    }
+}
+
+function displayCohort(cohort) {
+    const container = document.getElementById('cohortDetail');
+    if (!container) return;
+
+    container.innerHTML = `
+        <h4>${escapeHtml(cohort.name)}</h4>
+        <p>
+            Join code: <code>${cohort.joinCode}</code>
+            <button class="btn btn-secondary" onclick="newJoinCode('${cohort._id}')">New code</button>
+            <button class="btn btn-secondary" onclick="assignTest('${cohort._id}')">Assign a test</button>
+            <button class="btn btn-secondary" onclick="deleteCohort('${cohort._id}')">Delete cohort</button>
+        </p>
+        <table style="width: 100%;">
+            <tr>
+                <th style="text-align: left;">Student</th>
+                ${cohort.assignments.map(assignment => `
+                    <th title="Due ${new Date(assignment.dueDate).toLocaleDateString()}">
+                        ${escapeHtml(assignment.title)}
+                        <a href="#" onclick="removeAssignment('${cohort._id}', '${assignment._id}'); return false;">&times;</a>
+                    </th>
+                `).join('')}
+                <th></th>
+            </tr>
+            ${cohort.members.map(member => `
+                <tr>
+                    <td>
+                        <a href="#" onclick="showStudentProgress('${cohort._id}', '${member.userId}'); return false;">${escapeHtml(member.name || member.email)}</a>
+                        (${member.completed} done, ${member.overdue} overdue)
+                    </td>
+                    ${cohort.assignments.map(assignment => {
+                        const result = assignment.results.find(r => r.userId === member.userId);
+                        return `<td>${ASSIGNMENT_STATUS_LABELS[result.status]}${result.score != null ? ` ${result.score}%` : ''}</td>`;
+                    }).join('')}
+                    <td><a href="#" onclick="removeStudent('${cohort._id}', '${member.userId}'); return false;">Remove</a></td>
+                </tr>
+            `).join('') || '<tr><td>No students yet. Share the join code.</td></tr>'}
+        </table>
+        <div id="studentProgress"></div>
+    `;
+}
+
+async function newJoinCode(cohortId) {
+    if (!confirm('Replace the join code? The old code will stop working.')) return;
+
+    try {
+        await apiCall(`/cohorts/${cohortId}/join-code`, 'POST');
+        await Promise.all([showCohort(cohortId), loadInstructorPanel()]);
+    } catch (error) {
+        alert('Could not change join code: ' + error.message);
+    }
+}
+
+async function assignTest(cohortId) {
+    const testType = prompt('Test type (GRE, GMAT, IELTS, TOEFL):');
+    if (!testType) return;
+    const section = prompt('Section (e.g. Verbal, Quantitative, Reading):');
+    if (!section) return;
+    const dueDate = prompt('Due date (YYYY-MM-DD):');
+    if (!dueDate) return;
+
+    try {
+        const { cohort } = await apiCall(`/cohorts/${cohortId}/assignments`, 'POST', {
+            testType: testType.trim().toUpperCase(),
+            section: section.trim(),
+            dueDate
+        });
+        displayCohort(cohort);
+    } catch (error) {
+        alert('Could not assign test: ' + error.message);
+    }
+}
+
+async function removeAssignment(cohortId, assignmentId) {
+    if (!confirm('Remove this assignment?')) return;
+
+    try {
+        await apiCall(`/cohorts/${cohortId}/assignments/${assignmentId}`, 'DELETE');
+        await showCohort(cohortId);
+    } catch (error) {
+        alert('Could not remove assignment: ' + error.message);
+    }
+}
+
+async function removeStudent(cohortId, userId) {
+    if (!confirm('Remove this student from the cohort?')) return;
+
+    try {
+        await apiCall(`/cohorts/${cohortId}/members/${userId}`, 'DELETE');
+        await showCohort(cohortId);
+    } catch (error) {
+        alert('Could not remove student: ' + error.message);
+    }
+}
+
+async function deleteCohort(cohortId) {
+    if (!confirm('Delete this cohort and its assignments?')) return;
+
+    try {
+        await apiCall(`/cohorts/${cohortId}`, 'DELETE');
+        document.getElementById('cohortDetail').innerHTML = '';
+        await loadInstructorPanel();
+    } catch (error) {
+        alert('Could not delete cohort: ' + error.message);
+    }
+}
+
+async function showStudentProgress(cohortId, userId) {
+    const container = document.getElementById('studentProgress');
+    if (!container) return;
+
+    try {
+        const { student, results, examScores, analytics } = await apiCall(`/cohorts/${cohortId}/students/${userId}`);
+        container.innerHTML = `
+            <h4>${escapeHtml(student.name)} (${escapeHtml(student.email)})</h4>
+            ${formatExamScores(examScores)}
+            ${renderAnalytics(analytics)}
+            <h4>Recent results</h4>
+            ${results.map(result => `
+                <div>${escapeHtml(result.testType)} ${escapeHtml(result.section)}: ${result.score}%${result.scaledScore != null ? ` (${result.scaledScore})` : ''}
+                    - ${new Date(result.date).toLocaleDateString()}</div>
+            `).join('') || '<p>No results yet.</p>'}
+        `;
+    } catch (error) {
+        alert('Could not load student progress: ' + error.message);
+    }
+}
+
+// Admin: user list with role changes
+const USER_ROLES = ['user', 'instructor', 'admin'];
+
+async function loadAdminUsers(query = '') {
+    const container = document.getElementById('adminUsers');
+    if (!container) return;
+
+    const isAdmin = currentUser && currentUser.role === 'admin';
+    container.classList.toggle('hidden', !isAdmin);
+    if (!isAdmin) return;
+
+    try {
+        const { users, total } = await apiCall(`/admin/users?q=${encodeURIComponent(query)}`);
+        container.innerHTML = `
+            <input type="search" placeholder="Search name or email" value="${escapeHtml(query)}"
+                   onchange="loadAdminUsers(this.value)">
+            <p>${total} user(s)</p>
+            ${users.map(user => `
+                <div>
+                    ${escapeHtml(user.name)} (${escapeHtml(user.email)})${user.emailVerified ? '' : ' - unverified'}
+                    ${user.deletion && user.deletion.scheduledFor ? ` - deletion on ${new Date(user.deletion.scheduledFor).toLocaleDateString()}` : ''}
+                    <select onchange="changeUserRole('${user._id}', this.value)">
+                        ${USER_ROLES.map(role => `
+                            <option value="${role}"${role === user.role ? ' selected' : ''}>${role}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('')}
+        `;
+    } catch (error) {
+        console.error('Error loading users:', error);
+    }
+}
+
+async function changeUserRole(userId, role) {
+    try {
+        await apiCall(`/admin/users/${userId}/role`, 'PUT', { role });
+    } catch (error) {
+        alert('Could not change role: ' + error.message);
+        await loadAdminUsers();
+    }
+}
+
+// Admin: audit log of data exports and account deletions
+async function loadAuditLog(action = '') {
+    const container = document.getElementById('auditLog');
+    if (!container) return;
+
+    const isAdmin = currentUser && currentUser.role === 'admin';
+    container.classList.toggle('hidden', !isAdmin);
+    if (!isAdmin) return;
+
+    try {
+        const { entries, total } = await apiCall(`/admin/audit-log?${action ? `action=${action}&` : ''}limit=100`);
+        const person = (who, id) => (who ? `${escapeHtml(who.name)} (${escapeHtml(who.email)})` : `deleted account ${id}`);
+        container.innerHTML = `
+            <select onchange="loadAuditLog(this.value)">
+                ${['', 'data-export', 'deletion-requested', 'deletion-cancelled', 'account-deleted'].map(value => `
+                    <option value="${value}"${value === action ? ' selected' : ''}>${value || 'All actions'}</option>
+                `).join('')}
+            </select>
+            <p>${total} entries</p>
+            ${entries.map(entry => `
+                <div>
+                    ${new Date(entry.createdAt).toLocaleString()} - ${entry.action}: ${person(entry.user, entry.userId)}
+                    ${entry.actorId && entry.actorId !== entry.userId ? `by ${person(entry.actor, entry.actorId)}` : ''}
+                    ${entry.actorId ? '' : '(scheduled)'}
+                </div>
+            `).join('') || '<p>No entries.</p>'}
+        `;
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+    }
+}
+
+// Admin: moderation queue of reported questions, fixed in place
+async function loadModerationQueue() {
+    const container = document.getElementById('moderationQueue');
+    if (!container) return;
+
+    const isAdmin = currentUser && currentUser.role === 'admin';
+    container.classList.toggle('hidden', !isAdmin);
+    if (!isAdmin) return;
+
+    try {
+        const { total, queue } = await apiCall('/admin/reports');
+        container.innerHTML = `
+            <p>${total} open report(s) on ${queue.length} question(s)</p>
+            ${queue.map(({ question, categories, reports }) => `
+                <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
+                    <strong>${escapeHtml(question.testType)} ${escapeHtml(question.section)}</strong>
+                    - ${Object.entries(categories).map(([category, count]) => `${category} x${count}`).join(', ')}
+                    <p>${escapeHtml(question.question)}</p>
+                    ${reports.map(report => `
+                        <div>
+                            ${report.category}${report.note ? `: ${escapeHtml(report.note)}` : ''}
+                            - ${report.reporter ? escapeHtml(report.reporter.name) : 'former member'},
+                            ${new Date(report.createdAt).toLocaleDateString()}
+                            <button class="btn btn-secondary" onclick="updateReport('${report.id}', 'resolved')">Resolve</button>
+                            <button class="btn btn-secondary" onclick="updateReport('${report.id}', 'dismissed')">Dismiss</button>
+                        </div>
+                    `).join('')}
+                    <button class="btn btn-primary" onclick="openQuestionFix('${question._id}')">Fix question</button>
+                    <div id="questionFix-${question._id}"></div>
+                </div>
+            `).join('') || '<p>No reported questions.</p>'}
+        `;
+    } catch (error) {
+        console.error('Error loading moderation queue:', error);
+    }
+}
+
+async function updateReport(reportId, status) {
+    const resolution = prompt('Note for the student (optional):') || '';
+
+    try {
+        await apiCall(`/admin/reports/${reportId}`, 'PUT', { status, resolution });
+        await loadModerationQueue();
+    } catch (error) {
+        alert('Could not update report: ' + error.message);
+    }
+}
+
+// Simple fields are edited here; structured answers are entered as JSON
+async function openQuestionFix(questionId) {
+    const container = document.getElementById(`questionFix-${questionId}`);
+    if (!container) return;
+
+    try {
+        const question = await apiCall(`/admin/questions/${questionId}`);
+        container.innerHTML = `
+            <form onsubmit="saveQuestionFix(event, '${questionId}')">
+                <textarea name="question" rows="3" style="width: 100%;">${escapeHtml(question.question)}</textarea>
+                <input type="text" name="correctAnswer" style="width: 100%;" value="${escapeHtml(JSON.stringify(question.correctAnswer))}">
+                <textarea name="explanation" rows="3" style="width: 100%;" placeholder="Explanation">${escapeHtml(question.explanation)}</textarea>
+                <input type="text" name="revisionNote" style="width: 100%;" maxlength="1000" placeholder="What was fixed (shown to the reporters)">
+                <label><input type="checkbox" name="resolveReports" checked> Resolve the open reports</label>
+                <button type="submit" class="btn btn-primary">Save</button>
+            </form>
+            <h5>Revision history</h5>
+            ${(question.revisions || []).slice().reverse().map(revision => `
+                <div>
+                    ${new Date(revision.editedAt).toLocaleString()}${revision.note ? ` - ${escapeHtml(revision.note)}` : ''}
+                    <ul>
+                        ${revision.changes.map(change => `
+                            <li>${change.field}: ${escapeHtml(JSON.stringify(change.from))} → ${escapeHtml(JSON.stringify(change.to))}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('') || '<p>No edits yet.</p>'}
+        `;
+    } catch (error) {
+        alert('Could not load question: ' + error.message);
+    }
+}
+
+async function saveQuestionFix(event, questionId) {
+    event.preventDefault();
+    const form = event.target.elements;
+
+    let correctAnswer;
+    try {
+        correctAnswer = JSON.parse(form.correctAnswer.value);
+    } catch (error) {
+        alert('The correct answer must be valid JSON, e.g. "B" or ["A", "C"]');
+        return;
+    }
+
+    try {
+        const response = await apiCall(`/admin/questions/${questionId}`, 'PUT', {
+            question: form.question.value,
+            correctAnswer,
+            explanation: form.explanation.value,
+            revisionNote: form.revisionNote.value,
+            resolveReports: form.resolveReports.checked
+        });
+        alert(`Saved ${response.changes.length} change(s), resolved ${response.resolvedReports} report(s)`);
+        await loadModerationQueue();
+    } catch (error) {
+        alert('Could not save question: ' + error.message);
+    }
+}
+
+// Writing: timed essay editor, submissions and instructor grading
+const ESSAY_AUTOSAVE_SECONDS = 30;
+
+// Same word rule as the server (writing_rubrics.js), so the counter matches the stored count
+function countEssayWords(text) {
+    return (text.toLowerCase().match(/[a-z0-9]+(?:['-][a-z0-9]+)*/g) || []).length;
+}
+
+async function loadEssayPrompts() {
+    const container = document.getElementById('essayPrompts');
+    if (!container || !authToken) return;
+
+    try {
+        const prompts = await apiCall('/essays/prompts');
+        container.innerHTML = prompts.map(prompt => `
+            <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
+                <strong>${escapeHtml(prompt.task)}</strong> - ${prompt.minutes} minutes, at least ${prompt.minWords} words
+                <p>${escapeHtml(prompt.question)}</p>
+                <button class="btn btn-primary" onclick="startEssay('${prompt._id}')">Start writing</button>
+            </div>
+        `).join('') || '<p>No essay prompts yet.</p>';
+    } catch (error) {
+        console.error('Error loading essay prompts:', error);
+    }
+}
+
+async function startEssay(questionId) {
+    try {
+        const essay = await apiCall('/essays', 'POST', { questionId });
+        activeEssay = { ...essay, savedText: essay.text };
+        renderEssayEditor();
+    } catch (error) {
+        alert('Could not start essay: ' + error.message);
+    }
+}
+
+function renderEssayEditor() {
+    const editor = document.getElementById('essayEditor');
+    if (!editor || !activeEssay) return;
+
+    editor.innerHTML = `
+        <h4>${escapeHtml(activeEssay.task)}</h4>
+        <p>${escapeHtml(activeEssay.prompt)}</p>
+        <p>Time left: <span id="essayTimer"></span> | Words: <span id="essayWordCount">0</span> / ${activeEssay.rubric.minWords}+</p>
+        <textarea id="essayText" rows="18" style="width: 100%;" oninput="updateEssayWordCount()">${escapeHtml(activeEssay.text)}</textarea>
+        <button class="btn btn-primary" onclick="submitEssay()">Submit essay</button>
+        <span id="essaySaveStatus" style="margin-left: 1rem; font-size: 0.8rem;"></span>
+    `;
+    updateEssayWordCount();
+    stopEssayTimers();
+    updateEssayTimer();
+    essayTimer = setInterval(updateEssayTimer, 1000);
+    essayAutosave = setInterval(saveEssayDraft, ESSAY_AUTOSAVE_SECONDS * 1000);
+}
+
+function updateEssayWordCount() {
+    const text = document.getElementById('essayText');
+    const counter = document.getElementById('essayWordCount');
+    if (!text || !counter) return;
+
+    const words = countEssayWords(text.value);
+    counter.textContent = words;
+    counter.style.color = words < activeEssay.rubric.minWords ? '#ff9800' : '#4caf50';
+}
+
+function updateEssayTimer() {
+    const timer = document.getElementById('essayTimer');
+    if (!timer || !activeEssay) return;
+
+    const remaining = Math.max(0, Math.round((new Date(activeEssay.expiresAt) - Date.now()) / 1000));
+    timer.textContent = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+    if (remaining === 0) submitEssay();
+}
+
+function stopEssayTimers() {
+    clearInterval(essayTimer);
+    clearInterval(essayAutosave);
+}
+
+async function saveEssayDraft() {
+    const text = document.getElementById('essayText');
+    if (!activeEssay || !text || text.value === activeEssay.savedText) return;
+
+    try {
+        await apiCall(`/essays/${activeEssay._id}`, 'PUT', { text: text.value });
+        activeEssay.savedText = text.value;
+        document.getElementById('essaySaveStatus').textContent = `Saved ${new Date().toLocaleTimeString()}`;
+    } catch (error) {
+        document.getElementById('essaySaveStatus').textContent = 'Not saved: ' + error.message;
+    }
+}
+
+async function submitEssay() {
+    if (!activeEssay) return;
+
+    const essayId = activeEssay._id;
+    const text = document.getElementById('essayText').value;
+    stopEssayTimers();
+    activeEssay = null;
+
+    try {
+        const { message, essay } = await apiCall(`/essays/${essayId}/submit`, 'POST', { text });
+        document.getElementById('essayEditor').innerHTML = `
+            <h4>${message}</h4>
+            ${renderPreScore(essay)}
+        `;
+        await loadMyEssays();
+    } catch (error) {
+        alert('Could not submit essay: ' + error.message);
+    }
+}
+
+function renderPreScore(essay) {
+    if (!essay.preScore || essay.preScore.estimate == null) return '';
+    return `
+        <p>Estimated score: <strong>${essay.preScore.estimate}</strong>
+           (automatic estimate from length, vocabulary and structure; your instructor's grade is final)</p>
+        <ul>${essay.preScore.notes.map(note => `<li>${escapeHtml(note)}</li>`).join('')}</ul>
+    `;
+}
+
+// Essay text with commented ranges highlighted; overlapping comments keep the earlier one
+function renderCommentedText(text, comments) {
+    let html = '';
+    let position = 0;
+    for (const entry of [...comments].sort((a, b) => a.start - b.start)) {
+        if (entry.start < position) continue;
+        html += escapeHtml(text.slice(position, entry.start));
+        html += `<mark title="${escapeHtml(entry.comment)}">${escapeHtml(text.slice(entry.start, entry.end))}</mark>`;
+        position = entry.end;
+    }
+    html += escapeHtml(text.slice(position));
+    return `<div style="white-space: pre-wrap; background: rgba(255,255,255,0.05); padding: 1rem;">${html}</div>`;
+}
+
+function renderEssayComments(comments, essayId = null) {
+    return comments.length === 0 ? '' : `
+        <h4>Comments</h4>
+        <ul>${comments.map(entry => `
+            <li>"${escapeHtml(entry.quote)}" - ${escapeHtml(entry.comment)}
+                ${essayId ? `<a href="#" onclick="deleteEssayComment('${essayId}', '${entry._id}'); return false;">&times;</a>` : ''}
+            </li>
+        `).join('')}</ul>
+    `;
+}
+
+function renderRubricScores(essay) {
+    if (essay.status !== 'graded') return '';
+    return `
+        <p>Score: <strong>${essay.score}</strong> / ${essay.rubric.scale.max}</p>
+        <ul>${essay.rubric.criteria.map(criterion => `
+            <li>${criterion.label}: ${essay.rubricScores[criterion.key]}</li>
+        `).join('')}</ul>
+        ${essay.feedback ? `<p>${escapeHtml(essay.feedback)}</p>` : ''}
+    `;
+}
+
+async function loadMyEssays() {
+    const container = document.getElementById('myEssays');
+    if (!container || !authToken) return;
+
+    try {
+        const essays = await apiCall('/essays');
+        container.innerHTML = essays.map(essay => `
+            <div>
+                <a href="#" onclick="viewEssay('${essay._id}'); return false;">${escapeHtml(essay.task)}</a>
+                - ${new Date(essay.startedAt).toLocaleDateString()}, ${essay.wordCount} words,
+                ${essay.status === 'graded' ? `score ${essay.score}` : essay.status}
+                ${essay.status === 'in-progress' ? `<button class="btn btn-secondary" onclick="startEssay('${essay.questionId}')">Resume</button>` : ''}
+            </div>
+        `).join('') || '<p>No essays yet.</p>';
+    } catch (error) {
+        console.error('Error loading essays:', error);
+    }
+}
+
+async function viewEssay(essayId) {
+    const container = document.getElementById('essayEditor');
+    if (!container) return;
+
+    try {
+        const essay = await apiCall(`/essays/${essayId}`);
+        container.innerHTML = `
+            <h4>${escapeHtml(essay.task)}</h4>
+            <p>${escapeHtml(essay.prompt)}</p>
+            ${renderCommentedText(essay.text, essay.comments)}
+            ${renderRubricScores(essay)}
+            ${renderEssayComments(essay.comments)}
+            ${essay.status === 'graded' ? '' : renderPreScore(essay)}
+        `;
+    } catch (error) {
+        alert('Could not load essay: ' + error.message);
+    }
+}
+
+async function loadGradingQueue() {
+    const container = document.getElementById('gradingQueue');
+    if (!container || !currentUser || !['instructor', 'admin'].includes(currentUser.role)) return;
+
+    try {
+        const essays = await apiCall('/essays/grading-queue');
+        container.innerHTML = essays.map(essay => `
+            <div>
+                <a href="#" onclick="openEssayGrading('${essay._id}'); return false;">${escapeHtml(essay.task)}</a>
+                by ${essay.student ? escapeHtml(essay.student.name) : 'unknown student'}
+                - submitted ${new Date(essay.submittedAt).toLocaleString()}${essay.timedOut ? ' (timed out)' : ''},
+                ${essay.wordCount} words, estimate ${essay.preScore ? essay.preScore.estimate : '-'}
+            </div>
+        `).join('') || '<p>No essays waiting for grading.</p>';
+    } catch (error) {
+        console.error('Error loading grading queue:', error);
+    }
+}
+
+async function openEssayGrading(essayId) {
+    const container = document.getElementById('essayGrading');
+    if (!container) return;
+
+    try {
+        const essay = await apiCall(`/essays/${essayId}`);
+        container.innerHTML = `
+            <h4>${escapeHtml(essay.task)}</h4>
+            <p>${escapeHtml(essay.prompt)}</p>
+            <p>Select a passage and add a comment to it.</p>
+            <textarea id="gradingText" rows="18" style="width: 100%;" readonly>${escapeHtml(essay.text)}</textarea>
+            <button class="btn btn-secondary" onclick="addEssayComment('${essay._id}')">Comment on selection</button>
+            ${renderCommentedText(essay.text, essay.comments)}
+            ${renderEssayComments(essay.comments, essay._id)}
+            ${renderPreScore(essay)}
+            <form id="gradeForm" onsubmit="gradeEssay(event, '${essay._id}')">
+                ${renderRubricInputs(essay.rubric, essay.rubricScores)}
+                <textarea name="feedback" rows="4" style="width: 100%;" placeholder="Overall feedback">${escapeHtml(essay.feedback)}</textarea>
+                <button type="submit" class="btn btn-primary">Save grade</button>
+            </form>
+        `;
+    } catch (error) {
+        alert('Could not open essay: ' + error.message);
+    }
+}
+
+// Offsets come from the read-only textarea, which holds exactly the submitted text
+async function addEssayComment(essayId) {
+    const text = document.getElementById('gradingText');
+    if (text.selectionEnd <= text.selectionStart) {
+        alert('Select the passage you want to comment on first');
+        return;
+    }
+    const comment = prompt('Comment:');
+    if (!comment) return;
+
+    try {
+        await apiCall(`/essays/${essayId}/comments`, 'POST', {
+            start: text.selectionStart,
+            end: text.selectionEnd,
+            comment
+        });
+        await openEssayGrading(essayId);
+    } catch (error) {
+        alert('Could not add comment: ' + error.message);
+    }
+}
+
+async function deleteEssayComment(essayId, commentId) {
+    try {
+        await apiCall(`/essays/${essayId}/comments/${commentId}`, 'DELETE');
+        await openEssayGrading(essayId);
+    } catch (error) {
+        alert('Could not remove comment: ' + error.message);
+    }
+}
+
+async function gradeEssay(event, essayId) {
+    event.preventDefault();
+    const form = event.target;
+
+    try {
+        await apiCall(`/essays/${essayId}/grade`, 'PUT', { scores: collectRubricScores(form), feedback: form.elements.feedback.value });
+        document.getElementById('essayGrading').innerHTML = '<p>Grade saved.</p>';
+        await loadGradingQueue();
+    } catch (error) {
+        alert('Could not save grade: ' + error.message);
+    }
+}
+
+// Speaking: timed recording in the browser, playback, self-assessment and instructor review
+let activeRecording = null; // { prompt, recorder, chunks, timer, phase, remaining, startedAt }
+
+// Formats MediaRecorder can produce that the server accepts, in order of preference
+const RECORDING_TYPES = ['audio/webm', 'audio/ogg', 'audio/mp4'];
+
+async function loadSpeakingPrompts() {
+    const container = document.getElementById('speakingPrompts');
+    if (!container || !authToken) return;
+
+    try {
+        const prompts = await apiCall('/speaking/prompts');
+        container.innerHTML = prompts.map(prompt => `
+            <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
+                <strong>${escapeHtml(prompt.task)}</strong> - ${prompt.prepSeconds} s preparation, ${prompt.responseSeconds} s response
+                <p>${escapeHtml(prompt.question)}</p>
+                <button class="btn btn-primary" onclick="startSpeaking(${jsArg(prompt)})">Start speaking</button>
+            </div>
+        `).join('') || '<p>No speaking prompts yet.</p>';
+    } catch (error) {
+        console.error('Error loading speaking prompts:', error);
+    }
+}
+
+async function startSpeaking(prompt) {
+    const recorderPanel = document.getElementById('speakingRecorder');
+    if (!recorderPanel) return;
+
+    const mimeType = window.MediaRecorder && RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType || !navigator.mediaDevices) {
+        alert('Your browser cannot record audio. Try a recent version of Chrome, Firefox or Safari.');
+        return;
+    }
+    cancelSpeaking();
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+        alert('Microphone access is needed to record your answer');
+        return;
+    }
+
+    const recorder = new MediaRecorder(stream, { mimeType });
+    activeRecording = { prompt, recorder, chunks: [], phase: 'prep', remaining: prompt.prepSeconds };
+    recorder.ondataavailable = event => activeRecording && activeRecording.chunks.push(event.data);
+    recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        if (activeRecording && activeRecording.phase === 'done') uploadRecording();
+    };
+
+    recorderPanel.innerHTML = `
+        <h4>${escapeHtml(prompt.task)}</h4>
+        <p>${escapeHtml(prompt.question)}</p>
+        <p><strong id="speakingPhase"></strong> <span id="speakingTimer"></span></p>
+        <button class="btn btn-secondary" id="speakingAction" onclick="advanceSpeaking()"></button>
+        <button class="btn btn-secondary" onclick="cancelSpeaking()">Cancel</button>
+    `;
+    if (prompt.prepSeconds === 0) beginResponse();
+    updateSpeakingTimer();
+    activeRecording.timer = setInterval(tickSpeaking, 1000);
+}
+
+function tickSpeaking() {
+    if (!activeRecording) return;
+    activeRecording.remaining -= 1;
+    if (activeRecording.remaining <= 0) advanceSpeaking();
+    updateSpeakingTimer();
+}
+
+function updateSpeakingTimer() {
+    if (!activeRecording) return;
+    const { phase, remaining } = activeRecording;
+    document.getElementById('speakingPhase').textContent = phase === 'prep' ? 'Prepare your answer' : 'Recording';
+    document.getElementById('speakingTimer').textContent = `${Math.max(0, remaining)} s`;
+    document.getElementById('speakingAction').textContent = phase === 'prep' ? 'Start speaking now' : 'Stop and submit';
+}
+
+// Preparation -> recording -> upload; called by the timers and by the button
+function advanceSpeaking() {
+    if (!activeRecording) return;
+    if (activeRecording.phase === 'prep') {
+        beginResponse();
+    } else if (activeRecording.phase === 'recording') {
+        clearInterval(activeRecording.timer);
+        activeRecording.phase = 'done';
+        activeRecording.recorder.stop();
+    }
+    updateSpeakingTimer();
+}
+
+function beginResponse() {
+    activeRecording.phase = 'recording';
+    activeRecording.remaining = activeRecording.prompt.responseSeconds;
+    activeRecording.startedAt = Date.now();
+    activeRecording.recorder.start();
+}
+
+function cancelSpeaking() {
+    if (!activeRecording) return;
+    const { recorder, timer } = activeRecording;
+    clearInterval(timer);
+    activeRecording = null;
+    if (recorder.state !== 'inactive') recorder.stop();
+    else recorder.stream.getTracks().forEach(track => track.stop());
+    const recorderPanel = document.getElementById('speakingRecorder');
+    if (recorderPanel) recorderPanel.innerHTML = '';
+}
+
+// Recordings go up as the raw request body, so this bypasses apiCall's JSON encoding
+async function uploadRecording() {
+    const { prompt, recorder, chunks, startedAt } = activeRecording;
+    activeRecording = null;
+    const recorderPanel = document.getElementById('speakingRecorder');
+    const mimeType = recorder.mimeType.split(';')[0];
+    const duration = Math.min((Date.now() - startedAt) / 1000, prompt.responseSeconds);
+    recorderPanel.innerHTML = '<p>Uploading your recording...</p>';
+
+    try {
+        const response = await authFetch(`/speaking/attempts?questionId=${prompt._id}&duration=${duration.toFixed(1)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': mimeType },
+            body: new Blob(chunks, { type: mimeType })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Upload failed');
+
+        await viewSpeakingAttempt(result._id);
+        await loadMySpeakingAttempts();
+    } catch (error) {
+        recorderPanel.innerHTML = '';
+        alert('Could not upload recording: ' + error.message);
+    }
+}
+
+// <audio> cannot send the Authorization header, so recordings are fetched and played from a blob URL
+async function loadRecordingAudio(attemptId, elementId) {
+    const audio = document.getElementById(elementId);
+    if (!audio) return;
+
+    try {
+        const response = await authFetch(`/speaking/attempts/${attemptId}/audio`);
+        if (!response.ok) throw new Error('Recording unavailable');
+        if (audio.src) URL.revokeObjectURL(audio.src);
+        audio.src = URL.createObjectURL(await response.blob());
+    } catch (error) {
+        audio.replaceWith(document.createTextNode(error.message));
+    }
+}
+
+function renderRubricInputs(rubric, scores) {
+    return rubric.criteria.map(criterion => `
+        <label>${criterion.label} (${criterion.min}-${criterion.max})
+            <input type="number" name="${criterion.key}" min="${criterion.min}" max="${criterion.max}"
+                   step="${criterion.step}" required value="${scores ? scores[criterion.key] : ''}">
+        </label>
+    `).join('');
+}
+
+function collectRubricScores(form) {
+    const scores = {};
+    form.querySelectorAll('input[type="number"]').forEach(input => {
+        scores[input.name] = Number(input.value);
+    });
+    return scores;
+}
+
+function renderSpeakingScores(title, assessment, rubric) {
+    if (!assessment || assessment.score == null) return '';
+    return `
+        <p>${title}: <strong>${assessment.score}</strong> / ${rubric.scale.max}</p>
+        <ul>${rubric.criteria.map(criterion => `
+            <li>${criterion.label}: ${assessment.scores[criterion.key]}</li>
+        `).join('')}</ul>
+        ${assessment.note || assessment.feedback ? `<p>${escapeHtml(assessment.note || assessment.feedback)}</p>` : ''}
+    `;
+}
+
+async function viewSpeakingAttempt(attemptId) {
+    const container = document.getElementById('speakingRecorder');
+    if (!container) return;
+
+    try {
+        const attempt = await apiCall(`/speaking/attempts/${attemptId}`);
+        const self = attempt.selfAssessment || {};
+        container.innerHTML = `
+            <h4>${escapeHtml(attempt.task)}</h4>
+            <p>${escapeHtml(attempt.prompt)}</p>
+            <audio id="speakingPlayback" controls></audio>
+            ${renderSpeakingScores('Instructor score', attempt.review, attempt.rubric)}
+            <form id="selfAssessmentForm" onsubmit="saveSelfAssessment(event, '${attempt._id}')">
+                <h4>Rate yourself</h4>
+                ${renderRubricInputs(attempt.rubric, self.scores)}
+                <textarea name="note" rows="3" style="width: 100%;" placeholder="What would you do differently?">${escapeHtml(self.note)}</textarea>
+                <button type="submit" class="btn btn-primary">Save self-assessment</button>
+            </form>
+            ${renderSpeakingScores('Your rating', self, attempt.rubric)}
+        `;
+        await loadRecordingAudio(attempt._id, 'speakingPlayback');
+    } catch (error) {
+        alert('Could not load recording: ' + error.message);
+    }
+}
+
+async function saveSelfAssessment(event, attemptId) {
+    event.preventDefault();
+    const form = event.target;
+
+    try {
+        await apiCall(`/speaking/attempts/${attemptId}/self-assessment`, 'PUT', {
+            scores: collectRubricScores(form),
+            note: form.elements.note.value
+        });
+        await viewSpeakingAttempt(attemptId);
+    } catch (error) {
+        alert('Could not save self-assessment: ' + error.message);
+    }
+}
+
+async function loadMySpeakingAttempts() {
+    const container = document.getElementById('mySpeakingAttempts');
+    if (!container || !authToken) return;
+
+    try {
+        const attempts = await apiCall('/speaking/attempts');
+        container.innerHTML = attempts.map(attempt => `
+            <div>
+                <a href="#" onclick="viewSpeakingAttempt('${attempt._id}'); return false;">${escapeHtml(attempt.task)}</a>
+                - ${new Date(attempt.createdAt).toLocaleDateString()},
+                ${attempt.status === 'reviewed' ? `score ${attempt.review.score}` : 'awaiting review'}
+                <button class="btn btn-secondary" onclick="deleteSpeakingAttempt('${attempt._id}')">Delete</button>
+            </div>
+        `).join('') || '<p>No recordings yet.</p>';
+    } catch (error) {
+        console.error('Error loading recordings:', error);
+    }
+}
+
+async function deleteSpeakingAttempt(attemptId) {
+    if (!confirm('Delete this recording? Any score it received stays in your results.')) return;
+
+    try {
+        await apiCall(`/speaking/attempts/${attemptId}`, 'DELETE');
+        await loadMySpeakingAttempts();
+    } catch (error) {
+        alert('Could not delete recording: ' + error.message);
+    }
+}
+
+async function loadSpeakingReviewQueue() {
+    const container = document.getElementById('speakingReviewQueue');
+    if (!container || !currentUser || !['instructor', 'admin'].includes(currentUser.role)) return;
+
+    try {
+        const attempts = await apiCall('/speaking/review-queue');
+        container.innerHTML = attempts.map(attempt => `
+            <div>
+                <a href="#" onclick="openSpeakingReview('${attempt._id}'); return false;">${escapeHtml(attempt.task)}</a>
+                by ${attempt.student ? escapeHtml(attempt.student.name) : 'unknown student'}
+                - recorded ${new Date(attempt.createdAt).toLocaleString()}
+                ${attempt.selfAssessment && attempt.selfAssessment.score != null ? `, self-rated ${attempt.selfAssessment.score}` : ''}
+            </div>
+        `).join('') || '<p>No recordings waiting for review.</p>';
+    } catch (error) {
+        console.error('Error loading speaking review queue:', error);
+    }
+}
+
+async function openSpeakingReview(attemptId) {
+    const container = document.getElementById('speakingReview');
+    if (!container) return;
+
+    try {
+        const attempt = await apiCall(`/speaking/attempts/${attemptId}`);
+        const review = attempt.review || {};
+        container.innerHTML = `
+            <h4>${escapeHtml(attempt.task)}</h4>
+            <p>${escapeHtml(attempt.prompt)}</p>
+            <audio id="speakingReviewPlayback" controls></audio>
+            ${renderSpeakingScores('Student self-rating', attempt.selfAssessment, attempt.rubric)}
+            <form id="speakingReviewForm" onsubmit="reviewSpeakingAttempt(event, '${attempt._id}')">
+                ${renderRubricInputs(attempt.rubric, review.scores)}
+                <textarea name="feedback" rows="4" style="width: 100%;" placeholder="Overall feedback">${escapeHtml(review.feedback)}</textarea>
+                <button type="submit" class="btn btn-primary">Save review</button>
+            </form>
+        `;
+        await loadRecordingAudio(attempt._id, 'speakingReviewPlayback');
+    } catch (error) {
+        alert('Could not open recording: ' + error.message);
+    }
+}
+
+async function reviewSpeakingAttempt(event, attemptId) {
+    event.preventDefault();
+    const form = event.target;
+
+    try {
+        await apiCall(`/speaking/attempts/${attemptId}/review`, 'PUT', {
+            scores: collectRubricScores(form),
+            feedback: form.elements.feedback.value
+        });
+        document.getElementById('speakingReview').innerHTML = '<p>Review saved.</p>';
+        await loadSpeakingReviewQueue();
+    } catch (error) {
+        alert('Could not save review: ' + error.message);
+    }
+}
+
+// Load test questions from backend
+async function loadTestQuestions(testType, section, limit = 1) {
+    try {
+        const questions = await apiCall(`/questions/${testType}/${section}?limit=${limit}`);
+        return questions;
+    } catch (error) {
+        console.error('Error loading questions:', error);
+        return [];
+    }
+}
+
+// Quiz functionality
+function selectOption(element) {
+    element.parentElement.querySelectorAll('.option').forEach(opt => opt.classList.remove('selected'));
+    element.classList.add('selected');
+}
+
+function toggleOption(element) {
+    element.classList.toggle('selected');
+}
+
+function renderOptions(options, multiple, selected) {
+    return `
+        <div class="options">
+            ${options.map((option, index) => `
+                <div class="option${selected.includes(index) ? ' selected' : ''}"
+                     onclick="${multiple ? 'toggleOption(this)' : 'selectOption(this)'}"
+                     data-option-index="${index}">
+                    ${String.fromCharCode(65 + index)}) ${escapeHtml(option)}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderAnswerInput(question, previousAnswer) {
+    const selected = previousAnswer === null ? [] : [].concat(previousAnswer);
+
+    switch (question.format) {
+        case 'multi-select':
+            return '<p><em>Select all that apply.</em></p>' + renderOptions(question.options, true, selected);
+        case 'sentence-equivalence':
+            return '<p><em>Select the two answers that produce sentences alike in meaning.</em></p>'
+                + renderOptions(question.options, true, selected);
+        case 'numeric-entry':
+            return `
+                <input type="text" id="numericAnswer" inputmode="decimal"
+                       placeholder="e.g. 12.5 or 3/4" value="${previousAnswer !== null ? escapeHtml(previousAnswer) : ''}">
+            `;
+        case 'text-completion':
+            return question.blanks.map((blank, i) => `
+                <p>Blank (${['i', 'ii', 'iii'][i]}):
+                    <select class="blank-answer">
+                        <option value="">--</option>
+                        ${blank.options.map((option, index) => `
+                            <option value="${index}"${selected[i] === index ? ' selected' : ''}>${escapeHtml(option)}</option>
+                        `).join('')}
+                    </select>
+                </p>
+            `).join('');
+        case 'data-sufficiency':
+            return question.statements.map((statement, i) => `<p>(${i + 1}) ${escapeHtml(statement)}</p>`).join('')
+                + renderOptions(question.options, false, selected);
+        default:
+            return renderOptions(question.options, false, selected);
+    }
+}
+
+function renderQuestion(question, { header = '', footer = '', previousAnswer = null } = {}) {
+    const questionContainer = document.querySelector('.question');
+    if (!questionContainer) return;
+
+    displayedQuestion = question;
+    questionContainer.innerHTML = `
+        ${header}
+        ${question.passage ? `
+            <div class="passage" style="background: rgba(255,255,255,0.05); padding: 1rem; margin-bottom: 1rem;">
+                ${question.passage.title ? `<h4>${escapeHtml(question.passage.title)}</h4>` : ''}
+                <p>${escapeHtml(question.passage.text)}</p>
+            </div>` : ''}
+        <p>${escapeHtml(question.question)}</p>
+        ${renderAnswerInput(question, previousAnswer)}
+        ${footer}
+    `;
+}
+
+// Reads the answer for the displayed question in the shape the backend expects, or null if incomplete
+function collectAnswer() {
+    if (!displayedQuestion) return null;
+
+    const selected = [...document.querySelectorAll('.question .option.selected')]
+        .map(el => parseInt(el.dataset.optionIndex));
+
+    switch (displayedQuestion.format) {
+        case 'multi-select':
+            return selected.length > 0 ? selected : null;
+        case 'sentence-equivalence':
+            return selected.length === 2 ? selected : null;
+        case 'numeric-entry': {
+            const value = document.getElementById('numericAnswer').value.trim();
+            return value || null;
+        }
+        case 'text-completion': {
+            const values = [...document.querySelectorAll('.question .blank-answer')].map(select => select.value);
+            return values.every(value => value !== '') ? values.map(Number) : null;
+        }
+        default:
+            return selected.length === 1 ? selected[0] : null;
+    }
+}
+
+async function submitAnswer() {
+    const answer = collectAnswer();
+    if (answer === null) {
+        alert(displayedQuestion && displayedQuestion.format === 'sentence-equivalence'
+            ? 'Please select exactly two answers'
+            : 'Please answer the question');
+        return;
+    }
+
+    if (activeSession) {
+        await submitSessionAnswer(answer);
+        return;
+    }
+    if (activeReview) {
+        await submitReviewAnswer(answer);
+        return;
+    }
+    if (activeOfflinePack) {
+        submitPackAnswer(answer);
+        return;
+    }
+    
+    await checkPracticeAnswer(answer);
+}
+
+// Practice answers are checked within an attempt (one check per question); the answer key
+// and explanation come back once the attempt is finished, here as soon as every question is checked
+async function checkPracticeAnswer(answer) {
+    if (!authToken) {
+        alert('Please login to check your answers');
+        openModal('loginModal');
+        return;
+    }
+
+    const question = displayedQuestion;
+    try {
+        if (!activePractice || !activePractice.questionIds.includes(question._id)) {
+            const { attempt } = await apiCall('/practice-attempts', 'POST', { questionIds: [question._id] });
+            activePractice = { id: attempt.id, questionIds: [question._id] };
+        }
+
+        const response = await apiCall('/check-answer', 'POST', {
+            attemptId: activePractice.id,
+            questionId: question._id,
+            userAnswer: answer
+        });
+
+        let explanation = '';
+        if (response.checked === response.questionCount) {
+            const finished = await apiCall(`/practice-attempts/${activePractice.id}/finish`, 'POST');
+            activePractice = null;
+            const key = finished.answers.find(a => a.questionId === question._id);
+            if (key) {
+                explanation = `<p>Correct answer: ${formatAnswer(question, key.correctAnswer)}</p>
+                    ${key.explanation ? `<p>Explanation: ${escapeHtml(key.explanation)}</p>` : ''}`;
+            }
+        }
+
+        document.getElementById('scoreDetails').innerHTML =
+            `<h4>${response.correct ? 'Correct! ✓' : 'Incorrect ✗'}</h4>${explanation}
+            <div id="questionDiscussion"></div>`;
+        document.getElementById('mockTestResults').classList.remove('hidden');
+        loadQuestionDiscussion(question._id);
+    } catch (error) {
+        alert('Error checking answer: ' + error.message);
+    }
+}
+
+// Timed mock test sessions (scored on the server)
+// mode: 'fixed', 'item' (GMAT-style adaptive) or 'section' (GRE-style adaptive)
+async function startMockTest(testType, section, mode = 'fixed', previousSessionId = null, assignmentId = null) {
+    if (!authToken) {
+        alert('Please login to take a mock test');
+        openModal('loginModal');
+        return;
+    }
+
+    try {
+        const payload = { testType, section, mode };
+        if (previousSessionId) payload.previousSessionId = previousSessionId;
+        if (assignmentId) payload.assignmentId = assignmentId;
+
+        const response = await apiCall('/test-sessions', 'POST', payload);
+        activeSession = {
+            ...response.session,
+            questions: response.questions,
+            index: 0
+        };
+        document.getElementById('mockTestResults').classList.add('hidden');
+        startSessionTimer();
+        renderSessionQuestion();
+    } catch (error) {
+        alert('Could not start mock test: ' + error.message);
+    }
+}
+
+function renderSessionQuestion() {
+    if (!activeSession) return;
+
+    const question = activeSession.questions[activeSession.index];
+    const previous = activeSession.answered.find(a => a.questionId === question._id);
+
+    renderQuestion(question, {
+        header: `
+            <p><strong>${escapeHtml(activeSession.testType)} ${escapeHtml(activeSession.section)}</strong>
+               ${activeSession.mode === 'section' ? ` (Section ${activeSession.stage})` : ''} -
+               Question ${activeSession.index + 1} of ${activeSession.questionCount}
+               <span id="sessionTimer" style="float: right;"></span></p>
+        `,
+        footer: '<button class="btn btn-secondary" onclick="finishMockTest()">Finish Test</button>',
+        previousAnswer: previous ? previous.answer : null
+    });
+    updateSessionTimer();
+}
+
+async function submitSessionAnswer(answer) {
+    try {
+        const response = await apiCall(`/test-sessions/${activeSession.id}/answers`, 'POST', {
+            questionId: displayedQuestion._id,
+            answer
+        });
+        activeSession.answered = response.session.answered;
+        activeSession.remainingSeconds = response.session.remainingSeconds;
+        activeSession.questionCount = response.session.questionCount;
+        if (response.nextQuestion) {
+            activeSession.questions.push(response.nextQuestion);
+        }
+
+        if (activeSession.index < activeSession.questions.length - 1) {
+            activeSession.index++;
+            renderSessionQuestion();
+        } else {
+            await finishMockTest();
+        }
+    } catch (error) {
+        // The server rejects answers once the time limit has passed
+        alert('Error saving answer: ' + error.message);
+        await finishMockTest();
+    }
+}
+
+function startSessionTimer() {
+    clearInterval(sessionTimer);
+    const deadline = Date.now() + activeSession.remainingSeconds * 1000;
+    sessionTimer = setInterval(() => {
+        activeSession.remainingSeconds = Math.max(0, Math.round((deadline - Date.now()) / 1000));
+        updateSessionTimer();
+        if (activeSession.remainingSeconds === 0) {
+            finishMockTest();
+        }
+    }, 1000);
+}
+
+function updateSessionTimer() {
+    const timerEl = document.getElementById('sessionTimer');
+    if (!timerEl || !activeSession) return;
+
+    const minutes = Math.floor(activeSession.remainingSeconds / 60);
+    const seconds = String(activeSession.remainingSeconds % 60).padStart(2, '0');
+    timerEl.textContent = `Time left: ${minutes}:${seconds}`;
+}
+
+async function finishMockTest() {
+    if (!activeSession) return;
+
+    const sessionId = activeSession.id;
+    clearInterval(sessionTimer);
+    activeSession = null;
+    displayedQuestion = null;
+
+    try {
+        const { session, result } = await apiCall(`/test-sessions/${sessionId}/finish`, 'POST');
+        lastResultId = result._id;
+
+        document.getElementById('scoreDetails').innerHTML = `
+            <h4>${session.status === 'expired' ? 'Time is up!' : 'Test complete'}</h4>
+            <p>${escapeHtml(result.testType)} ${escapeHtml(result.section)}:
+               ${result.scaledScore != null ? `${result.scaledScore} (${result.score}%)` : `${result.score}%`}
+               (${result.correctAnswers}/${result.totalQuestions} correct)</p>
+            <p>Time spent: ${result.timeSpent} minutes</p>
+            <button class="btn btn-primary" onclick="openSessionReview('${session.id}')">Review answers</button>
+            <button class="btn btn-secondary" onclick="saveResults()">Score report</button>
+            ${session.mode === 'section' && session.stage === 1 ? `
+                <button class="btn btn-secondary"
+                        onclick="startMockTest(${jsArg(session.testType)}, ${jsArg(session.section)}, 'section', '${session.id}')">
+                    Continue to Section 2
+                </button>` : ''}
+        `;
+        document.getElementById('mockTestResults').classList.remove('hidden');
+        await loadDashboardData();
+    } catch (error) {
+        alert('Error finishing test: ' + error.message);
+    }
+}
+
+// Results are stored when the test is finished; this opens the printable report of the last one
+async function saveResults(resultId = lastResultId) {
+    if (!currentUser) {
+        alert('Please login to save results');
+        return;
+    }
+    if (!resultId) {
+        alert('Finish a mock test to get its score report');
+        return;
+    }
+
+    // Opened before the request, so the browser does not treat it as an unrequested popup
+    const reportWindow = window.open('', '_blank');
+    try {
+        const response = await authFetch(`/test-results/${resultId}/report`);
+        if (!response.ok) throw new Error('Report failed');
+
+        const url = URL.createObjectURL(new Blob([await response.text()], { type: 'text/html' }));
+        if (reportWindow) {
+            reportWindow.location.href = url;
+        } else {
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = 'score-report.html';
+            link.click();
+        }
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (error) {
+        if (reportWindow) reportWindow.close();
+        alert('Could not create score report: ' + error.message);
+    }
+}
+
+// Post-exam review: every question with both answers, the explanation, time and difficulty
+function formatSeconds(seconds) {
+    if (seconds == null) return '-';
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+function renderReviewBreakdown(title, groups) {
+    return `
+        <h5>${title}</h5>
+        ${groups.map(group => `
+            <div>${escapeHtml(group.key)}: ${group.correct}/${group.total} (${group.accuracy}%),
+                 ${formatSeconds(group.averageTimeSeconds)} per question</div>
+        `).join('')}
+    `;
+}
+
+// Shown under the mock test by default, or in containerId (the result page)
+async function openSessionReview(sessionId, containerId = 'scoreDetails') {
+    try {
+        const { result, items, breakdown } = await apiCall(`/test-sessions/${sessionId}/review`);
+
+        document.getElementById(containerId).innerHTML = `
+            <h4>Review: ${escapeHtml(result.testType)} ${escapeHtml(result.section)} - ${result.correctAnswers}/${result.totalQuestions} correct</h4>
+            <button class="btn btn-secondary" onclick="saveResults('${result._id}')">Score report</button>
+            ${renderReviewBreakdown('By difficulty', breakdown.byDifficulty)}
+            ${renderReviewBreakdown('By topic', breakdown.byTopic)}
+            ${items.map(item => `
+                <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
+                    <p><strong>${item.number}. ${!item.answered ? 'Not answered' : item.correct ? 'Correct ✓' : 'Incorrect ✗'}</strong>
+                       - ${item.difficulty}${item.topic ? `, ${escapeHtml(item.topic)}` : ''}, ${formatSeconds(item.timeSpent)}</p>
+                    ${item.question.passage ? `<p><em>${escapeHtml(item.question.passage.title || 'Passage')}</em></p>` : ''}
+                    <p>${escapeHtml(item.question.question)}</p>
+                    <p>Your answer: ${formatAnswer(item.question, item.yourAnswer)}</p>
+                    ${item.answered ? `<p>Correct answer: ${formatAnswer(item.question, item.correctAnswer)}</p>` : ''}
+                    ${item.explanation ? `<p>Explanation: ${escapeHtml(item.explanation)}</p>` : ''}
+                </div>
+            `).join('')}
+        `;
+        if (containerId === 'scoreDetails') document.getElementById('mockTestResults').classList.remove('hidden');
+    } catch (error) {
+        alert('Could not load review: ' + error.message);
+    }
+}
+
+// Mistake notebook and spaced-repetition review
+// Returns HTML: typed answers and blank options are escaped
+function formatAnswer(question, answer) {
+    if (answer === null || answer === undefined) return '-';
+
+    switch (question.format) {
+        case 'numeric-entry':
+            return escapeHtml(answer);
+        case 'text-completion':
+            return answer.map((index, blank) => escapeHtml(question.blanks[blank].options[index])).join(' / ');
+        default:
+            return [].concat(answer).map(index => String.fromCharCode(65 + index)).join(', ');
+    }
+}
+
+async function startReview() {
+    if (!authToken) {
+        alert('Please login to review your mistakes');
+        openModal('loginModal');
+        return;
+    }
+
+    try {
+        const items = await apiCall('/review/due');
+        if (items.length === 0) {
+            alert('Nothing to review today. Great job!');
+            return;
+        }
+
+        activeReview = { items, index: 0 };
+        document.getElementById('mockTestResults').classList.add('hidden');
+        renderReviewQuestion();
+    } catch (error) {
+        alert('Could not load review queue: ' + error.message);
+    }
+}
+
+function renderReviewQuestion() {
+    const item = activeReview.items[activeReview.index];
+    renderQuestion(item.question, {
+        header: `
+            <p><strong>Review</strong> - ${activeReview.index + 1} of ${activeReview.items.length}
+               ${item.lapses > 0 ? `(missed ${item.lapses + 1} times)` : ''}</p>
+        `
+    });
+}
+
+async function submitReviewAnswer(answer) {
+    const item = activeReview.items[activeReview.index];
+
+    try {
+        const response = await apiCall(`/review/${item.question._id}`, 'POST', { answer });
+        const isLast = activeReview.index === activeReview.items.length - 1;
+
+        document.getElementById('scoreDetails').innerHTML = `
+            <h4>${response.correct ? 'Correct! ✓' : 'Incorrect ✗'}</h4>
+            ${response.correct ? '' : `<p>Correct answer: ${formatAnswer(item.question, response.correctAnswer)}</p>`}
+            <p>Explanation: ${escapeHtml(response.explanation)}</p>
+            <p>Next review: ${new Date(response.nextReview).toLocaleDateString()}</p>
+            <button class="btn btn-secondary" onclick="nextReviewQuestion()">${isLast ? 'Finish Review' : 'Next'}</button>
+            <div id="questionDiscussion"></div>
+        `;
+        document.getElementById('mockTestResults').classList.remove('hidden');
+        loadQuestionDiscussion(item.question._id);
+    } catch (error) {
+        alert('Error checking answer: ' + error.message);
+    }
+}
+
+// Question discussion: shown under a question once it has been answered
+const REPORT_CATEGORIES = ['wrong-answer', 'typo', 'ambiguous', 'explanation', 'other'];
+
+function renderDiscussionComment(questionId, comment) {
+    return `
+        <div style="margin: 0.5rem 0 0.5rem ${comment.parentId ? '1.5rem' : '0'};">
+            <strong>${escapeHtml(comment.author.name)}</strong>${comment.author.role === 'user' ? '' : ` (${comment.author.role})`}
+            - ${new Date(comment.createdAt).toLocaleString()}
+            <p>${comment.deleted ? '<em>Comment deleted</em>' : escapeHtml(comment.text)}</p>
+            ${!comment.parentId ? `<button class="btn btn-secondary" onclick="replyToComment('${questionId}', '${comment.id}')">Reply</button>` : ''}
+            ${!comment.deleted && (comment.mine || currentUser.role === 'admin') ? `
+                <button class="btn btn-secondary" onclick="deleteQuestionComment('${questionId}', '${comment.id}')">Delete</button>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function loadQuestionDiscussion(questionId) {
+    const container = document.getElementById('questionDiscussion');
+    if (!container || !authToken) return;
+
+    try {
+        const { comments } = await apiCall(`/questions/${questionId}/comments`);
+        container.innerHTML = `
+            <h4>Discussion</h4>
+            ${comments.map(comment => `
+                ${renderDiscussionComment(questionId, comment)}
+                ${comment.replies.map(reply => renderDiscussionComment(questionId, reply)).join('')}
+            `).join('') || '<p>No comments yet. Ask about this question or explain how you solved it.</p>'}
+            <form onsubmit="addQuestionComment(event, '${questionId}')">
+                <textarea name="text" rows="3" style="width: 100%;" maxlength="2000" placeholder="Add a comment" required></textarea>
+                <button type="submit" class="btn btn-primary">Comment</button>
+                <button type="button" class="btn btn-secondary" onclick="reportQuestion('${questionId}')">Report a problem</button>
+            </form>
+        `;
+    } catch (error) {
+        container.innerHTML = `<p>${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function addQuestionComment(event, questionId) {
+    event.preventDefault();
+    try {
+        await apiCall(`/questions/${questionId}/comments`, 'POST', { text: event.target.elements.text.value });
+        await loadQuestionDiscussion(questionId);
+    } catch (error) {
+        alert('Could not add comment: ' + error.message);
+    }
+}
+
+async function replyToComment(questionId, parentId) {
+    const text = prompt('Reply:');
+    if (!text) return;
+
+    try {
+        await apiCall(`/questions/${questionId}/comments`, 'POST', { text, parentId });
+        await loadQuestionDiscussion(questionId);
+    } catch (error) {
+        alert('Could not add reply: ' + error.message);
+    }
+}
+
+async function deleteQuestionComment(questionId, commentId) {
+    if (!confirm('Delete this comment?')) return;
+
+    try {
+        await apiCall(`/questions/${questionId}/comments/${commentId}`, 'DELETE');
+        await loadQuestionDiscussion(questionId);
+    } catch (error) {
+        alert('Could not delete comment: ' + error.message);
+    }
+}
+
+async function reportQuestion(questionId) {
+    const category = prompt(`What is wrong with this question? (${REPORT_CATEGORIES.join(', ')})`, 'wrong-answer');
+    if (!category) return;
+    const note = prompt('Details for the moderators (optional):') || '';
+
+    try {
+        const response = await apiCall(`/questions/${questionId}/reports`, 'POST', { category: category.trim(), note });
+        alert(response.message);
+    } catch (error) {
+        alert('Could not report question: ' + error.message);
+    }
+}
+
+function nextReviewQuestion() {
+    document.getElementById('mockTestResults').classList.add('hidden');
+
+    if (activeReview.index < activeReview.items.length - 1) {
+        activeReview.index++;
+        renderReviewQuestion();
+        return;
+    }
+
+    activeReview = null;
+    displayedQuestion = null;
+    loadMistakeNotebook();
+    initializeSampleQuestion();
+}
+
+async function loadMistakeNotebook() {
+    const notebook = document.getElementById('mistakeNotebook');
+    if (!notebook || !authToken) return;
+
+    try {
+        const mistakes = await apiCall('/mistakes');
+        if (mistakes.length === 0) {
+            notebook.innerHTML = '<p>No mistakes yet. Questions you miss will show up here for review.</p>';
+            return;
+        }
+
+        const dueToday = mistakes.filter(m => new Date(m.dueDate) <= new Date()).length;
+        notebook.innerHTML = `
+            <p>${dueToday} question(s) due for review.
+               <button class="btn btn-secondary" onclick="startReview()">Start Review</button></p>
+            ${mistakes.map(({ question, yourAnswer, dueDate }) => `
+                <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
+                    <strong>${escapeHtml(question.testType)} ${escapeHtml(question.section)}</strong><br>
+                    ${escapeHtml(question.question)}<br>
+                    Your answer: ${formatAnswer(question, yourAnswer)} -
+                    Correct: ${formatAnswer(question, question.correctAnswer)}<br>
+                    ${question.explanation ? `<em>${escapeHtml(question.explanation)}</em><br>` : ''}
+                    Next review: ${new Date(dueDate).toLocaleDateString()}
+                </div>
+            `).join('')}
+        `;
+    } catch (error) {
+        console.error('Error loading mistake notebook:', error);
+    }
+}
+
+// Offline practice packs: questions with answer keys kept in Cache Storage (served by sw.js),
+// answers checked on the device, and finished attempts queued in IndexedDB until they can be synced
+const PACK_CACHE = 'scholaro-packs';
+const OFFLINE_DB = 'scholaro-offline';
+const PENDING_RESULTS = 'pendingResults';
+let activeOfflinePack = null; // { pack, index, answers, clientId, startedAt }
+let syncingResults = false;
+
+function packUrl(packId) {
+    return `/offline-packs/${packId}`;
+}
+
+// Packs and queued results belong to whoever downloaded them; offline, that is the last user logged in here
+function offlineUserId() {
+    return currentUser ? currentUser.id : localStorage.getItem(LAST_USER_KEY);
+}
+
+function openOfflineDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OFFLINE_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(PENDING_RESULTS, { keyPath: 'clientId' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Runs one request against the pending results store and resolves with its result
+async function pendingResultsStore(mode, operation) {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(PENDING_RESULTS, mode).objectStore(PENDING_RESULTS));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function downloadPracticePack(form) {
+    try {
+        const pack = await apiCall('/practice-packs', 'POST', {
+            testType: form.elements.testType.value,
+            section: form.elements.section.value,
+            count: Number(form.elements.count.value) || undefined
+        });
+        const cache = await caches.open(PACK_CACHE);
+        await cache.put(packUrl(pack.id), new Response(JSON.stringify({ ...pack, userId: currentUser.id }), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+        await loadPracticePacks();
+        alert(`Pack saved: ${pack.questions.length} questions available offline`);
+    } catch (error) {
+        alert('Could not download pack: ' + error.message);
+    }
+}
+
+const practicePackForm = document.getElementById('practicePackForm');
+if (practicePackForm) {
+    practicePackForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        downloadPracticePack(this);
+    });
+}
+
+async function cachedPacks() {
+    if (!window.caches) return [];
+    const cache = await caches.open(PACK_CACHE);
+    const packs = await Promise.all((await cache.keys()).map(async request => (await cache.match(request)).json()));
+    return packs.filter(pack => pack.userId === offlineUserId());
+}
+
+async function loadPracticePacks() {
+    const container = document.getElementById('practicePacks');
+    if (!container) return;
+
+    try {
+        const [packs, pending] = await Promise.all([
+            cachedPacks(),
+            pendingResultsStore('readonly', store => store.getAll())
+        ]);
+        const unsynced = pending.filter(result => result.userId === offlineUserId()).length;
+        container.innerHTML = packs.map(pack => `
+            <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
+                <strong>${escapeHtml(pack.testType)} ${escapeHtml(pack.section)}</strong> - ${pack.questions.length} questions,
+                downloaded ${new Date(pack.createdAt).toLocaleDateString()}
+                <button class="btn btn-primary" onclick="startPackPractice('${pack.id}')">Practice</button>
+                <button class="btn btn-secondary" onclick="removePracticePack('${pack.id}')">Remove</button>
+            </div>
+        `).join('') || '<p>No packs downloaded yet.</p>';
+        if (unsynced > 0) {
+            container.innerHTML += `<p>${unsynced} attempt(s) waiting to sync. They are sent when you are back online.</p>`;
+        }
+    } catch (error) {
+        console.error('Error loading practice packs:', error);
+    }
+}
+
+async function removePracticePack(packId) {
+    if (!confirm('Remove this pack from this device?')) return;
+    const cache = await caches.open(PACK_CACHE);
+    await cache.delete(packUrl(packId));
+    await loadPracticePacks();
+}
+
+async function startPackPractice(packId) {
+    const response = await (await caches.open(PACK_CACHE)).match(packUrl(packId));
+    if (!response) {
+        alert('This pack is no longer on this device');
+        return;
+    }
+
+    activeOfflinePack = {
+        pack: await response.json(),
+        index: 0,
+        answers: [],
+        clientId: crypto.randomUUID(),
+        startedAt: Date.now()
+    };
+    document.getElementById('mockTestResults').classList.add('hidden');
+    renderPackQuestion();
+}
+
+function renderPackQuestion() {
+    const { pack, index } = activeOfflinePack;
+    renderQuestion(pack.questions[index], {
+        header: `<p><strong>${escapeHtml(pack.testType)} ${escapeHtml(pack.section)} (offline)</strong> - ${index + 1} of ${pack.questions.length}</p>`
+    });
+}
+
+// Mirrors checkAnswer in question_formats.js; numeric keys arrive already parsed
+function checkOfflineAnswer(question, answer) {
+    const { correctAnswer, tolerance } = question.answerKey;
+    switch (question.format) {
+        case 'multi-select':
+        case 'sentence-equivalence':
+            return [...answer].sort().join(',') === [...correctAnswer].sort().join(',');
+        case 'text-completion':
+            return answer.every((index, blank) => index === correctAnswer[blank]);
+        case 'numeric-entry':
+            return Math.abs(parseNumber(answer) - correctAnswer) <= (tolerance || 1e-9);
+        default:
+            return answer === correctAnswer;
+    }
+}
+
+// Same rules as parseNumericAnswer on the server: 12, -1.5, 1,200 or 3/4
+function parseNumber(text) {
+    const value = String(text).replace(/[,\s]/g, '');
+    const fraction = value.match(/^(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)$/);
+    if (fraction) return Number(fraction[2]) === 0 ? NaN : Number(fraction[1]) / Number(fraction[2]);
+    return /^-?(\d+\.?\d*|\.\d+)$/.test(value) ? Number(value) : NaN;
+}
+
+function submitPackAnswer(answer) {
+    const { pack, index } = activeOfflinePack;
+    const question = pack.questions[index];
+    const correct = checkOfflineAnswer(question, answer);
+    activeOfflinePack.answers.push({ questionId: question._id, answer, correct });
+
+    const isLast = index === pack.questions.length - 1;
+    document.getElementById('scoreDetails').innerHTML = `
+        <h4>${correct ? 'Correct! ✓' : 'Incorrect ✗'}</h4>
+        ${correct ? '' : `<p>Correct answer: ${formatAnswer(question, question.answerKey.correctAnswer)}</p>`}
+        ${question.answerKey.explanation ? `<p>Explanation: ${escapeHtml(question.answerKey.explanation)}</p>` : ''}
+        <button class="btn btn-secondary" onclick="nextPackQuestion()">${isLast ? 'Finish' : 'Next'}</button>
+        ${isLast ? '' : '<button class="btn btn-secondary" onclick="finishPackPractice()">Stop here</button>'}
+    `;
+    document.getElementById('mockTestResults').classList.remove('hidden');
+}
+
+function nextPackQuestion() {
+    document.getElementById('mockTestResults').classList.add('hidden');
+    if (activeOfflinePack.index < activeOfflinePack.pack.questions.length - 1) {
+        activeOfflinePack.index++;
+        renderPackQuestion();
+        return;
+    }
+    finishPackPractice();
+}
+
+// The local marking is only shown to the student; the server scores the queued answers again
+async function finishPackPractice() {
+    const { pack, answers, clientId, startedAt } = activeOfflinePack;
+    activeOfflinePack = null;
+    displayedQuestion = null;
+
+    const correct = answers.filter(a => a.correct).length;
+    document.getElementById('scoreDetails').innerHTML = `<h4>Pack finished: ${correct} of ${answers.length} correct</h4>`;
+    document.getElementById('mockTestResults').classList.remove('hidden');
+    if (answers.length === 0) return;
+
+    await pendingResultsStore('readwrite', store => store.put({
+        clientId,
+        userId: pack.userId,
+        packId: pack.id,
+        answers: answers.map(({ questionId, answer }) => ({ questionId, answer })),
+        timeSpent: Math.round((Date.now() - startedAt) / 6000) / 10,
+        finishedAt: new Date().toISOString()
+    }));
+    await syncPendingResults();
+    await loadPracticePacks();
+}
+
+// Sends queued attempts of the logged-in user. Attempts the server rejects are dropped;
+// ones that fail for lack of a connection stay queued for the next try.
+async function syncPendingResults() {
+    if (!authToken || syncingResults || !window.indexedDB) return;
+    syncingResults = true;
+
+    try {
+        const pending = await pendingResultsStore('readonly', store => store.getAll());
+        let synced = 0;
+        for (const { userId, ...result } of pending.filter(r => r.userId === currentUser.id)) {
+            try {
+                await apiCall('/test-results', 'POST', result);
+                synced++;
+            } catch (error) {
+                if (!error.status || error.status === 401 || error.status >= 500) break;
+                console.error('Dropping offline result the server rejected:', error.message);
+            }
+            await pendingResultsStore('readwrite', store => store.delete(result.clientId));
+        }
+        if (synced > 0) await loadResultsPage(1);
+    } catch (error) {
+        console.error('Error syncing offline results:', error);
+    } finally {
+        syncingResults = false;
+    }
+}
+
+window.addEventListener('online', async function() {
+    if (!authToken) await restoreSession();
+    await syncPendingResults();
+});
+
+// Streaks, badges and weekly leaderboards
+async function loadAchievements() {
+    const container = document.getElementById('achievements');
+    if (!container || !authToken) return;
+
+    try {
+        let achievements = await apiCall('/achievements');
+
+        // Streak days follow the student's own calendar; keep the stored timezone in step with this device
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (timezone && timezone !== achievements.timezone) {
+            await apiCall('/profile', 'PUT', { timezone });
+            achievements = await apiCall('/achievements');
+        }
+
+        const { streak, badges } = achievements;
+        container.innerHTML = `
+            <p><strong>${streak.current}-day streak</strong>
+               ${streak.current > 0 && !streak.studiedToday ? '(practise today to keep it going)' : ''}
+               | Longest: ${streak.longest} days</p>
+            <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
+                ${badges.map(badge => `
+                    <div title="${badge.description}" style="padding: 0.5rem; border-radius: 5px;
+                         background: rgba(255,255,255,${badge.earned ? '0.2' : '0.05'}); opacity: ${badge.earned ? 1 : 0.5};">
+                        <strong>${badge.label}</strong><br>
+                        <small>${badge.earned ? `Earned ${new Date(badge.earnedAt).toLocaleDateString()}` : badge.description}</small>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading achievements:', error);
+    }
+}
+
+async function loadLeaderboard(testType = 'GRE') {
+    const container = document.getElementById('leaderboard');
+    if (!container || !authToken) return;
+
+    try {
+        const board = await apiCall(`/leaderboards/${testType}`);
+        const row = entry => `
+            <tr>
+                <td>${entry.rank}</td>
+                <td>${escapeHtml(entry.displayName)}</td>
+                <td>${entry.correctAnswers}</td>
+                <td>${entry.accuracy}%</td>
+            </tr>
+        `;
+        container.innerHTML = `
+            <select onchange="loadLeaderboard(this.value)">
+                ${['GRE', 'GMAT', 'IELTS', 'TOEFL'].map(exam => `
+                    <option value="${exam}" ${exam === board.testType ? 'selected' : ''}>${exam}</option>
+                `).join('')}
+            </select>
+            <p>Week of ${new Date(board.weekStart).toLocaleDateString()}</p>
+            <table>
+                <tr><th>#</th><th>Name</th><th>Correct answers</th><th>Accuracy</th></tr>
+                ${board.entries.map(row).join('') || '<tr><td colspan="4">Nobody on the board yet this week.</td></tr>'}
+                ${board.me && board.me.rank > board.entries.length ? row(board.me) : ''}
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading leaderboard:', error);
+    }
+}
+
+async function loadLeaderboardSettings() {
+    const form = document.getElementById('leaderboardSettingsForm');
+    if (!form || !authToken) return;
+
+    try {
+        const settings = await apiCall('/leaderboard/settings');
+        form.elements.optIn.checked = settings.optIn;
+        form.elements.displayName.value = settings.displayName || '';
+    } catch (error) {
+        console.error('Error loading leaderboard settings:', error);
+    }
+}
+
+const leaderboardSettingsForm = document.getElementById('leaderboardSettingsForm');
+if (leaderboardSettingsForm) {
+    leaderboardSettingsForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        try {
+            await apiCall('/leaderboard/settings', 'PUT', {
+                optIn: this.elements.optIn.checked,
+                displayName: this.elements.displayName.value
+            });
+            await loadLeaderboard();
+            alert(this.elements.optIn.checked ? 'You now appear on the weekly leaderboards.' : 'You no longer appear on leaderboards.');
+        } catch (error) {
+            alert('Could not save leaderboard settings: ' + error.message);
+        }
+    });
+}
+
+// Dashboard functions
+async function loadDashboardData() {
+    if (!authToken) return;
+    
+    try {
+        const [stats, results] = await Promise.all([
+            apiCall('/dashboard-stats'),
+            apiCall(`/test-results?page=${resultsPage}`)
+        ]);
+        
+        updateDashboard(stats, results);
+        await Promise.all([
+            loadMistakeNotebook(),
+            loadAnalytics(),
+            loadProfile(),
+            loadRecommendations(),
+            loadApplications(),
+            loadStudyPlans(),
+            loadMyCohorts(),
+            loadInstructorPanel(),
+            loadAdminUsers(),
+            loadModerationQueue(),
+            loadAuditLog(),
+            loadEssayPrompts(),
+            loadMyEssays(),
+            loadGradingQueue(),
+            loadSpeakingPrompts(),
+            loadMySpeakingAttempts(),
+            loadSpeakingReviewQueue(),
+            loadPracticePacks(),
+            syncPendingResults(),
+            loadAchievements(),
+            loadLeaderboard(),
+            loadLeaderboardSettings()
+        ]);
+    } catch (error) {
+        console.error('Error loading dashboard data:', error);
+    }
+}
+
+async function loadResultsPage(page) {
+    try {
+        const results = await apiCall(`/test-results?page=${page}`);
+        resultsPage = results.page;
+        renderResultsList(results);
+    } catch (error) {
+        console.error('Error loading test results:', error);
+    }
+}
+
+function updateDashboard(stats, results) {
+    if (!currentUser) return;
+    
+    document.getElementById('testsCompleted').textContent = stats.testsCompleted;
+    document.getElementById('avgScore').innerHTML = formatExamScores(stats.examScores);
+    document.getElementById('studyTime').textContent = stats.totalStudyTime;
+    
+    renderResultsList(results);
+}
+
+function renderResultsList({ results, page, pages }) {
+    const resultsList = document.getElementById('resultsList');
+    if (!resultsList) return;
+    if (results && results.length > 0) {
+        resultsList.innerHTML = results.map(result => `
+            <div style="background: rgba(255,255,255,0.1); padding: 1rem; margin: 0.5rem 0; border-radius: 5px;">
+                <a href="#/results/${result._id}"><strong>${escapeHtml(result.testType)} ${escapeHtml(result.section)}</strong></a> - ${new Date(result.date).toLocaleDateString()}<br>
+                Score: ${result.scaledScore != null ? `${result.scaledScore} (${result.score}%)` : `${result.score}%`}
+                (${result.correctAnswers}/${result.totalQuestions})
+                ${result.timeSpent ? `<br>Time: ${result.timeSpent} minutes` : ''}
+            </div>
+        `).join('') + (pages > 1 ? `
+            <div>
+                <button class="btn btn-secondary" onclick="loadResultsPage(${page - 1})" ${page <= 1 ? 'disabled' : ''}>Previous</button>
+                Page ${page} of ${pages}
+                <button class="btn btn-secondary" onclick="loadResultsPage(${page + 1})" ${page >= pages ? 'disabled' : ''}>Next</button>
+            </div>
+        ` : '');
+    } else {
+        resultsList.innerHTML = '<p>No test results yet. Take a practice test to get started!</p>';
+    }
+}
+
+async function showResult(resultId) {
+    const container = document.getElementById('resultDetail');
+    if (!container) return;
+
+    try {
+        const result = await apiCall(`/test-results/${resultId}`);
+        container.innerHTML = `
+            <p><a href="#/dashboard">&larr; Dashboard</a></p>
+            <h2>${escapeHtml(result.testType)} ${escapeHtml(result.section)}</h2>
+            <p>${new Date(result.date).toLocaleString()}</p>
+            <p>Score: <strong>${result.scaledScore != null ? `${result.scaledScore} (${result.score}%)` : `${result.score}%`}</strong></p>
+            ${result.totalQuestions > 0 ? `<p>Correct answers: ${result.correctAnswers} of ${result.totalQuestions}</p>` : ''}
+            ${result.timeSpent ? `<p>Time: ${result.timeSpent} minutes</p>` : ''}
+            <button class="btn btn-secondary" onclick="saveResults('${result._id}')">Score report</button>
+            ${result.sessionId ? `
+                <button class="btn btn-primary" onclick="openSessionReview('${result.sessionId}', 'resultReview')">Review answers</button>
+                <div id="resultReview"></div>` : ''}
+        `;
+    } catch (error) {
+        container.innerHTML = `<p>Could not load this result: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Analytics charts (plain HTML/SVG, no chart library)
+function renderBarChart(title, rows, label, value, format = v => v) {
+    if (rows.length === 0) return '';
+
+    const max = Math.max(...rows.map(value), 1);
+    return `
+        <h4>${escapeHtml(title)}</h4>
+        ${rows.map(row => `
+            <div style="display: flex; align-items: center; gap: 0.5rem; margin: 0.25rem 0;">
+                <span style="width: 12rem;">${escapeHtml(label(row))}</span>
+                <div style="flex: 1; background: rgba(255,255,255,0.1); border-radius: 3px;">
+                    <div style="width: ${(value(row) / max) * 100}%; background: #4caf50; height: 0.8rem; border-radius: 3px;"></div>
+                </div>
+                <span style="width: 4rem; text-align: right;">${format(value(row))}</span>
+            </div>
+        `).join('')}
+    `;
+}
+
+function renderTrendChart(trend) {
+    if (trend.length === 0) return '';
+
+    const width = 400;
+    const height = 150;
+    const weeks = [...new Set(trend.map(point => point.week))].sort();
+    const x = week => weeks.length === 1 ? width / 2 : (weeks.indexOf(week) / (weeks.length - 1)) * width;
+    const y = score => height - (score / 100) * height;
+    const colors = ['#4caf50', '#2196f3', '#ff9800', '#e91e63'];
+
+    const lines = [...new Set(trend.map(point => point.testType))].map((testType, i) => {
+        const points = trend.filter(point => point.testType === testType);
+        return `
+            <polyline fill="none" stroke="${colors[i % colors.length]}" stroke-width="2"
+                      points="${points.map(p => `${x(p.week)},${y(p.averageScore)}`).join(' ')}"/>
+            <text x="0" y="${12 + i * 14}" fill="${colors[i % colors.length]}" font-size="12">${escapeHtml(testType)}</text>
+        `;
+    }).join('');
+
+    return `
+        <h4>Weekly average score (%)</h4>
+        <svg viewBox="0 0 ${width} ${height}" style="width: 100%; max-width: ${width}px; background: rgba(255,255,255,0.05);">
+            ${lines}
+        </svg>
+        <p style="font-size: 0.8rem;">${new Date(weeks[0]).toLocaleDateString()} - ${new Date(weeks[weeks.length - 1]).toLocaleDateString()}</p>
+    `;
+}
+
+// Charts for one student's analytics; also used for the instructor's student view
+function renderAnalytics({ accuracy, timePerQuestion, scoreTrend, weakestAreas }) {
+    const percent = v => `${v}%`;
+
+    const html = `
+        ${renderTrendChart(scoreTrend)}
+        ${renderBarChart('Accuracy by section', accuracy.bySection,
+            row => `${row.testType} ${row.section}`, row => row.accuracy, percent)}
+        ${renderBarChart('Accuracy by difficulty', accuracy.byDifficulty,
+            row => `${row.testType} ${row.difficulty}`, row => row.accuracy, percent)}
+        ${renderBarChart('Accuracy by topic', accuracy.byTopic.filter(row => row.topic),
+            row => `${row.section}: ${row.topic}`, row => row.accuracy, percent)}
+        ${renderBarChart('Average time per question', timePerQuestion.filter(row => row.averageTimeSeconds !== null),
+            row => `${row.testType} ${row.section}`, row => row.averageTimeSeconds, v => `${v}s`)}
+        ${weakestAreas.length > 0 ? `
+            <h4>Focus on</h4>
+            <ul>${weakestAreas.map(area => `
+                <li>${escapeHtml(area.testType)} ${escapeHtml(area.section)}${area.topic ? `: ${escapeHtml(area.topic)}` : ''} -
+                    ${area.accuracy}% over ${area.attempts} questions</li>
+            `).join('')}</ul>
+        ` : ''}
+    `;
+    return html.trim() || '<p>Answer some questions to see analytics.</p>';
+}
+
+async function loadAnalytics() {
+    const container = document.getElementById('analytics');
+    if (!container || !authToken) return;
+
+    try {
+        container.innerHTML = renderAnalytics(await apiCall('/analytics'));
+    } catch (error) {
+        console.error('Error loading analytics:', error);
+    }
+}
+
+// Scaled scores per exam; exams use different scales so they are never averaged together
+function formatExamScores(examScores) {
+    const exams = Object.entries(examScores || {});
+    if (exams.length === 0) return '-';
+
+    return exams.map(([testType, exam]) => {
+        const sections = Object.entries(exam.sections)
+            .map(([section, scores]) => `${escapeHtml(section)} ${scores.latest}`)
+            .join(', ');
+        const total = exam.latestTotal != null ? ` = ${exam.latestTotal}` : '';
+        return `<div><strong>${escapeHtml(testType)}</strong>: ${sections}${total}</div>`;
+    }).join('');
+}
+
+// Initialize sample question with backend data
+async function initializeSampleQuestion() {
+    try {
+        const questions = await loadTestQuestions('GRE', 'Verbal', 1);
+        if (questions.length > 0) {
+            renderQuestion(questions[0]);
+        }
+    } catch (error) {
+        console.error('Error initializing sample question:', error);
+    }
+}
+
+// Close modals when clicking outside
+window.onclick = function(event) {
+    if (event.target.classList.contains('modal')) {
+        event.target.style.display = 'none';
+    }
+}
+
+// Smooth scrolling for navigation
+document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+    anchor.addEventListener('click', function (e) {
+        if (this.getAttribute('href').startsWith('#/')) return; // router links
+        e.preventDefault();
+        const target = document.querySelector(this.getAttribute('href'));
+        if (target) {
+            target.scrollIntoView({
+                behavior: 'smooth'
+            });
+        }
+    });
+});
+
+// Initialize data on page load
+document.addEventListener('DOMContentLoaded', async function() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker not registered:', error));
+    }
+    await handleAccountLink();
+    await restoreSession();
+    syncPendingResults();
+
+    window.addEventListener('hashchange', handleRoute);
+    await handleRoute();
+
+    await loadUniversities(universityPage);
+    await initializeSampleQuestion();
 });
\ No newline at end of file
@@ -0,0 +1,182 @@
+// Request validation against JSON Schema (the subset OpenAPI 3.0 uses). The schemas given to
+// validate() are also what openapi.js publishes, so the documented contract is the enforced one.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Reusable schemas
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', description: 'Object id' };
+// Pattern for text that must contain more than whitespace
+const NON_BLANK = '\\S';
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function typeMatches(type, value) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+const FORMATS = {
+    email: value => EMAIL_PATTERN.test(value),
+    date: value => DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value)),
+    'date-time': value => !Number.isNaN(Date.parse(value))
+};
+
+const FORMAT_NAMES = {
+    email: 'a valid email address',
+    date: 'a date (YYYY-MM-DD)',
+    'date-time': 'a date and time'
+};
+
+function describeType(schema) {
+    if (schema.enum) return `one of ${schema.enum.filter(value => value !== null).join(', ')}`;
+    return { integer: 'a whole number', number: 'a number', string: 'a string', boolean: 'true or false', array: 'a list', object: 'an object' }[schema.type] || schema.type;
+}
+
+// Problems with value against schema, as [{ field, message }]; field is a dotted path below `field`
+function schemaErrors(schema, value, field) {
+    if (!schema || value === undefined) return [];
+    if (value === null) {
+        return schema.nullable || (schema.enum && schema.enum.includes(null)) ? [] : [{ field, message: 'must not be null' }];
+    }
+
+    if (schema.anyOf) {
+        const options = schema.anyOf.map(option => schemaErrors(option, value, field));
+        return options.some(errors => errors.length === 0) ? [] : [{ field, message: schema.description ? `must be ${schema.description}` : 'has an unsupported form' }];
+    }
+
+    if (schema.type && !typeMatches(schema.type, value)) {
+        return [{ field, message: `must be ${describeType(schema)}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ field, message: `must be ${describeType(schema)}` }];
+    }
+
+    const errors = [];
+    const fail = message => errors.push({ field, message });
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            if (schema === OBJECT_ID || schema.pattern === OBJECT_ID.pattern) fail('must be a valid id');
+            else fail(schema.pattern === NON_BLANK ? 'must not be blank' : 'has an invalid format');
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be ${FORMAT_NAMES[schema.format]}`);
+    }
+
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) fail('must be a finite number');
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, `${field}[${i}]`)));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const join = key => (field ? `${field}.${key}` : key);
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ field: join(key), message: 'is required' });
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const propertySchema = (schema.properties || {})[key];
+            if (propertySchema) {
+                errors.push(...schemaErrors(propertySchema, item, join(key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: join(key), message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...schemaErrors(schema.additionalProperties, item, join(key)));
+            }
+        }
+    }
+
+    return errors;
+}
+
+// Path and query values arrive as strings; read them as the type their schema asks for
+function coerceParameter(schema, value) {
+    if (value === undefined || !schema) return value;
+    if (schema.type === 'array') {
+        const items = [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+        return items.map(item => coerceParameter(schema.items, item));
+    }
+    if (Array.isArray(value)) return value; // repeated where one value is expected: left to fail the type check
+    if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+}
+
+// Checks parameters and returns { errors, values }: values holds each parameter as its schema's type,
+// or the schema's default when it was not given
+function readParameters(parameters, values, location) {
+    const errors = [];
+    const typed = {};
+    for (const [name, parameter] of Object.entries(parameters || {})) {
+        const { required, ...schema } = parameter;
+        const value = coerceParameter(schema, values[name]);
+        if (value === undefined || value === '') {
+            if (required) errors.push({ in: location, field: name, message: 'is required' });
+            if (schema.default !== undefined) typed[name] = schema.default;
+            continue;
+        }
+        errors.push(...schemaErrors(schema, value, name).map(error => ({ in: location, ...error })));
+        typed[name] = value;
+    }
+    return { errors, values: typed };
+}
+
+// Middleware checking a request against spec: { summary, description, tag, params, query, body, status, ... }.
+// params and query map names to schemas (plus `required` and `default` for query), body is a schema for the
+// JSON body. Declared path and query values reach the handler typed, with defaults filled in; the body is
+// passed on as it came.
+function validate(spec) {
+    const middleware = (req, res, next) => {
+        const params = readParameters(
+            Object.fromEntries(Object.entries(spec.params || {}).map(([name, schema]) => [name, { ...schema, required: true }])),
+            req.params,
+            'path'
+        );
+        const query = readParameters(spec.query, req.query, 'query');
+        const errors = [...params.errors, ...query.errors];
+        if (spec.body) {
+            errors.push(...schemaErrors(spec.body, req.body === undefined ? {} : req.body, '').map(error => ({ in: 'body', ...error, field: error.field || 'body' })));
+        }
+
+        if (errors.length > 0) {
+            const [first] = errors;
+            return res.status(400).json({
+                error: `${first.field} ${first.message}`,
+                code: 'VALIDATION_FAILED',
+                details: errors
+            });
+        }
+        Object.assign(req.params, params.values);
+        Object.assign(req.query, query.values);
+        next();
+    };
+    middleware.apiSpec = spec;
+    return middleware;
+}
+
+module.exports = {
+    OBJECT_ID,
+    NON_BLANK,
+    schemaErrors,
+    coerceParameter,
+    validate
+};
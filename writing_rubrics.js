@@ -0,0 +1,147 @@
+// Essay tasks, their official rubric bands and a local heuristic pre-score.
+// The rubric helpers take any task with { scale, criteria, sectionMax? }, speaking tasks included.
+
+// IELTS criteria are banded 0-9 and averaged; GRE, GMAT and TOEFL raters give one holistic score.
+// sectionMax converts the essay score to the exam's section scale where they differ (TOEFL 0-5 -> 0-30).
+const IELTS_CRITERIA = (taskCriterion) => [
+    { key: 'task', label: taskCriterion, min: 0, max: 9, step: 1 },
+    { key: 'coherence', label: 'Coherence and Cohesion', min: 0, max: 9, step: 1 },
+    { key: 'lexical', label: 'Lexical Resource', min: 0, max: 9, step: 1 },
+    { key: 'grammar', label: 'Grammatical Range and Accuracy', min: 0, max: 9, step: 1 }
+];
+
+const HOLISTIC = (max, step) => [{ key: 'holistic', label: 'Holistic score', min: 0, max, step }];
+
+const ESSAY_TASKS = {
+    'GRE Issue': {
+        testType: 'GRE', section: 'Analytical Writing', minutes: 30, minWords: 350,
+        scale: { min: 0, max: 6, step: 0.5 }, criteria: HOLISTIC(6, 0.5)
+    },
+    'GMAT Argument': {
+        testType: 'GMAT', section: 'Analytical Writing', minutes: 30, minWords: 350,
+        scale: { min: 0, max: 6, step: 0.5 }, criteria: HOLISTIC(6, 0.5)
+    },
+    'IELTS Task 1': {
+        testType: 'IELTS', section: 'Writing', minutes: 20, minWords: 150,
+        scale: { min: 0, max: 9, step: 0.5 }, criteria: IELTS_CRITERIA('Task Achievement')
+    },
+    'IELTS Task 2': {
+        testType: 'IELTS', section: 'Writing', minutes: 40, minWords: 250,
+        scale: { min: 0, max: 9, step: 0.5 }, criteria: IELTS_CRITERIA('Task Response')
+    },
+    'TOEFL Integrated': {
+        testType: 'TOEFL', section: 'Writing', minutes: 20, minWords: 150,
+        scale: { min: 0, max: 5, step: 1 }, criteria: HOLISTIC(5, 1), sectionMax: 30
+    },
+    'TOEFL Academic Discussion': {
+        testType: 'TOEFL', section: 'Writing', minutes: 10, minWords: 100,
+        scale: { min: 0, max: 5, step: 1 }, criteria: HOLISTIC(5, 1), sectionMax: 30
+    }
+};
+
+function roundToStep(value, step) {
+    return Number((Math.round(value / step) * step).toFixed(2));
+}
+
+function words(text) {
+    return String(text || '').toLowerCase().match(/[a-z0-9]+(?:['-][a-z0-9]+)*/g) || [];
+}
+
+function countWords(text) {
+    return words(text).length;
+}
+
+// Length, vocabulary and structure measures of an essay
+function analyzeEssay(text) {
+    const tokens = words(text);
+    const paragraphs = String(text || '').split(/\n\s*\n/).filter(p => p.trim());
+    const sentences = String(text || '').split(/[.!?]+(?:\s|$)/).filter(s => words(s).length > 0);
+    const types = new Set(tokens).size;
+
+    return {
+        wordCount: tokens.length,
+        uniqueWords: types,
+        // Guiraud's index (types / sqrt(tokens)) stays comparable across essay lengths, unlike a plain ratio
+        lexicalVariety: tokens.length > 0 ? Math.round((types / Math.sqrt(tokens.length)) * 100) / 100 : 0,
+        paragraphs: paragraphs.length,
+        sentences: sentences.length,
+        averageSentenceLength: sentences.length > 0 ? Math.round((tokens.length / sentences.length) * 10) / 10 : 0
+    };
+}
+
+function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
+
+// A rough estimate on the task's scale from length, lexical variety and paragraphing.
+// It never replaces the rubric grade; it gives the student instant feedback while they wait.
+function preScore(taskName, text) {
+    const task = ESSAY_TASKS[taskName];
+    const metrics = analyzeEssay(text);
+    const notes = [];
+
+    const length = clamp01(metrics.wordCount / task.minWords);
+    if (metrics.wordCount < task.minWords) {
+        notes.push(`Write at least ${task.minWords} words; this essay has ${metrics.wordCount}.`);
+    }
+
+    const lexical = clamp01((metrics.lexicalVariety - 5) / 4);
+    if (lexical < 0.5) notes.push('Vary your vocabulary: many words are repeated.');
+
+    let structure = metrics.paragraphs >= 4 ? 1 : [0, 0.2, 0.5, 0.8][metrics.paragraphs];
+    if (metrics.paragraphs < 3) notes.push('Organise the essay into an introduction, body paragraphs and a conclusion.');
+    if (metrics.averageSentenceLength > 35) {
+        structure *= 0.8;
+        notes.push('Some sentences are very long; split them up for clarity.');
+    } else if (metrics.sentences > 0 && metrics.averageSentenceLength < 8) {
+        structure *= 0.8;
+        notes.push('Combine short sentences to show a range of structures.');
+    }
+
+    // Length gates the other measures: a short essay cannot score well however varied it is
+    const fraction = length * (0.4 + 0.3 * lexical + 0.3 * structure);
+    const { min, max, step } = task.scale;
+    return {
+        estimate: roundToStep(min + fraction * (max - min), step),
+        metrics,
+        notes
+    };
+}
+
+// Validates rubric scores ({ criterionKey: band }) and combines them into the task score
+function combineRubricScores(task, scores) {
+    const values = {};
+
+    for (const criterion of task.criteria) {
+        const value = Number(scores && scores[criterion.key]);
+        if (!(value >= criterion.min && value <= criterion.max) || roundToStep(value, criterion.step) !== value) {
+            return {
+                error: `${criterion.label} must be between ${criterion.min} and ${criterion.max} in steps of ${criterion.step}`
+            };
+        }
+        values[criterion.key] = value;
+    }
+
+    const mean = Object.values(values).reduce((sum, value) => sum + value, 0) / task.criteria.length;
+    // IELTS rounds the average band to the nearest half band, e.g. 6.25 -> 6.5
+    const score = Number((Math.floor(mean / task.scale.step + 0.5) * task.scale.step).toFixed(2));
+    return { scores: values, score };
+}
+
+// The task score on the exam's section scale, and as a percentage for TestResult.score
+function rubricResult(task, score) {
+    const fraction = (score - task.scale.min) / (task.scale.max - task.scale.min);
+    return {
+        scaledScore: task.sectionMax ? Math.round(fraction * task.sectionMax) : score,
+        percentage: Math.round(fraction * 100)
+    };
+}
+
+module.exports = {
+    ESSAY_TASKS,
+    countWords,
+    analyzeEssay,
+    preScore,
+    combineRubricScores,
+    rubricResult
+};
@@ -0,0 +1,125 @@
+// Minimal streaming ZIP writer for data exports. Entries are stored uncompressed: the bundles are
+// mostly recordings, which are compressed already. No ZIP64, so the archive must stay under 4 GB.
+const fs = require('fs');
+const { Readable } = require('stream');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// Running CRC-32: start from 0xffffffff, feed every chunk, then finish with crcResult()
+function crcUpdate(crc, buffer) {
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+}
+
+const crcResult = crc => (crc ^ 0xffffffff) >>> 0;
+
+// Size and checksum of a file, read in chunks; the local header needs both before the data
+async function fileChecksum(file) {
+    let crc = 0xffffffff;
+    let size = 0;
+    for await (const chunk of fs.createReadStream(file)) {
+        crc = crcUpdate(crc, chunk);
+        size += chunk.length;
+    }
+    return { crc: crcResult(crc), size };
+}
+
+// MS-DOS date and time fields, in local time as unzip tools expect
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// entries: [{ name, data: Buffer or string } or { name, file: path }]; names use forward slashes for
+// folders. Files are read twice, once for the checksum and once into the archive, so no recording is
+// ever held in memory whole.
+async function* zipChunks(entries, modifiedAt) {
+    const { time, date } = dosDateTime(modifiedAt);
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        let data;
+        let crc;
+        let size;
+        if (entry.file) {
+            ({ crc, size } = await fileChecksum(entry.file));
+        } else {
+            data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+            crc = crcResult(crcUpdate(0xffffffff, data));
+            size = data.length;
+        }
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(0, 8); // stored
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(size, 18);
+        local.writeUInt32LE(size, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+        yield Buffer.concat([local, name]);
+
+        if (data) {
+            yield data;
+        } else {
+            let written = 0;
+            for await (const chunk of fs.createReadStream(entry.file)) {
+                written += chunk.length;
+                yield chunk;
+            }
+            if (written !== size) throw new Error(`${entry.file} changed while it was being archived`);
+        }
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(size, 20);
+        central.writeUInt32LE(size, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + size;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    yield Buffer.concat([...centralParts, end]);
+}
+
+// The archive as a readable stream, produced as fast as it is consumed
+function zipStream(entries, modifiedAt = new Date()) {
+    return Readable.from(zipChunks(entries, modifiedAt), { objectMode: false });
+}
+
+module.exports = {
+    zipStream
+};